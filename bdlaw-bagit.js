@@ -0,0 +1,436 @@
+/**
+ * BDLawCorpus BagIt Packaging
+ *
+ * Builds BagIt 1.0 (RFC 8493) bags for archival deposit and validates bag
+ * folders opened through the File System Access API. Bags are written through
+ * a caller-supplied writeFile(path, data) so the same code can fill a ZIP
+ * archive or a directory. Only SHA-256 manifests are produced.
+ *
+ * @module bdlaw-bagit
+ */
+
+const BDLawBagIt = {
+  VERSION: '1.0',
+  PAYLOAD_DIR: 'data',
+  BAGIT_FILE: 'bagit.txt',
+  BAG_INFO_FILE: 'bag-info.txt',
+  MANIFEST_FILE: 'manifest-sha256.txt',
+  TAG_MANIFEST_FILE: 'tagmanifest-sha256.txt',
+
+  /**
+   * Create a bag builder
+   *
+   * Payload files are written under data/ as they are added. finish() writes
+   * the tag files in RFC order: bagit.txt, bag-info.txt, manifest-sha256.txt
+   * and finally tagmanifest-sha256.txt over the other three.
+   *
+   * @param {Object} options
+   * @param {Function} options.writeFile - async (bagRelativePath, data) => void
+   * @returns {{addPayload: Function, finish: Function}} Bag builder
+   */
+  createBag({ writeFile }) {
+    if (typeof writeFile !== 'function') {
+      throw new Error('createBag requires a writeFile function');
+    }
+
+    const payload = [];
+    const paths = new Set();
+    let finished = false;
+
+    const writeTracked = async (path, data) => {
+      const bytes = typeof data === 'string' ? this._encodeUtf8(data) : data;
+      await writeFile(path, bytes);
+      return { path, size: bytes.length, sha256: this._getSha256().update(bytes).digestHex() };
+    };
+
+    return {
+      /**
+       * Add a payload file
+       * @param {string} path - Path relative to data/
+       * @param {string|Uint8Array} data - File contents
+       * @returns {Promise<Object>} Manifest entry { path, size, sha256 }
+       */
+      addPayload: async (path, data) => {
+        if (finished) {
+          throw new Error('Cannot add payload after finish()');
+        }
+        const relative = this._normalizePath(path);
+        const bagPath = `${this.PAYLOAD_DIR}/${relative}`;
+        if (paths.has(bagPath)) {
+          throw new Error(`Duplicate payload path: ${bagPath}`);
+        }
+        paths.add(bagPath);
+        const entry = await writeTracked(bagPath, data);
+        payload.push(entry);
+        return entry;
+      },
+
+      /**
+       * Write tag files
+       * @param {Array<Array<string>>} bagInfo - Ordered [label, value] pairs (Payload-Oxum is added)
+       * @returns {Promise<Object>} { payload, tags, payload_oxum }
+       */
+      finish: async (bagInfo = []) => {
+        if (finished) {
+          throw new Error('finish() already called');
+        }
+        finished = true;
+
+        const payloadBytes = payload.reduce((sum, entry) => sum + entry.size, 0);
+        const payloadOxum = `${payloadBytes}.${payload.length}`;
+        const info = bagInfo.filter(([label]) => label !== 'Payload-Oxum');
+        info.push(['Payload-Oxum', payloadOxum]);
+
+        const tags = [];
+        tags.push(await writeTracked(this.BAGIT_FILE, this.formatBagitTxt()));
+        tags.push(await writeTracked(this.BAG_INFO_FILE, this.formatBagInfo(info)));
+        tags.push(await writeTracked(this.MANIFEST_FILE, this.formatManifest(payload)));
+        await writeTracked(this.TAG_MANIFEST_FILE, this.formatManifest(tags));
+
+        return { payload: payload.slice(), tags, payload_oxum: payloadOxum };
+      }
+    };
+  },
+
+  /**
+   * Build bag-info.txt fields for a corpus bag
+   *
+   * @param {Object} options
+   * @param {Object} options.metadata - Object from BDLawMetadata.generate
+   * @param {Object} options.manifest - Corpus manifest (corpus_stats is read)
+   * @param {string|Date} options.baggingDate - Defaults to now
+   * @returns {Array<Array<string>>} Ordered [label, value] pairs
+   */
+  buildBagInfo({ metadata = {}, manifest = {}, baggingDate } = {}) {
+    const stats = manifest.corpus_stats || {};
+    const range = stats.extraction_date_range || {};
+    const date = baggingDate ? new Date(baggingDate) : new Date();
+    const fields = [
+      ['Source-Organization', metadata.source || 'bdlaws.minlaw.gov.bd'],
+      ['External-Description', `Bangladesh legal text corpus captured from ${metadata.source || 'bdlaws.minlaw.gov.bd'} for ${metadata.research_purpose || 'academic legal corpus construction'}`],
+      ['Bagging-Date', (isNaN(date.getTime()) ? new Date() : date).toISOString().slice(0, 10)],
+      ['Bag-Software-Agent', `${metadata.tool || 'BDLawCorpus'} ${metadata.tool_version || ''}`.trim()],
+      ['BDLaw-Scraping-Method', metadata.scraping_method],
+      ['BDLaw-Language', metadata.language],
+      ['BDLaw-Robots-Txt-Status', metadata.robots_txt_status],
+      ['BDLaw-Total-Acts', stats.total_acts],
+      ['BDLaw-Total-Volumes', stats.total_volumes],
+      ['BDLaw-Total-Characters', stats.total_characters],
+      ['BDLaw-Extraction-Earliest', range.earliest],
+      ['BDLaw-Extraction-Latest', range.latest],
+      ['BDLaw-Disclaimer', metadata.disclaimer]
+    ];
+    return fields
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([label, value]) => [label, String(value)]);
+  },
+
+  /**
+   * @returns {string} bagit.txt contents
+   */
+  formatBagitTxt() {
+    return `BagIt-Version: ${this.VERSION}\nTag-File-Character-Encoding: UTF-8\n`;
+  },
+
+  /**
+   * Format bag-info.txt; embedded line breaks become indented continuation lines
+   * @param {Array<Array<string>>} fields - Ordered [label, value] pairs
+   * @returns {string} bag-info.txt contents
+   */
+  formatBagInfo(fields) {
+    return (fields || [])
+      .map(([label, value]) => `${label}: ${String(value).split(/\r\n|\r|\n/).join('\n  ')}\n`)
+      .join('');
+  },
+
+  /**
+   * Parse bag-info.txt or bagit.txt into [label, value] pairs
+   * @param {string} text - Tag file contents
+   * @returns {Array<Array<string>>} Ordered pairs; continuation lines are joined with a space
+   */
+  parseTagFile(text) {
+    const fields = [];
+    for (const line of String(text || '').split(/\r\n|\r|\n/)) {
+      if (line === '') continue;
+      if (/^[ \t]/.test(line) && fields.length > 0) {
+        fields[fields.length - 1][1] += ' ' + line.trim();
+        continue;
+      }
+      const colon = line.indexOf(':');
+      if (colon === -1) {
+        fields.push([line, null]);
+        continue;
+      }
+      fields.push([line.slice(0, colon).trim(), line.slice(colon + 1).trim()]);
+    }
+    return fields;
+  },
+
+  /**
+   * Format a manifest (payload or tag) as "<sha256> <path>" lines
+   * @param {Array<Object>} entries - Entries with path and sha256
+   * @returns {string} Manifest contents, sorted by path
+   */
+  formatManifest(entries) {
+    return [...(entries || [])]
+      .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))
+      .map(entry => `${entry.sha256}  ${this.encodePath(entry.path)}\n`)
+      .join('');
+  },
+
+  /**
+   * Parse a manifest file
+   * @param {string} text - Manifest contents
+   * @returns {Array<{sha256: string, path: string}>} Entries
+   * @throws {Error} on malformed lines
+   */
+  parseManifest(text) {
+    const entries = [];
+    String(text || '').split(/\r\n|\n/).forEach((line, index) => {
+      if (line === '') return;
+      const match = line.match(/^([0-9a-fA-F]+)[ \t]+(.+)$/);
+      if (!match) {
+        throw new Error(`Malformed manifest line ${index + 1}`);
+      }
+      entries.push({ sha256: match[1].toLowerCase(), path: this.decodePath(match[2]) });
+    });
+    return entries;
+  },
+
+  /**
+   * Percent-encode CR, LF and % in manifest paths (RFC 8493 section 2.1.3)
+   * @param {string} path - File path
+   * @returns {string} Encoded path
+   */
+  encodePath(path) {
+    return String(path).replace(/%/g, '%25').replace(/\n/g, '%0A').replace(/\r/g, '%0D');
+  },
+
+  /**
+   * Reverse encodePath
+   * @param {string} path - Encoded path
+   * @returns {string} File path
+   */
+  decodePath(path) {
+    return String(path).replace(/%0A/gi, '\n').replace(/%0D/gi, '\r').replace(/%25/g, '%');
+  },
+
+  /**
+   * Validate a bag folder
+   *
+   * Checks bagit.txt, that every payload manifest entry is a relative path
+   * inside data/ (no leading / and no .. segment) and exists with a matching
+   * SHA-256, that every file under data/ is listed, Payload-Oxum (when
+   * present) and the tag manifest (when present).
+   *
+   * @param {FileSystemDirectoryHandle} dirHandle - Bag root directory
+   * @param {Object} options - { onProgress(checked, total) }
+   * @returns {Promise<Object>} { valid, errors, warnings, payload_count, payload_bytes }
+   */
+  async validateBag(dirHandle, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const result = (extra = {}) => ({
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      payload_count: 0,
+      payload_bytes: 0,
+      ...extra
+    });
+
+    const bagitBytes = await this._readFile(dirHandle, this.BAGIT_FILE);
+    if (!bagitBytes) {
+      errors.push(`${this.BAGIT_FILE} is missing`);
+      return result();
+    }
+    const declaration = this.parseTagFile(new TextDecoder().decode(bagitBytes));
+    if (declaration[0]?.[0] !== 'BagIt-Version' || declaration[1]?.[0] !== 'Tag-File-Character-Encoding') {
+      errors.push(`${this.BAGIT_FILE} must declare BagIt-Version and Tag-File-Character-Encoding`);
+    } else if (declaration[0][1] !== this.VERSION) {
+      warnings.push(`BagIt-Version ${declaration[0][1]} (validated as ${this.VERSION})`);
+    }
+
+    const manifestBytes = await this._readFile(dirHandle, this.MANIFEST_FILE);
+    if (!manifestBytes) {
+      errors.push(`${this.MANIFEST_FILE} is missing`);
+      return result();
+    }
+
+    let manifest;
+    try {
+      manifest = this.parseManifest(new TextDecoder().decode(manifestBytes));
+    } catch (e) {
+      errors.push(`${this.MANIFEST_FILE}: ${e.message}`);
+      return result();
+    }
+
+    const payloadFiles = await this._listFiles(dirHandle, this.PAYLOAD_DIR);
+    const listed = new Set(manifest.map(entry => entry.path));
+    let payloadBytes = 0;
+    let checked = 0;
+
+    for (const entry of manifest) {
+      if (!this._isBagPath(entry.path)) {
+        errors.push(`${this.MANIFEST_FILE}: ${entry.path} is not a valid payload path`);
+        continue;
+      }
+      if (!entry.path.startsWith(`${this.PAYLOAD_DIR}/`)) {
+        errors.push(`${this.MANIFEST_FILE}: ${entry.path} is outside ${this.PAYLOAD_DIR}/`);
+        continue;
+      }
+      const bytes = await this._readFile(dirHandle, entry.path);
+      if (!bytes) {
+        errors.push(`${entry.path}: listed in ${this.MANIFEST_FILE} but missing`);
+      } else {
+        payloadBytes += bytes.length;
+        if (this._getSha256().update(bytes).digestHex() !== entry.sha256) {
+          errors.push(`${entry.path}: SHA-256 does not match`);
+        }
+      }
+      checked++;
+      if (typeof options.onProgress === 'function') {
+        options.onProgress(checked, manifest.length);
+      }
+    }
+
+    for (const path of payloadFiles) {
+      if (!listed.has(path)) {
+        errors.push(`${path}: not listed in ${this.MANIFEST_FILE}`);
+      }
+    }
+
+    const infoBytes = await this._readFile(dirHandle, this.BAG_INFO_FILE);
+    if (infoBytes) {
+      const oxum = this.parseTagFile(new TextDecoder().decode(infoBytes))
+        .find(([label]) => label === 'Payload-Oxum');
+      if (oxum && oxum[1] !== `${payloadBytes}.${payloadFiles.length}`) {
+        errors.push(`Payload-Oxum ${oxum[1]} does not match ${payloadBytes}.${payloadFiles.length}`);
+      }
+    }
+
+    const tagManifestBytes = await this._readFile(dirHandle, this.TAG_MANIFEST_FILE);
+    if (tagManifestBytes) {
+      let tagEntries = [];
+      try {
+        tagEntries = this.parseManifest(new TextDecoder().decode(tagManifestBytes));
+      } catch (e) {
+        errors.push(`${this.TAG_MANIFEST_FILE}: ${e.message}`);
+      }
+      for (const entry of tagEntries) {
+        if (!this._isBagPath(entry.path)) {
+          errors.push(`${this.TAG_MANIFEST_FILE}: ${entry.path} is not a valid tag file path`);
+          continue;
+        }
+        const bytes = await this._readFile(dirHandle, entry.path);
+        if (!bytes) {
+          errors.push(`${entry.path}: listed in ${this.TAG_MANIFEST_FILE} but missing`);
+        } else if (this._getSha256().update(bytes).digestHex() !== entry.sha256) {
+          errors.push(`${entry.path}: SHA-256 does not match`);
+        }
+      }
+    } else {
+      warnings.push(`${this.TAG_MANIFEST_FILE} is missing; tag files were not checked`);
+    }
+
+    return result({ payload_count: payloadFiles.length, payload_bytes: payloadBytes });
+  },
+
+  /**
+   * Whether a manifest path stays inside the bag: relative, with no ..
+   * segment (RFC 8493 section 2.1.3)
+   * @private
+   * @param {string} path - Decoded manifest path
+   * @returns {boolean} True when the path may be looked up
+   */
+  _isBagPath(path) {
+    return !path.startsWith('/') && !path.split('/').includes('..');
+  },
+
+  /**
+   * Read a file below a directory handle without creating anything
+   * @private
+   * @returns {Promise<Uint8Array|null>} File bytes, or null when absent
+   */
+  async _readFile(dirHandle, relativePath) {
+    const parts = String(relativePath).split('/').filter(Boolean);
+    try {
+      let current = dirHandle;
+      for (const part of parts.slice(0, -1)) {
+        current = await current.getDirectoryHandle(part);
+      }
+      const fileHandle = await current.getFileHandle(parts[parts.length - 1]);
+      const file = await fileHandle.getFile();
+      return new Uint8Array(await file.arrayBuffer());
+    } catch (error) {
+      if (error && (error.name === 'NotFoundError' || error.name === 'TypeMismatchError' || /not found/i.test(error.message || ''))) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * List files below a subdirectory, as bag-relative paths
+   * @private
+   * @returns {Promise<string[]>} Paths
+   */
+  async _listFiles(dirHandle, subdirectory) {
+    let root;
+    try {
+      root = await dirHandle.getDirectoryHandle(subdirectory);
+    } catch (error) {
+      if (error && (error.name === 'NotFoundError' || /not found/i.test(error.message || ''))) {
+        return [];
+      }
+      throw error;
+    }
+
+    const paths = [];
+    const walk = async (handle, prefix) => {
+      for await (const [name, child] of handle.entries()) {
+        if (child.kind === 'directory') {
+          await walk(child, `${prefix}/${name}`);
+        } else {
+          paths.push(`${prefix}/${name}`);
+        }
+      }
+    };
+    await walk(root, subdirectory);
+    return paths.sort();
+  },
+
+  /**
+   * @private
+   */
+  _normalizePath(path) {
+    const parts = String(path || '').replace(/\\/g, '/').split('/').filter(Boolean);
+    if (parts.length === 0 || parts.some(part => part === '.' || part === '..')) {
+      throw new Error(`Invalid payload path: ${path}`);
+    }
+    return parts.join('/');
+  },
+
+  /**
+   * @private
+   */
+  _getSha256() {
+    const exporter = typeof BDLawExport !== 'undefined' ? BDLawExport : require('./bdlaw-export.js');
+    return exporter.createSha256();
+  },
+
+  /**
+   * @private
+   */
+  _encodeUtf8(str) {
+    return new TextEncoder().encode(str);
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BDLawBagIt;
+}
+
+if (typeof window !== 'undefined') {
+  window.BDLawBagIt = BDLawBagIt;
+}
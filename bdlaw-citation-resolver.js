@@ -0,0 +1,382 @@
+/**
+ * BDLawCorpus Citation Resolver
+ *
+ * Links citations found by detectCrossReferences ("Act XIV of 1908",
+ * "১৯৯০ সনের ২০ নং আইন", "P.O. No. 12 of 1972") to the bdlaws internal_id
+ * of the act they name. Citation numbers are normalised into a canonical key
+ * and matched against the citations and years printed in act titles from the
+ * corpus manifest and captured volume catalogs.
+ *
+ * A resolution only says which act a citation string names. It does not
+ * assert any legal relationship between the citing and the cited act.
+ *
+ * @module bdlaw-citation-resolver
+ */
+
+const BDLawCitationResolver = {
+  RESOLUTION_METHOD: 'citation key and title/year matching against corpus manifest and volume catalogs',
+  RESOLUTION_DISCLAIMER: 'Identifies the act a citation string names. No legal relationship, effect, direction, or applicability is implied.',
+
+  INSTRUMENT_TYPES: ['act', 'ordinance', 'presidents_order', 'regulation'],
+
+  /**
+   * resolution_confidence values
+   * - high: exactly one act carries the citation's key
+   * - medium: several acts carry the key and one was picked by name,
+   *   corpus membership or script (the others are in resolution_ambiguity)
+   * - low: no key match; exactly one act has the cited name and year
+   * - unresolved: no match, or several that could not be told apart
+   */
+  CONFIDENCE_LEVELS: ['high', 'medium', 'low', 'unresolved'],
+
+  /**
+   * How far into content_raw the title may start for parseHeaderCitation
+   */
+  HEADER_CITATION_WINDOW: 300,
+
+  /**
+   * Citation forms as printed in titles and catalog rows
+   * ("The Registration Act, 1908 ( ACT NO. XVI OF 1908 )"). Looser than
+   * BDLawExtractor.CITATION_PATTERNS: case-insensitive and allowing "No.".
+   * Groups are named serial, year and, where the form varies, type.
+   */
+  TITLE_CITATION_PATTERNS: [
+    /\b(?<type>Act|Ordinance|Regulation)\s*(?:No\.?\s*)?(?<serial>[IVXLCDM]+|\d+)\s+of\s+(?<year>\d{4})/gi,
+    /(?:\bP\.?\s*O\.?|President'?s\s+Order)\s*(?:No\.?\s*)?(?<serial>\d+)\s+of\s+(?<year>\d{4})/gi,
+    /(?<year>[০-৯0-9]{4})\s*সনের\s*(?<serial>[০-৯0-9]+)\s*নং\s*(?<type>আইন|অধ্যাদেশ|রেগুলেশন|রাষ্ট্রপতির\s*আদেশ)/g,
+    /(?<type>অধ্যাদেশ|রাষ্ট্রপতির\s*আদেশ)\s*নং\s*(?<serial>[০-৯0-9]+),?\s*(?<year>[০-৯0-9]{4})/g
+  ],
+
+  /**
+   * Parse a Roman, Arabic or Bengali numeral
+   * @param {string|number} value - Numeral as written
+   * @returns {number|null} Integer value, or null if not a numeral
+   */
+  toArabicNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isInteger(value) && value >= 0 ? value : null;
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const text = value.trim().replace(/[০-৯]/g, ch => String(ch.charCodeAt(0) - 0x09E6));
+    if (/^\d+$/.test(text)) {
+      return parseInt(text, 10);
+    }
+    if (!text || !/^M{0,4}(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/i.test(text)) {
+      return null;
+    }
+    const values = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+    const digits = text.toUpperCase().split('').map(ch => values[ch]);
+    return digits.reduce((sum, digit, i) => sum + (digit < (digits[i + 1] || 0) ? -digit : digit), 0);
+  },
+
+  /**
+   * Canonical key for a citation: {instrument_type}/{year}/{serial}
+   * @param {string} instrumentType - One of INSTRUMENT_TYPES
+   * @param {number} year - Year as an integer
+   * @param {number} serial - Serial number as an integer
+   * @returns {string} Key, e.g. "act/1908/14"
+   */
+  formatCitationKey(instrumentType, year, serial) {
+    return `${instrumentType}/${year}/${serial}`;
+  },
+
+  /**
+   * Find every citation written in a title or other short text
+   * @param {string} text - Title, catalog row or citation string
+   * @returns {Array<{instrument_type: string, year: number, serial: number, key: string}>} Citations in text order
+   */
+  parseCitations(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const found = [];
+    for (const pattern of this.TITLE_CITATION_PATTERNS) {
+      const regex = new RegExp(pattern.source, pattern.flags);
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const year = this.toArabicNumber(match.groups.year);
+        const serial = this.toArabicNumber(match.groups.serial);
+        if (year === null || serial === null) continue;
+        const instrumentType = this._instrumentType(match.groups.type || 'P.O.');
+        found.push({
+          offset: match.index,
+          instrument_type: instrumentType,
+          year,
+          serial,
+          key: this.formatCitationKey(instrumentType, year, serial)
+        });
+      }
+    }
+
+    return found
+      .sort((a, b) => a.offset - b.offset)
+      .map(({ offset, ...citation }) => citation);
+  },
+
+  /**
+   * Citation printed in brackets under an act's title in content_raw
+   *
+   * Captured titles omit the citation; the page prints it just below the
+   * title ("The Finance Act, 1980 ( ACT NO. XXIII OF 1980 )",
+   * "… আইন, ২০০৯ ( ২০০৯ সনের ১৬ নং আইন )"). Only a bracket that directly
+   * follows the title (whitespace aside) is read, and the title must start
+   * within HEADER_CITATION_WINDOW characters, so citations in the preamble
+   * or body are not taken for the act's own.
+   *
+   * @param {string} contentRaw - content_raw of the act
+   * @param {string} [title] - Act title, to start the search after it
+   * @returns {{instrument_type: string, year: number, serial: number, key: string}|null} Citation or null
+   */
+  parseHeaderCitation(contentRaw, title = '') {
+    if (!contentRaw || typeof contentRaw !== 'string' || !title || typeof title !== 'string') {
+      return null;
+    }
+    const trimmedTitle = title.trim();
+    const titleAt = trimmedTitle ? contentRaw.indexOf(trimmedTitle) : -1;
+    if (titleAt < 0 || titleAt > this.HEADER_CITATION_WINDOW) {
+      return null;
+    }
+    const bracket = contentRaw.slice(titleAt + trimmedTitle.length).match(/^\s*\(([^()]*)\)/);
+    return bracket ? this.parseCitations(bracket[1])[0] || null : null;
+  },
+
+  /**
+   * Normalise a detected cross-reference into a canonical citation
+   *
+   * Uses the components from _extractCitationComponents (citation_serial,
+   * citation_year, act_type, pattern_type) and falls back to parsing
+   * citation_text when they are missing or not numerals.
+   *
+   * @param {Object} reference - Cross-reference from detectCrossReferences
+   * @returns {{instrument_type: string, year: number, serial: number, key: string}|null} Citation or null
+   */
+  normalizeCitation(reference) {
+    if (!reference || typeof reference !== 'object') {
+      return null;
+    }
+
+    const year = this.toArabicNumber(reference.citation_year);
+    const serial = this.toArabicNumber(reference.citation_serial);
+    if (year === null || serial === null) {
+      return this.parseCitations(reference.citation_text)[0] || null;
+    }
+
+    const instrumentType = reference.pattern_type === 'PRESIDENTS_ORDER'
+      ? 'presidents_order'
+      : reference.pattern_type === 'BENGALI_ORDINANCE'
+        ? 'ordinance'
+        : this._instrumentType(reference.act_type ||
+          (reference.act_name ? reference.act_name.trim().split(/\s+/).pop() : reference.citation_text) || '');
+    return { instrument_type: instrumentType, year, serial, key: this.formatCitationKey(instrumentType, year, serial) };
+  },
+
+  /**
+   * Reduce an act title or cited name to a comparable form
+   *
+   * Drops parenthesised parts, years and punctuation, a leading "the", and
+   * lowercases, so "The Registration Act, 1908 ( ACT NO. XVI OF 1908 )" and
+   * "the Registration Act" compare equal.
+   *
+   * @param {string} title - Title or act_name
+   * @returns {string} Normalised name ('' when nothing is left)
+   */
+  normalizeTitleName(title) {
+    if (!title || typeof title !== 'string') {
+      return '';
+    }
+    return title
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/[০-৯0-9]{4}/g, ' ')
+      .replace(/[,.;:।৷'"`\[\]-]/g, ' ')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^the /, '');
+  },
+
+  /**
+   * Index acts by the citations and name/year printed in their titles
+   *
+   * Manifest acts are marked in_corpus and also indexed by the citation_key
+   * recorded at capture (parseHeaderCitation), since their titles rarely
+   * carry the citation. Catalog rows are read from
+   * captured volume catalogs ({ acts: [{ title, year, url, actNumber }] });
+   * their internal_id comes from the act URL, then id, then actNumber.
+   *
+   * @param {Object} manifest - Corpus manifest
+   * @param {Array<Object>} [catalogs] - Captured volume catalogs
+   * @returns {{entries: Object, by_key: Object, by_name: Object}} Citation index
+   */
+  buildCitationIndex(manifest, catalogs = []) {
+    const index = { entries: {}, by_key: {}, by_name: {} };
+    const push = (map, key, id) => {
+      if (!map[key]) map[key] = [];
+      if (!map[key].includes(id)) map[key].push(id);
+    };
+    const add = (internalId, title, year, inCorpus, citationKey = null) => {
+      const id = internalId === undefined || internalId === null ? '' : String(internalId);
+      if (!id || !title) return;
+      const entry = index.entries[id] || { internal_id: id, title, in_corpus: false };
+      entry.in_corpus = entry.in_corpus || inCorpus;
+      if (inCorpus) entry.title = title;
+      index.entries[id] = entry;
+
+      for (const key of [...this.parseCitations(title).map(citation => citation.key), ...(citationKey ? [citationKey] : [])]) {
+        push(index.by_key, key, id);
+      }
+      const titleYear = this.toArabicNumber(year) ?? this._titleYear(title);
+      const name = this.normalizeTitleName(title);
+      if (name && titleYear !== null) {
+        push(index.by_name, `${name}|${titleYear}`, id);
+      }
+    };
+
+    for (const act of Object.values(manifest?.acts || {})) {
+      add(act.internal_id, act.title, null, true, act.citation_key || null);
+    }
+    for (const catalog of catalogs || []) {
+      for (const act of catalog?.acts || []) {
+        const fromUrl = typeof act.url === 'string' ? act.url.match(/act-(?:details-)?(\d+)\.html/) : null;
+        add(fromUrl ? fromUrl[1] : (act.id || act.internal_id || act.actNumber || act.act_number), act.title, act.year, false);
+      }
+    }
+
+    for (const ids of [...Object.values(index.by_key), ...Object.values(index.by_name)]) {
+      ids.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+    return index;
+  },
+
+  /**
+   * Resolve one cross-reference against a citation index
+   *
+   * Several candidates for a key (typically the Bengali and English
+   * versions of one act) are narrowed by cited name, then corpus membership,
+   * then the script of the citation; the rest go to resolution_ambiguity.
+   *
+   * @param {Object} reference - Cross-reference from detectCrossReferences
+   * @param {Object} index - Result of buildCitationIndex
+   * @returns {{citation_key: string|null, resolved_internal_id: string|null, resolved_in_corpus: boolean, resolution_confidence: string, resolution_method: string|null, resolution_ambiguity: string[]}} Resolution fields
+   */
+  resolveReference(reference, index) {
+    const citation = this.normalizeCitation(reference);
+    const result = {
+      citation_key: citation ? citation.key : null,
+      resolved_internal_id: null,
+      resolved_in_corpus: false,
+      resolution_confidence: 'unresolved',
+      resolution_method: null,
+      resolution_ambiguity: []
+    };
+    if (!citation || !index) {
+      return result;
+    }
+
+    const name = this.normalizeTitleName(reference.act_name);
+    const byName = name ? (index.by_name[`${name}|${citation.year}`] || []) : [];
+    let candidates = index.by_key[citation.key] || [];
+    let method = 'citation_key';
+    if (candidates.length === 0) {
+      candidates = byName;
+      method = 'title_and_year';
+    }
+    if (candidates.length === 0) {
+      return result;
+    }
+
+    let chosen = candidates;
+    const narrow = (keep) => {
+      const narrowed = chosen.filter(keep);
+      if (narrowed.length > 0) chosen = narrowed;
+    };
+    if (method === 'citation_key' && byName.length > 0) narrow(id => byName.includes(id));
+    narrow(id => index.entries[id]?.in_corpus);
+    const script = reference.script || (/[ঀ-৿]/.test(reference.citation_text || '') ? 'bengali' : 'english');
+    narrow(id => (/[ঀ-৿]/.test(index.entries[id]?.title || '') ? 'bengali' : 'english') === script);
+
+    if (chosen.length !== 1) {
+      result.resolution_method = method;
+      result.resolution_ambiguity = [...candidates];
+      return result;
+    }
+
+    result.resolved_internal_id = chosen[0];
+    result.resolved_in_corpus = Boolean(index.entries[chosen[0]]?.in_corpus);
+    result.resolution_method = method;
+    result.resolution_confidence = method === 'title_and_year'
+      ? 'low'
+      : candidates.length === 1 ? 'high' : 'medium';
+    result.resolution_ambiguity = candidates.filter(id => id !== chosen[0]);
+    return result;
+  },
+
+  /**
+   * Add resolution fields to every reference
+   * @param {Array<Object>} references - Cross-references from detectCrossReferences
+   * @param {Object} index - Result of buildCitationIndex
+   * @returns {Array<Object>} New reference objects with resolution fields
+   */
+  resolveReferences(references, index) {
+    return (references || []).map(reference => ({ ...reference, ...this.resolveReference(reference, index) }));
+  },
+
+  /**
+   * Add resolution fields to the amending citation of every amendment note
+   * @param {Array<Object>} notes - Notes from BDLawExtractor.parseAmendmentNotes
+   * @param {Object} index - Result of buildCitationIndex
+   * @returns {Array<Object>} New note objects; notes without a citation are unchanged
+   */
+  resolveAmendmentNotes(notes, index) {
+    return (notes || []).map(note => note.amending_citation
+      ? { ...note, amending_citation: { ...note.amending_citation, ...this.resolveReference(note.amending_citation, index) } }
+      : { ...note });
+  },
+
+  /**
+   * Resolution summary for the lexical_references export block
+   * @param {Array<Object>} references - Resolved references
+   * @returns {Object} { method, disclaimer, resolved_count, ambiguous_count, unresolved_count }
+   */
+  getResolutionMetadata(references) {
+    const list = references || [];
+    return {
+      method: this.RESOLUTION_METHOD,
+      disclaimer: this.RESOLUTION_DISCLAIMER,
+      resolved_count: list.filter(ref => ref.resolved_internal_id).length,
+      ambiguous_count: list.filter(ref => !ref.resolved_internal_id && ref.resolution_ambiguity?.length > 0).length,
+      unresolved_count: list.filter(ref => !ref.resolved_internal_id).length
+    };
+  },
+
+  /**
+   * Instrument type named by a citation word
+   * @private
+   * @param {string} text - Type word or citation text
+   * @returns {string} One of INSTRUMENT_TYPES
+   */
+  _instrumentType(text) {
+    if (/P\.?\s*O\b|President|রাষ্ট্রপতির/i.test(text)) return 'presidents_order';
+    if (/Ordinance|অধ্যাদেশ/i.test(text)) return 'ordinance';
+    if (/Regulation|রেগুলেশন/i.test(text)) return 'regulation';
+    return 'act';
+  },
+
+  /**
+   * Last four-digit number in a title, in either script
+   * @private
+   * @param {string} title - Act title
+   * @returns {number|null} Year or null
+   */
+  _titleYear(title) {
+    const years = String(title).match(/[০-৯0-9]{4}/g);
+    return years ? this.toArabicNumber(years[years.length - 1]) : null;
+  }
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BDLawCitationResolver;
+}
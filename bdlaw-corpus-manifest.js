@@ -64,6 +64,11 @@ const BDLawCorpusManifest = {
         extraction_date_range: {
           earliest: null,
           latest: null
+        },
+        act_year_distribution: {},
+        act_date_range: {
+          earliest: null,
+          latest: null
         }
       },
       cross_reference_coverage: {
@@ -138,6 +143,9 @@ const BDLawCorpusManifest = {
    * @param {string} newAct.content - The act content (for hash and char count)
    * @param {string} [newAct.content_language] - The content language ('bengali' or 'english')
    * @param {number} [newAct.cross_reference_count] - Number of cross-references
+   * @param {Array<Object>} [newAct.dates] - Dates from BDLawExtractor.extractDates
+   * @param {string} [newAct.citation_key] - Key of the citation printed under the title
+   *   (BDLawCitationResolver.parseHeaderCitation)
    * @returns {Object} The updated manifest
    */
   updateCorpusManifest(manifest, newAct) {
@@ -153,6 +161,8 @@ const BDLawCorpusManifest = {
       return manifest;
     }
 
+    const actDate = this.deriveActDate(newAct.dates, newAct.title);
+
     // Update or add act entry
     // Requirements: 8.2 - Record internal_id, title, volume_number, capture_timestamp, file_path, content_hash
     // Requirements: 11.6 - Record content_language in manifest
@@ -166,6 +176,10 @@ const BDLawCorpusManifest = {
       content_language: newAct.content_language || 'english', // Requirements: 11.6 - Store content language
       content_length: newAct.content ? newAct.content.length : 0,
       cross_reference_count: newAct.cross_reference_count || 0,
+      section_count: Number.isInteger(newAct.section_count) ? newAct.section_count : null,
+      citation_key: typeof newAct.citation_key === 'string' ? newAct.citation_key : null,
+      ...actDate,
+      ...this.classifyInstrument(newAct.title, actDate),
       extraction_version: this.EXTENSION_VERSION
     };
 
@@ -205,12 +219,336 @@ const BDLawCorpusManifest = {
       manifest.corpus_stats.extraction_date_range.latest = captureDate;
     }
 
+    // Act year distribution and date range from the acts' own dates
+    const actYears = {};
+    let earliestAct = null;
+    let latestAct = null;
+    for (const act of Object.values(manifest.acts)) {
+      const actDate = act.act_year_source === undefined ? this.deriveActDate(null, act.title) : act;
+      if (actDate.act_year !== null) {
+        actYears[actDate.act_year] = (actYears[actDate.act_year] || 0) + 1;
+      }
+      if (actDate.act_date) {
+        if (!earliestAct || actDate.act_date < earliestAct) earliestAct = actDate.act_date;
+        if (!latestAct || actDate.act_date > latestAct) latestAct = actDate.act_date;
+      }
+    }
+    manifest.corpus_stats.act_year_distribution = actYears;
+    manifest.corpus_stats.act_date_range = { earliest: earliestAct, latest: latestAct };
+
     // Update manifest timestamp
     manifest.updated_at = now;
 
     return manifest;
   },
 
+  /**
+   * Roles whose date stands for the act, in order of preference
+   */
+  ACT_DATE_ROLES: ['header', 'assent', 'enactment', 'commencement'],
+
+  /**
+   * Derive an act's date and year from its extracted dates
+   *
+   * Takes the first Gregorian-mapped date of the most preferred role in
+   * ACT_DATE_ROLES; dates with role 'other' are never used. Without one the
+   * year falls back to a year written in the title, with no act_date.
+   *
+   * @param {Array<Object>|null} dates - Dates from BDLawExtractor.extractDates
+   * @param {string} [title] - Act title
+   * @returns {Object} {act_date, act_year, act_year_source}
+   */
+  deriveActDate(dates, title = '') {
+    const usable = (Array.isArray(dates) ? dates : []).filter(d => d && d.iso_date);
+    for (const role of this.ACT_DATE_ROLES) {
+      const date = usable.find(d => d.role === role);
+      if (date) {
+        return {
+          act_date: date.iso_date,
+          act_year: parseInt(date.iso_date.slice(0, 4), 10),
+          act_year_source: role
+        };
+      }
+    }
+
+    const yearMatch = (title || '').match(/(?<![০-৯0-9])((?:১[৭-৯]|২০)[০-৯]{2}|(?:1[7-9]|20)\d{2})(?![০-৯0-9])/);
+    return {
+      act_date: null,
+      act_year: yearMatch
+        ? parseInt(yearMatch[1].replace(/[০-৯]/g, d => String(d.charCodeAt(0) - 0x09E6)), 10)
+        : null,
+      act_year_source: yearMatch ? 'title' : null
+    };
+  },
+
+  /**
+   * Instrument words in titles and their citations, by instrument type
+   *
+   * Only "President's Order", "P.O." and রাষ্ট্রপতির আদেশ name a President's
+   * Order; any other "Order"/আদেশ (Ordinances rendered as Orders, orders
+   * under Rules, court orders) is the generic type order.
+   */
+  INSTRUMENT_TYPE_PATTERNS: [
+    { type: 'presidents_order', pattern: /P\.\s*O\.|President'?s\s+Order|রাষ্ট্রপতির\s*আদেশ/gi },
+    { type: 'order', pattern: /(?<!President'?s\s+)\bOrders?\b|(?<!রাষ্ট্রপতির\s*)আদেশ/gi },
+    { type: 'ordinance', pattern: /\bOrdinance\b|অধ্যাদেশ/gi },
+    { type: 'regulation', pattern: /\bRegulations?\b|রেগুলেশন/gi },
+    { type: 'act', pattern: /\bAct\b|আইন/gi }
+  ],
+
+  /**
+   * Regime periods by the date they end (exclusive): partition on
+   * 14 August 1947 and independence on 26 March 1971
+   */
+  REGIME_PERIODS: [
+    { period: 'british_india', until: '1947-08-14' },
+    { period: 'pakistan', until: '1971-03-26' },
+    { period: 'bangladesh', until: null }
+  ],
+
+  /**
+   * Date from which acts are enacted in Bengali: the commencement of the
+   * Bangla Bhasha Prachalan Ain, 1987 (Act No. II of 1987)
+   */
+  BENGALI_ENACTMENT_FROM: '1987-03-08',
+
+  /**
+   * Classify an act as a legal instrument
+   *
+   * instrument_type comes from the last instrument word in the title's
+   * parenthesised citation ("( ACT NO. V OF 1908 )", "(President's Order
+   * No. 127 of 1972)"), or else in the title itself. regime_period and
+   * language_of_enactment come from act_date, or from act_year when the whole
+   * year falls on one side of each boundary; otherwise they are null.
+   *
+   * @param {string} title - Act title
+   * @param {Object} actDate - {act_date, act_year} from deriveActDate
+   * @returns {Object} {instrument_type, instrument_type_marker, regime_period, language_of_enactment}
+   */
+  classifyInstrument(title, actDate = {}) {
+    const lastMatch = (text) => {
+      let found = null;
+      for (const { type, pattern } of this.INSTRUMENT_TYPE_PATTERNS) {
+        for (const match of text.matchAll(new RegExp(pattern.source, pattern.flags))) {
+          if (!found || match.index > found.index) {
+            found = { type, marker: match[0], index: match.index };
+          }
+        }
+      }
+      return found;
+    };
+
+    const text = typeof title === 'string' ? title : '';
+    const citation = (text.match(/\([^()]*\)/g) || []).reverse().map(lastMatch).find(Boolean);
+    const instrument = citation || lastMatch(text.replace(/\([^()]*\)/g, ' '));
+
+    // A date, or a whole year: the first and last day must agree
+    const { act_date: date = null, act_year: year = null } = actDate || {};
+    const span = date ? [date, date] : (Number.isInteger(year) ? [`${year}-01-01`, `${year}-12-31`] : null);
+    const sideOf = (boundary) => {
+      if (!span) return null;
+      const sides = span.map(day => day >= boundary);
+      return sides[0] === sides[1] ? sides[0] : null;
+    };
+
+    let regimePeriod = null;
+    if (span) {
+      const periods = span.map(day => this.REGIME_PERIODS.find(p => p.until === null || day < p.until).period);
+      regimePeriod = periods[0] === periods[1] ? periods[0] : null;
+    }
+    const bengali = sideOf(this.BENGALI_ENACTMENT_FROM);
+
+    return {
+      instrument_type: instrument ? instrument.type : null,
+      instrument_type_marker: instrument ? instrument.marker : null,
+      regime_period: regimePeriod,
+      language_of_enactment: bengali === null ? null : (bengali ? 'bengali' : 'english')
+    };
+  },
+
+  /**
+   * Count acts by instrument type, regime period and language of enactment
+   *
+   * Entries recorded before classification existed are classified from
+   * their title.
+   *
+   * @param {Object} manifest - The corpus manifest
+   * @returns {Object} {instrument_type, regime_period, language_of_enactment}, each a map of value to count ('unknown' for null)
+   */
+  summarizeInstruments(manifest) {
+    const summary = { instrument_type: {}, regime_period: {}, language_of_enactment: {} };
+    for (const act of Object.values((manifest && manifest.acts) || {})) {
+      const classified = act.instrument_type === undefined
+        ? this.classifyInstrument(act.title, this.deriveActDate(null, act.title))
+        : act;
+      for (const field of Object.keys(summary)) {
+        const value = classified[field] || 'unknown';
+        summary[field][value] = (summary[field][value] || 0) + 1;
+      }
+    }
+    return summary;
+  },
+
+  // ============================================
+  // CORPUS QUALITY REPORT
+  // ============================================
+
+  QUALITY_REPORT_FORMAT: 'bdlaw-corpus-quality-report',
+  QUALITY_REPORT_FORMAT_VERSION: '1.0',
+
+  /**
+   * Dimensions the quality report breaks the corpus down by, with the
+   * report entry field each one groups on
+   */
+  QUALITY_REPORT_DIMENSIONS: {
+    by_volume: 'volume_number',
+    by_decade: 'decade',
+    by_language: 'content_language'
+  },
+
+  /**
+   * Reduce an act export object to its quality report entry
+   *
+   * decade comes from deriveActDate ("1980s", or "unknown");
+   * content_language is the language recorded at capture, or detected from
+   * content_raw for acts captured without one. Transformation counts add up
+   * each transformation_log entry's count (1 when it has none).
+   *
+   * @param {Object} exportAct - Act export object
+   * @param {Object} options - { contentLanguage: language recorded at capture }
+   * @returns {Object} Report entry
+   */
+  buildQualityReportEntry(exportAct, options = {}) {
+    const dataQuality = exportAct?.data_quality || {};
+    const issueCounts = dataQuality.issue_counts || {};
+    const extractionRisk = exportAct?.extraction_risk || {};
+    const { act_year: actYear } = this.deriveActDate(exportAct?.dates, exportAct?.title_raw || '');
+
+    let contentLanguage = options.contentLanguage || null;
+    if (!contentLanguage && typeof exportAct?.content_raw === 'string') {
+      const extractor = typeof BDLawExtractor !== 'undefined' ? BDLawExtractor : require('./bdlaw-extractor.js');
+      contentLanguage = extractor.detectContentLanguage(exportAct.content_raw);
+    }
+
+    const transformations = { total: 0, applied: 0, flagged: 0, by_type: {} };
+    for (const entry of exportAct?.transformation_log || []) {
+      const count = Number.isInteger(entry.count) ? entry.count : 1;
+      const type = entry.transformation_type || 'unknown';
+      transformations.total += count;
+      transformations[entry.applied === false ? 'flagged' : 'applied'] += count;
+      transformations.by_type[type] = (transformations.by_type[type] || 0) + count;
+    }
+
+    const flags = dataQuality.flags || [];
+    return {
+      internal_id: String(exportAct?.identifiers?.internal_id ?? ''),
+      title: exportAct?.title_raw || '',
+      volume_number: String(exportAct?.volume_number || 'unknown'),
+      decade: Number.isInteger(actYear) ? `${Math.floor(actYear / 10) * 10}s` : 'unknown',
+      content_language: contentLanguage || 'unknown',
+      completeness: dataQuality.completeness || 'unknown',
+      flags,
+      ml_risk_factors: dataQuality.ml_risk_factors || [],
+      possible_truncation: extractionRisk.possible_truncation === true,
+      extraction_risk_reason: extractionRisk.reason || 'none',
+      missing_schedule: flags.includes('missing_schedule'),
+      encoding_issue_count: (issueCounts.encoding_error || 0) + (issueCounts.encoding_legacy_font || 0),
+      transformations
+    };
+  },
+
+  /**
+   * Aggregate report entries into the corpus quality report
+   *
+   * summary and every group of by_volume, by_decade and by_language hold
+   * the same counts; affected_acts lists the internal_ids behind each flag,
+   * ML risk factor, truncation risk, missing schedule and encoding issue so
+   * a count can be followed to its acts.
+   *
+   * @param {Object[]} entries - Entries from buildQualityReportEntry
+   * @param {Object} options - { generatedAt: ISO string }
+   * @returns {Object} Quality report
+   */
+  buildQualityReport(entries, options = {}) {
+    const acts = [...(entries || [])].sort((a, b) =>
+      a.internal_id.localeCompare(b.internal_id, 'en', { numeric: true }));
+
+    const breakdowns = {};
+    for (const [dimension, field] of Object.entries(this.QUALITY_REPORT_DIMENSIONS)) {
+      const groups = {};
+      for (const entry of acts) {
+        (groups[entry[field]] = groups[entry[field]] || []).push(entry);
+      }
+      breakdowns[dimension] = {};
+      for (const key of Object.keys(groups).sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))) {
+        breakdowns[dimension][key] = this._summarizeQualityEntries(groups[key]);
+      }
+    }
+
+    const affected = {
+      flags: {},
+      ml_risk_factors: {},
+      possible_truncation: [],
+      missing_schedule: [],
+      encoding_issues: []
+    };
+    for (const entry of acts) {
+      for (const field of ['flags', 'ml_risk_factors']) {
+        for (const value of entry[field]) {
+          (affected[field][value] = affected[field][value] || []).push(entry.internal_id);
+        }
+      }
+      if (entry.possible_truncation) affected.possible_truncation.push(entry.internal_id);
+      if (entry.missing_schedule) affected.missing_schedule.push(entry.internal_id);
+      if (entry.encoding_issue_count > 0) affected.encoding_issues.push(entry.internal_id);
+    }
+
+    return {
+      format: this.QUALITY_REPORT_FORMAT,
+      format_version: this.QUALITY_REPORT_FORMAT_VERSION,
+      generated_at: options.generatedAt || new Date().toISOString(),
+      summary: this._summarizeQualityEntries(acts),
+      ...breakdowns,
+      affected_acts: affected,
+      acts
+    };
+  },
+
+  /**
+   * Counts shared by the report summary and each breakdown group
+   */
+  _summarizeQualityEntries(entries) {
+    const tally = (counts, value) => {
+      counts[value] = (counts[value] || 0) + 1;
+    };
+    const summary = {
+      total_acts: entries.length,
+      completeness: {},
+      flags: {},
+      ml_risk_factors: {},
+      possible_truncation: 0,
+      missing_schedule: 0,
+      encoding_issues: { acts: 0, issues: 0 },
+      transformations: { total: 0, applied: 0, flagged: 0, by_type: {} }
+    };
+    for (const entry of entries) {
+      tally(summary.completeness, entry.completeness);
+      entry.flags.forEach(flag => tally(summary.flags, flag));
+      entry.ml_risk_factors.forEach(factor => tally(summary.ml_risk_factors, factor));
+      if (entry.possible_truncation) summary.possible_truncation++;
+      if (entry.missing_schedule) summary.missing_schedule++;
+      if (entry.encoding_issue_count > 0) summary.encoding_issues.acts++;
+      summary.encoding_issues.issues += entry.encoding_issue_count;
+      for (const key of ['total', 'applied', 'flagged']) {
+        summary.transformations[key] += entry.transformations[key];
+      }
+      for (const [type, count] of Object.entries(entry.transformations.by_type)) {
+        summary.transformations.by_type[type] = (summary.transformations.by_type[type] || 0) + count;
+      }
+    }
+    return summary;
+  },
+
   /**
    * Update cross-reference coverage tracking
    * Requirements: 8.4 - Track cross-reference coverage
@@ -233,13 +571,14 @@ const BDLawCorpusManifest = {
     const corpusActIds = new Set(Object.keys(manifest.acts));
 
     // If crossRefData is provided, extract referenced IDs
-    // crossRefData format: { internal_id: [{ citation_year, citation_serial, ... }] }
+    // crossRefData format: { internal_id: [{ resolved_internal_id, citation_year, citation_serial, ... }] }
     for (const [actId, references] of Object.entries(crossRefData)) {
       if (Array.isArray(references)) {
         for (const ref of references) {
-          // Try to construct a potential internal_id from citation
-          // Note: This is a heuristic - actual resolution requires Phase 2 work
-          if (ref.citation_year && ref.citation_serial) {
+          // Prefer the internal_id found by BDLawCitationResolver
+          if (ref.resolved_internal_id) {
+            referencedActIds.add(String(ref.resolved_internal_id));
+          } else if (ref.citation_year && ref.citation_serial) {
             // Store as a reference identifier (not resolved to internal_id)
             const refId = `${ref.citation_year}_${ref.citation_serial}`;
             referencedActIds.add(refId);
@@ -683,7 +1022,13 @@ authors:
 
     const stats = manifest.corpus_stats || {};
     const dateRange = stats.extraction_date_range || {};
+    const actDateRange = stats.act_date_range || {};
     const coverage = manifest.cross_reference_coverage || {};
+    const instruments = this.summarizeInstruments(manifest);
+    const countRows = (counts) => Object.entries(counts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([value, count]) => `| ${value} | ${count} |`)
+      .join('\n') || '| unknown | 0 |';
 
     return `# BDLawCorpus Dataset
 
@@ -699,9 +1044,26 @@ This corpus contains ${stats.total_acts || 0} Bangladeshi legal acts extracted f
 | Total Volumes | ${stats.total_volumes || 0} |
 | Total Characters | ${(stats.total_characters || 0).toLocaleString()} |
 | Extraction Period | ${dateRange.earliest || 'N/A'} to ${dateRange.latest || 'N/A'} |
+| Act Date Range | ${actDateRange.earliest || 'N/A'} to ${actDateRange.latest || 'N/A'} |
 | Cross-Reference Coverage | ${coverage.coverage_percentage || 0}% |
 | Schema Version | ${manifest.version || this.SCHEMA_VERSION} |
 
+## Instrument Types
+
+Acts are classified from their titles and dates; filter on \`instrument_type\`, \`regime_period\` and \`language_of_enactment\` in each act file or the manifest.
+
+| Instrument Type | Acts |
+|-----------------|------|
+${countRows(instruments.instrument_type)}
+
+| Regime Period | Acts |
+|---------------|------|
+${countRows(instruments.regime_period)}
+
+| Language of Enactment | Acts |
+|-----------------------|------|
+${countRows(instruments.language_of_enactment)}
+
 ## Methodology
 
 ### Extraction Tool
@@ -810,6 +1172,9 @@ This document defines all fields in the BDLawCorpus export schema (v${this.SCHEM
 | \`volume_number\` | string | Yes | Volume containing this act |
 | \`marker_frequency\` | object | Yes | Raw string occurrence counts |
 | \`cross_references\` | object | Yes | Detected cross-references to other acts |
+| \`instrument_type\` | string | No | \`act\`, \`ordinance\`, \`presidents_order\`, \`regulation\` or the generic \`order\`, from the title |
+| \`regime_period\` | string | No | \`british_india\`, \`pakistan\` or \`bangladesh\`, from the act date or year |
+| \`language_of_enactment\` | string | No | \`english\` before 8 March 1987, \`bengali\` from then |
 | \`_metadata\` | object | No | Provenance and extraction metadata |
 
 ### Identifiers Object
@@ -909,6 +1274,9 @@ This document defines all fields in the BDLawCorpus export schema (v${this.SCHEM
 | \`total_characters\` | integer | Sum of all act content lengths |
 | \`extraction_date_range.earliest\` | string | Earliest extraction timestamp |
 | \`extraction_date_range.latest\` | string | Latest extraction timestamp |
+| \`act_year_distribution\` | object | Map of act year to count of acts |
+| \`act_date_range.earliest\` | string | Earliest act date (YYYY-MM-DD) |
+| \`act_date_range.latest\` | string | Latest act date (YYYY-MM-DD) |
 
 ### Cross-Reference Coverage Object
 
@@ -147,7 +147,7 @@ const BDLawExport = {
    * Trigger file download using Chrome downloads API
    * Requirements: 12.3 - UTF-8 encoding for Bengali characters
    * 
-   * @param {string} content - The content to download (JSON string)
+   * @param {string|Blob} content - The content to download (JSON string, or a prebuilt Blob)
    * @param {string} filename - The filename for the download
    * @returns {Promise<void>} Resolves when download is initiated
    */
@@ -155,7 +155,9 @@ const BDLawExport = {
     return new Promise((resolve, reject) => {
       try {
         // Create a Blob with UTF-8 encoding for proper Bengali character support
-        const blob = new Blob([content], { type: 'application/json;charset=utf-8' });
+        const blob = (typeof Blob !== 'undefined' && content instanceof Blob)
+          ? content
+          : new Blob([content], { type: 'application/json;charset=utf-8' });
         const url = URL.createObjectURL(blob);
 
         // Check if chrome.downloads API is available (Chrome extension context)
@@ -194,6 +196,2706 @@ const BDLawExport = {
     });
   },
 
+  // ============================================
+  // CORPUS JSONL EXPORT
+  // One act per line, trailing manifest line with counts and file SHA-256
+  // ============================================
+
+  /**
+   * Format identifier written into the JSONL manifest line
+   */
+  JSONL_FORMAT: 'bdlaw-corpus-jsonl',
+  JSONL_FORMAT_VERSION: '1.0',
+
+  /**
+   * Build a JSON Lines corpus export by streaming acts one at a time
+   *
+   * Each act is formatted, serialised to a single line and hashed as it is
+   * produced, so only the encoded byte chunks are retained (as Blob parts),
+   * never the full set of act objects. The final line is a manifest object
+   * under the `_jsonl_manifest` key whose `sha256` covers every byte that
+   * precedes it.
+   *
+   * @param {Object} options - Export options
+   * @param {Function} options.iterateActs - async (onAct) => void; calls onAct(act) for each stored act
+   * @param {Function} options.formatAct - async (act) => Object; builds the per-act export object
+   * @param {Array} options.failedActs - Failed-act export objects appended after successful acts
+   * @param {Function} options.onProgress - Optional (processed, act) callback
+   * @param {string} options.exportId - Optional export id recorded in the manifest line
+   * @returns {Promise<Object>} { parts: Uint8Array[], manifest: Object, byteLength: number }
+   */
+  async buildCorpusJsonl({ iterateActs, formatAct, failedActs = [], onProgress = null, exportId = null }) {
+    if (typeof iterateActs !== 'function' || typeof formatAct !== 'function') {
+      throw new Error('buildCorpusJsonl requires iterateActs and formatAct functions');
+    }
+
+    const hasher = this.createSha256();
+    const parts = [];
+    const skipped = [];
+    let byteLength = 0;
+    let successfulCount = 0;
+    let failedCount = 0;
+    let processed = 0;
+
+    const writeLine = (record) => {
+      const bytes = this._encodeUtf8(JSON.stringify(record) + '\n');
+      hasher.update(bytes);
+      parts.push(bytes);
+      byteLength += bytes.length;
+    };
+
+    await iterateActs(async (act) => {
+      processed++;
+      try {
+        writeLine(await formatAct(act));
+        successfulCount++;
+      } catch (e) {
+        skipped.push({
+          internal_id: String(act?.actNumber || act?.act_number || ''),
+          error: e.message
+        });
+      }
+      if (onProgress) {
+        onProgress(processed, act);
+      }
+    });
+
+    for (const failedAct of (Array.isArray(failedActs) ? failedActs : [])) {
+      writeLine(failedAct);
+      failedCount++;
+    }
+
+    const manifest = {
+      format: this.JSONL_FORMAT,
+      format_version: this.JSONL_FORMAT_VERSION,
+      export_id: exportId,
+      generated_at: new Date().toISOString(),
+      source: 'bdlaws.minlaw.gov.bd',
+      total_records: successfulCount + failedCount,
+      successful_acts: successfulCount,
+      failed_acts: failedCount,
+      skipped_acts: skipped,
+      byte_length: byteLength,
+      sha256: hasher.digestHex(),
+      sha256_scope: 'UTF-8 bytes of all lines preceding this manifest line, including newlines'
+    };
+
+    const manifestBytes = this._encodeUtf8(JSON.stringify({ _jsonl_manifest: manifest }) + '\n');
+    parts.push(manifestBytes);
+
+    return { parts, manifest, byteLength: byteLength + manifestBytes.length };
+  },
+
+  /**
+   * Verify a JSONL corpus export against its trailing manifest line
+   *
+   * @param {string} text - Complete JSONL file content
+   * @returns {Object} { valid: boolean, errors: string[], manifest: Object|null }
+   */
+  verifyCorpusJsonl(text) {
+    const errors = [];
+    if (typeof text !== 'string' || text.length === 0) {
+      return { valid: false, errors: ['JSONL content is empty'], manifest: null };
+    }
+
+    const body = text.endsWith('\n') ? text.slice(0, -1) : text;
+    const manifestStart = body.lastIndexOf('\n') + 1;
+    let manifest = null;
+    try {
+      manifest = JSON.parse(body.slice(manifestStart))._jsonl_manifest || null;
+    } catch (e) {
+      manifest = null;
+    }
+    if (!manifest) {
+      return { valid: false, errors: ['Missing trailing _jsonl_manifest line'], manifest: null };
+    }
+
+    const recordsText = text.slice(0, manifestStart);
+    const lines = recordsText.split('\n').filter(line => line.length > 0);
+    lines.forEach((line, index) => {
+      try {
+        JSON.parse(line);
+      } catch (e) {
+        errors.push(`Line ${index + 1}: invalid JSON`);
+      }
+    });
+
+    if (lines.length !== manifest.total_records) {
+      errors.push(`Record count ${lines.length} does not match manifest total_records ${manifest.total_records}`);
+    }
+
+    const recordBytes = this._encodeUtf8(recordsText);
+    if (recordBytes.length !== manifest.byte_length) {
+      errors.push(`Byte length ${recordBytes.length} does not match manifest byte_length ${manifest.byte_length}`);
+    }
+
+    const digest = this.createSha256().update(recordBytes).digestHex();
+    if (digest !== manifest.sha256) {
+      errors.push('SHA-256 does not match manifest sha256');
+    }
+
+    return { valid: errors.length === 0, errors, manifest };
+  },
+
+  /**
+   * Generate filename for corpus JSONL export
+   *
+   * @param {string|Date} timestamp - ISO timestamp or Date object
+   * @returns {string} Filename of the form bdlaw_corpus_{timestamp}.jsonl
+   */
+  generateCorpusJsonlFilename(timestamp) {
+    return `bdlaw_corpus_${this._formatTimestampForFilename(timestamp)}.jsonl`;
+  },
+
+  // ============================================
+  // CORPUS ZIP BUNDLE
+  // Same layout as a filesystem sync folder (acts/, failed/, manifests/, logs/)
+  // ============================================
+
+  BUNDLE_FORMAT: 'bdlaw-corpus-zip',
+  BUNDLE_FORMAT_VERSION: '1.0',
+  BUNDLE_MANIFEST_PATH: 'manifests/bundle-manifest.json',
+
+  /**
+   * Build the bundle manifest written as the last archive entry
+   *
+   * The manifest lists every other entry with its size, CRC-32 and SHA-256 of
+   * the uncompressed bytes. It cannot describe itself, so it is excluded.
+   *
+   * @param {Array<Object>} entries - Entry records returned by BDLawZip addFile()
+   * @param {Object} options - { exportId, compression, successfulActs, failedActs }
+   * @returns {Object} Bundle manifest
+   */
+  formatBundleManifest(entries, options = {}) {
+    const list = Array.isArray(entries) ? entries : [];
+    return {
+      format: this.BUNDLE_FORMAT,
+      format_version: this.BUNDLE_FORMAT_VERSION,
+      export_id: options.exportId || null,
+      generated_at: new Date().toISOString(),
+      source: 'bdlaws.minlaw.gov.bd',
+      compression: options.compression || 'store',
+      successful_acts: options.successfulActs || 0,
+      failed_acts: options.failedActs || 0,
+      entry_count: list.length,
+      total_uncompressed_bytes: list.reduce((sum, entry) => sum + (entry.size || 0), 0),
+      checksum_scope: 'uncompressed entry bytes; this manifest is not listed',
+      entries: list.map(entry => ({
+        path: entry.path,
+        method: entry.method,
+        size: entry.size,
+        compressed_size: entry.compressed_size,
+        crc32: entry.crc32,
+        sha256: entry.sha256
+      }))
+    };
+  },
+
+  /**
+   * Generate filename for corpus ZIP bundle export
+   *
+   * @param {string|Date} timestamp - ISO timestamp or Date object
+   * @returns {string} Filename of the form bdlaw_corpus_{timestamp}.zip
+   */
+  generateCorpusZipFilename(timestamp) {
+    return `bdlaw_corpus_${this._formatTimestampForFilename(timestamp)}.zip`;
+  },
+
+  /**
+   * Generate the name of a corpus BagIt bag (also its top-level directory)
+   *
+   * @param {string|Date} timestamp - ISO timestamp or Date object
+   * @returns {string} Name of the form bdlaw_corpus_bag_{timestamp}
+   */
+  generateCorpusBagName(timestamp) {
+    return `bdlaw_corpus_bag_${this._formatTimestampForFilename(timestamp)}`;
+  },
+
+  // ============================================
+  // DELTA EXPORT
+  // Changes since a recorded export snapshot, keyed by content_raw_sha256
+  // ============================================
+
+  DELTA_FORMAT: 'bdlaw-corpus-delta',
+  DELTA_FORMAT_VERSION: '1.0',
+  DELTA_MANIFEST_PATH: 'manifests/delta-manifest.json',
+
+  /**
+   * Compare two internal_id → content_raw_sha256 maps
+   *
+   * An act whose current hash is missing counts as changed, since it cannot
+   * be shown to match the base.
+   *
+   * @param {Object<string, string|null>} baseActs - Hashes recorded with the base export
+   * @param {Object<string, string|null>} currentActs - Hashes of the acts being exported
+   * @returns {Object} { added, changed, unchanged, removed } arrays of internal_id, sorted
+   */
+  computeExportDelta(baseActs, currentActs) {
+    const base = baseActs || {};
+    const current = currentActs || {};
+    const has = (map, id) => Object.prototype.hasOwnProperty.call(map, id);
+    const delta = { added: [], changed: [], unchanged: [], removed: [] };
+
+    for (const id of Object.keys(current)) {
+      if (!has(base, id)) {
+        delta.added.push(id);
+      } else if (!current[id] || current[id] !== base[id]) {
+        delta.changed.push(id);
+      } else {
+        delta.unchanged.push(id);
+      }
+    }
+    for (const id of Object.keys(base)) {
+      if (!has(current, id)) {
+        delta.removed.push(id);
+      }
+    }
+
+    for (const key of Object.keys(delta)) {
+      delta[key].sort();
+    }
+    return delta;
+  },
+
+  /**
+   * Path of the tombstone written for a removed act
+   *
+   * @param {string} internalId - bdlaws internal_id
+   * @returns {string} tombstones/{internal_id}.json
+   */
+  getTombstonePath(internalId) {
+    return `tombstones/${internalId}.json`;
+  },
+
+  /**
+   * Format the tombstone for a removed act
+   *
+   * @param {string} internalId - bdlaws internal_id
+   * @param {string|null} previousSha256 - content_raw_sha256 in the base export
+   * @param {string} baseExportId - Base export id
+   * @returns {Object} Tombstone record
+   */
+  formatTombstone(internalId, previousSha256, baseExportId) {
+    return {
+      identifiers: { internal_id: internalId },
+      removed: true,
+      previous_content_raw_sha256: previousSha256 || null,
+      base_export_id: baseExportId,
+      removed_path: this._getActPath(internalId)
+    };
+  },
+
+  /**
+   * Build the delta manifest
+   *
+   * @param {Object} options
+   * @param {string} options.exportId - Id of this delta export
+   * @param {Object} options.base - Base snapshot (export_id, name, created_at, acts)
+   * @param {Object<string, string|null>} options.currentActs - Current hashes
+   * @param {Object} options.delta - Result of computeExportDelta
+   * @returns {Object} Delta manifest
+   */
+  formatDeltaManifest({ exportId, base, currentActs, delta }) {
+    const baseActs = base?.acts || {};
+    const changes = [
+      ...delta.added.map(id => ({
+        internal_id: id,
+        change: 'added',
+        content_raw_sha256: currentActs[id] || null,
+        previous_content_raw_sha256: null,
+        path: this._getActPath(id)
+      })),
+      ...delta.changed.map(id => ({
+        internal_id: id,
+        change: 'changed',
+        content_raw_sha256: currentActs[id] || null,
+        previous_content_raw_sha256: baseActs[id] || null,
+        path: this._getActPath(id)
+      })),
+      ...delta.removed.map(id => ({
+        internal_id: id,
+        change: 'removed',
+        content_raw_sha256: null,
+        previous_content_raw_sha256: baseActs[id] || null,
+        path: this.getTombstonePath(id)
+      }))
+    ].sort((a, b) => (a.internal_id < b.internal_id ? -1 : a.internal_id > b.internal_id ? 1 : 0));
+
+    return {
+      format: this.DELTA_FORMAT,
+      format_version: this.DELTA_FORMAT_VERSION,
+      export_id: exportId,
+      base_export_id: base?.export_id || null,
+      base_export_name: base?.name || null,
+      base_created_at: base?.created_at || null,
+      generated_at: new Date().toISOString(),
+      counts: {
+        added: delta.added.length,
+        changed: delta.changed.length,
+        removed: delta.removed.length,
+        unchanged: delta.unchanged.length,
+        resulting_acts: Object.keys(currentActs || {}).length
+      },
+      changes,
+      apply_instructions: 'Start from the base export. Write every acts/ file in this delta, ' +
+        'delete acts/{internal_id}.json for each tombstone, then replace manifests and documentation.'
+    };
+  },
+
+  /**
+   * Apply a delta to a base internal_id → content_raw_sha256 map
+   *
+   * @param {Object<string, string|null>} baseActs - Hashes of the base snapshot
+   * @param {Object} deltaManifest - Manifest from formatDeltaManifest
+   * @returns {Object<string, string|null>} Resulting hashes
+   * @throws {Error} if the manifest is not a delta manifest
+   */
+  applyExportDelta(baseActs, deltaManifest) {
+    if (!deltaManifest || deltaManifest.format !== this.DELTA_FORMAT) {
+      throw new Error('Not a BDLawCorpus delta manifest');
+    }
+    const result = { ...(baseActs || {}) };
+    for (const change of deltaManifest.changes || []) {
+      if (change.change === 'removed') {
+        delete result[change.internal_id];
+      } else {
+        result[change.internal_id] = change.content_raw_sha256;
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Generate filename for a delta export
+   *
+   * @param {string|Date} timestamp - ISO timestamp or Date object
+   * @returns {string} Filename of the form bdlaw_corpus_delta_{timestamp}.zip
+   */
+  generateCorpusDeltaFilename(timestamp) {
+    return `bdlaw_corpus_delta_${this._formatTimestampForFilename(timestamp)}.zip`;
+  },
+
+  // ============================================
+  // ML DATASET SPLITS
+  // Hugging Face datasets folder; an act's split depends only on its
+  // internal_id and the seed, so re-exports reproduce the same splits.
+  // ============================================
+
+  DATASET_SPLITS: ['train', 'validation', 'test'],
+  DATASET_SPLIT_ALGORITHM: 'bucket = first 32 bits of SHA-256(UTF-8 "{seed}:{internal_id}") / 2^32; ' +
+    'splits take consecutive ranges of [0, 1) in the order train, validation, test',
+  DATASET_RISK_POLICIES: ['tag', 'exclude'],
+  DATASET_NAME: 'bdlaw_corpus',
+
+  /**
+   * Split settings used when none are given
+   *
+   * risk_factors are the data_quality.ml_risk_factors that make
+   * safe_for_ml_training false in BDLawQuality.
+   */
+  DEFAULT_DATASET_SPLIT_CONFIG: {
+    ratios: { train: 0.8, validation: 0.1, test: 0.1 },
+    seed: 'bdlawcorpus',
+    risk_policy: 'tag',
+    risk_factors: ['numeric_corruption_risk', 'encoding_ambiguity', 'missing_schedule_content', 'heavy_ocr_correction']
+  },
+
+  /**
+   * Hugging Face feature types of a dataset record
+   */
+  DATASET_FEATURES: {
+    internal_id: { dtype: 'string', _type: 'Value' },
+    title: { dtype: 'string', _type: 'Value' },
+    text: { dtype: 'string', _type: 'Value' },
+    content_raw_sha256: { dtype: 'string', _type: 'Value' },
+    url: { dtype: 'string', _type: 'Value' },
+    volume_number: { dtype: 'string', _type: 'Value' },
+    legal_status: { dtype: 'string', _type: 'Value' },
+    bn_ratio: { dtype: 'float64', _type: 'Value' },
+    en_ratio: { dtype: 'float64', _type: 'Value' },
+    risk_flagged: { dtype: 'bool', _type: 'Value' },
+    ml_risk_factors: { feature: { dtype: 'string', _type: 'Value' }, _type: 'Sequence' }
+  },
+
+  /**
+   * Validate split settings and fill in defaults
+   *
+   * Ratios are scaled to sum to 1; a split with ratio 0 is left out.
+   *
+   * @param {Object} config - { ratios, seed, risk_policy, risk_factors }
+   * @returns {Object} Normalized config
+   * @throws {Error} if ratios are negative or all zero, or risk_policy is unknown
+   */
+  normalizeDatasetSplitConfig(config = {}) {
+    const defaults = this.DEFAULT_DATASET_SPLIT_CONFIG;
+    const ratios = { ...defaults.ratios, ...(config.ratios || {}) };
+    let total = 0;
+
+    for (const split of this.DATASET_SPLITS) {
+      const ratio = Number(ratios[split]);
+      if (!Number.isFinite(ratio) || ratio < 0) {
+        throw new Error(`Split ratio for ${split} must be a non-negative number`);
+      }
+      ratios[split] = ratio;
+      total += ratio;
+    }
+    if (total <= 0) {
+      throw new Error('At least one split ratio must be greater than zero');
+    }
+
+    const riskPolicy = config.risk_policy || defaults.risk_policy;
+    if (!this.DATASET_RISK_POLICIES.includes(riskPolicy)) {
+      throw new Error(`Unknown risk policy: ${riskPolicy}`);
+    }
+
+    return {
+      ratios: Object.fromEntries(this.DATASET_SPLITS.map(split => [split, ratios[split] / total])),
+      seed: String(config.seed ?? defaults.seed),
+      risk_policy: riskPolicy,
+      risk_factors: Array.isArray(config.risk_factors) ? [...config.risk_factors] : [...defaults.risk_factors]
+    };
+  },
+
+  /**
+   * Position of an act in [0, 1), derived from its internal_id and the seed
+   *
+   * @param {string} internalId - bdlaws internal_id
+   * @param {string} seed - Split seed
+   * @returns {number} Bucket in [0, 1)
+   */
+  computeSplitBucket(internalId, seed) {
+    const digest = this.createSha256().update(`${seed}:${internalId}`).digestHex();
+    return parseInt(digest.slice(0, 8), 16) / 0x100000000;
+  },
+
+  /**
+   * Split an act belongs to
+   *
+   * Depends only on internal_id, seed and ratios, so adding or removing other
+   * acts never moves an act between splits.
+   *
+   * @param {string} internalId - bdlaws internal_id
+   * @param {Object} config - Normalized split config
+   * @returns {string} 'train', 'validation' or 'test'
+   */
+  assignDatasetSplit(internalId, config) {
+    const bucket = this.computeSplitBucket(internalId, config.seed);
+    const active = this.DATASET_SPLITS.filter(split => config.ratios[split] > 0);
+    let upper = 0;
+    for (const split of active) {
+      upper += config.ratios[split];
+      if (bucket < upper) {
+        return split;
+      }
+    }
+    // Rounding can leave the top of the range uncovered
+    return active[active.length - 1];
+  },
+
+  /**
+   * Risk factors of an act that count under the split config
+   *
+   * @param {Object} exportAct - Act export object
+   * @param {Object} config - Normalized split config
+   * @returns {string[]} Matching ml_risk_factors, plus 'not_safe_for_ml_training'
+   *   when data_quality.safe_for_ml_training is false
+   */
+  getDatasetRiskFactors(exportAct, config) {
+    const dataQuality = exportAct?.data_quality || {};
+    const factors = (dataQuality.ml_risk_factors || []).filter(factor => config.risk_factors.includes(factor));
+    if (dataQuality.safe_for_ml_training === false) {
+      factors.push('not_safe_for_ml_training');
+    }
+    return factors;
+  },
+
+  /**
+   * Format one dataset record from an act export object
+   *
+   * text is content_corrected (equal to content_normalized unless text
+   * cleaning was applied); content_raw_sha256 links back to the corpus.
+   *
+   * @param {Object} exportAct - Act export object
+   * @param {string[]} riskFactors - Result of getDatasetRiskFactors
+   * @returns {Object} Record matching DATASET_FEATURES
+   */
+  formatDatasetRecord(exportAct, riskFactors = []) {
+    return {
+      internal_id: String(exportAct.identifiers?.internal_id ?? ''),
+      title: exportAct.title_raw || '',
+      text: exportAct.content_corrected ?? exportAct.content_raw ?? '',
+      content_raw_sha256: exportAct.content_raw_sha256 || null,
+      url: exportAct.url || null,
+      volume_number: exportAct.volume_number != null ? String(exportAct.volume_number) : null,
+      legal_status: exportAct.legal_status || null,
+      bn_ratio: exportAct.language_distribution?.bn_ratio ?? null,
+      en_ratio: exportAct.language_distribution?.en_ratio ?? null,
+      risk_flagged: riskFactors.length > 0,
+      ml_risk_factors: exportAct.data_quality?.ml_risk_factors || []
+    };
+  },
+
+  /**
+   * Create a streaming builder for the ML dataset folder
+   *
+   * Acts are added one at a time and kept only as encoded JSONL lines per
+   * split. finish() returns the files of a Hugging Face datasets folder:
+   * data/{split}.jsonl, dataset_info.json and README.md (dataset card).
+   *
+   * @param {Object} config - Split settings (see normalizeDatasetSplitConfig)
+   * @returns {{addAct: Function, finish: Function, config: Object}} Builder
+   */
+  createDatasetBuilder(config = {}) {
+    const normalized = this.normalizeDatasetSplitConfig(config);
+    const active = this.DATASET_SPLITS.filter(split => normalized.ratios[split] > 0);
+    const splits = Object.fromEntries(active.map(split => [split, { parts: [], ids: [], num_bytes: 0, risk_flagged: 0 }]));
+    const excluded = [];
+
+    return {
+      config: normalized,
+
+      /**
+       * @param {Object} exportAct - Act export object
+       * @returns {Object} { internal_id, split, excluded, risk_factors }
+       */
+      addAct: (exportAct) => {
+        const internalId = String(exportAct?.identifiers?.internal_id ?? '');
+        if (!internalId) {
+          throw new Error('Act has no internal_id');
+        }
+        const split = this.assignDatasetSplit(internalId, normalized);
+        const riskFactors = this.getDatasetRiskFactors(exportAct, normalized);
+
+        if (riskFactors.length > 0 && normalized.risk_policy === 'exclude') {
+          excluded.push({ internal_id: internalId, split, risk_factors: riskFactors });
+          return { internal_id: internalId, split, excluded: true, risk_factors: riskFactors };
+        }
+
+        const bytes = this._encodeUtf8(JSON.stringify(this.formatDatasetRecord(exportAct, riskFactors)) + '\n');
+        const target = splits[split];
+        target.parts.push(bytes);
+        target.ids.push(internalId);
+        target.num_bytes += bytes.length;
+        if (riskFactors.length > 0) {
+          target.risk_flagged++;
+        }
+        return { internal_id: internalId, split, excluded: false, risk_factors: riskFactors };
+      },
+
+      /**
+       * @param {Object} options - { generatedAt, manifest } (manifest: corpus manifest for the card)
+       * @returns {Object} { files: [{ path, parts }], info: Object }
+       */
+      finish: (options = {}) => {
+        const info = this.formatDatasetInfo({
+          config: normalized,
+          splits,
+          excluded,
+          generatedAt: options.generatedAt
+        });
+        const files = active.map(split => ({ path: `data/${split}.jsonl`, parts: splits[split].parts }));
+        files.push({ path: 'dataset_info.json', parts: [this._encodeUtf8(JSON.stringify(info, null, 2) + '\n')] });
+        files.push({ path: 'README.md', parts: [this._encodeUtf8(this.formatDatasetCard(info, options.manifest))] });
+        return { files, info };
+      }
+    };
+  },
+
+  /**
+   * Build dataset_info.json
+   *
+   * Standard Hugging Face DatasetInfo fields plus `bdlaw_split`, which records
+   * everything needed to reproduce the splits: algorithm, seed, ratios, risk
+   * handling, excluded acts and a fingerprint (SHA-256 of the sorted
+   * internal_ids, newline-joined) per split.
+   *
+   * @private
+   * @param {Object} params - { config, splits, excluded, generatedAt }
+   * @returns {Object} Dataset info
+   */
+  formatDatasetInfo({ config, splits, excluded, generatedAt }) {
+    const splitInfo = {};
+    const fingerprints = {};
+    const riskFlagged = {};
+    let datasetSize = 0;
+
+    for (const [split, data] of Object.entries(splits)) {
+      splitInfo[split] = {
+        name: split,
+        num_bytes: data.num_bytes,
+        num_examples: data.ids.length,
+        dataset_name: this.DATASET_NAME
+      };
+      fingerprints[split] = this.createSha256().update([...data.ids].sort().join('\n')).digestHex();
+      riskFlagged[split] = data.risk_flagged;
+      datasetSize += data.num_bytes;
+    }
+
+    return {
+      description: 'Bangladeshi legal texts captured from bdlaws.minlaw.gov.bd by BDLawCorpus, ' +
+        'one act per record, split deterministically by internal_id.',
+      citation: '',
+      homepage: 'http://bdlaws.minlaw.gov.bd/',
+      license: 'cc-by-4.0',
+      features: this.DATASET_FEATURES,
+      builder_name: 'json',
+      dataset_name: this.DATASET_NAME,
+      config_name: 'default',
+      splits: splitInfo,
+      dataset_size: datasetSize,
+      bdlaw_split: {
+        generated_at: generatedAt ? new Date(generatedAt).toISOString() : new Date().toISOString(),
+        algorithm: this.DATASET_SPLIT_ALGORITHM,
+        seed: config.seed,
+        ratios: config.ratios,
+        text_field: 'content_corrected',
+        risk_policy: config.risk_policy,
+        risk_factors: config.risk_factors,
+        risk_flagged: riskFlagged,
+        excluded: [...excluded].sort((a, b) => (a.internal_id < b.internal_id ? -1 : a.internal_id > b.internal_id ? 1 : 0)),
+        split_fingerprints: fingerprints,
+        fingerprint_method: 'SHA-256 of the split\'s internal_ids, sorted and joined with "\\n"'
+      }
+    };
+  },
+
+  /**
+   * Build the dataset card (README.md with Hugging Face YAML front matter)
+   *
+   * @private
+   * @param {Object} info - Result of formatDatasetInfo
+   * @param {Object} manifest - Optional corpus manifest
+   * @returns {string} Markdown
+   */
+  formatDatasetCard(info, manifest = null) {
+    const split = info.bdlaw_split;
+    const quote = (value) => JSON.stringify(String(value));
+    const lines = [
+      '---',
+      'language:',
+      '- bn',
+      '- en',
+      'license: cc-by-4.0',
+      'pretty_name: BDLawCorpus',
+      'task_categories:',
+      '- text-retrieval',
+      '- question-answering',
+      'configs:',
+      '- config_name: default',
+      '  data_files:'
+    ];
+    for (const name of Object.keys(info.splits)) {
+      lines.push(`  - split: ${name}`, `    path: data/${name}.jsonl`);
+    }
+    lines.push('dataset_info:', '  features:');
+    for (const [name, feature] of Object.entries(info.features)) {
+      lines.push(`  - name: ${name}`);
+      lines.push(feature._type === 'Sequence' ? `    sequence: ${feature.feature.dtype}` : `    dtype: ${feature.dtype}`);
+    }
+    lines.push('  splits:');
+    for (const data of Object.values(info.splits)) {
+      lines.push(`  - name: ${data.name}`, `    num_bytes: ${data.num_bytes}`, `    num_examples: ${data.num_examples}`);
+    }
+    lines.push(`  dataset_size: ${info.dataset_size}`, '---', '');
+
+    lines.push(
+      '# BDLawCorpus ML Splits',
+      '',
+      info.description,
+      '',
+      '## Splits',
+      '',
+      '| Split | Examples | Risk-flagged | Fingerprint (SHA-256) |',
+      '|-------|----------|--------------|-----------------------|'
+    );
+    for (const data of Object.values(info.splits)) {
+      lines.push(`| ${data.name} | ${data.num_examples} | ${split.risk_flagged[data.name]} | \`${split.split_fingerprints[data.name]}\` |`);
+    }
+    lines.push(
+      '',
+      `Algorithm: ${split.algorithm}.`,
+      '',
+      `- Seed: ${quote(split.seed)}`,
+      `- Ratios: ${Object.entries(split.ratios).map(([name, ratio]) => `${name} ${ratio}`).join(', ')}`,
+      `- Generated: ${split.generated_at}`,
+      '',
+      'An act\'s split depends only on its `internal_id` and the seed, so acts present in two exports ' +
+        'with the same seed and ratios are always in the same split. Compare the fingerprints above to ' +
+        'confirm two exports hold identical splits.',
+      '',
+      '## Risky Acts',
+      '',
+      `Risk factors considered: ${split.risk_factors.length > 0 ? split.risk_factors.map(f => `\`${f}\``).join(', ') : 'none'}` +
+        ' (and `safe_for_ml_training: false`).',
+      '',
+      split.risk_policy === 'exclude'
+        ? `Policy \`exclude\`: ${split.excluded.length} act(s) were left out; they are listed under \`bdlaw_split.excluded\` in \`dataset_info.json\` with the split they would have joined.`
+        : 'Policy `tag`: risky acts are kept and marked with `risk_flagged: true`.',
+      '',
+      '## Fields',
+      '',
+      '- `text`: `content_corrected` of the corpus export',
+      '- `content_raw_sha256`: links the record to `content_raw` in the full corpus export',
+      '- `ml_risk_factors`: all `data_quality.ml_risk_factors` of the act',
+      '',
+      '## Limitations',
+      '',
+      `${this._getExtractor().ML_USAGE_WARNING} \`internal_id\` is the bdlaws database identifier, ` +
+        'not the legal citation number.'
+    );
+    if (manifest?.corpus_stats) {
+      lines.push(
+        '',
+        `Corpus at export: ${manifest.corpus_stats.total_acts ?? 0} act(s) in ${manifest.corpus_stats.total_volumes ?? 0} volume(s).`
+      );
+    }
+    lines.push('');
+    return lines.join('\n');
+  },
+
+  /**
+   * Generate filename for the ML dataset export
+   *
+   * @param {string|Date} timestamp - ISO timestamp or Date object
+   * @returns {string} Filename of the form bdlaw_corpus_dataset_{timestamp}.zip
+   */
+  generateDatasetFilename(timestamp) {
+    return `bdlaw_corpus_dataset_${this._formatTimestampForFilename(timestamp)}.zip`;
+  },
+
+  // ============================================
+  // TABULAR EXPORT (CSV / TSV)
+  // One row per section for spreadsheets and R; RFC 4180 quoting
+  // ============================================
+
+  TABLE_DELIMITERS: { csv: ',', tsv: '\t' },
+
+  /**
+   * Columns of the per-section table
+   */
+  SECTION_TABLE_COLUMNS: [
+    'internal_id', 'title', 'year', 'language', 'row_type', 'section_index', 'section_number', 'heading',
+    'body_text', 'content_start', 'content_end', 'heading_offset', 'number_offset',
+    'subsection_count', 'clause_count', 'amendment_marker_count', 'deleted_marker_count',
+    'amended_marker_count', 'substituted_marker_count', 'omission_marker_count'
+  ],
+
+  /**
+   * Columns of the acts table, built from the corpus manifest
+   */
+  ACT_TABLE_COLUMNS: [
+    'internal_id', 'title', 'year', 'volume_number', 'instrument_type', 'regime_period',
+    'language_of_enactment', 'content_language', 'content_length',
+    'content_hash', 'cross_reference_count', 'capture_timestamp', 'extraction_version'
+  ],
+
+  /**
+   * Amendment marker → per-marker count column
+   */
+  AMENDMENT_MARKER_COLUMNS: {
+    'বিলুপ্ত': 'deleted_marker_count',
+    'সংশোধিত': 'amended_marker_count',
+    'প্রতিস্থাপিত': 'substituted_marker_count',
+    '[***]': 'omission_marker_count'
+  },
+
+  /**
+   * Quote one field per RFC 4180
+   *
+   * Fields containing the delimiter, a double quote, CR or LF are wrapped in
+   * double quotes with inner quotes doubled; the text itself is not altered.
+   *
+   * @param {*} value - Field value (null/undefined become empty)
+   * @param {string} delimiter - ',' or '\t'
+   * @returns {string} Quoted field
+   */
+  formatDelimitedField(value, delimiter = ',') {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  },
+
+  /**
+   * Format rows as delimited text with CRLF line endings
+   *
+   * @param {string[]} columns - Column names, in output order
+   * @param {Object[]} rows - Row objects keyed by column name
+   * @param {Object} options - { delimiter: ',' | '\t', header: boolean, bom: boolean }
+   * @returns {string} Delimited text
+   */
+  formatDelimitedTable(columns, rows, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const line = (values) => values.map(value => this.formatDelimitedField(value, delimiter)).join(delimiter) + '\r\n';
+    let text = options.bom ? '\uFEFF' : '';
+    if (options.header !== false) {
+      text += line(columns);
+    }
+    for (const row of rows || []) {
+      text += line(columns.map(column => row[column]));
+    }
+    return text;
+  },
+
+  /**
+   * Parse RFC 4180 delimited text back into rows of strings
+   *
+   * Accepts CRLF or LF line endings and a leading UTF-8 BOM.
+   *
+   * @param {string} text - Delimited text
+   * @param {string} delimiter - ',' or '\t'
+   * @returns {string[][]} Rows of fields
+   * @throws {Error} on an unterminated quoted field
+   */
+  parseDelimited(text, delimiter = ',') {
+    const input = (text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let fieldStarted = false;
+    let i = 0;
+
+    const endField = () => {
+      row.push(field);
+      field = '';
+      fieldStarted = false;
+    };
+
+    while (i < input.length) {
+      const ch = input[i];
+      if (ch === '"' && !fieldStarted) {
+        const quoteStart = i;
+        fieldStarted = true;
+        i++;
+        for (;;) {
+          if (i >= input.length) {
+            throw new Error(`Unterminated quoted field at ${quoteStart}`);
+          }
+          if (input[i] === '"') {
+            if (input[i + 1] !== '"') break;
+            field += '"';
+            i += 2;
+          } else {
+            field += input[i++];
+          }
+        }
+        i++;
+        if (i < input.length && input[i] !== delimiter && input[i] !== '\r' && input[i] !== '\n') {
+          throw new Error(`Unexpected character after quoted field at ${i}`);
+        }
+      } else if (ch === delimiter) {
+        endField();
+        i++;
+      } else if (ch === '\r' || ch === '\n') {
+        endField();
+        rows.push(row);
+        row = [];
+        i += ch === '\r' && input[i + 1] === '\n' ? 2 : 1;
+      } else {
+        field += ch;
+        fieldStarted = true;
+        i++;
+      }
+    }
+    if (fieldStarted || row.length > 0) {
+      endField();
+      rows.push(row);
+    }
+    return rows;
+  },
+
+  /**
+   * Year written in an act title, in Western digits
+   *
+   * Takes the last four-digit number (Bengali or Western digits), which is
+   * the year in titles such as "দণ্ডবিধি, ১৮৬০" or "The Penal Code, 1860".
+   *
+   * @param {string} title - Act title
+   * @returns {string} Year, or '' when the title has none
+   */
+  extractTitleYear(title) {
+    const matches = (title || '').match(/(?<![0-9০-৯])[0-9০-৯]{4}(?![0-9০-৯])/g);
+    if (!matches) {
+      return '';
+    }
+    return matches[matches.length - 1].replace(/[০-৯]/g, d => String(d.charCodeAt(0) - 0x09E6));
+  },
+
+  /**
+   * Flatten an act export object into one row per section
+   *
+   * body_text is content_raw from content_start to content_end, so offsets
+   * can be checked against the JSON export. Acts without a structure tree, or
+   * whose sections have no usable offsets, get a single 'act' row covering
+   * the whole of content_raw.
+   *
+   * @param {Object} exportAct - Act export object
+   * @param {Object} options - { contentLanguage } from the stored act
+   * @returns {Object[]} Rows keyed by SECTION_TABLE_COLUMNS
+   */
+  buildSectionRows(exportAct, options = {}) {
+    const contentRaw = exportAct.content_raw || '';
+    const distribution = exportAct.language_distribution || {};
+    const common = {
+      internal_id: String(exportAct.identifiers?.internal_id ?? ''),
+      title: exportAct.title_raw || '',
+      year: this.extractTitleYear(exportAct.title_raw),
+      language: options.contentLanguage ||
+        ((distribution.bn_ratio || 0) >= (distribution.en_ratio || 0) ? 'bengali' : 'english')
+    };
+    const markerCounts = (text) => {
+      const counts = { amendment_marker_count: 0 };
+      for (const [marker, column] of Object.entries(this.AMENDMENT_MARKER_COLUMNS)) {
+        const count = text.split(marker).length - 1;
+        counts[column] = count;
+        counts.amendment_marker_count += count;
+      }
+      return counts;
+    };
+
+    const rows = [];
+    (exportAct.structure?.sections || []).forEach((section, index) => {
+      const start = section.content_start;
+      const end = section.content_end;
+      if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > contentRaw.length) {
+        return;
+      }
+      const body = contentRaw.substring(start, end);
+      rows.push({
+        ...common,
+        row_type: 'section',
+        section_index: index,
+        section_number: section.section_number || '',
+        heading: section.heading || '',
+        body_text: body,
+        content_start: start,
+        content_end: end,
+        heading_offset: section.heading_offset ?? -1,
+        number_offset: section.number_offset ?? -1,
+        subsection_count: (section.subsections || []).length,
+        clause_count: (section.clauses || []).length +
+          (section.subsections || []).reduce((sum, sub) => sum + (sub.clauses || []).length, 0),
+        ...markerCounts(body)
+      });
+    });
+
+    if (rows.length === 0) {
+      rows.push({
+        ...common,
+        row_type: 'act',
+        section_index: '',
+        section_number: '',
+        heading: '',
+        body_text: contentRaw,
+        content_start: 0,
+        content_end: contentRaw.length,
+        heading_offset: '',
+        number_offset: '',
+        subsection_count: 0,
+        clause_count: 0,
+        ...markerCounts(contentRaw)
+      });
+    }
+    return rows;
+  },
+
+  /**
+   * One row per act in the corpus manifest, sorted by internal_id
+   *
+   * @param {Object} manifest - Corpus manifest
+   * @returns {Object[]} Rows keyed by ACT_TABLE_COLUMNS
+   */
+  buildActTableRows(manifest) {
+    return Object.values(manifest?.acts || {})
+      .map(entry => ({
+        internal_id: String(entry.internal_id ?? ''),
+        title: entry.title || '',
+        year: this.extractTitleYear(entry.title),
+        volume_number: entry.volume_number ?? '',
+        instrument_type: entry.instrument_type || '',
+        regime_period: entry.regime_period || '',
+        language_of_enactment: entry.language_of_enactment || '',
+        content_language: entry.content_language || '',
+        content_length: entry.content_length ?? '',
+        content_hash: entry.content_hash || '',
+        cross_reference_count: entry.cross_reference_count ?? '',
+        capture_timestamp: entry.capture_timestamp || '',
+        extraction_version: entry.extraction_version || ''
+      }))
+      .sort((a, b) => a.internal_id.localeCompare(b.internal_id, 'en', { numeric: true }));
+  },
+
+  /**
+   * Columns of the penalties table, one row per sanction
+   */
+  PENALTY_TABLE_COLUMNS: [
+    'internal_id', 'title', 'section_number', 'penalty_index', 'penalty_type', 'amount',
+    'duration_value', 'duration_unit', 'life', 'imprisonment_kind', 'bound', 'raw_text',
+    'offset', 'penalty_offset', 'penalty_text'
+  ],
+
+  /**
+   * Flatten an act export object's penalties into penalty table rows
+   *
+   * Each fine, imprisonment term or death sentence of a penalty clause is one
+   * row; a clause with no recognised sanction still gets one row with an
+   * empty penalty_type.
+   *
+   * @param {Object} exportAct - Act export object
+   * @returns {Object[]} Rows keyed by PENALTY_TABLE_COLUMNS
+   */
+  buildPenaltyRows(exportAct) {
+    const common = {
+      internal_id: String(exportAct?.identifiers?.internal_id ?? ''),
+      title: exportAct?.title_raw || ''
+    };
+    const rows = [];
+    (exportAct?.penalties || []).forEach((penalty, index) => {
+      const clause = {
+        ...common,
+        section_number: penalty.scope?.section || '',
+        penalty_index: index,
+        penalty_offset: penalty.character_offset,
+        penalty_text: penalty.penalty_text || ''
+      };
+      const components = penalty.components?.length ? penalty.components : [null];
+      for (const component of components) {
+        rows.push({
+          ...clause,
+          penalty_type: component?.type || '',
+          amount: component?.amount ?? '',
+          duration_value: component?.duration_value ?? '',
+          duration_unit: component?.duration_unit || '',
+          life: component ? component.life === true : '',
+          imprisonment_kind: component?.imprisonment_kind || '',
+          bound: component?.bound || '',
+          raw_text: component?.raw_text || '',
+          offset: component?.offset ?? ''
+        });
+      }
+    });
+    return rows;
+  },
+
+  /**
+   * Generate filename for the tabular export archive
+   *
+   * @param {string|Date} timestamp - ISO timestamp or Date object
+   * @returns {string} Filename of the form bdlaw_corpus_tables_{timestamp}.zip
+   */
+  generateTablesFilename(timestamp) {
+    return `bdlaw_corpus_tables_${this._formatTimestampForFilename(timestamp)}.zip`;
+  },
+
+  // ============================================
+  // TERM GLOSSARY
+  // ============================================
+
+  GLOSSARY_FORMAT: 'bdlaw-corpus-glossary',
+  GLOSSARY_FORMAT_VERSION: '1.0',
+
+  /**
+   * Columns of the glossary table, one row per definition
+   */
+  GLOSSARY_TABLE_COLUMNS: [
+    'term', 'normalized_term', 'internal_id', 'title', 'section_number', 'clause_marker',
+    'definition_verb', 'definition_text', 'term_offset', 'definition_start', 'definition_end'
+  ],
+
+  /**
+   * Reduce a term to the form glossary entries are grouped by
+   *
+   * Folds case, whitespace and the precomposed nukta letters (য়, ড়, ঢ়) so
+   * "Court" and "court", or both encodings of "আয়কর", group together.
+   *
+   * @param {string} term - Term as written
+   * @returns {string} Normalized term
+   */
+  normalizeGlossaryTerm(term) {
+    return String(term || '')
+      .replace(/য়/g, 'য়')
+      .replace(/ড়/g, 'ড়')
+      .replace(/ঢ়/g, 'ঢ়')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  },
+
+  /**
+   * Flatten an act export object's defined_terms into glossary rows
+   *
+   * @param {Object} exportAct - Act export object
+   * @returns {Object[]} Rows keyed by GLOSSARY_TABLE_COLUMNS
+   */
+  buildGlossaryRows(exportAct) {
+    const internalId = String(exportAct?.identifiers?.internal_id ?? '');
+    const title = exportAct?.title_raw || '';
+    return (exportAct?.defined_terms || []).map(entry => ({
+      term: entry.term,
+      normalized_term: this.normalizeGlossaryTerm(entry.term),
+      internal_id: internalId,
+      title,
+      section_number: entry.section_number || '',
+      clause_marker: entry.clause_marker || '',
+      definition_verb: entry.definition_verb || '',
+      definition_text: entry.definition_text || '',
+      term_offset: entry.term_offset,
+      definition_start: entry.definition_start,
+      definition_end: entry.definition_end
+    }));
+  },
+
+  /**
+   * Group glossary rows into the glossary JSON document
+   *
+   * Terms are sorted by normalized_term; each lists every definition across
+   * the corpus in internal_id order, with the spellings it was written in.
+   *
+   * @param {Object[]} rows - Rows from buildGlossaryRows
+   * @param {Object} options - { generatedAt: ISO string }
+   * @returns {Object} Glossary document
+   */
+  formatGlossary(rows, options = {}) {
+    const byTerm = new Map();
+    for (const row of rows || []) {
+      if (!byTerm.has(row.normalized_term)) {
+        byTerm.set(row.normalized_term, { normalized_term: row.normalized_term, spellings: [], definitions: [] });
+      }
+      const entry = byTerm.get(row.normalized_term);
+      if (!entry.spellings.includes(row.term)) {
+        entry.spellings.push(row.term);
+      }
+      entry.definitions.push({
+        internal_id: row.internal_id,
+        title: row.title,
+        section_number: row.section_number,
+        clause_marker: row.clause_marker,
+        definition_verb: row.definition_verb,
+        definition_text: row.definition_text,
+        term_offset: row.term_offset,
+        definition_start: row.definition_start,
+        definition_end: row.definition_end
+      });
+    }
+
+    const terms = [...byTerm.values()].sort((a, b) => a.normalized_term.localeCompare(b.normalized_term));
+    terms.forEach(entry => entry.definitions.sort((a, b) =>
+      a.internal_id.localeCompare(b.internal_id, 'en', { numeric: true }) || a.term_offset - b.term_offset));
+
+    return {
+      format: this.GLOSSARY_FORMAT,
+      format_version: this.GLOSSARY_FORMAT_VERSION,
+      generated_at: options.generatedAt || new Date().toISOString(),
+      total_terms: terms.length,
+      total_definitions: terms.reduce((sum, entry) => sum + entry.definitions.length, 0),
+      offsets_note: 'term_offset, definition_start and definition_end index the content_raw of the act named by internal_id',
+      terms
+    };
+  },
+
+  /**
+   * Generate filename for the glossary export archive
+   *
+   * @param {string|Date} timestamp - ISO timestamp or Date object
+   * @returns {string} Filename of the form bdlaw_corpus_glossary_{timestamp}.zip
+   */
+  generateGlossaryFilename(timestamp) {
+    return `bdlaw_corpus_glossary_${this._formatTimestampForFilename(timestamp)}.zip`;
+  },
+
+  /**
+   * Generate filename for a correction rule pack export
+   *
+   * @param {string|Date} timestamp - ISO timestamp or Date object
+   * @returns {string} Filename of the form bdlaw_rule_packs_{timestamp}.json
+   */
+  generateRulePacksFilename(timestamp) {
+    return `bdlaw_rule_packs_${this._formatTimestampForFilename(timestamp)}.json`;
+  },
+
+  // ============================================
+  // CORPUS QUALITY REPORT
+  // ============================================
+
+  /**
+   * Headings of the quality report's affected-act categories, keyed as in
+   * report.affected_acts
+   */
+  QUALITY_REPORT_CATEGORIES: {
+    flags: 'Flag',
+    ml_risk_factors: 'ML risk factor',
+    possible_truncation: 'Possible truncation',
+    missing_schedule: 'Missing schedule',
+    encoding_issues: 'Encoding issues'
+  },
+
+  /**
+   * Flatten report.affected_acts into one list of categories
+   *
+   * @param {Object} report - Report from BDLawCorpusManifest.buildQualityReport
+   * @returns {Object[]} { id, group, label, internal_ids }, id being "group" or "group:name"
+   */
+  listQualityReportCategories(report) {
+    const categories = [];
+    for (const [group, affected] of Object.entries(report?.affected_acts || {})) {
+      const heading = this.QUALITY_REPORT_CATEGORIES[group] || group;
+      if (Array.isArray(affected)) {
+        if (affected.length > 0) {
+          categories.push({ id: group, group, label: heading, internal_ids: affected });
+        }
+        continue;
+      }
+      for (const name of Object.keys(affected).sort()) {
+        categories.push({ id: `${group}:${name}`, group, label: `${heading}: ${name}`, internal_ids: affected[name] });
+      }
+    }
+    return categories;
+  },
+
+  /**
+   * Render the corpus quality report as a standalone HTML page
+   *
+   * The page has the summary, one table per breakdown and a collapsible
+   * list of acts for every category; category counts link to their list.
+   *
+   * @param {Object} report - Report from BDLawCorpusManifest.buildQualityReport
+   * @returns {string} HTML document
+   */
+  formatQualityReportHtml(report) {
+    const text = (value) => this._escapeXml(String(value));
+    const attr = (value) => this._escapeXml(String(value), true);
+    const anchor = (id) => `cat-${id.replace(/[^A-Za-z0-9_-]/g, '-')}`;
+    const summary = report.summary;
+    const categories = this.listQualityReportCategories(report);
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const count = (id, value) => (byId.has(id) ? `<a href="#${attr(anchor(id))}">${text(value)}</a>` : text(value));
+    const acts = new Map((report.acts || []).map(entry => [entry.internal_id, entry]));
+
+    const summaryRows = [
+      ['Acts', text(summary.total_acts)],
+      ...Object.entries(summary.completeness).map(([value, n]) => [`Completeness: ${value}`, text(n)]),
+      ...Object.entries(summary.flags).map(([flag, n]) => [`Flag: ${flag}`, count(`flags:${flag}`, n)]),
+      ...Object.entries(summary.ml_risk_factors).map(([factor, n]) => [`ML risk factor: ${factor}`, count(`ml_risk_factors:${factor}`, n)]),
+      ['Possible truncation', count('possible_truncation', summary.possible_truncation)],
+      ['Missing schedule', count('missing_schedule', summary.missing_schedule)],
+      ['Acts with encoding issues', count('encoding_issues', summary.encoding_issues.acts)],
+      ['Encoding issues', text(summary.encoding_issues.issues)],
+      ['Transformations applied', text(summary.transformations.applied)],
+      ['Transformations flagged', text(summary.transformations.flagged)],
+      ...Object.entries(summary.transformations.by_type).map(([type, n]) => [`Transformations: ${type}`, text(n)])
+    ];
+
+    const flagNames = Object.keys(summary.flags).sort();
+    const breakdownTable = (title, groups) => [
+      `<h2>${text(title)}</h2>`,
+      '<table>',
+      `<tr><th></th><th>Acts</th>${flagNames.map(flag => `<th>${text(flag)}</th>`).join('')}` +
+        '<th>Possible truncation</th><th>Missing schedule</th><th>Encoding issues</th><th>Transformations applied</th><th>Transformations flagged</th></tr>',
+      ...Object.entries(groups).map(([key, group]) =>
+        `<tr><th>${text(key)}</th><td>${group.total_acts}</td>` +
+        flagNames.map(flag => `<td>${group.flags[flag] || 0}</td>`).join('') +
+        `<td>${group.possible_truncation}</td><td>${group.missing_schedule}</td><td>${group.encoding_issues.acts}</td>` +
+        `<td>${group.transformations.applied}</td><td>${group.transformations.flagged}</td></tr>`),
+      '</table>'
+    ];
+
+    const lines = [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      '<title>BDLawCorpus Quality Report</title>',
+      '<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;margin-bottom:1.5em}' +
+        'th,td{border:1px solid #ccc;padding:4px 8px;text-align:left}td{text-align:right}' +
+        'summary{cursor:pointer;font-weight:bold}details{margin-bottom:0.5em}</style>',
+      '</head>',
+      '<body>',
+      '<h1>BDLawCorpus Quality Report</h1>',
+      `<p>Generated ${text(report.generated_at)} from ${text(summary.total_acts)} act(s).</p>`,
+      '<h2>Summary</h2>',
+      '<table>',
+      ...summaryRows.map(([label, value]) => `<tr><th>${text(label)}</th><td>${value}</td></tr>`),
+      '</table>',
+      ...breakdownTable('By volume', report.by_volume),
+      ...breakdownTable('By decade', report.by_decade),
+      ...breakdownTable('By language', report.by_language),
+      '<h2>Affected acts</h2>',
+      ...categories.map(category => [
+        `<details id="${attr(anchor(category.id))}">`,
+        `<summary>${text(category.label)} (${category.internal_ids.length})</summary>`,
+        '<ul>',
+        ...category.internal_ids.map(id => {
+          const entry = acts.get(id) || {};
+          return `<li>${text(id)}: ${text(entry.title || '')} (volume ${text(entry.volume_number || 'unknown')})</li>`;
+        }),
+        '</ul>',
+        '</details>'
+      ].join('\n')),
+      '</body>',
+      '</html>'
+    ];
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Generate filename for the quality report export archive
+   *
+   * @param {string|Date} timestamp - ISO timestamp or Date object
+   * @returns {string} Filename of the form bdlaw_quality_report_{timestamp}.zip
+   */
+  generateQualityReportFilename(timestamp) {
+    return `bdlaw_quality_report_${this._formatTimestampForFilename(timestamp)}.zip`;
+  },
+
+  /**
+   * Generate filename for the near-duplicate and translation pair export archive
+   *
+   * @param {string|Date} timestamp - ISO timestamp or Date object
+   * @returns {string} Filename of the form bdlaw_corpus_similarity_{timestamp}.zip
+   */
+  generateSimilarityFilename(timestamp) {
+    return `bdlaw_corpus_similarity_${this._formatTimestampForFilename(timestamp)}.zip`;
+  },
+
+  // ============================================
+  // AKOMA NTOSO 3.0
+  // Every text leaf carries bdlaw:start/bdlaw:end offsets into content_raw;
+  // sorted by offset, the leaves tile content_raw exactly.
+  // ============================================
+
+  AKN_NAMESPACE: 'http://docs.oasis-open.org/legaldocml/ns/akn/3.0',
+  AKN_OFFSET_NAMESPACE: 'urn:bdlawcorpus:akn:offsets:1.0',
+
+  /**
+   * Serialize an exported act as an Akoma Ntoso 3.0 <act> document
+   *
+   * Expects the per-act export object (title_raw, content_raw, structure,
+   * schedules, content_raw_sha256, ...). Preamble, enacting formula, sections,
+   * subsections and clauses come from the structure tree; text that the tree
+   * does not cover stays in the nearest enclosing element, so no character of
+   * content_raw is dropped or duplicated. Statutory footnotes are listed under
+   * <notes> with their offsets; schedules are attached as verbatim HTML.
+   *
+   * @param {Object} exportAct - Act export object
+   * @param {Object} options - { generatedAt: ISO string used for FRBR dates }
+   * @returns {string} AKN XML document
+   */
+  formatActAsAkomaNtoso(exportAct, options = {}) {
+    if (!exportAct || typeof exportAct !== 'object') {
+      throw new Error('No act data provided.');
+    }
+
+    const contentRaw = typeof exportAct.content_raw === 'string' ? exportAct.content_raw : '';
+    const internalId = String(exportAct.identifiers?.internal_id || this._extractActNumber(exportAct.url) || 'unknown');
+    const idSlug = internalId.replace(/[^A-Za-z0-9_-]/g, '-');
+    const distribution = exportAct.language_distribution || {};
+    const language = (distribution.en_ratio || 0) > (distribution.bn_ratio || 0) ? 'eng' : 'ben';
+    const dateSource = options.generatedAt || exportAct._metadata?.extracted_at || new Date().toISOString();
+    const date = new Date(dateSource);
+    const frbrDate = (isNaN(date.getTime()) ? new Date() : date).toISOString().slice(0, 10);
+    const workUri = `/akn/bd/act/bdlaws/${idSlug}`;
+    const expressionUri = `${workUri}/${language}@`;
+    const attr = (value) => this._escapeXml(String(value), true);
+
+    const lines = [];
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push(`<akomaNtoso xmlns="${this.AKN_NAMESPACE}" xmlns:bdlaw="${this.AKN_OFFSET_NAMESPACE}">`);
+    lines.push(`  <act name="act" xml:space="preserve">`);
+    lines.push('    <meta>');
+    lines.push('      <identification source="#bdlawcorpus">');
+    lines.push('        <FRBRWork>');
+    lines.push(`          <FRBRthis value="${workUri}/!main"/>`);
+    lines.push(`          <FRBRuri value="${workUri}"/>`);
+    if (exportAct.url) {
+      lines.push(`          <FRBRalias value="${attr(exportAct.url)}" name="bdlaws_url"/>`);
+    }
+    lines.push(`          <FRBRalias value="${attr(internalId)}" name="bdlaws_internal_id"/>`);
+    lines.push(`          <FRBRdate date="${frbrDate}" name="capture"/>`);
+    lines.push('          <FRBRauthor href="#parliament"/>');
+    lines.push('          <FRBRcountry value="bd"/>');
+    lines.push('        </FRBRWork>');
+    lines.push('        <FRBRExpression>');
+    lines.push(`          <FRBRthis value="${expressionUri}/!main"/>`);
+    lines.push(`          <FRBRuri value="${expressionUri}"/>`);
+    if (exportAct.content_raw_sha256) {
+      lines.push(`          <FRBRalias value="sha256:${attr(exportAct.content_raw_sha256)}" name="content_raw_sha256"/>`);
+    }
+    lines.push(`          <FRBRdate date="${frbrDate}" name="capture"/>`);
+    lines.push('          <FRBRauthor href="#parliament"/>');
+    lines.push(`          <FRBRlanguage language="${language}"/>`);
+    lines.push('        </FRBRExpression>');
+    lines.push('        <FRBRManifestation>');
+    lines.push(`          <FRBRthis value="${expressionUri}/!main.xml"/>`);
+    lines.push(`          <FRBRuri value="${expressionUri}/.akn"/>`);
+    lines.push(`          <FRBRdate date="${frbrDate}" name="generation"/>`);
+    lines.push('          <FRBRauthor href="#bdlawcorpus"/>');
+    lines.push('        </FRBRManifestation>');
+    lines.push('      </identification>');
+
+    const footnotes = this._getExtractor().locateStatutoryFootnotes(contentRaw);
+    if (footnotes.length > 0) {
+      lines.push('      <notes source="#bdlawcorpus">');
+      footnotes.forEach((note, i) => {
+        lines.push(`        <note eId="fn_${i + 1}" class="statutory" bdlaw:offset="${note.offset}" bdlaw:length="${note.text.length}">` +
+          `<p>${this._escapeXml(note.text)}</p></note>`);
+      });
+      lines.push('      </notes>');
+    }
+
+    lines.push('      <references source="#bdlawcorpus">');
+    lines.push('        <TLCOrganization eId="bdlawcorpus" href="/ontology/organization/bdlawcorpus" showAs="BDLawCorpus"/>');
+    lines.push('        <TLCOrganization eId="parliament" href="/ontology/organization/bd/parliament" showAs="Parliament of Bangladesh"/>');
+    lines.push('      </references>');
+    lines.push('      <proprietary source="#bdlawcorpus">');
+    lines.push(`        <bdlaw:source internalId="${attr(internalId)}" url="${attr(exportAct.url || '')}" ` +
+      `contentRawSha256="${attr(exportAct.content_raw_sha256 || '')}" contentRawLength="${contentRaw.length}" ` +
+      `offsetUnit="utf16"/>`);
+    lines.push('      </proprietary>');
+    lines.push('    </meta>');
+
+    const layout = this._layoutAknStructure(exportAct.structure, contentRaw);
+    const leaf = (tag, start, end, indent) => `${indent}${this._aknLeaf(tag, contentRaw, start, end)}`;
+
+    lines.push('    <preface>');
+    lines.push(`      <longTitle><p>${this._escapeXml(exportAct.title_raw || '')}</p></longTitle>`);
+    if (layout.preface.end > layout.preface.start) {
+      lines.push(leaf('p', layout.preface.start, layout.preface.end, '      '));
+    }
+    lines.push('    </preface>');
+
+    if (layout.preamble || layout.formula) {
+      lines.push('    <preamble>');
+      if (layout.preamble) {
+        lines.push(leaf('p', layout.preamble.start, layout.preamble.end, '      '));
+      }
+      if (layout.formula) {
+        lines.push('      <formula name="enactingFormula">');
+        lines.push(leaf('p', layout.formula.start, layout.formula.end, '        '));
+        lines.push('      </formula>');
+      }
+      lines.push('    </preamble>');
+    }
+
+    lines.push('    <body>');
+    if (layout.sections.length === 0) {
+      lines.push('      <hcontainer eId="hcontainer_1" name="unstructured">');
+      lines.push('        <content>');
+      lines.push(leaf('p', layout.bodyStart, contentRaw.length, '          '));
+      lines.push('        </content>');
+      lines.push('      </hcontainer>');
+    }
+    for (const section of layout.sections) {
+      this._appendAknHierarchy(lines, section, contentRaw, '      ');
+    }
+    lines.push('    </body>');
+
+    const scheduleHtml = exportAct.schedules?.html_content;
+    if (typeof scheduleHtml === 'string' && scheduleHtml.length > 0) {
+      lines.push('    <attachments>');
+      lines.push('      <attachment eId="att_1">');
+      lines.push('        <doc name="schedules">');
+      lines.push('          <meta>');
+      lines.push('            <identification source="#bdlawcorpus">');
+      lines.push(`              <FRBRWork><FRBRthis value="${workUri}/!schedules"/><FRBRuri value="${workUri}"/>` +
+        `<FRBRdate date="${frbrDate}" name="capture"/><FRBRauthor href="#parliament"/><FRBRcountry value="bd"/></FRBRWork>`);
+      lines.push(`              <FRBRExpression><FRBRthis value="${expressionUri}/!schedules"/><FRBRuri value="${expressionUri}"/>` +
+        `<FRBRdate date="${frbrDate}" name="capture"/><FRBRauthor href="#parliament"/><FRBRlanguage language="${language}"/></FRBRExpression>`);
+      lines.push(`              <FRBRManifestation><FRBRthis value="${expressionUri}/!schedules.xml"/><FRBRuri value="${expressionUri}/.akn"/>` +
+        `<FRBRdate date="${frbrDate}" name="generation"/><FRBRauthor href="#bdlawcorpus"/></FRBRManifestation>`);
+      lines.push('            </identification>');
+      lines.push('          </meta>');
+      lines.push('          <mainBody>');
+      lines.push(`            <foreign><bdlaw:rawHtml representation="raw_html">${this._toCdata(scheduleHtml)}</bdlaw:rawHtml></foreign>`);
+      lines.push('          </mainBody>');
+      lines.push('        </doc>');
+      lines.push('      </attachment>');
+      lines.push('    </attachments>');
+    }
+
+    lines.push('  </act>');
+    lines.push('</akomaNtoso>');
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Check that an AKN document produced by formatActAsAkomaNtoso still maps
+   * onto content_raw
+   *
+   * Reads the offset-bearing leaves (num, heading, p), checks each leaf's text
+   * against content_raw at its offsets and that the leaves cover content_raw
+   * without gaps or overlaps. Also compares the recorded content_raw SHA-256.
+   *
+   * @param {string} xml - AKN document
+   * @param {string} contentRaw - The act's content_raw
+   * @returns {Object} { valid: boolean, errors: string[], leaf_count: number }
+   */
+  verifyAkomaNtoso(xml, contentRaw) {
+    return this._verifyOffsetLeaves(
+      xml,
+      contentRaw,
+      /<(num|heading|p)\b([^>]*\bbdlaw:start="\d+"[^>]*)>([^<]*)<\/\1>/g,
+      /contentRawSha256="([0-9a-f]{64})"/
+    );
+  },
+
+  /**
+   * Generate filename for an Akoma Ntoso act document
+   *
+   * @param {string} internalId - bdlaws internal_id
+   * @returns {string} Filename of the form akn/{internal_id}.xml
+   */
+  generateAkomaNtosoPath(internalId) {
+    return `akn/${this._sanitizeForFilename(String(internalId))}.xml`;
+  },
+
+  // ============================================
+  // TEI P5
+  // Same offset scheme as the AKN export; editorial content and lexical
+  // references are marked up in place as <note> and <ref>.
+  // ============================================
+
+  TEI_NAMESPACE: 'http://www.tei-c.org/ns/1.0',
+  TEI_OFFSET_NAMESPACE: 'urn:bdlawcorpus:tei:offsets:1.0',
+  TEI_CORPUS_PATH: 'tei/teiCorpus.xml',
+
+  /**
+   * Serialize an exported act as a TEI P5 <TEI> document
+   *
+   * The teiHeader is built from _metadata, capture_environment and
+   * trust_boundary. Front matter, preamble, enacting formula and
+   * section/subsection/clause <div>s follow the structure tree laid out as
+   * for Akoma Ntoso. Statutory footnotes and editorial content become
+   * <note type="editorial"> and lexical references become <ref>, wrapped
+   * around the text they cover; a span that overlaps an earlier one or
+   * crosses an element boundary is left as plain text.
+   *
+   * @param {Object} exportAct - Act export object
+   * @param {Object} options - { generatedAt: ISO string for the publication date }
+   * @returns {string} TEI XML document
+   */
+  formatActAsTei(exportAct, options = {}) {
+    if (!exportAct || typeof exportAct !== 'object') {
+      throw new Error('No act data provided.');
+    }
+
+    const contentRaw = typeof exportAct.content_raw === 'string' ? exportAct.content_raw : '';
+    const internalId = String(exportAct.identifiers?.internal_id || this._extractActNumber(exportAct.url) || 'unknown');
+    const idPrefix = `act_${internalId.replace(/[^A-Za-z0-9_-]/g, '-')}`;
+    const metadata = exportAct._metadata || null;
+    const distribution = exportAct.language_distribution || {};
+    const mainLanguage = (distribution.en_ratio || 0) > (distribution.bn_ratio || 0) ? 'en' : 'bn';
+    const generated = new Date(options.generatedAt || Date.now());
+    const attr = (value) => this._escapeXml(String(value), true);
+    const text = (value) => this._escapeXml(String(value));
+    const spans = this._collectTeiSpans(exportAct, contentRaw);
+
+    const lines = [];
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push(`<TEI xmlns="${this.TEI_NAMESPACE}" xmlns:bdlaw="${this.TEI_OFFSET_NAMESPACE}" ` +
+      `xml:id="${idPrefix}" xml:lang="${mainLanguage}">`);
+    lines.push('  <teiHeader>');
+    lines.push('    <fileDesc>');
+    lines.push('      <titleStmt>');
+    lines.push(`        <title>${text(exportAct.title_raw || '')}</title>`);
+    lines.push(`        <respStmt><resp>Captured from the source website by</resp><name>${text(metadata?.tool || 'BDLawCorpus')}</name></respStmt>`);
+    lines.push('      </titleStmt>');
+    lines.push('      <publicationStmt>');
+    lines.push('        <publisher>BDLawCorpus</publisher>');
+    lines.push(`        <idno type="bdlaws_internal_id">${text(internalId)}</idno>`);
+    if (exportAct.content_raw_sha256) {
+      lines.push(`        <idno type="content_raw_sha256">${text(exportAct.content_raw_sha256)}</idno>`);
+    }
+    lines.push(`        <date when="${(isNaN(generated.getTime()) ? new Date() : generated).toISOString()}"/>`);
+    lines.push('        <availability>');
+    lines.push('          <licence target="https://creativecommons.org/licenses/by/4.0/">Corpus structure and metadata: CC-BY-4.0. ' +
+      'The legal text is an official government document.</licence>');
+    lines.push('        </availability>');
+    lines.push('      </publicationStmt>');
+    lines.push('      <sourceDesc>');
+    lines.push('        <bibl>');
+    lines.push(`          <title>${text(exportAct.title_raw || '')}</title>`);
+    lines.push(`          <publisher>${text(metadata?.source || 'bdlaws.minlaw.gov.bd')}</publisher>`);
+    if (exportAct.url) {
+      lines.push(`          <ptr target="${attr(exportAct.url)}"/>`);
+    }
+    if (metadata?.scraped_at) {
+      lines.push(`          <date type="scraped" when="${attr(metadata.scraped_at)}"/>`);
+    }
+    if (metadata?.extracted_at) {
+      lines.push(`          <date type="extracted" when="${attr(metadata.extracted_at)}"/>`);
+    }
+    lines.push('        </bibl>');
+    lines.push('      </sourceDesc>');
+    lines.push('    </fileDesc>');
+
+    lines.push('    <encodingDesc>');
+    if (metadata?.research_purpose || metadata?.disclaimer) {
+      lines.push('      <projectDesc>');
+      if (metadata.research_purpose) lines.push(`        <p>${text(metadata.research_purpose)}</p>`);
+      if (metadata.disclaimer) lines.push(`        <p>${text(metadata.disclaimer)}</p>`);
+      lines.push('      </projectDesc>');
+    }
+    if (metadata?.scraping_method) {
+      lines.push(`      <samplingDecl><p>${text(metadata.scraping_method)}</p></samplingDecl>`);
+    }
+    lines.push('      <editorialDecl>');
+    if (exportAct.content_raw_disclaimer) {
+      lines.push(`        <p>${text(exportAct.content_raw_disclaimer)}</p>`);
+    }
+    lines.push('        <p>Text is content_raw, unchanged. bdlaw:start and bdlaw:end give UTF-16 offsets into content_raw; ' +
+      'sorted by offset, the elements carrying them cover content_raw exactly once.</p>');
+    const list = (label, items) => {
+      if (!items || items.length === 0) return;
+      lines.push(`        <p>${text(label)}<list>`);
+      items.forEach(item => lines.push(`          ${item}`));
+      lines.push('        </list></p>');
+    };
+    const environment = exportAct.capture_environment;
+    if (environment && typeof environment === 'object') {
+      list('Capture environment:', Object.entries(environment).map(([key, value]) =>
+        `<item n="${attr(key)}">${text(value)}</item>`));
+    }
+    list('Can trust:', (exportAct.trust_boundary?.can_trust || []).map(item => `<item>${text(item)}</item>`));
+    list('Must not trust:', (exportAct.trust_boundary?.must_not_trust || []).map(item => `<item>${text(item)}</item>`));
+    lines.push('      </editorialDecl>');
+    lines.push('    </encodingDesc>');
+
+    lines.push('    <profileDesc>');
+    lines.push('      <langUsage>');
+    lines.push(`        <language ident="bn" usage="${Math.round((distribution.bn_ratio || 0) * 100)}">Bengali</language>`);
+    lines.push(`        <language ident="en" usage="${Math.round((distribution.en_ratio || 0) * 100)}">English</language>`);
+    lines.push('      </langUsage>');
+    lines.push('    </profileDesc>');
+    lines.push('  </teiHeader>');
+
+    const layout = this._layoutAknStructure(exportAct.structure, contentRaw);
+    const leaf = (tag, start, end, indent, attrs = '') => `${indent}${this._teiLeaf(tag, contentRaw, start, end, spans, attrs)}`;
+
+    lines.push('  <text xml:space="preserve">');
+    lines.push('    <front>');
+    lines.push(`      <titlePage><docTitle><titlePart>${text(exportAct.title_raw || '')}</titlePart></docTitle></titlePage>`);
+    if (layout.preface.end > layout.preface.start) {
+      lines.push('      <div type="preface">');
+      lines.push(leaf('p', layout.preface.start, layout.preface.end, '        '));
+      lines.push('      </div>');
+    }
+    if (layout.preamble) {
+      lines.push('      <div type="preamble">');
+      lines.push(leaf('p', layout.preamble.start, layout.preamble.end, '        '));
+      lines.push('      </div>');
+    }
+    if (layout.formula) {
+      lines.push('      <div type="enactingFormula">');
+      lines.push(leaf('p', layout.formula.start, layout.formula.end, '        '));
+      lines.push('      </div>');
+    }
+    lines.push('    </front>');
+
+    lines.push('    <body>');
+    if (layout.sections.length === 0) {
+      lines.push('      <div type="unstructured">');
+      lines.push(leaf('p', layout.bodyStart, contentRaw.length, '        '));
+      lines.push('      </div>');
+    }
+    for (const section of layout.sections) {
+      this._appendTeiHierarchy(lines, section, contentRaw, spans, idPrefix, '      ');
+    }
+    lines.push('    </body>');
+
+    const scheduleHtml = exportAct.schedules?.html_content;
+    if (typeof scheduleHtml === 'string' && scheduleHtml.length > 0) {
+      lines.push('    <back>');
+      lines.push('      <div type="schedules">');
+      lines.push(`        <ab type="raw_html">${this._toCdata(scheduleHtml)}</ab>`);
+      lines.push('      </div>');
+      lines.push('    </back>');
+    }
+
+    lines.push('  </text>');
+    lines.push('</TEI>');
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Build the teiCorpus wrapper from the corpus manifest
+   *
+   * The header lists every act as a <bibl>; the acts themselves are pulled
+   * in with XInclude from {internal_id}.xml next to this file.
+   *
+   * @param {Object} manifest - Corpus manifest
+   * @param {Object} options - { generatedAt }
+   * @returns {string} teiCorpus XML document
+   */
+  formatTeiCorpus(manifest, options = {}) {
+    const acts = Object.values(manifest?.acts || {})
+      .sort((a, b) => String(a.internal_id).localeCompare(String(b.internal_id), 'en', { numeric: true }));
+    const stats = manifest?.corpus_stats || {};
+    const generated = new Date(options.generatedAt || Date.now());
+    const attr = (value) => this._escapeXml(String(value), true);
+    const text = (value) => this._escapeXml(String(value));
+
+    const lines = [];
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push(`<teiCorpus xmlns="${this.TEI_NAMESPACE}" xmlns:xi="http://www.w3.org/2001/XInclude">`);
+    lines.push('  <teiHeader>');
+    lines.push('    <fileDesc>');
+    lines.push('      <titleStmt><title>BDLawCorpus</title></titleStmt>');
+    lines.push('      <extent>');
+    lines.push(`        <measure unit="acts" quantity="${acts.length}">${acts.length} acts</measure>`);
+    lines.push(`        <measure unit="volumes" quantity="${stats.total_volumes || 0}">${stats.total_volumes || 0} volumes</measure>`);
+    lines.push(`        <measure unit="characters" quantity="${stats.total_characters || 0}">${stats.total_characters || 0} characters</measure>`);
+    lines.push('      </extent>');
+    lines.push('      <publicationStmt>');
+    lines.push('        <publisher>BDLawCorpus</publisher>');
+    lines.push(`        <date when="${(isNaN(generated.getTime()) ? new Date() : generated).toISOString()}"/>`);
+    lines.push('        <availability>');
+    lines.push('          <licence target="https://creativecommons.org/licenses/by/4.0/">Corpus structure and metadata: CC-BY-4.0. ' +
+      'The legal texts are official government documents.</licence>');
+    lines.push('        </availability>');
+    lines.push('      </publicationStmt>');
+    lines.push('      <sourceDesc>');
+    if (acts.length === 0) {
+      lines.push('        <p>No acts captured.</p>');
+    } else {
+      lines.push('        <listBibl>');
+      for (const act of acts) {
+        lines.push(`          <bibl corresp="${attr(this._teiActFilename(act.internal_id))}">` +
+          `<title>${text(act.title || '')}</title>` +
+          `<idno type="bdlaws_internal_id">${text(act.internal_id)}</idno>` +
+          (act.volume_number && act.volume_number !== 'unknown' ? `<biblScope unit="volume">${text(act.volume_number)}</biblScope>` : '') +
+          (act.content_hash ? `<idno type="content_hash">${text(act.content_hash)}</idno>` : '') +
+          '</bibl>');
+      }
+      lines.push('        </listBibl>');
+    }
+    lines.push('      </sourceDesc>');
+    lines.push('    </fileDesc>');
+    lines.push('  </teiHeader>');
+    for (const act of acts) {
+      lines.push(`  <xi:include href="${attr(this._teiActFilename(act.internal_id))}"/>`);
+    }
+    lines.push('</teiCorpus>');
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Check that a TEI document produced by formatActAsTei still maps onto
+   * content_raw
+   *
+   * Same checks as verifyAkomaNtoso; inline <note> and <ref> markup is
+   * removed before comparing a leaf's text.
+   *
+   * @param {string} xml - TEI document
+   * @param {string} contentRaw - The act's content_raw
+   * @returns {Object} { valid: boolean, errors: string[], leaf_count: number }
+   */
+  verifyTei(xml, contentRaw) {
+    return this._verifyOffsetLeaves(
+      xml,
+      contentRaw,
+      /<(head|p)\b([^>]*\bbdlaw:start="\d+"[^>]*)>([\s\S]*?)<\/\1>/g,
+      /<idno type="content_raw_sha256">([0-9a-f]{64})<\/idno>/
+    );
+  },
+
+  /**
+   * Generate filename for a TEI act document
+   *
+   * @param {string} internalId - bdlaws internal_id
+   * @returns {string} Filename of the form tei/{internal_id}.xml
+   */
+  generateTeiPath(internalId) {
+    return `tei/${this._teiActFilename(internalId)}`;
+  },
+
+  // ============================================
+  // READABLE TEXT AND MARKDOWN
+  // Renderings for people, not pipelines: whitespace is collapsed and
+  // footnotes move to the end, so no content_raw offsets survive.
+  // ============================================
+
+  /**
+   * Render an exported act as a plain-text document
+   *
+   * Title, status banner, front matter, numbered section headings with
+   * subsections and clauses indented beneath them, schedule tables, and
+   * statutory footnotes and bracketed editorial notes collected at the end
+   * behind [^n] markers.
+   *
+   * @param {Object} exportAct - Act export object
+   * @param {Object} options - { document: source page for detectLegalStatus, domParser: DOMParser for schedule HTML }
+   * @returns {string} Plain text ending in a newline
+   */
+  formatActAsText(exportAct, options = {}) {
+    const doc = this._layoutReadableAct(exportAct, options);
+    const used = [];
+    const render = (range) => this._renderReadableRange(doc, range, used, n => `[^${n}]`, s => s);
+    const collapse = (s) => s.replace(/\s+/g, ' ').trim();
+    const banner = this._readableStatusBanner(doc.status);
+    const lines = [];
+    const underline = (title, ch) => {
+      lines.push(title);
+      lines.push(ch.repeat(Math.max(3, this._displayWidth(title))));
+    };
+
+    underline(doc.title, '=');
+    lines.push('');
+    lines.push(`[${banner.label.toUpperCase()}] ${banner.detail}`);
+    lines.push(doc.disclaimer);
+    if (doc.url) lines.push(`Source: ${doc.url}`);
+    lines.push(`Internal ID: ${doc.internalId}`);
+
+    for (const range of doc.front) {
+      for (const paragraph of render(range).split('\n').map(collapse).filter(Boolean)) {
+        lines.push('', paragraph);
+      }
+    }
+
+    const appendNode = (node, depth) => {
+      const indent = '    '.repeat(depth);
+      const marker = node.num ? collapse(render(node.num)) : '';
+      const body = collapse(render({ start: node.bodyStart, end: node.children.length > 0 ? node.children[0].start : node.end }));
+      if (depth === 0) {
+        const heading = node.heading ? collapse(render(node.heading)) : collapse(node.unanchoredHeading || '');
+        lines.push('', [marker, heading].filter(Boolean).join(' '));
+        if (body) lines.push(`    ${body}`);
+      } else if (marker || body) {
+        lines.push(indent + [marker, body].filter(Boolean).join(' '));
+      }
+      node.children.forEach(child => appendNode(child, depth + 1));
+    };
+    doc.sections.forEach(section => appendNode(section, 0));
+
+    if (doc.tables === null || doc.tables.length > 0) {
+      lines.push('');
+      underline('SCHEDULES', '-');
+    }
+    if (doc.tables === null) {
+      lines.push('Schedule tables are kept as raw HTML in schedules.html_content of the JSON export.');
+    }
+    (doc.tables || []).forEach((table, index) => {
+      lines.push('', `Table ${index + 1}`);
+      const widths = Array.from({ length: table.colCount }, (_, col) =>
+        Math.max(1, ...table.rows.map(row => this._displayWidth(row[col]))));
+      const pad = (cell, col) => cell + ' '.repeat(widths[col] - this._displayWidth(cell));
+      table.rows.forEach((row, rowIndex) => {
+        lines.push(`  ${row.map(pad).join(' | ')}`.trimEnd());
+        if (rowIndex === 0 && table.rows.length > 1) {
+          lines.push(`  ${widths.map(width => '-'.repeat(width)).join('-+-')}`);
+        }
+      });
+      if (table.hasMergedCells) {
+        lines.push('  (Merged cells: positions covered by a span are left empty.)');
+      }
+    });
+
+    if (used.length > 0) {
+      lines.push('');
+      underline('NOTES', '-');
+      used.forEach((note, index) => lines.push(`[^${index + 1}] ${collapse(doc.contentRaw.substring(note.start, note.end))}`));
+    }
+
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Render an exported act as a GitHub-flavoured Markdown document
+   *
+   * Same content and order as formatActAsText: sections become ## headings,
+   * subsections and clauses nested lists, schedule tables pipe tables and
+   * footnotes [^n] footnote definitions. Text from content_raw is escaped,
+   * so brackets and asterisks in the act stay literal.
+   *
+   * @param {Object} exportAct - Act export object
+   * @param {Object} options - { document: source page for detectLegalStatus, domParser: DOMParser for schedule HTML }
+   * @returns {string} Markdown ending in a newline
+   */
+  formatActAsMarkdown(exportAct, options = {}) {
+    const doc = this._layoutReadableAct(exportAct, options);
+    const used = [];
+    const escape = (s) => this._escapeMarkdown(s);
+    const render = (range) => this._renderReadableRange(doc, range, used, n => `[^${n}]`, escape);
+    const collapse = (s) => s.replace(/\s+/g, ' ').trim();
+    const block = (s) => s.replace(/^([-+=>])/, '\\$1').replace(/^(\d+)\./, '$1\\.');
+    const banner = this._readableStatusBanner(doc.status);
+    const lines = [];
+
+    lines.push(`# ${escape(doc.title)}`);
+    lines.push('');
+    lines.push(`> **Status: ${escape(banner.label)}.** ${escape(banner.detail)}`);
+    lines.push('>');
+    lines.push(`> ${escape(doc.disclaimer)}`);
+    lines.push('');
+    lines.push([
+      doc.url ? `**Source:** <${doc.url.replace(/[<>\s]/g, encodeURIComponent)}>` : null,
+      `**Internal ID:** ${escape(doc.internalId)}`
+    ].filter(Boolean).join(' · '));
+
+    for (const range of doc.front) {
+      for (const paragraph of render(range).split('\n').map(collapse).filter(Boolean)) {
+        lines.push('', block(paragraph));
+      }
+    }
+
+    const appendNode = (node, depth) => {
+      const marker = node.num ? collapse(render(node.num)) : '';
+      const body = collapse(render({ start: node.bodyStart, end: node.children.length > 0 ? node.children[0].start : node.end }));
+      if (depth === 0) {
+        const heading = node.heading ? collapse(render(node.heading)) : collapse(escape(node.unanchoredHeading || ''));
+        lines.push('', `## ${[marker, heading].filter(Boolean).join(' ')}`);
+        if (body) lines.push('', block(body));
+        if (node.children.length > 0) lines.push('');
+      } else if (marker || body) {
+        lines.push(`${'  '.repeat(depth - 1)}- ${[marker ? `**${marker}**` : '', body].filter(Boolean).join(' ')}`);
+      }
+      node.children.forEach(child => appendNode(child, depth + 1));
+    };
+    doc.sections.forEach(section => appendNode(section, 0));
+
+    if (doc.tables === null || doc.tables.length > 0) {
+      lines.push('', '## Schedules');
+    }
+    if (doc.tables === null) {
+      lines.push('', 'Schedule tables are kept as raw HTML in `schedules.html_content` of the JSON export.');
+    }
+    (doc.tables || []).forEach((table, index) => {
+      const row = (cells) => `| ${cells.map(cell => escape(cell) || ' ').join(' | ')} |`;
+      lines.push('', `### Table ${index + 1}`, '');
+      lines.push(row(table.rows[0]));
+      lines.push(`|${' --- |'.repeat(table.colCount)}`);
+      table.rows.slice(1).forEach(cells => lines.push(row(cells)));
+      if (table.hasMergedCells) {
+        lines.push('', '_Merged cells: positions covered by a span are left empty._');
+      }
+    });
+
+    if (used.length > 0) {
+      lines.push('', '## Notes', '');
+      used.forEach((note, index) => lines.push(`[^${index + 1}]: ${collapse(escape(doc.contentRaw.substring(note.start, note.end)))}`));
+    }
+
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Generate the bundle path for an act's plain-text rendering
+   * @param {string} internalId - Act internal_id
+   * @returns {string} Path of the form txt/{internal_id}.txt
+   */
+  generateTextPath(internalId) {
+    return `txt/${this._sanitizeForFilename(String(internalId))}.txt`;
+  },
+
+  /**
+   * Generate the bundle path for an act's Markdown rendering
+   * @param {string} internalId - Act internal_id
+   * @returns {string} Path of the form md/{internal_id}.md
+   */
+  generateMarkdownPath(internalId) {
+    return `md/${this._sanitizeForFilename(String(internalId))}.md`;
+  },
+
+  /**
+   * Create an incremental SHA-256 hasher
+   *
+   * Web Crypto only offers one-shot digests, which would require the whole
+   * export in a single buffer. This hasher accepts data in chunks.
+   *
+   * @returns {{update: Function, digestHex: Function}} Hasher; update() accepts string or Uint8Array and is chainable
+   */
+  createSha256() {
+    const K = this._SHA256_K;
+    const H = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+      0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const W = new Uint32Array(64);
+    const block = new Uint8Array(64);
+    let blockLength = 0;
+    let totalBytes = 0;
+    const encode = (data) => this._encodeUtf8(data);
+
+    const compress = () => {
+      for (let i = 0; i < 16; i++) {
+        W[i] = (block[i * 4] << 24) | (block[i * 4 + 1] << 16) | (block[i * 4 + 2] << 8) | block[i * 4 + 3];
+      }
+      for (let i = 16; i < 64; i++) {
+        const w15 = W[i - 15];
+        const w2 = W[i - 2];
+        const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+        const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+        W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+      }
+
+      let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+      for (let i = 0; i < 64; i++) {
+        const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (h + S1 + ch + K[i] + W[i]) | 0;
+        const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) | 0;
+        h = g; g = f; f = e; e = (d + t1) | 0;
+        d = c; c = b; b = a; a = (t1 + t2) | 0;
+      }
+      H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+      H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+    };
+
+    const hasher = {
+      update(data) {
+        const bytes = typeof data === 'string' ? encode(data) : data;
+        totalBytes += bytes.length;
+        for (let i = 0; i < bytes.length; i++) {
+          block[blockLength++] = bytes[i];
+          if (blockLength === 64) {
+            compress();
+            blockLength = 0;
+          }
+        }
+        return hasher;
+      },
+
+      digestHex() {
+        const bitsHigh = Math.floor(totalBytes / 0x20000000);
+        const bitsLow = (totalBytes << 3) >>> 0;
+        block[blockLength++] = 0x80;
+        if (blockLength > 56) {
+          block.fill(0, blockLength);
+          compress();
+          blockLength = 0;
+        }
+        block.fill(0, blockLength, 56);
+        for (let i = 0; i < 4; i++) {
+          block[56 + i] = (bitsHigh >>> (24 - i * 8)) & 0xff;
+          block[60 + i] = (bitsLow >>> (24 - i * 8)) & 0xff;
+        }
+        compress();
+        return Array.from(H, word => word.toString(16).padStart(8, '0')).join('');
+      }
+    };
+
+    return hasher;
+  },
+
+  /**
+   * SHA-256 round constants
+   * @private
+   */
+  _SHA256_K: new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ]),
+
+  /**
+   * Encode a string as UTF-8 bytes
+   * @private
+   * @param {string} str - The string to encode
+   * @returns {Uint8Array} UTF-8 bytes
+   */
+  _encodeUtf8(str) {
+    return new TextEncoder().encode(str);
+  },
+
+  /**
+   * Path of an act file, matching the filesystem sync layout
+   * @private
+   * @param {string} internalId - bdlaws internal_id
+   * @returns {string} acts/{internal_id}.json
+   */
+  _getActPath(internalId) {
+    return `acts/${internalId}.json`;
+  },
+
+  /**
+   * Resolve BDLawExtractor in browser and Node environments
+   * @private
+   * @returns {Object} BDLawExtractor
+   */
+  _getExtractor() {
+    return typeof BDLawExtractor !== 'undefined' ? BDLawExtractor : require('./bdlaw-extractor.js');
+  },
+
+  /**
+   * Escape text for XML element content or attribute values
+   * @private
+   * @param {string} str - Text to escape
+   * @param {boolean} forAttribute - Also escape quotes
+   * @returns {string} Escaped text
+   */
+  _escapeXml(str, forAttribute = false) {
+    const escaped = String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return forAttribute ? escaped.replace(/"/g, '&quot;') : escaped;
+  },
+
+  /**
+   * Reverse _escapeXml (plus numeric character references)
+   * @private
+   * @param {string} str - Escaped text
+   * @returns {string} Unescaped text
+   */
+  _unescapeXml(str) {
+    return String(str)
+      .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  },
+
+  /**
+   * Wrap text in CDATA, splitting any "]]>" sequence
+   * @private
+   * @param {string} str - Text to wrap
+   * @returns {string} CDATA section(s)
+   */
+  _toCdata(str) {
+    return `<![CDATA[${String(str).replace(/\]\]>/g, ']]]]><![CDATA[>')}]]>`;
+  },
+
+  /**
+   * Characters XML 1.0 cannot carry (C0 controls other than tab/LF/CR, lone surrogates, U+FFFE/U+FFFF)
+   * @private
+   */
+  _XML_INVALID_CHARS: /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu,
+
+  /**
+   * Render one offset-bearing text leaf
+   *
+   * If the slice holds characters XML cannot carry, they are shown as U+FFFD
+   * and the exact slice is kept as JSON in bdlaw:raw.
+   *
+   * @private
+   * @param {string} tag - Element name (p, num, heading)
+   * @param {string} contentRaw - content_raw
+   * @param {number} start - Start offset (inclusive)
+   * @param {number} end - End offset (exclusive)
+   * @returns {string} Element markup
+   */
+  _aknLeaf(tag, contentRaw, start, end) {
+    const slice = contentRaw.substring(start, end);
+    const invalid = new RegExp(this._XML_INVALID_CHARS.source, this._XML_INVALID_CHARS.flags);
+    let attrs = `bdlaw:start="${start}" bdlaw:end="${end}"`;
+    let text = slice;
+    if (invalid.test(slice)) {
+      const json = JSON.stringify(slice)
+        .replace(invalid, ch => '\\u' + ch.charCodeAt(0).toString(16).padStart(4, '0'));
+      attrs += ` bdlaw:raw="${this._escapeXml(json, true)}"`;
+      text = slice.replace(invalid, '\uFFFD');
+    }
+    return `<${tag} ${attrs}>${this._escapeXml(text)}</${tag}>`;
+  },
+
+  /**
+   * Map a structure tree onto non-overlapping content_raw ranges
+   *
+   * Structure entries whose offsets are missing, out of order or do not match
+   * the text are skipped; their text falls to the enclosing element.
+   *
+   * @private
+   * @param {Object|null} structure - Structure tree from buildStructureTree
+   * @param {string} contentRaw - content_raw
+   * @returns {Object} { preface, preamble, formula, bodyStart, sections }
+   */
+  _layoutAknStructure(structure, contentRaw) {
+    const length = contentRaw.length;
+    const at = (text, offset) => typeof text === 'string' && text.length > 0 &&
+      Number.isInteger(offset) && offset >= 0 && contentRaw.startsWith(text, offset);
+
+    // Lays out markers (subsections, clauses) inside [from, to)
+    const layoutChildren = (items, from, to, tag, parentId, nestedKey, nestedTag) => {
+      const nodes = [];
+      let cursor = from;
+      (items || []).forEach((item, index) => {
+        const offset = item.marker_offset;
+        if (!at(item.marker, offset) || offset < cursor || offset + item.marker.length > to) {
+          return;
+        }
+        nodes.push({
+          tag,
+          eId: `${parentId}__${tag === 'subsection' ? 'subsec' : tag}_${index + 1}`,
+          start: offset,
+          num: { start: offset, end: offset + item.marker.length },
+          heading: null,
+          bodyStart: offset + item.marker.length,
+          item
+        });
+        cursor = offset + item.marker.length;
+      });
+      nodes.forEach((node, i) => {
+        node.end = i < nodes.length - 1 ? nodes[i + 1].start : to;
+        node.children = nestedKey
+          ? layoutChildren(node.item[nestedKey], node.bodyStart, node.end, nestedTag, node.eId)
+          : [];
+        delete node.item;
+      });
+      return nodes;
+    };
+
+    const sections = [];
+    let cursor = 0;
+    (structure?.sections || []).forEach((section, index) => {
+      const numberOk = at(section.section_number, section.number_offset);
+      const headingOk = at(section.heading, section.heading_offset) &&
+        (!numberOk || section.heading_offset + section.heading.length <= section.number_offset);
+      const start = headingOk ? section.heading_offset
+        : numberOk ? section.number_offset
+        : -1;
+      if (start < cursor || (sections.length > 0 && start <= sections[sections.length - 1].start)) {
+        return;
+      }
+
+      const num = numberOk
+        ? { start: section.number_offset, end: section.number_offset + section.section_number.length }
+        : null;
+      const heading = headingOk
+        ? { start: section.heading_offset, end: numberOk ? section.number_offset : section.heading_offset + section.heading.length }
+        : null;
+      const bodyStart = num ? num.end : heading.end;
+
+      sections.push({
+        tag: 'section',
+        eId: `sec_${(Number.isInteger(section.dom_index) ? section.dom_index : index) + 1}`,
+        start,
+        num,
+        heading,
+        unanchoredHeading: !headingOk && section.heading ? section.heading : null,
+        bodyStart,
+        section
+      });
+      cursor = bodyStart;
+    });
+
+    sections.forEach((node, i) => {
+      node.end = i < sections.length - 1 ? sections[i + 1].start : length;
+      const subsections = node.section.subsections || [];
+      node.children = subsections.length > 0
+        ? layoutChildren(subsections, node.bodyStart, node.end, 'subsection', node.eId, 'clauses', 'clause')
+        : layoutChildren(node.section.clauses, node.bodyStart, node.end, 'clause', node.eId);
+      delete node.section;
+    });
+
+    const frontEnd = sections.length > 0 ? sections[0].start : length;
+    const preambleText = structure?.preamble?.text;
+    const formulaText = structure?.enactment_clause?.text;
+    const preambleAt = at(preambleText, structure?.preamble?.offset) && structure.preamble.offset < frontEnd
+      ? structure.preamble.offset : -1;
+    const formulaAt = at(formulaText, structure?.enactment_clause?.offset) &&
+      structure.enactment_clause.offset < frontEnd && structure.enactment_clause.offset > preambleAt
+      ? structure.enactment_clause.offset : -1;
+
+    const regionEnd = (offset, text) => sections.length > 0 ? frontEnd : Math.min(offset + text.length, length);
+    const preface = { start: 0, end: preambleAt > -1 ? preambleAt : formulaAt > -1 ? formulaAt : (sections.length > 0 ? frontEnd : 0) };
+    const preamble = preambleAt > -1
+      ? { start: preambleAt, end: formulaAt > -1 ? formulaAt : regionEnd(preambleAt, preambleText) }
+      : null;
+    const formula = formulaAt > -1 ? { start: formulaAt, end: regionEnd(formulaAt, formulaText) } : null;
+    const bodyStart = formula ? formula.end : preamble ? preamble.end : preface.end;
+
+    return { preface, preamble, formula, bodyStart, sections };
+  },
+
+  /**
+   * Append a section/subsection/clause element and its descendants
+   * @private
+   * @param {string[]} lines - Output lines
+   * @param {Object} node - Layout node from _layoutAknStructure
+   * @param {string} contentRaw - content_raw
+   * @param {string} indent - Current indentation
+   */
+  _appendAknHierarchy(lines, node, contentRaw, indent) {
+    const inner = indent + '  ';
+    lines.push(`${indent}<${node.tag} eId="${node.eId}">`);
+    if (node.num) {
+      lines.push(inner + this._aknLeaf('num', contentRaw, node.num.start, node.num.end));
+    }
+    if (node.heading) {
+      lines.push(inner + this._aknLeaf('heading', contentRaw, node.heading.start, node.heading.end));
+    } else if (node.unanchoredHeading) {
+      lines.push(`${inner}<heading>${this._escapeXml(node.unanchoredHeading)}</heading>`);
+    }
+
+    if (node.children.length > 0) {
+      if (node.bodyStart < node.children[0].start) {
+        lines.push(`${inner}<intro>`);
+        lines.push(inner + '  ' + this._aknLeaf('p', contentRaw, node.bodyStart, node.children[0].start));
+        lines.push(`${inner}</intro>`);
+      }
+      for (const child of node.children) {
+        this._appendAknHierarchy(lines, child, contentRaw, inner);
+      }
+    } else {
+      lines.push(`${inner}<content>`);
+      lines.push(inner + '  ' + this._aknLeaf('p', contentRaw, node.bodyStart, node.end));
+      lines.push(`${inner}</content>`);
+    }
+    lines.push(`${indent}</${node.tag}>`);
+  },
+
+  /**
+   * Check offset-bearing leaves against content_raw
+   *
+   * Each leaf's text (with any inline markup removed) must equal content_raw
+   * at its offsets, and the leaves must cover content_raw without gaps or
+   * overlaps. The recorded SHA-256, when present, must match.
+   *
+   * @private
+   * @param {string} xml - Document
+   * @param {string} contentRaw - The act's content_raw
+   * @param {RegExp} leafPattern - Global pattern capturing tag, attributes and inner markup
+   * @param {RegExp} shaPattern - Pattern capturing the recorded content_raw SHA-256
+   * @returns {Object} { valid: boolean, errors: string[], leaf_count: number }
+   */
+  _verifyOffsetLeaves(xml, contentRaw, leafPattern, shaPattern) {
+    const errors = [];
+    const text = typeof contentRaw === 'string' ? contentRaw : '';
+    const leaves = [];
+    const pattern = new RegExp(leafPattern.source, leafPattern.flags);
+    let match;
+
+    while ((match = pattern.exec(xml || '')) !== null) {
+      const attrs = match[2];
+      const start = parseInt(attrs.match(/bdlaw:start="(\d+)"/)[1], 10);
+      const endMatch = attrs.match(/bdlaw:end="(\d+)"/);
+      const rawMatch = attrs.match(/bdlaw:raw="([^"]*)"/);
+      const end = endMatch ? parseInt(endMatch[1], 10) : NaN;
+      const leafText = rawMatch
+        ? JSON.parse(this._unescapeXml(rawMatch[1]))
+        : this._unescapeXml(match[3].replace(/<[^>]*>/g, ''));
+      leaves.push({ tag: match[1], start, end, text: leafText });
+    }
+
+    leaves.sort((a, b) => a.start - b.start);
+    let cursor = 0;
+    for (const node of leaves) {
+      if (node.start !== cursor) {
+        errors.push(`<${node.tag}> at ${node.start}: expected to start at ${cursor}`);
+      }
+      if (!(node.end >= node.start)) {
+        errors.push(`<${node.tag}> at ${node.start}: invalid bdlaw:end`);
+        continue;
+      }
+      if (text.substring(node.start, node.end) !== node.text) {
+        errors.push(`<${node.tag}> at ${node.start}: text does not match content_raw`);
+      }
+      cursor = node.end;
+    }
+    if (cursor !== text.length) {
+      errors.push(`Leaves end at ${cursor}; content_raw has ${text.length} characters`);
+    }
+
+    const shaMatch = (xml || '').match(shaPattern);
+    if (shaMatch && this.createSha256().update(text).digestHex() !== shaMatch[1]) {
+      errors.push('content_raw SHA-256 does not match the recorded value');
+    }
+
+    return { valid: errors.length === 0, errors, leaf_count: leaves.length };
+  },
+
+  /**
+   * File name of a TEI act document inside tei/
+   * @private
+   * @param {string} internalId - bdlaws internal_id
+   * @returns {string} {internal_id}.xml
+   */
+  _teiActFilename(internalId) {
+    return `${this._sanitizeForFilename(String(internalId))}.xml`;
+  },
+
+  /**
+   * Inline spans for TEI markup, sorted and non-overlapping
+   *
+   * Statutory footnotes come first, then other editorial content, then
+   * lexical references; a span overlapping one already kept is dropped.
+   * Spans whose text no longer matches content_raw are ignored.
+   *
+   * @private
+   * @param {Object} exportAct - Act export object
+   * @param {string} contentRaw - content_raw
+   * @returns {Array<{start: number, end: number, open: string, close: string}>} Spans
+   */
+  _collectTeiSpans(exportAct, contentRaw) {
+    const extractor = this._getExtractor();
+    const candidates = [];
+    const add = (textValue, offset, open, close) => {
+      if (typeof textValue === 'string' && textValue.length > 0 && Number.isInteger(offset) &&
+          offset >= 0 && contentRaw.startsWith(textValue, offset)) {
+        candidates.push({ start: offset, end: offset + textValue.length, open, close });
+      }
+    };
+
+    for (const note of extractor.locateStatutoryFootnotes(contentRaw)) {
+      add(note.text, note.offset, '<note type="editorial" subtype="statutory_footnote" place="inline">', '</note>');
+    }
+    for (const note of extractor.locateEditorialContent(contentRaw)) {
+      add(note.text, note.offset, `<note type="editorial" subtype="${this._escapeXml(note.type, true)}" place="inline">`, '</note>');
+    }
+    for (const ref of exportAct.lexical_references?.references || []) {
+      const subtype = ref.lexical_relation_type || 'mention';
+      const cert = ref.lexical_relation_confidence || 'low';
+      add(ref.citation_text, ref.position,
+        `<ref type="lexical_reference" subtype="${this._escapeXml(subtype, true)}" cert="${this._escapeXml(cert, true)}">`, '</ref>');
+    }
+
+    const kept = [];
+    for (const span of candidates) {
+      if (!kept.some(other => span.start < other.end && other.start < span.end)) {
+        kept.push(span);
+      }
+    }
+    return kept.sort((a, b) => a.start - b.start);
+  },
+
+  /**
+   * Render one offset-bearing TEI leaf with inline spans
+   *
+   * Falls back to the plain AKN leaf (with bdlaw:raw) when the slice holds
+   * characters XML cannot carry.
+   *
+   * @private
+   * @param {string} tag - Element name (head, p)
+   * @param {string} contentRaw - content_raw
+   * @param {number} start - Start offset (inclusive)
+   * @param {number} end - End offset (exclusive)
+   * @param {Array} spans - Result of _collectTeiSpans
+   * @param {string} attrs - Extra attributes, with a leading space
+   * @returns {string} Element markup
+   */
+  _teiLeaf(tag, contentRaw, start, end, spans, attrs = '') {
+    const slice = contentRaw.substring(start, end);
+    const invalid = new RegExp(this._XML_INVALID_CHARS.source, this._XML_INVALID_CHARS.flags);
+    if (invalid.test(slice)) {
+      return this._aknLeaf(tag, contentRaw, start, end).replace(`<${tag} `, `<${tag}${attrs} `);
+    }
+
+    let body = '';
+    let cursor = start;
+    for (const span of spans) {
+      if (span.start < start || span.end > end) continue;
+      body += this._escapeXml(contentRaw.substring(cursor, span.start));
+      body += span.open + this._escapeXml(contentRaw.substring(span.start, span.end)) + span.close;
+      cursor = span.end;
+    }
+    body += this._escapeXml(contentRaw.substring(cursor, end));
+    return `<${tag}${attrs} bdlaw:start="${start}" bdlaw:end="${end}">${body}</${tag}>`;
+  },
+
+  /**
+   * Append a section/subsection/clause <div> and its descendants
+   * @private
+   * @param {string[]} lines - Output lines
+   * @param {Object} node - Layout node from _layoutAknStructure
+   * @param {string} contentRaw - content_raw
+   * @param {Array} spans - Result of _collectTeiSpans
+   * @param {string} idPrefix - xml:id prefix unique to the act
+   * @param {string} indent - Current indentation
+   */
+  _appendTeiHierarchy(lines, node, contentRaw, spans, idPrefix, indent) {
+    const inner = indent + '  ';
+    const n = node.num ? ` n="${this._escapeXml(contentRaw.substring(node.num.start, node.num.end), true)}"` : '';
+    lines.push(`${indent}<div type="${node.tag}" xml:id="${idPrefix}_${node.eId}"${n}>`);
+    if (node.heading) {
+      lines.push(inner + this._teiLeaf('head', contentRaw, node.heading.start, node.heading.end, spans));
+    } else if (node.unanchoredHeading) {
+      lines.push(`${inner}<head>${this._escapeXml(node.unanchoredHeading)}</head>`);
+    }
+    if (node.num) {
+      lines.push(inner + this._teiLeaf('head', contentRaw, node.num.start, node.num.end, spans, ' type="num"'));
+    }
+
+    if (node.children.length > 0) {
+      if (node.bodyStart < node.children[0].start) {
+        lines.push(inner + this._teiLeaf('p', contentRaw, node.bodyStart, node.children[0].start, spans));
+      }
+      for (const child of node.children) {
+        this._appendTeiHierarchy(lines, child, contentRaw, spans, idPrefix, inner);
+      }
+    } else {
+      lines.push(inner + this._teiLeaf('p', contentRaw, node.bodyStart, node.end, spans));
+    }
+    lines.push(`${indent}</div>`);
+  },
+
+  /**
+   * Gather everything the readable renderers need from an exported act
+   *
+   * Sections come from the same layout as the AKN export. Status is
+   * detectLegalStatus run on options.document when given; otherwise a
+   * "repealed" legal_status recorded at capture, falling back to the title
+   * markers detectLegalStatus checks. A recorded "active" is not trusted: it
+   * only means no marker was found, so it renders as unknown. Schedule tables are parsed from
+   * schedules.html_content with extractTableWithMergedCells; tables is null
+   * when there is schedule HTML but no DOMParser to read it.
+   *
+   * @private
+   * @param {Object} exportAct - Act export object
+   * @param {Object} options - { document, domParser }
+   * @returns {Object} { contentRaw, internalId, title, url, status, disclaimer, front, sections, tables, notes }
+   */
+  _layoutReadableAct(exportAct, options = {}) {
+    if (!exportAct || typeof exportAct !== 'object') {
+      throw new Error('No act data provided.');
+    }
+
+    const extractor = this._getExtractor();
+    const contentRaw = typeof exportAct.content_raw === 'string' ? exportAct.content_raw : '';
+    const internalId = String(exportAct.identifiers?.internal_id || this._extractActNumber(exportAct.url) || 'unknown');
+    const layout = this._layoutAknStructure(exportAct.structure, contentRaw);
+    const firstSection = layout.sections.length > 0 ? layout.sections[0].start : contentRaw.length;
+
+    let status;
+    if (options.document) {
+      status = extractor.detectLegalStatus(options.document);
+    } else if (exportAct.legal_status === 'repealed') {
+      status = { legal_status: exportAct.legal_status, status_source: 'recorded_at_capture', status_indicators: [] };
+    } else {
+      // The title is the only page marker an export still carries
+      const fromTitle = extractor.detectLegalStatus({ title: exportAct.title_raw || '', querySelectorAll: () => [] });
+      status = fromTitle.legal_status === 'repealed'
+        ? fromTitle
+        : { legal_status: 'unknown', status_source: null, status_indicators: [] };
+    }
+
+    const candidates = [
+      ...extractor.locateStatutoryFootnotes(contentRaw),
+      ...extractor.locateEditorialContent(contentRaw).filter(note => note.type !== 'footnote' && /^\[[\s\S]*\]$/.test(note.text))
+    ];
+    const notes = [];
+    for (const note of candidates) {
+      const span = { start: note.offset, end: note.offset + note.text.length };
+      if (!notes.some(other => span.start < other.end && other.start < span.end)) {
+        notes.push(span);
+      }
+    }
+    notes.sort((a, b) => a.start - b.start);
+
+    return {
+      contentRaw,
+      internalId,
+      title: exportAct.title_raw || `Act ${internalId}`,
+      url: exportAct.url || null,
+      status,
+      disclaimer: exportAct.temporal_disclaimer || extractor.TEMPORAL_DISCLAIMER,
+      front: [layout.preface, layout.preamble, layout.formula, { start: layout.bodyStart, end: firstSection }].filter(Boolean),
+      sections: layout.sections,
+      tables: this._readScheduleTables(exportAct.schedules?.html_content, options.domParser),
+      notes
+    };
+  },
+
+  /**
+   * Parse schedule HTML into rectangular tables
+   * @private
+   * @param {string|null} html - schedules.html_content
+   * @param {DOMParser} [domParser] - Parser; the global DOMParser when omitted
+   * @returns {Array<{rows: string[][], colCount: number, hasMergedCells: boolean}>|null} Tables, or null when HTML cannot be parsed here
+   */
+  _readScheduleTables(html, domParser) {
+    if (typeof html !== 'string' || !html.trim()) {
+      return [];
+    }
+    const parser = domParser || (typeof DOMParser !== 'undefined' ? new DOMParser() : null);
+    if (!parser) {
+      return null;
+    }
+
+    const extractor = this._getExtractor();
+    const doc = parser.parseFromString(html, 'text/html');
+    return Array.from(doc.querySelectorAll('table'))
+      .filter(table => !table.parentElement || !table.parentElement.closest('table'))
+      .map(table => extractor.extractTableWithMergedCells(table))
+      .filter(table => table.rowCount > 0 && table.colCount > 0)
+      .map(table => ({
+        rows: table.data.map(row => Array.from({ length: table.colCount }, (_, col) => row[col] || '')),
+        colCount: table.colCount,
+        hasMergedCells: table.hasMergedCells
+      }));
+  },
+
+  /**
+   * Status banner wording for a detectLegalStatus result
+   * @private
+   * @param {Object} status - { legal_status, status_indicators }
+   * @returns {{label: string, detail: string}} Banner label and sentence
+   */
+  _readableStatusBanner(status) {
+    if (status.legal_status === 'repealed') {
+      const indicators = status.status_indicators || [];
+      return {
+        label: 'Repealed',
+        detail: `The source page marks this act as repealed${indicators.length > 0 ? ` (${indicators.join(', ')})` : ''}.`
+      };
+    }
+    if (status.legal_status === 'active') {
+      return {
+        label: 'No repeal marker',
+        detail: 'The source page does not mark this act as repealed; this is not a statement of current legal force.'
+      };
+    }
+    return {
+      label: 'Unknown',
+      detail: 'Whether the source page marks this act as repealed could not be determined.'
+    };
+  },
+
+  /**
+   * Render a content_raw range, replacing whole notes with markers
+   *
+   * Notes are numbered in the order they are first rendered; a note that
+   * crosses the range boundary stays inline.
+   *
+   * @private
+   * @param {Object} doc - Result of _layoutReadableAct
+   * @param {{start: number, end: number}|null} range - content_raw range
+   * @param {Array} used - Notes rendered so far; appended to
+   * @param {Function} marker - (n) => marker text
+   * @param {Function} escape - Escapes text taken from content_raw
+   * @returns {string} Rendered text, whitespace not yet collapsed
+   */
+  _renderReadableRange(doc, range, used, marker, escape) {
+    if (!range || range.end <= range.start) {
+      return '';
+    }
+    let out = '';
+    let cursor = range.start;
+    for (const note of doc.notes) {
+      if (note.start < range.start || note.end > range.end) continue;
+      out += escape(doc.contentRaw.substring(cursor, note.start)) + marker(used.push(note));
+      cursor = note.end;
+    }
+    return out + escape(doc.contentRaw.substring(cursor, range.end));
+  },
+
+  /**
+   * Backslash-escape characters Markdown would treat as markup
+   * @private
+   * @param {string} str - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeMarkdown(str) {
+    return String(str).replace(/[\\`*_\[\]<>#|~]/g, '\\$&');
+  },
+
+  /**
+   * Width of a string in terminal columns, ignoring combining marks and
+   * zero-width format characters so Bengali table columns line up
+   * @private
+   * @param {string} str - Text to measure
+   * @returns {number} Column count
+   */
+  _displayWidth(str) {
+    return Array.from(String(str)).filter(ch => !/[\p{M}\p{Cf}]/u.test(ch)).length;
+  },
+
   /**
    * Format structured sections for export
    * Requirements: 23.6 - Preserve title-body association and document order
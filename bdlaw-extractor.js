@@ -118,6 +118,10 @@ const BDLawExtractor = {
    * - OCR corrections that change words
    * - Spelling corrections
    * - Punctuation changes
+   * 
+   * High-risk transformations (applied, always flagged):
+   * - Legacy font conversion, which re-encodes whole spans; the log keeps
+   *   the original span so the conversion can be checked or undone
    */
   RISK_CLASSIFICATION: {
     // Non-semantic (safe to apply) - Requirements: 2.2
@@ -132,7 +136,10 @@ const BDLawExtractor = {
     'ocr_correction': 'potential-semantic',
     'spelling_correction': 'potential-semantic',
     'punctuation_change': 'potential-semantic',
-    'word_substitution': 'potential-semantic'
+    'word_substitution': 'potential-semantic',
+
+    // High-risk (applied, original span kept in the log)
+    'legacy_font_conversion': 'high-risk'
   },
 
   /**
@@ -154,16 +161,22 @@ const BDLawExtractor = {
    * - original: Original text before transformation
    * - corrected: Text after transformation (or proposed correction)
    * - position: Character offset in content_raw
-   * - risk_level: "non-semantic" or "potential-semantic"
+   * - risk_level: "non-semantic", "potential-semantic" or "high-risk"
    * - applied: true if applied, false if flag-only mode
    * - timestamp: ISO timestamp of when transformation was logged
    * 
    * CRITICAL: If risk_level is "potential-semantic", applied MUST be false
    * and the transformation should NOT be applied to content_corrected.
    * 
+   * Entries summarising a class of changes may also carry change_class,
+   * count, skipped_count and skipped_reason, which are copied to the log;
+   * applied: false marks a non-semantic change that was not made.
+   * High-risk transformations are applied like non-semantic ones; their
+   * risk_level flags them for review.
+   * 
    * @param {Array} transformationLog - The log array to append to
    * @param {Object} entry - Transformation entry with type, original, corrected, position
-   * @returns {boolean} Whether the transformation should be applied (true for non-semantic only)
+   * @returns {boolean} Whether the transformation should be applied (true for non-semantic and high-risk)
    */
   logTransformation(transformationLog, entry) {
     // Validate required fields
@@ -187,7 +200,7 @@ const BDLawExtractor = {
 
     // Requirements: 2.4 - Flag-only mode for potential-semantic
     // If risk_level is "potential-semantic", applied MUST be false
-    const shouldApply = riskLevel === 'non-semantic';
+    const shouldApply = (riskLevel === 'non-semantic' || riskLevel === 'high-risk') && entry.applied !== false;
 
     // Create the complete log entry
     // Requirements: 2.1, 2.5 - Include all required fields
@@ -200,6 +213,11 @@ const BDLawExtractor = {
       applied: shouldApply,
       timestamp: new Date().toISOString()
     };
+    for (const field of ['change_class', 'count', 'skipped_count', 'skipped_reason']) {
+      if (entry[field] !== undefined) {
+        logEntry[field] = entry[field];
+      }
+    }
 
     // Append to transformation log
     transformationLog.push(logEntry);
@@ -214,7 +232,7 @@ const BDLawExtractor = {
    * Requirements: 2.2, 2.3 - Risk Level Classification
    * 
    * @param {string} transformationType - The type of transformation
-   * @returns {string} Risk level: "non-semantic" or "potential-semantic"
+   * @returns {string} Risk level: "non-semantic", "potential-semantic" or "high-risk"
    */
   getRiskLevel(transformationType) {
     return this.RISK_CLASSIFICATION[transformationType] || 'potential-semantic';
@@ -853,6 +871,35 @@ const BDLawExtractor = {
     );
   },
 
+  /**
+   * Scale words that multiply a written amount
+   */
+  NUMERIC_SCALE_WORDS: {
+    'হাজার': 1e3, 'লক্ষ': 1e5, 'লাখ': 1e5, 'কোটি': 1e7,
+    thousand: 1e3, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, crore: 1e7, crores: 1e7
+  },
+
+  /**
+   * Read the first number in a numeric expression as a value
+   *
+   * Bengali digits become Western digits, grouping commas ("১,০০,০০০") are
+   * dropped, a parenthesised number in words ("৫০ (পঞ্চাশ) হাজার") is skipped
+   * and a following scale word (NUMERIC_SCALE_WORDS) multiplies the value.
+   *
+   * @param {string} text - Expression such as a numeric region's text
+   * @returns {number|null} The value, or null when there is no number
+   */
+  parseNumericValue(text) {
+    const western = String(text || '').replace(/[০-৯]/g, d => String(d.charCodeAt(0) - 0x09E6));
+    const match = western.match(/(\d[\d,]*(?:\.\d+)?)\s*(?:\([^()\n]*\)\s*)?([^\s\d,.()]+)?/);
+    if (!match) {
+      return null;
+    }
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    const scale = match[2] ? this.NUMERIC_SCALE_WORDS[match[2].toLowerCase()] : undefined;
+    return scale ? value * scale : value;
+  },
+
   // ============================================
   // THREE-VERSION CONTENT MODEL
   // Requirements: 1.1-1.6 - Legal Integrity Enhancement
@@ -864,7 +911,8 @@ const BDLawExtractor = {
    * 
    * This function creates the foundational content model for legal integrity:
    * - content_raw: Exact extracted text, NEVER modified after creation
-   * - content_normalized: Unicode NFC normalized only, no wording changes
+   * - content_normalized: Unicode NFC plus Bengali canonicalisation
+   *   (normalizeBengaliText), no wording changes
    * - content_corrected: Initialized from normalized, will receive encoding-level fixes only
    * 
    * CRITICAL: content_raw is immutable and serves as the anchor for:
@@ -873,9 +921,11 @@ const BDLawExtractor = {
    * - Audit trail verification
    * 
    * @param {string} extractedText - Raw text from DOM extraction
+   * @param {Object} options - { transformationLog: array that receives one
+   *   unicode_normalization entry per change class }
    * @returns {Object} Three-version content object
    */
-  createThreeVersionContent(extractedText) {
+  createThreeVersionContent(extractedText, options = {}) {
     // Handle null/undefined input - create empty structure
     if (extractedText === null || extractedText === undefined) {
       return {
@@ -892,11 +942,18 @@ const BDLawExtractor = {
     // Requirements: 1.1, 1.2 - content_raw is byte-identical to extracted text
     const content_raw = rawText;
 
-    // content_normalized: Apply Unicode NFC normalization only
-    // Requirements: 1.3 - Unicode NFC normalization, no wording changes
-    // NFC (Canonical Decomposition, followed by Canonical Composition)
-    // This ensures consistent Unicode representation without changing meaning
-    const content_normalized = rawText.normalize('NFC');
+    // content_normalized: Apply Unicode NFC and Bengali canonicalisation
+    // Requirements: 1.3 - Unicode normalization, no wording changes
+    // Numeric regions and protected sections keep their code points apart
+    // from canonically equivalent changes
+    const normalization = this.normalizeBengaliText(rawText, {
+      numericRegions: this.detectNumericRegions(rawText),
+      protectedRegions: this.detectProtectedSections(rawText).regions
+    });
+    const content_normalized = normalization.normalized;
+    if (Array.isArray(options.transformationLog)) {
+      this.logNormalizationChanges(options.transformationLog, normalization.changes);
+    }
 
     // content_corrected: Initialize from normalized, will receive encoding fixes
     // Requirements: 1.4 - Encoding-level fixes only (mojibake, HTML entities, broken Unicode)
@@ -910,6 +967,158 @@ const BDLawExtractor = {
     };
   },
 
+  /**
+   * Bengali code point sequences folded by normalizeBengaliText, one
+   * capture group per change class (see BENGALI_NORMALIZATION_CLASSES)
+   */
+  BENGALI_NORMALIZATION_PATTERN: /(\u09A4\u09CD\u200D)|([\u09DC\u09DD\u09DF])|([\u09A1\u09A2\u09AF][\u09BE-\u09CC\u09D7]+\u09BC)|(\u09C7[\u09BE\u09D7])|([\u200C\u200D]+)|(\u25CC+(?=[\u0981-\u0983\u09BC\u09BE-\u09CD\u09D7]))/g,
+
+  /**
+   * Change classes of normalizeBengaliText, in pattern group order, then nfc
+   * - khanda_ta: ত + hasanta + ZWJ (Unicode 4.0 encoding) to ৎ
+   * - nukta_decomposition: precomposed ড় ঢ় য় to consonant + nukta, as NFC does
+   * - nukta_order: nukta typed after a vowel sign moved onto its consonant
+   * - vowel_sign_composition: ে + া / ে + ৗ to ো / ৌ, as NFC does
+   * - stray_zero_width: ZWJ/ZWNJ not next to a hasanta (a hasanta keeps one)
+   * - dotted_circle: ◌ placeholder pasted before a vowel sign or mark
+   * - nfc: any other NFC change, counted per whitespace-delimited token
+   *
+   * canonical classes do not change the text under Unicode canonical
+   * equivalence and apply everywhere; the others are skipped inside numeric
+   * regions and protected sections.
+   */
+  BENGALI_NORMALIZATION_CLASSES: [
+    { change_class: 'khanda_ta', canonical: false },
+    { change_class: 'nukta_decomposition', canonical: true },
+    { change_class: 'nukta_order', canonical: false },
+    { change_class: 'vowel_sign_composition', canonical: true },
+    { change_class: 'stray_zero_width', canonical: false },
+    { change_class: 'dotted_circle', canonical: false },
+    { change_class: 'nfc', canonical: true }
+  ],
+
+  /**
+   * Normalise Bengali text for content_normalized
+   *
+   * Applies the BENGALI_NORMALIZATION_CLASSES folds and NFC, so identical
+   * words end up with identical code points. Offsets in the changes and the
+   * regions index the input text.
+   *
+   * @param {string} text - Text to normalise (content_raw)
+   * @param {Object} options - { numericRegions, protectedRegions } indexing text
+   * @returns {Object} { normalized, changes, skippedInNumericRegions, skippedInProtectedSections };
+   *   each change is { change_class, count, skipped_count, position, original, corrected }
+   *   for the first occurrence of its class
+   */
+  normalizeBengaliText(text, options = {}) {
+    const empty = { normalized: typeof text === 'string' ? text : '', changes: [], skippedInNumericRegions: 0, skippedInProtectedSections: 0 };
+    if (typeof text !== 'string' || text.length === 0) {
+      return empty;
+    }
+
+    const numericRegions = options.numericRegions || [];
+    const protectedRegions = options.protectedRegions || [];
+    const overlaps = (regions, start, end) => regions.some(region => start < region.end && region.start < end);
+    const changes = new Map();
+    let skippedInNumericRegions = 0;
+    let skippedInProtectedSections = 0;
+
+    const record = (changeClass, position, original, corrected, skipped) => {
+      if (!changes.has(changeClass)) {
+        changes.set(changeClass, { change_class: changeClass, count: 0, skipped_count: 0, position, original, corrected });
+      }
+      changes.get(changeClass)[skipped ? 'skipped_count' : 'count']++;
+    };
+
+    const fold = (match, offset) => {
+      const groups = match.slice(1, this.BENGALI_NORMALIZATION_CLASSES.length);
+      const index = groups.findIndex(group => group !== undefined);
+      const { change_class: changeClass, canonical } = this.BENGALI_NORMALIZATION_CLASSES[index];
+      const original = match[0];
+      let corrected;
+      if (changeClass === 'khanda_ta') {
+        corrected = '\u09CE';
+      } else if (changeClass === 'nukta_decomposition') {
+        corrected = original.normalize('NFD');
+      } else if (changeClass === 'nukta_order') {
+        corrected = original[0] + '\u09BC' + original.slice(1, -1);
+      } else if (changeClass === 'vowel_sign_composition') {
+        corrected = original.normalize('NFC');
+      } else if (changeClass === 'stray_zero_width') {
+        const joinsHasanta = text[offset - 1] === '\u09CD' || text[offset + original.length] === '\u09CD';
+        corrected = joinsHasanta ? original[0] : '';
+        if (corrected === original) {
+          return original;
+        }
+      } else {
+        corrected = '';
+      }
+
+      if (!canonical) {
+        const end = offset + original.length;
+        if (overlaps(numericRegions, offset, end)) {
+          skippedInNumericRegions++;
+          record(changeClass, offset, original, corrected, true);
+          return original;
+        }
+        if (overlaps(protectedRegions, offset, end)) {
+          skippedInProtectedSections++;
+          record(changeClass, offset, original, corrected, true);
+          return original;
+        }
+      }
+      record(changeClass, offset, original, corrected, false);
+      return corrected;
+    };
+
+    const normalized = text.replace(/\S+/g, (token, tokenStart) => {
+      const pattern = new RegExp(this.BENGALI_NORMALIZATION_PATTERN.source, 'g');
+      let folded = '';
+      let last = 0;
+      let match;
+      while ((match = pattern.exec(token)) !== null) {
+        folded += token.slice(last, match.index) + fold(match, tokenStart + match.index);
+        last = match.index + match[0].length;
+      }
+      folded += token.slice(last);
+
+      const composed = folded.normalize('NFC');
+      if (composed !== folded) {
+        record('nfc', tokenStart, token, composed, false);
+      }
+      return composed;
+    });
+
+    return {
+      normalized,
+      changes: Array.from(changes.values()),
+      skippedInNumericRegions,
+      skippedInProtectedSections
+    };
+  },
+
+  /**
+   * Log normalizeBengaliText changes, one unicode_normalization entry per
+   * change class with its counts
+   *
+   * @param {Array} transformationLog - The log array to append to
+   * @param {Array} changes - changes from normalizeBengaliText
+   */
+  logNormalizationChanges(transformationLog, changes) {
+    for (const change of changes || []) {
+      this.logTransformation(transformationLog, {
+        transformation_type: 'unicode_normalization',
+        change_class: change.change_class,
+        original: change.original,
+        corrected: change.corrected,
+        position: change.position,
+        count: change.count,
+        skipped_count: change.skipped_count,
+        applied: change.count > 0
+      });
+    }
+  },
+
   /**
    * Compute SHA-256 hash from content_raw exclusively
    * Requirements: 1.5 - Content hash anchored to content_raw
@@ -1213,6 +1422,7 @@ const BDLawExtractor = {
    * English patterns:
    * - ACT_FULL: "[Name] Act, [Year] ([Roman/Arabic] of [Year])"
    * - ACT_SHORT: "Act [Roman/Arabic] of [Year]"
+   * - ACT_NUMBERED: "Act/Ordinance No. [Roman/Arabic] of [Year]"
    * - ORDINANCE: "Ordinance [Roman/Arabic] of [Year]"
    * 
    * Bengali patterns:
@@ -1227,6 +1437,7 @@ const BDLawExtractor = {
     // English patterns - Requirements: 1.1, 1.2, 1.3
     ENGLISH_ACT_FULL: /([A-Z][a-zA-Z\s]+(?:Act|Ordinance)),?\s*(\d{4})\s*\(([IVXLCDM]+|\d+)\s+of\s+(\d{4})\)/g,
     ENGLISH_ACT_SHORT: /(?:Act|Ordinance)\s+([IVXLCDM]+|\d+)\s+of\s+(\d{4})/g,
+    ENGLISH_ACT_NUMBERED: /(?:Act|Ordinance)\s+No\.?\s*([IVXLCDM]+|\d+)\s+of\s+(\d{4})/g,
     
     // Bengali patterns - Requirements: 2.1, 2.2, 2.3
     BENGALI_ACT_FULL: /([^\s,।]+(?:\s+[^\s,।]+)*\s+আইন),?\s*([\u09E6-\u09EF0-9]{4})\s*\(([\u09E6-\u09EF0-9]{4})\s*সনের\s*([\u09E6-\u09EF0-9]+)\s*নং\s*আইন\)/g,
@@ -1308,6 +1519,77 @@ const BDLawExtractor = {
     enactmentClause: /সেহেতু\s+এতদ্বারা|Be\s+it\s+enacted/gi
   },
 
+  /**
+   * Container heading patterns: parts, chapters and schedules
+   *
+   * Matched against the start of a line. `word` captures an ordinal
+   * ("দ্বিতীয় অধ্যায়", "FIRST SCHEDULE"), which must appear in
+   * CONTAINER_ORDINALS; `number` captures a numeral or letter
+   * ("অধ্যায় ৩", "PART II", "তফসিল-ক"). English headings are matched in
+   * capitals only so that sentences starting "Part II of ..." are not taken
+   * for headings.
+   */
+  STRUCTURE_CONTAINER_PATTERNS: {
+    part: [
+      /^(?<word>[ঀ-৿]+)[ \t]+(?:ভাগ|খণ্ড)(?=$|[\s\-–—:৷.,])/,
+      /^(?:ভাগ|খণ্ড)[ \t]*[-–—]?[ \t]*(?<number>[০-৯]+|[0-9]+)(?=$|[\s\-–—:৷.,])/,
+      /^PART[ \t]+(?<number>[IVXLC]+[A-Z]?|[0-9]+[A-Z]?|[A-Z])(?=$|[\s\-–—:.,])/
+    ],
+    chapter: [
+      /^(?<word>[ঀ-৿]+)[ \t]+অধ্যা(?:য়|য়)(?=$|[\s\-–—:৷.,])/,
+      /^অধ্যা(?:য়|য়)[ \t]*[-–—]?[ \t]*(?<number>[০-৯]+[ক-হ]?|[0-9]+[A-Z]?)(?=$|[\s\-–—:৷.,])/,
+      /^CHAPTER[ \t]+(?<number>[IVXLC]+[A-Z]?|[0-9]+[A-Z]?)(?=$|[\s\-–—:.,])/
+    ],
+    schedule: [
+      /^(?:(?<word>[ঀ-৿]+)[ \t]+)?তফসিল(?:[ \t]*[-–—]?[ \t]*(?<number>[০-৯]+|[ক-হ]))?(?=$|[\s\-–—:৷.,])/,
+      /^(?:THE[ \t]+)?(?:(?<word>[A-Z]+)[ \t]+)?SCHEDULE(?:[ \t]*[-–—]?[ \t]*(?<number>[IVXLC]+|[0-9]+|[A-Z]))?(?=$|[\s\-–—:.,])/
+    ]
+  },
+
+  /**
+   * Ordinal words accepted before a container keyword (index + 1 = value)
+   */
+  CONTAINER_ORDINALS: {
+    bengali: [
+      'প্রথম', 'দ্বিতীয়', 'তৃতীয়', 'চতুর্থ', 'পঞ্চম', 'ষষ্ঠ', 'সপ্তম', 'অষ্টম', 'নবম', 'দশম',
+      'একাদশ', 'দ্বাদশ', 'ত্রয়োদশ', 'চতুর্দশ', 'পঞ্চদশ', 'ষোড়শ', 'সপ্তদশ', 'অষ্টাদশ', 'ঊনবিংশ', 'বিংশ'
+    ],
+    english: [
+      'FIRST', 'SECOND', 'THIRD', 'FOURTH', 'FIFTH', 'SIXTH', 'SEVENTH', 'EIGHTH', 'NINTH', 'TENTH',
+      'ELEVENTH', 'TWELFTH', 'THIRTEENTH', 'FOURTEENTH', 'FIFTEENTH', 'SIXTEENTH', 'SEVENTEENTH',
+      'EIGHTEENTH', 'NINETEENTH', 'TWENTIETH'
+    ]
+  },
+
+  /**
+   * Nesting rank of container types: a container closes every open
+   * container of the same or a deeper rank. Parts hold chapters; schedules
+   * sit at the top level and may hold parts of their own.
+   */
+  CONTAINER_RANKS: { schedule: 0, part: 1, chapter: 2 },
+
+  /**
+   * Proviso, explanation and illustration markers inside sections
+   *
+   * Bengali explanations and illustrations must be followed by a danda,
+   * colon or dash ("ব্যাখ্যা৷-", "দৃষ্টান্ত:") so that the words used in
+   * running text are not taken for block markers.
+   */
+  SECTION_BLOCK_PATTERNS: {
+    proviso: [
+      /(?:তবে|আরও)\s+শর্ত\s+থাকে\s+যে/g,
+      /\bProvided\s+(?:(?:further|also|always|however),?\s+)?that\b/g
+    ],
+    explanation: [
+      /ব্যাখ্যা(?:\s*[০-৯]+)?\s*[৷।:.\-–—]/g,
+      /\bExplanation(?:\s+[IVX0-9]+)?\s*[.:\-–—]/g
+    ],
+    illustration: [
+      /দৃষ্টান্ত(?:সমূহ)?\s*[৷।:.\-–—]/g,
+      /\bIllustrations?(?=\s*[.:\-–—\n]|\s+\([a-z]\))/g
+    ]
+  },
+
   /**
    * Act link pattern for href extraction (used by content.js)
    * Extracts act_id from URLs like act-details-790.html
@@ -2209,8 +2491,11 @@ const BDLawExtractor = {
    * 
    * Solution: Maintain a state matrix to track cell positions across rows.
    * 
+   * cells lists each origin cell with its grid position, spans and whether it
+   * is a header cell (<th>, or any cell in <thead>).
+   *
    * @param {HTMLTableElement} tableElement - The table element to extract
-   * @returns {Object} { data: string[][], hasMergedCells: boolean, rowCount: number, colCount: number }
+   * @returns {Object} { data: string[][], cells: Object[], hasMergedCells: boolean, rowCount: number, colCount: number }
    */
   extractTableWithMergedCells(tableElement) {
     if (!tableElement) {
@@ -2218,6 +2503,7 @@ const BDLawExtractor = {
     }
 
     const matrix = [];
+    const originCells = [];
     let hasMergedCells = false;
     let maxColCount = 0;
 
@@ -2226,6 +2512,7 @@ const BDLawExtractor = {
 
     rows.forEach((row, rowIndex) => {
       const cells = row.querySelectorAll('td, th');
+      const inHead = row.parentElement?.tagName === 'THEAD';
       let colIndex = 0;
 
       // Initialize row in matrix if not exists
@@ -2258,6 +2545,13 @@ const BDLawExtractor = {
         if (rowspan > 1 || colspan > 1) {
           hasMergedCells = true;
         }
+        originCells.push({
+          row: rowIndex,
+          col: colIndex,
+          rowspan,
+          colspan,
+          header: inHead || cell.tagName === 'TH'
+        });
 
         // Requirements: 24.1, 24.2, 24.4 - Fill matrix based on span dimensions
         // Use matrix-based algorithm to track cell positions across rows
@@ -2299,6 +2593,7 @@ const BDLawExtractor = {
 
     return {
       data: normalizedMatrix,
+      cells: originCells,
       hasMergedCells,
       rowCount: normalizedMatrix.length,
       colCount: maxColCount
@@ -2527,6 +2822,7 @@ const BDLawExtractor = {
           script: 'english'
         };
       case 'ENGLISH_ACT_SHORT':
+      case 'ENGLISH_ACT_NUMBERED':
         return {
           act_name: null,
           citation_serial: match[1],
@@ -2706,6 +3002,8 @@ const BDLawExtractor = {
    * 
    * Checks if content contains Bengali Unicode characters (U+0980 to U+09FF).
    * Returns 'bengali' if Bengali characters are found, 'english' otherwise.
+   * Bengali typed in legacy ASCII-mapped fonts (Bijoy/SutonnyMJ) counts as
+   * Bengali, though it is made of Latin characters.
    * 
    * @param {string} content - The act content to analyze
    * @returns {string} 'bengali' if content contains Bengali characters, 'english' otherwise
@@ -2720,9 +3018,30 @@ const BDLawExtractor = {
       return 'bengali';
     }
 
+    const legacyFont = this._loadLegacyFont();
+    if (legacyFont && legacyFont.detectLegacyFontSpans(content).length > 0) {
+      return 'bengali';
+    }
+
     return 'english';
   },
 
+  /**
+   * BDLawLegacyFont when loaded, for legacy font aware language detection
+   *
+   * @returns {Object|null} The legacy font module, or null when unavailable
+   */
+  _loadLegacyFont() {
+    if (typeof BDLawLegacyFont !== 'undefined') {
+      return BDLawLegacyFont;
+    }
+    try {
+      return require('./bdlaw-legacy-font.js');
+    } catch (e) {
+      return null;
+    }
+  },
+
   /**
    * Lexical relation disclaimer for exports
    * Requirements: 5.2, 5.3, 5.4, 5.5 - Lexical Relation Purity
@@ -2798,6 +3117,7 @@ const BDLawExtractor = {
    * Requirements: 6.1 - Detect status from source page structure
    */
   LEGAL_STATUS_SELECTORS: [
+    '.bt-act-repealed',
     '.act-status',
     '.law-status',
     '.status-badge',
@@ -2826,15 +3146,20 @@ const BDLawExtractor = {
    * IMPORTANT: This function does NOT infer legal status from content.
    * It only detects explicit status markers on the source page.
    * 
+   * The same elements are searched for repeal evidence (extractRepealEvidence),
+   * which names the repealing instrument where the page states it.
+   * 
    * @param {Document} document - The DOM document to analyze
-   * @returns {Object} {legal_status: string, status_source: string|null, status_indicators: string[]}
+   * @param {string|null} contentRaw - content_raw, to locate repeal evidence in it
+   * @returns {Object} {legal_status: string, status_source: string|null, status_indicators: string[], repeal_evidence: Object[]}
    */
-  detectLegalStatus(document) {
+  detectLegalStatus(document, contentRaw = null) {
     // Default result - unknown status
     const result = {
       legal_status: 'unknown',
       status_source: null,
-      status_indicators: []
+      status_indicators: [],
+      repeal_evidence: []
     };
 
     // Validate input
@@ -2843,8 +3168,18 @@ const BDLawExtractor = {
     }
 
     const detectedIndicators = [];
+    const repealEvidence = [];
     let statusSource = null;
 
+    // Evidence from nested elements is found once, under the first selector
+    const addEvidence = (text, source) => {
+      for (const entry of this.extractRepealEvidence(text, source, contentRaw)) {
+        if (!repealEvidence.some(seen => seen.evidence_text === entry.evidence_text)) {
+          repealEvidence.push(entry);
+        }
+      }
+    };
+
     // Step 1: Check status-specific DOM elements
     for (const selector of this.LEGAL_STATUS_SELECTORS) {
       try {
@@ -2860,6 +3195,7 @@ const BDLawExtractor = {
             if (!statusSource) {
               statusSource = selector;
             }
+            addEvidence(text, selector);
           }
         }
       } catch (e) {
@@ -2876,6 +3212,7 @@ const BDLawExtractor = {
         if (!statusSource) {
           statusSource = 'document.title';
         }
+        addEvidence(document.title, 'document.title');
       }
     }
 
@@ -2885,6 +3222,7 @@ const BDLawExtractor = {
       result.legal_status = 'repealed';
       result.status_source = statusSource;
       result.status_indicators = [...new Set(detectedIndicators)]; // Deduplicate
+      result.repeal_evidence = repealEvidence;
     } else {
       // No repealed indicators found - assume active
       // Requirements: 6.2 - Default to "active" when no repealed markers found
@@ -2943,6 +3281,124 @@ const BDLawExtractor = {
     };
   },
 
+  /**
+   * Phrases naming the instrument that repealed an act
+   *
+   * English names the instrument after the verb ("repealed by section 3 of
+   * the X Act, 2004 (Act No. 5 of 2004)"); Bengali before it ("২০০৪ সনের ৫
+   * নং আইন এর ধারা ৩ দ্বারা রহিত"). Windows stop at brackets, line breaks and
+   * semicolons (and dandas in Bengali) and are at most 240 characters.
+   */
+  REPEAL_EVIDENCE_PATTERNS: {
+    english: /\b(?:repealed|rescinded|revoked)\s+(?:by|under|vide)\s[^\[\]\n;]{0,240}/gi,
+    bengali: /[^\[\]\n৷।;]{0,240}?(?:দ্বারা|বলে|মূলে)\s*(?:রহিত|বাতিল|রদ)/g
+  },
+
+  /**
+   * Semantics label carried by every repeal evidence entry
+   */
+  REPEAL_EVIDENCE_SEMANTICS: 'string_match_only',
+
+  /**
+   * Extract repeal evidence from status text
+   *
+   * For each REPEAL_EVIDENCE_PATTERNS match, records the repealing
+   * instrument's citation (CITATION_PATTERNS; the first after an English
+   * verb, the last before a Bengali one), its title when written out, the
+   * section of the repealing instrument when stated, and the evidence span.
+   * The span runs from the verb to the end of the citation (English) or from
+   * the citation to the verb (Bengali). Evidence is a string match on the
+   * page text; it is not a finding that the act was repealed.
+   *
+   * @param {string} text - Status element, notice or title text
+   * @param {string|null} source - Where the text came from (selector or 'document.title')
+   * @param {string|null} contentRaw - content_raw, to locate the evidence in it
+   * @returns {Array<Object>} Evidence entries:
+   *   {evidence_text, evidence_start, evidence_end, repealing_citation,
+   *   repealing_instrument_title, repealing_section, source,
+   *   character_offset, evidence_semantics}
+   */
+  extractRepealEvidence(text, source = null, contentRaw = null) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const citationsIn = (window, base) => {
+      const found = [];
+      for (const [patternName, pattern] of Object.entries(this.CITATION_PATTERNS)) {
+        const regex = new RegExp(pattern.source, pattern.flags);
+        let match;
+        while ((match = regex.exec(window)) !== null) {
+          found.push({
+            citation_text: match[0],
+            pattern_type: patternName,
+            position: base + match.index,
+            ...this._extractCitationComponents(patternName, match)
+          });
+        }
+      }
+      return this._deduplicateReferences(found);
+    };
+    const sectionOf = (between, script) => {
+      const match = script === 'english'
+        ? between.match(/\bsection\s+(\d+[A-Z]?(?:\(\d+\))?)/i)
+        : between.match(/ধারা\s*([০-৯0-9]+[ক-হ]?)|([০-৯0-9]+[ক-হ]?)\s*(?:নং\s*)?ধারা/);
+      return match ? (match[1] || match[2]) : null;
+    };
+
+    const evidence = [];
+    for (const [script, pattern] of Object.entries(this.REPEAL_EVIDENCE_PATTERNS)) {
+      const regex = new RegExp(pattern.source, pattern.flags);
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const windowStart = match.index + (match[0].length - match[0].trimStart().length);
+        const windowText = match[0].trim();
+        const citations = citationsIn(windowText, windowStart);
+        let start = windowStart;
+        let end = windowStart + windowText.length;
+        let citation = null;
+        let title = null;
+        let section = null;
+
+        if (script === 'english') {
+          citation = citations[0] || null;
+          if (citation) {
+            end = citation.position + citation.citation_text.length;
+            if (text[end] === ')') end++;
+            const before = text.substring(windowStart, citation.position);
+            section = sectionOf(before, script);
+            const named = before.match(/\b(?:by|under|vide)\s+(?:section\s+\S+\s+of\s+)?(?:the\s+)?([A-Z][^,()]*?(?:Act|Ordinance|Order|Regulation)(?:,\s*\d{4})?)/);
+            title = named ? named[1].trim() : (citation.act_name || null);
+          } else {
+            end = windowStart + windowText.replace(/[.,]+$/, '').length;
+          }
+        } else {
+          citation = citations[citations.length - 1] || null;
+          if (citation) {
+            start = citation.position;
+            section = sectionOf(text.substring(citation.position + citation.citation_text.length, end), script);
+            title = citation.act_name || null;
+          }
+        }
+
+        const evidenceText = text.substring(start, end);
+        evidence.push({
+          evidence_text: evidenceText,
+          evidence_start: start,
+          evidence_end: end,
+          repealing_citation: citation,
+          repealing_instrument_title: title,
+          repealing_section: section,
+          source,
+          character_offset: contentRaw ? this.calculateOffsetInContentRaw(evidenceText, contentRaw) : -1,
+          evidence_semantics: this.REPEAL_EVIDENCE_SEMANTICS
+        });
+      }
+    }
+
+    return evidence.sort((a, b) => a.evidence_start - b.evidence_start);
+  },
+
   /**
    * Temporal status constant
    * Requirements: 7.1 - All acts are marked as "historical_text"
@@ -3058,7 +3514,8 @@ const BDLawExtractor = {
     const legalStatus = document ? this.detectLegalStatus(document) : {
       legal_status: 'unknown',
       status_source: null,
-      status_indicators: []
+      status_indicators: [],
+      repeal_evidence: []
     };
 
     // Get temporal status (always "historical_text")
@@ -3068,6 +3525,7 @@ const BDLawExtractor = {
       legal_status: legalStatus.legal_status,
       status_source: legalStatus.status_source,
       status_indicators: legalStatus.status_indicators,
+      repeal_evidence: legalStatus.repeal_evidence,
       ...temporalStatus
     };
   },
@@ -3121,6 +3579,8 @@ const BDLawExtractor = {
    * - schedule_count: Number of schedule elements found
    * - has_tables: Whether any tables were found
    * - missing_schedule_flag: True if schedule markers found but no HTML content
+   * - tables: Structured tables derived by extractScheduleTables, alongside
+   *   (never instead of) the raw HTML
    * 
    * CRITICAL: This function does NOT flatten, clean, or transform the HTML.
    * The raw HTML is preserved exactly as extracted from the DOM.
@@ -3139,7 +3599,8 @@ const BDLawExtractor = {
       schedule_count: 0,
       has_tables: false,
       missing_schedule_flag: false,
-      schedule_elements: []
+      schedule_elements: [],
+      tables: []
     };
 
     // Validate input
@@ -3163,6 +3624,7 @@ const BDLawExtractor = {
             scheduleElements.push({
               selector: selector,
               html: html,
+              element: element,
               has_table: element.querySelector('table') !== null || element.tagName === 'TABLE'
             });
           }
@@ -3188,6 +3650,7 @@ const BDLawExtractor = {
               scheduleElements.push({
                 selector: `${containerSelector} table`,
                 html: html,
+                element: table,
                 has_table: true
               });
             }
@@ -3227,6 +3690,7 @@ const BDLawExtractor = {
         has_table: el.has_table,
         html_length: el.html.length
       }));
+      result.tables = this.extractScheduleTables(scheduleElements.map(el => el.element));
     } else if (hasScheduleMarkers) {
       // Schedule markers found but no HTML content
       // Requirements: 8.6 - Flag missing schedules without inferring content
@@ -3236,6 +3700,195 @@ const BDLawExtractor = {
     return result;
   },
 
+  /**
+   * Schedule title patterns: an optional ordinal or number around
+   * তফসিল/Schedule/Appendix/Form. Text is matched with য় decomposed.
+   */
+  SCHEDULE_TITLE_PATTERNS: [
+    /^(?:(?<ordinal>প্রথম|দ্বিতীয়|তৃতীয়|চতুর্থ|পঞ্চম|ষষ্ঠ|সপ্তম|অষ্টম|নবম|দশম)\s+)?তফসিল(?:\s*[-–—]?\s*(?<number>[০-৯\d]+|[কখগঘঙ])(?![ঀ-৿]))?/,
+    /^(?:the\s+)?(?:(?<ordinal>first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth)\s+)?(?:schedule|appendix|form)\b(?:\s*[-–—]?\s*(?<number>[IVXLC]+|\d+|[A-Z])\b)?/i
+  ],
+
+  /**
+   * Ordinal words → schedule number
+   */
+  SCHEDULE_ORDINALS: {
+    'প্রথম': 1, 'দ্বিতীয়': 2, 'তৃতীয়': 3, 'চতুর্থ': 4, 'পঞ্চম': 5,
+    'ষষ্ঠ': 6, 'সপ্তম': 7, 'অষ্টম': 8, 'নবম': 9, 'দশম': 10,
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+  },
+
+  /**
+   * A table cell holding only an amount, rate or count ("৫০০", "১,০০০ টাকা",
+   * "Tk. 500", "১৫%", "৫০০/-")
+   */
+  NUMERIC_CELL_PATTERN: /^(?:৳|Tk\.?|Taka|টাকা|Rs\.?)?\s*[\d০-৯][\d০-৯,]*(?:\.[\d০-৯]+)?\s*(?:হাজার|লক্ষ|লাখ|কোটি|thousand|lakhs?|lacs?|crores?)?\s*(?:%|শতাংশ|টাকা|taka|rupees?)?\s*(?:\/-|\.)?$/i,
+
+  /**
+   * Derive structured tables from schedule markup
+   *
+   * A parallel representation of the tables in schedules.html_content, which
+   * itself stays verbatim. Each top-level table is read with
+   * extractTableWithMergedCells into a cell matrix; merged cells are listed in
+   * spans, cells holding only a number get its value in values (Bengali digits
+   * and grouping commas read by parseNumericValue), and header rows come from
+   * <thead>/<th> markup, or are inferred when a first row of labels sits above
+   * numeric rows. The schedule title is the table's caption, the nearest
+   * preceding text naming a তফসিল/Schedule/Appendix/Form, or a first row
+   * holding only such a title.
+   *
+   * @param {Element|Document|Element[]} roots - Schedule elements or a parsed schedule document
+   * @returns {Array<Object>} Tables in document order:
+   *   {table_index, schedule_title, schedule_number, title_source, row_count,
+   *    col_count, has_merged_cells, header_rows, header_source, cells, spans, values}
+   */
+  extractScheduleTables(roots) {
+    const tables = [];
+    for (const root of [].concat(roots || [])) {
+      if (!root) {
+        continue;
+      }
+      const found = root.tagName === 'TABLE' ? [root] : Array.from(root.querySelectorAll?.('table') || []);
+      for (const table of found) {
+        if (!tables.includes(table) && !(table.parentElement && table.parentElement.closest('table'))) {
+          tables.push(table);
+        }
+      }
+    }
+    if (tables.every(table => typeof table.compareDocumentPosition === 'function')) {
+      // Node.DOCUMENT_POSITION_FOLLOWING
+      tables.sort((a, b) => (a.compareDocumentPosition(b) & 4 ? -1 : 1));
+    }
+
+    const result = [];
+    tables.forEach((table) => {
+      const parsed = this.extractTableWithMergedCells(table);
+      if (parsed.rowCount === 0 || parsed.colCount === 0) {
+        return;
+      }
+      const cells = parsed.data;
+      const origins = parsed.cells || [];
+      const values = cells.map(row => row.map(text => (
+        this.NUMERIC_CELL_PATTERN.test(text) ? this.parseNumericValue(text) : null
+      )));
+
+      let title = null;
+      let titleSource = null;
+      let bodyStart = 0;
+      const caption = table.querySelector?.('caption');
+      const firstRow = origins.filter(cell => cell.row === 0);
+      if (caption && this._scheduleTitle(caption.textContent)) {
+        title = this._scheduleTitle(caption.textContent);
+        titleSource = 'caption';
+      }
+      if (firstRow.length === 1 && firstRow[0].colspan === parsed.colCount && parsed.rowCount > 1 &&
+          this._scheduleTitle(cells[0][0])) {
+        bodyStart = 1;
+        if (!title) {
+          title = this._scheduleTitle(cells[0][0]);
+          titleSource = 'first_row';
+        }
+      }
+      // Preceding text, up to the previous table (which has its own title)
+      for (let node = table; !title && node && node.tagName !== 'BODY'; node = node.parentElement) {
+        let sibling = node.previousElementSibling;
+        for (let step = 0; !title && sibling && step < 3; step++, sibling = sibling.previousElementSibling) {
+          if (sibling.tagName === 'TABLE' || sibling.querySelector?.('table')) {
+            node = null;
+            break;
+          }
+          title = this._scheduleTitle(sibling.textContent);
+        }
+        titleSource = title ? 'preceding_text' : null;
+        if (!node) {
+          break;
+        }
+      }
+
+      const headerRows = [];
+      let headerSource = null;
+      for (let row = bodyStart; row < parsed.rowCount - 1; row++) {
+        const starting = origins.filter(cell => cell.row === row);
+        if (starting.length === 0 || !starting.every(cell => cell.header)) {
+          break;
+        }
+        headerRows.push(row);
+        headerSource = 'markup';
+      }
+      const labels = origins.filter(cell => cell.row === bodyStart);
+      if (headerRows.length === 0 && parsed.rowCount - bodyStart > 1 && labels.length > 0 &&
+          labels.every(cell => cells[bodyStart][cell.col] !== '' && values[bodyStart][cell.col] === null) &&
+          values.slice(bodyStart + 1).some(row => row.some(value => value !== null))) {
+        headerRows.push(bodyStart);
+        headerSource = 'inferred';
+      }
+
+      const number = title ? this._scheduleNumber(title) : null;
+      result.push({
+        table_index: result.length,
+        schedule_title: title,
+        schedule_number: number,
+        title_source: titleSource,
+        row_count: parsed.rowCount,
+        col_count: parsed.colCount,
+        has_merged_cells: parsed.hasMergedCells,
+        header_rows: headerRows,
+        header_source: headerSource,
+        cells,
+        spans: origins
+          .filter(cell => cell.rowspan > 1 || cell.colspan > 1)
+          .map(({ row, col, rowspan, colspan }) => ({ row, col, rowspan, colspan })),
+        values
+      });
+    });
+    return result;
+  },
+
+  /**
+   * First line of a text when it opens with a schedule title
+   * @private
+   * @param {string} text - Caption, heading or cell text
+   * @returns {string|null} The title line, whitespace collapsed
+   */
+  _scheduleTitle(text) {
+    const line = String(text || '').trim().split('\n')[0].replace(/\s+/g, ' ').trim();
+    if (!line || line.length > 200) {
+      return null;
+    }
+    const folded = line.replace(/\u09DF/g, '\u09AF\u09BC');
+    return this.SCHEDULE_TITLE_PATTERNS.some(pattern => pattern.test(folded)) ? line : null;
+  },
+
+  /**
+   * Schedule number from a title's ordinal word, digits or Roman numeral
+   * @private
+   * @param {string} title - Title from _scheduleTitle
+   * @returns {number|null} The number, or null when the title has none
+   */
+  _scheduleNumber(title) {
+    const folded = title.replace(/\u09DF/g, '\u09AF\u09BC');
+    for (const pattern of this.SCHEDULE_TITLE_PATTERNS) {
+      const match = folded.match(pattern);
+      if (!match) {
+        continue;
+      }
+      const { ordinal, number } = match.groups;
+      if (ordinal) {
+        return this.SCHEDULE_ORDINALS[ordinal.toLowerCase()] ?? this.SCHEDULE_ORDINALS[ordinal];
+      }
+      if (number && /^[\d০-৯]+$/.test(number)) {
+        return this.parseNumericValue(number);
+      }
+      if (number && /^(?:[IVXLC]{2,}|[IVX])$/i.test(number)) {
+        const roman = { I: 1, V: 5, X: 10, L: 50, C: 100 };
+        return [...number.toUpperCase()].reduce((sum, digit, i, digits) =>
+          sum + (roman[digits[i + 1]] > roman[digit] ? -roman[digit] : roman[digit]), 0);
+      }
+      return null;
+    }
+    return null;
+  },
+
   /**
    * Check if content has schedule references but missing schedule HTML
    * Requirements: 8.6 - Flag missing schedules without inferring content
@@ -4133,6 +4786,22 @@ const BDLawExtractor = {
     return result;
   },
 
+  /**
+   * Statutory footnote patterns (revision notes, amendment references)
+   */
+  STATUTORY_FOOTNOTE_PATTERNS: [
+    /\[Substituted by\s+[^\]]+\]/gi,      // Substitution notes
+    /\[Inserted by\s+[^\]]+\]/gi,         // Insertion notes
+    /\[Omitted by\s+[^\]]+\]/gi,          // Omission notes
+    /\[Repealed by\s+[^\]]+\]/gi,         // Repeal notes
+    /\[Added by\s+[^\]]+\]/gi,            // Addition notes
+    /\[Amended by\s+[^\]]+\]/gi,          // Amendment notes
+    /\[প্রতিস্থাপিত[^\]]*\]/g,            // Bengali substitution
+    /\[সংযোজিত[^\]]*\]/g,                 // Bengali insertion
+    /\[বিলুপ্ত[^\]]*\]/g,                 // Bengali omission
+    /\[সংশোধিত[^\]]*\]/g                  // Bengali amendment
+  ],
+
   /**
    * Detect statutory footnotes in content
    * 
@@ -4152,49 +4821,578 @@ const BDLawExtractor = {
       return result;
     }
 
-    // Patterns for statutory footnotes (revision notes, amendment references)
-    const statutoryFootnotePatterns = [
-      /\[Substituted by\s+[^\]]+\]/gi,      // Substitution notes
-      /\[Inserted by\s+[^\]]+\]/gi,         // Insertion notes
-      /\[Omitted by\s+[^\]]+\]/gi,          // Omission notes
-      /\[Repealed by\s+[^\]]+\]/gi,         // Repeal notes
-      /\[Added by\s+[^\]]+\]/gi,            // Addition notes
-      /\[Amended by\s+[^\]]+\]/gi,          // Amendment notes
-      /\[প্রতিস্থাপিত[^\]]*\]/g,            // Bengali substitution
-      /\[সংযোজিত[^\]]*\]/g,                 // Bengali insertion
-      /\[বিলুপ্ত[^\]]*\]/g,                 // Bengali omission
-      /\[সংশোধিত[^\]]*\]/g                  // Bengali amendment
-    ];
+    const totalCount = this.locateStatutoryFootnotes(content).length;
+
+    result.statutory_footnotes_present = totalCount > 0;
+    result.footnote_count = totalCount;
+
+    return result;
+  },
+
+  /**
+   * Locate statutory footnotes in content
+   * 
+   * Same patterns as detectStatutoryFootnotes, returning each match with its
+   * offset so exporters can point back into content_raw.
+   * 
+   * @param {string} content - Content to analyze (content_raw)
+   * @returns {Array<{text: string, offset: number}>} Matches sorted by offset
+   */
+  locateStatutoryFootnotes(content) {
+    if (!content || typeof content !== 'string') {
+      return [];
+    }
 
-    let totalCount = 0;
-    for (const pattern of statutoryFootnotePatterns) {
+    const footnotes = [];
+    for (const pattern of this.STATUTORY_FOOTNOTE_PATTERNS) {
       const freshPattern = new RegExp(pattern.source, pattern.flags);
-      const matches = content.match(freshPattern);
-      if (matches) {
-        totalCount += matches.length;
+      let match;
+      while ((match = freshPattern.exec(content)) !== null) {
+        footnotes.push({ text: match[0], offset: match.index });
       }
     }
 
-    result.statutory_footnotes_present = totalCount > 0;
-    result.footnote_count = totalCount;
+    return footnotes.sort((a, b) => a.offset - b.offset);
+  },
 
-    return result;
+  /**
+   * Amendment operations named at the start of a statutory footnote
+   *
+   * Every STATUTORY_FOOTNOTE_PATTERNS entry opens with one of these words, so
+   * each footnote has an operation; a new footnote pattern needs one here.
+   */
+  AMENDMENT_NOTE_OPERATIONS: [
+    { operation: 'substituted', pattern: /^\[\s*(Substituted|প্রতিস্থাপিত)/i },
+    { operation: 'inserted', pattern: /^\[\s*(Inserted|Added|সংযোজিত)/i },
+    { operation: 'omitted', pattern: /^\[\s*(Omitted|বিলুপ্ত)/i },
+    { operation: 'repealed', pattern: /^\[\s*(Repealed)/i },
+    { operation: 'amended', pattern: /^\[\s*(Amended|সংশোধিত)/i }
+  ],
+
+  /**
+   * Parse statutory footnotes into amendment notes
+   *
+   * Each footnote found by locateStatutoryFootnotes becomes one note with
+   * its operation, the first amending instrument citation inside it (matched
+   * with CITATION_PATTERNS), the footnote marker written just before the
+   * bracket ("¹[", "২[") and, when a structure tree is given, the section,
+   * subsection and clause holding it. The note is recorded as written; it is
+   * not checked against the amending instrument.
+   *
+   * @param {string} content - Content to analyze (content_raw)
+   * @param {Object|null} structure - Structure tree for scope anchoring
+   * @returns {Array<Object>} Notes in document order:
+   *   {note_text, character_offset, operation, operation_marker,
+   *   amending_citation, footnote_marker, scope}
+   */
+  parseAmendmentNotes(content, structure = null) {
+    return this.locateStatutoryFootnotes(content).map(footnote => {
+      const found = this.AMENDMENT_NOTE_OPERATIONS
+        .map(({ operation, pattern }) => ({ operation, match: footnote.text.match(pattern) }))
+        .find(({ match }) => match);
+
+      const citations = [];
+      for (const [patternName, pattern] of Object.entries(this.CITATION_PATTERNS)) {
+        const regex = new RegExp(pattern.source, pattern.flags);
+        let match;
+        while ((match = regex.exec(footnote.text)) !== null) {
+          citations.push({
+            citation_text: match[0],
+            pattern_type: patternName,
+            position: footnote.offset + match.index,
+            ...this._extractCitationComponents(patternName, match)
+          });
+        }
+      }
+      const [amendingCitation = null] = this._deduplicateReferences(citations);
+
+      const before = content.substring(Math.max(0, footnote.offset - 4), footnote.offset);
+      const markerMatch = before.match(/([০-৯0-9¹²³⁰⁴-⁹]+|\*+)$/);
+
+      return {
+        note_text: footnote.text,
+        character_offset: footnote.offset,
+        operation: found.operation,
+        operation_marker: found.match[1],
+        amending_citation: amendingCitation,
+        footnote_marker: markerMatch ? markerMatch[1] : null,
+        scope: this.anchorReferenceScope({ character_offset: footnote.offset }, structure)
+      };
+    });
   },
 
   // ============================================
-  // EDITORIAL CONTENT DETECTION
-  // Requirements: 15.1-15.6 - Legal Integrity Enhancement
+  // DATE EXTRACTION
   // ============================================
 
   /**
-   * Editorial content detection patterns
-   * Requirements: 15.1, 15.2, 15.3 - Detect footnotes, marginal notes, editor annotations
-   * 
-   * These patterns identify editorial additions to legal text:
-   * - Footnotes: [1], [2], *, †, ‡
-   * - Marginal notes: [মার্জিনাল নোট], [Marginal Note]
-   * - Editor annotations: [সম্পাদকের নোট], [Editor's Note], [Note:]
-   */
+   * Month names by calendar, indexed from January and বৈশাখ
+   *
+   * Bengali spellings are listed in the repository's decomposed nukta form
+   * (য় as U+09AF U+09BC); _dateNamePattern also accepts the precomposed
+   * characters found on some pages.
+   */
+  DATE_MONTH_NAMES: {
+    gregorian: [
+      ['January', 'জানুয়ারি', 'জানুয়ারী'],
+      ['February', 'ফেব্রুয়ারি', 'ফেব্রুয়ারী'],
+      ['March', 'মার্চ'],
+      ['April', 'এপ্রিল'],
+      ['May', 'মে'],
+      ['June', 'জুন'],
+      ['July', 'জুলাই'],
+      ['August', 'আগস্ট', 'আগষ্ট'],
+      ['September', 'সেপ্টেম্বর'],
+      ['October', 'অক্টোবর'],
+      ['November', 'নভেম্বর'],
+      ['December', 'ডিসেম্বর']
+    ],
+    bangla: [
+      ['বৈশাখ'],
+      ['জ্যৈষ্ঠ', 'জৈষ্ঠ'],
+      ['আষাঢ়'],
+      ['শ্রাবণ'],
+      ['ভাদ্র'],
+      ['আশ্বিন'],
+      ['কার্তিক', 'কার্ত্তিক'],
+      ['অগ্রহায়ণ'],
+      ['পৌষ'],
+      ['মাঘ'],
+      ['ফাল্গুন'],
+      ['চৈত্র']
+    ]
+  },
+
+  /**
+   * Sentence keywords that give a date its role, checked in order
+   */
+  DATE_ROLE_KEYWORDS: [
+    { role: 'commencement', pattern: /বলবৎ|বলবত|কার্যকর|come into force|came into force|commencement/i },
+    { role: 'assent', pattern: /সম্মতি|assent/i },
+    { role: 'enactment', pattern: /প্রণীত|গৃহীত|enacted|passed/i }
+  ],
+
+  /**
+   * Calendar used when mapping বঙ্গাব্দ dates to Gregorian
+   */
+  BANGLA_CALENDAR_SYSTEM: 'revised_bangla_1987',
+
+  /**
+   * Build a regex source for a month name, accepting both nukta encodings
+   *
+   * @param {string} name - Month name
+   * @returns {string} Regex source
+   */
+  _dateNamePattern(name) {
+    return name
+      .replace(/য়/g, '(?:য়|য়)')
+      .replace(/ঢ়/g, '(?:ঢ়|ঢ়)')
+      .replace(/ড়/g, '(?:ড়|ড়)');
+  },
+
+  /**
+   * Look up a matched month name as {calendar, month}
+   *
+   * @param {string} text - Month name as written
+   * @returns {Object|null} Calendar and 1-based month, or null
+   */
+  _dateMonthLookup(text) {
+    const name = text.toLowerCase()
+      .replace(/য়/g, 'য়')
+      .replace(/ঢ়/g, 'ঢ়')
+      .replace(/ড়/g, 'ড়');
+    for (const [calendar, months] of Object.entries(this.DATE_MONTH_NAMES)) {
+      const index = months.findIndex(names => names.some(n => n.toLowerCase() === name));
+      if (index !== -1) return { calendar, month: index + 1 };
+    }
+    return null;
+  },
+
+  /**
+   * Format a Gregorian date as YYYY-MM-DD, or null if it does not exist
+   *
+   * @param {number} year - Gregorian year
+   * @param {number} month - 1-based month
+   * @param {number} day - Day of month
+   * @returns {string|null} ISO date
+   */
+  _isoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return date.toISOString().slice(0, 10);
+  },
+
+  /**
+   * Map a বঙ্গাব্দ date to Gregorian
+   *
+   * Uses the revised Bangladesh calendar of 1987: 1 বৈশাখ falls on 14 April,
+   * the first five months have 31 days and the rest 30, with ফাল্গুন taking
+   * 31 days in a Gregorian leap year. Dates written before the revision
+   * followed the older drifting calendar and may be off by a day or more.
+   *
+   * @param {number} year - Bangla year (বঙ্গাব্দ)
+   * @param {number} month - 1-based month from বৈশাখ
+   * @param {number} day - Day of month
+   * @returns {string|null} ISO date, or null if the day does not exist
+   */
+  banglaToGregorian(year, month, day) {
+    if (!Number.isInteger(year) || month < 1 || month > 12 || day < 1) return null;
+    const gregorianYear = year + 593;
+    const nextYear = gregorianYear + 1;
+    const leap = (nextYear % 4 === 0 && nextYear % 100 !== 0) || nextYear % 400 === 0;
+    const lengths = [31, 31, 31, 31, 31, 30, 30, 30, 30, 30, leap ? 31 : 30, 30];
+    if (day > lengths[month - 1]) return null;
+
+    let days = day - 1;
+    for (let m = 0; m < month - 1; m++) days += lengths[m];
+    const date = new Date(Date.UTC(gregorianYear, 3, 14) + days * 86400000);
+    return date.toISOString().slice(0, 10);
+  },
+
+  /**
+   * Extract dates written in content
+   *
+   * Finds day-month-year dates in Gregorian and বঙ্গাব্দ forms, with Bengali or
+   * Arabic digits and Bengali or English month names ("[২৩ জানুয়ারী, ১৯৯০]",
+   * "১লা বৈশাখ, ১৩৯৭ বঙ্গাব্দ", "23rd January, 1990", "January 23, 1990"),
+   * and year-first Bengali dates ("২০০৭ সালের ৩০ জুন").
+   * A date alone in square brackets is the header date; otherwise its role
+   * comes from DATE_ROLE_KEYWORDS in the surrounding sentence, falling back to
+   * 'other'. iso_date is null for impossible dates and, unless
+   * convertBanglaCalendar is set, for বঙ্গাব্দ dates. Mapping is opt-in and
+   * capture and export leave it off, because the 1987 calendar is only
+   * approximate for older dates.
+   *
+   * @param {string} content - Content to analyze (content_raw)
+   * @param {Object} [options] - Extraction options
+   * @param {boolean} [options.convertBanglaCalendar=false] - Map বঙ্গাব্দ dates to Gregorian
+   * @returns {Array<Object>} Dates in document order:
+   *   {role, raw_text, iso_date, offset, calendar}
+   */
+  extractDates(content, options = {}) {
+    if (!content || typeof content !== 'string') {
+      return [];
+    }
+
+    const names = Object.values(this.DATE_MONTH_NAMES)
+      .flat(2)
+      .sort((a, b) => b.length - a.length)
+      .map(name => this._dateNamePattern(name))
+      .join('|');
+    const day = '(?<![০-৯0-9])(?<day>[০-৯0-9]{1,2})(?:লা|রা|ঠা|ই|শে|st|nd|rd|th)?';
+    const year = '(?<year>[০-৯0-9]{4})(?![০-৯0-9])';
+    const era = '(?:\\s*(?:বঙ্গাব্দ|খ্রি[স্ষ]্টাব্দ|খ্রী[স্ষ]্টাব্দ|ইং))?';
+    const patterns = [
+      new RegExp(`${day}\\s*(?<month>${names}),?\\s*${year}${era}`, 'gi'),
+      // A month name must not end a longer word ("dismay 5, 2000")
+      new RegExp(`(?<![A-Za-z\\u0980-\\u09FF])(?<month>${names})\\s+${day},?\\s*${year}${era}`, 'gi'),
+      // The month name may take the genitive ("৩০ জুনের") but must not start a longer word ("৫ মেয়াদ")
+      new RegExp(`(?<![০-৯0-9])${year}\\s*(?:সালের|সনের)\\s+${day}\\s*(?<month>${names})(?:ের)?(?![A-Za-z\\u0980-\\u09FF])`, 'gi')
+    ];
+    const toNumber = (text) => parseInt(text.replace(/[০-৯]/g, d => String(d.charCodeAt(0) - 0x09E6)), 10);
+
+    const found = [];
+    for (const pattern of patterns) {
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        const offset = match.index;
+        if (found.some(d => offset < d.offset + d.raw_text.length && d.offset < offset + match[0].length)) {
+          continue;
+        }
+        const month = this._dateMonthLookup(match.groups.month);
+        if (!month) continue;
+        const dayValue = toNumber(match.groups.day);
+        const yearValue = toNumber(match.groups.year);
+
+        let isoDate = null;
+        if (month.calendar === 'gregorian') {
+          isoDate = this._isoDate(yearValue, month.month, dayValue);
+        } else if (options.convertBanglaCalendar) {
+          isoDate = this.banglaToGregorian(yearValue, month.month, dayValue);
+        }
+
+        found.push({
+          role: this._dateRole(content, offset, offset + match[0].length),
+          raw_text: match[0],
+          iso_date: isoDate,
+          offset,
+          calendar: month.calendar
+        });
+      }
+    }
+
+    return found.sort((a, b) => a.offset - b.offset);
+  },
+
+  /**
+   * Classify a date by its brackets or the sentence around it
+   *
+   * @param {string} content - Content holding the date
+   * @param {number} start - Date start offset
+   * @param {number} end - Date end offset
+   * @returns {string} 'header', 'commencement', 'assent', 'enactment' or 'other'
+   */
+  _dateRole(content, start, end) {
+    const before = content.substring(Math.max(0, start - 200), start);
+    const after = content.substring(end, end + 200);
+    if (/\[\s*$/.test(before) && /^\s*\]/.test(after)) {
+      return 'header';
+    }
+
+    const sentenceStart = Math.max(...[/\n/g, /[৷।;]/g, /\.\s/g].map(p => {
+      const hits = [...before.matchAll(p)];
+      return hits.length ? hits[hits.length - 1].index + 1 : 0;
+    }));
+    const sentenceEnd = after.search(/[\n৷।;]|\.\s/);
+    const sentence = before.slice(sentenceStart) + after.slice(0, sentenceEnd === -1 ? after.length : sentenceEnd);
+
+    const keyword = this.DATE_ROLE_KEYWORDS.find(({ pattern }) => pattern.test(sentence));
+    return keyword ? keyword.role : 'other';
+  },
+
+  // ============================================
+  // PENALTY EXTRACTION
+  // ============================================
+
+  /**
+   * Penalty clause vocabulary
+   *
+   * A sentence is a penalty provision when it holds a trigger, or (in
+   * Bengali) a punishment noun. দণ্ড is also spelled দন্ড on bdlaws pages.
+   */
+  PENALTY_PATTERNS: {
+    trigger: /(?:shall|may)\s+be\s+(?:punishable|punished)\s+with|liable\s+to\s+(?:a\s+)?(?:fine|penalty|imprisonment)|দ[ণন]্ডনীয়|দ[ণন]্ডিত/i,
+    bengali_noun: /কারাদ[ণন]্ড|অর্থদ[ণন]্ড|মৃত্যুদ[ণন]্ড/,
+    death: /(?<=(?:punishable|punished)\s+with\s+|sentence\s+of\s+)death\b|মৃত্যুদ[ণন]্ড/gi,
+    life: /imprisonment\s+for\s+life|transportation\s+for\s+life|যাবজ্জীবন(?:\s+(?:সশ্রম|বিনাশ্রম))?\s+কারাদ[ণন]্ড/gi,
+    imprisonment: /imprisonment|কারাদ[ণন]্ড/i,
+    fine: /\bfine\b|অর্থদ[ণন]্ড|জরিমানা/i,
+    duration: /(?<![\d০-৯])(?<number>[\d০-৯]+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fourteen|fifteen|twenty)\s*(?:\([^()\n]{1,30}\)\s*)?(?<unit>বৎসর|বছর|মাস|দিন|years?|months?|days?)/gi,
+    // An imprisonment phrase and the terms it names: "imprisonment for a term
+    // which may extend to three years", "অনধিক ৩ বৎসর সশ্রম কারাদণ্ড",
+    // "কারাদণ্ডে, যাহার মেয়াদ ২ বৎসর পর্যন্ত". DUR stands for duration; see
+    // _imprisonmentTermPattern. Durations outside such a phrase (notice or
+    // limitation periods) are not prison terms.
+    imprisonment_term: [
+      'imprisonment(?:\\s+of\\s+either\\s+description)?\\s+for\\s+(?:a\\s+(?:term|period)\\s+)?' +
+        '(?:(?:which|that|may|shall|extend|extending|to|not|less|more|than|exceeding|of|up|upto|at|least|be)\\s+)*DUR' +
+        '(?:\\s*,?\\s+(?:and|but|or)\\s+(?:(?:which|that|may|shall|extend|extending|to|not|less|more|than|exceeding|of|up|upto|at|least|be)\\s+)*DUR)?',
+      'DUR(?:\\s+(?:মে(?:\u09DF|\u09AF\u09BC)াদ(?:ের|ী)?|পর্যন্ত|সশ্রম|বিনাশ্রম|যে|কোন|বর্ণনার|ও|এবং|অনধিক|অন্যূন|ন্যূনতম|সর্বোচ্চ)|\\s+DUR)*\\s+কারাদ[ণন]্ড',
+      'কারাদ[ণন]্ড\\S*\\s*,?\\s*(?:যাহার|যার)\\s+মে(?:\u09DF|\u09AF\u09BC)াদ\\s+(?:(?:অনধিক|অন্যূন|সর্বোচ্চ)\\s+)?DUR' +
+        '(?:\\s+(?:পর্যন্ত|হইতে|ও|এবং|অনধিক|অন্যূন)|\\s+DUR)*'
+    ],
+    // A fine written in words: "five hundred rupees", "twenty-five thousand
+    // taka", "one hundred and fifty rupees". NUM stands for a word of
+    // PENALTY_NUMBER_WORDS; see _wordAmountPattern.
+    amount_words: '(?<![A-Za-z(])NUM(?:(?:\\s+|-)(?:and\\s+)?(?:NUM|hundred|thousand|lakhs?|lacs?|crores?))*\\s+(?:taka|rupees?)\\b',
+    amount: /(?:৳|টাকা|Taka|Tk\.?)\s*[\d০-৯][\d০-৯,]*(?:\.[\d০-৯]+)?(?:\s*(?:thousand|lakhs?|lacs?|crores?))?|[\d০-৯][\d০-৯,]*(?:\.[\d০-৯]+)?\s*(?:\([^()\n]{1,40}\)\s*)?(?:হাজার|লক্ষ|লাখ|কোটি|thousand|lakhs?|lacs?|crores?)?\s*(?:টাকা|taka|rupees?)/gi,
+    maximum: /(?:অনধিক|সর্বোচ্চ|may\s+extend\s+to|not\s+exceeding|not\s+more\s+than|up\s+to|upto)\s*$/i,
+    maximum_after: /^\s*পর্যন্ত/,
+    minimum: /(?:অন্যূন|ন্যূনতম|কমপক্ষে|not\s+less\s+than|at\s+least)\s*$/i,
+    rigorous: /rigorous|সশ্রম/i,
+    simple: /simple\s+imprisonment|বিনাশ্রম/i,
+    either: /either\s+description|যে\s+কোন\s+বর্ণনার/i
+  },
+
+  /**
+   * Words for durations and amounts written out in English penalty clauses
+   */
+  PENALTY_NUMBER_WORDS: {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+    eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60,
+    seventy: 70, eighty: 80, ninety: 90
+  },
+
+  /**
+   * Multipliers of amounts written out in English penalty clauses
+   */
+  PENALTY_AMOUNT_MULTIPLIERS: {
+    hundred: 100, thousand: 1000, lakh: 100000, lakhs: 100000, lac: 100000, lacs: 100000,
+    crore: 10000000, crores: 10000000
+  },
+
+  /**
+   * Extract penalty provisions and their sanctions
+   *
+   * Each sentence (ending at a danda, a full stop or a line break) that is a
+   * penalty provision becomes one penalty. Its components are the fines,
+   * imprisonment terms and death sentences it names: amounts are matched by
+   * PENALTY_PATTERNS.amount (kept apart from NUMERIC_EXPRESSION_PATTERNS, so
+   * numeric-region protection is unchanged) and read with parseNumericValue,
+   * or written in words and read with _parseAmountWords; durations with their
+   * unit; "অনধিক"/"may extend to" and "অন্যূন"/"not less than" before a number
+   * mark its bound. A fine or imprisonment named without a number is kept
+   * with a null value.
+   *
+   * @param {string} content - Content to analyze (content_raw)
+   * @param {Object|null} structure - Structure tree for scope anchoring
+   * @returns {Array<Object>} Penalties in document order:
+   *   {penalty_text, character_offset, trigger, penalty_types, components, scope}
+   */
+  extractPenalties(content, structure = null) {
+    if (!content || typeof content !== 'string') {
+      return [];
+    }
+
+    const patterns = this.PENALTY_PATTERNS;
+    const penalties = [];
+    const sentencePattern = /[^\n৷।]+?(?:[৷।]|\.(?=\s+[A-Z]|\s*$)|(?=\n)|$)/g;
+    let sentence;
+    while ((sentence = sentencePattern.exec(content)) !== null) {
+      const text = sentence[0].trimStart();
+      const start = sentence.index + sentence[0].length - text.length;
+      const trigger = text.match(patterns.trigger);
+      if (!trigger && !patterns.bengali_noun.test(text)) {
+        continue;
+      }
+
+      const components = [];
+      const bound = (offset, end = offset) => {
+        const before = text.substring(Math.max(0, offset - 30), offset);
+        if (patterns.maximum.test(before) || patterns.maximum_after.test(text.substring(end))) return 'maximum';
+        if (patterns.minimum.test(before)) return 'minimum';
+        return null;
+      };
+      const component = (type, rawText, offset, values = {}) => ({
+        type,
+        raw_text: rawText,
+        offset: start + offset,
+        amount: null,
+        duration_value: null,
+        duration_unit: null,
+        life: false,
+        imprisonment_kind: null,
+        bound: null,
+        ...values
+      });
+      const kind = patterns.either.test(text) ? 'either'
+        : patterns.simple.test(text) ? 'simple'
+          : patterns.rigorous.test(text) ? 'rigorous' : null;
+
+      for (const match of text.matchAll(new RegExp(patterns.amount.source, patterns.amount.flags))) {
+        components.push(component('fine', match[0].replace(/[\s,.]+$/, ''), match.index, {
+          amount: this.parseNumericValue(match[0].replace(/^\D*?(?=[\d০-৯])/, '')),
+          bound: bound(match.index)
+        }));
+      }
+      for (const match of text.matchAll(this._wordAmountPattern())) {
+        if (components.some(c => c.offset - start < match.index + match[0].length && match.index < c.offset - start + c.raw_text.length)) {
+          continue;
+        }
+        components.push(component('fine', match[0], match.index, {
+          amount: this._parseAmountWords(match[0]),
+          bound: bound(match.index)
+        }));
+      }
+
+      for (const match of text.matchAll(new RegExp(patterns.life.source, patterns.life.flags))) {
+        components.push(component('imprisonment', match[0], match.index, { life: true, imprisonment_kind: kind }));
+      }
+      for (const term of text.matchAll(this._imprisonmentTermPattern())) {
+        for (const match of term[0].matchAll(new RegExp(patterns.duration.source, patterns.duration.flags))) {
+          const offset = term.index + match.index;
+          const word = match.groups.number.toLowerCase();
+          const unit = match.groups.unit.toLowerCase();
+          components.push(component('imprisonment', match[0], offset, {
+            duration_value: this.PENALTY_NUMBER_WORDS[word] ?? this.parseNumericValue(word),
+            duration_unit: /বৎসর|বছর|year/.test(unit) ? 'year' : (/মাস|month/.test(unit) ? 'month' : 'day'),
+            imprisonment_kind: kind,
+            bound: bound(offset, offset + match[0].length)
+          }));
+        }
+      }
+      for (const match of text.matchAll(new RegExp(patterns.death.source, patterns.death.flags))) {
+        components.push(component('death', match[0], match.index));
+      }
+
+      // Sanctions named without a number
+      for (const type of ['fine', 'imprisonment']) {
+        const named = text.match(patterns[type]);
+        if (named && !components.some(c => c.type === type)) {
+          components.push(component(type, named[0], named.index, type === 'imprisonment' ? { imprisonment_kind: kind } : {}));
+        }
+      }
+
+      components.sort((a, b) => a.offset - b.offset);
+      if (components.length === 0) {
+        continue;
+      }
+      penalties.push({
+        penalty_text: text,
+        character_offset: start,
+        trigger: trigger ? trigger[0] : null,
+        penalty_types: ['death', 'imprisonment', 'fine'].filter(type => components.some(c => c.type === type)),
+        components,
+        scope: this.anchorReferenceScope({ character_offset: start }, structure)
+      });
+    }
+
+    return penalties;
+  },
+
+  /**
+   * Compile PENALTY_PATTERNS.imprisonment_term, with DUR replaced by the
+   * duration pattern (its named groups made plain, as it can occur twice)
+   * @private
+   * @returns {RegExp} Global, case-insensitive pattern
+   */
+  _imprisonmentTermPattern() {
+    const duration = this.PENALTY_PATTERNS.duration.source.replace(/\(\?<\w+>/g, '(?:');
+    return new RegExp(this.PENALTY_PATTERNS.imprisonment_term.join('|').replace(/DUR/g, duration), 'gi');
+  },
+
+  /**
+   * Compile PENALTY_PATTERNS.amount_words, with NUM replaced by the words of
+   * PENALTY_NUMBER_WORDS
+   * @private
+   * @returns {RegExp} Global, case-insensitive pattern
+   */
+  _wordAmountPattern() {
+    const words = `(?:${Object.keys(this.PENALTY_NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})\\b`;
+    return new RegExp(this.PENALTY_PATTERNS.amount_words.replace(/NUM/g, words), 'gi');
+  },
+
+  /**
+   * Read an amount written in words ("one hundred and fifty rupees" is 150,
+   * "two lakh taka" 200000)
+   * @private
+   * @param {string} text - Text matched by _wordAmountPattern
+   * @returns {number} Amount
+   */
+  _parseAmountWords(text) {
+    let total = 0;
+    let current = 0;
+    for (const word of text.toLowerCase().split(/[\s-]+/)) {
+      const multiplier = this.PENALTY_AMOUNT_MULTIPLIERS[word];
+      if (word in this.PENALTY_NUMBER_WORDS) {
+        current += this.PENALTY_NUMBER_WORDS[word];
+      } else if (multiplier === 100) {
+        current = (current || 1) * 100;
+      } else if (multiplier) {
+        total += (current || 1) * multiplier;
+        current = 0;
+      }
+    }
+    return total + current;
+  },
+
+  // ============================================
+  // EDITORIAL CONTENT DETECTION
+  // Requirements: 15.1-15.6 - Legal Integrity Enhancement
+  // ============================================
+
+  /**
+   * Editorial content detection patterns
+   * Requirements: 15.1, 15.2, 15.3 - Detect footnotes, marginal notes, editor annotations
+   * 
+   * These patterns identify editorial additions to legal text:
+   * - Footnotes: [1], [2], *, †, ‡
+   * - Marginal notes: [মার্জিনাল নোট], [Marginal Note]
+   * - Editor annotations: [সম্পাদকের নোট], [Editor's Note], [Note:]
+   */
   EDITORIAL_PATTERNS: {
     // Requirements: 15.2 - Footnote patterns
     footnote: [
@@ -4286,6 +5484,35 @@ const BDLawExtractor = {
     return result;
   },
 
+  /**
+   * Locate editorial content in content
+   * 
+   * Same patterns as detectEditorialContent, returning every match with its
+   * type and offset so exporters can mark it up in place. Matches from
+   * different patterns may overlap.
+   * 
+   * @param {string} content - Content to analyze (content_raw)
+   * @returns {Array<{type: string, text: string, offset: number}>} Matches sorted by offset
+   */
+  locateEditorialContent(content) {
+    if (!content || typeof content !== 'string') {
+      return [];
+    }
+
+    const matches = [];
+    for (const [type, patterns] of Object.entries(this.EDITORIAL_PATTERNS)) {
+      for (const pattern of patterns) {
+        const freshPattern = new RegExp(pattern.source, pattern.flags);
+        let match;
+        while ((match = freshPattern.exec(content)) !== null) {
+          matches.push({ type, text: match[0], offset: match.index });
+        }
+      }
+    }
+
+    return matches.sort((a, b) => a.offset - b.offset || b.text.length - a.text.length);
+  },
+
   // ============================================
   // LANGUAGE DISTRIBUTION RECORDING
   // Requirements: 19.1-19.5 - Legal Integrity Enhancement
@@ -4305,6 +5532,8 @@ const BDLawExtractor = {
    * 
    * Note: Ratios are calculated relative to total Bengali + English characters.
    * Other characters (numbers, punctuation, whitespace) are not counted.
+   * Legacy font spans (Bijoy/SutonnyMJ) are counted as the Bengali
+   * characters they convert to, not as ASCII letters.
    * 
    * IMPORTANT: This function does NOT attempt to separate or segment
    * content by language (Requirements: 19.5). It only records distribution.
@@ -4324,11 +5553,14 @@ const BDLawExtractor = {
       return result;
     }
 
+    const legacyFont = this._loadLegacyFont();
+    const text = legacyFont ? legacyFont.convertLegacyFontSpans(content).content : content;
+
     // Requirements: 19.1 - Calculate Bengali character ratio (U+0980-U+09FF)
-    const bengaliChars = (content.match(/[\u0980-\u09FF]/g) || []).length;
+    const bengaliChars = (text.match(/[\u0980-\u09FF]/g) || []).length;
 
     // Requirements: 19.2 - Calculate English character ratio (A-Za-z)
-    const englishChars = (content.match(/[A-Za-z]/g) || []).length;
+    const englishChars = (text.match(/[A-Za-z]/g) || []).length;
 
     // Calculate total for ratio computation
     const totalChars = bengaliChars + englishChars;
@@ -5229,6 +6461,224 @@ const BDLawExtractor = {
     return citations;
   },
 
+  /**
+   * Detect part, chapter and schedule headings in text
+   *
+   * Scans line by line for STRUCTURE_CONTAINER_PATTERNS. A container line
+   * holds the marker alone (keyword plus an optional number or ordinal), so
+   * section headings that open with a keyword ("তফসিল সংশোধনের ক্ষমতা") and
+   * notes ("CHAPTER XLIVA.–[Omitted ...]") are not containers; nor is a
+   * marker line followed by a numbered section line ("২।", "42."). The
+   * heading is the next line when that line is short and is neither a
+   * section line nor another container. Lines ending in a danda or longer
+   * than 200 characters are sentences, not headings. Detection only - the
+   * text is not modified.
+   *
+   * @param {string} text - Text to scan (content_raw or a DOM heading)
+   * @returns {Array<Object>} Containers in document order:
+   *   {type, marker, number, number_value, heading, marker_offset,
+   *   number_offset, heading_offset} with offsets into text
+   */
+  detectStructuralContainers(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const lines = [];
+    let lineOffset = 0;
+    for (const lineText of text.split('\n')) {
+      lines.push({ text: lineText, offset: lineOffset });
+      lineOffset += lineText.length + 1;
+    }
+
+    const isSentence = (line) => line.length > 200 || /[৷।]\s*$/.test(line);
+    const isSectionLine = (line) => /^[০-৯]+[৷।]/.test(line) || /^[0-9]+[A-Z]?\./.test(line);
+    const matchLine = (line) => {
+      const trimmed = line.text.replace(/^\s+/, '');
+      if (!trimmed || isSentence(trimmed)) {
+        return null;
+      }
+      for (const [type, patterns] of Object.entries(this.STRUCTURE_CONTAINER_PATTERNS)) {
+        for (const pattern of patterns) {
+          const match = trimmed.match(pattern);
+          if (!match || !/^[\s\-–—:৷।.,]*$/.test(trimmed.slice(match[0].length))) continue;
+          const word = match.groups.word;
+          const wordValue = word ? this._containerOrdinalValue(word) : null;
+          if (word && wordValue === null) continue;
+          const number = match.groups.number || word || null;
+          const start = line.offset + (line.text.length - trimmed.length);
+          return {
+            type,
+            marker: match[0],
+            number,
+            number_value: word ? wordValue : this._containerNumberValue(number),
+            marker_offset: start,
+            number_offset: number ? start + match[0].lastIndexOf(number) : -1
+          };
+        }
+      }
+      return null;
+    };
+
+    const containers = [];
+    lines.forEach((line, index) => {
+      const found = matchLine(line);
+      if (!found) return;
+
+      const next = lines.slice(index + 1).find(l => l.text.trim());
+      const nextText = next ? next.text.trim() : '';
+      if (isSectionLine(nextText)) return;
+
+      let heading = null;
+      let headingOffset = -1;
+      if (nextText && nextText.length <= 120 && !isSentence(nextText) && !matchLine(next) &&
+          !/[০-৯]+[৷।]/.test(nextText)) {
+        heading = nextText;
+        headingOffset = next.offset + next.text.indexOf(nextText);
+      }
+
+      containers.push({
+        type: found.type,
+        marker: found.marker,
+        number: found.number,
+        number_value: found.number_value,
+        heading,
+        marker_offset: found.marker_offset,
+        number_offset: found.number_offset,
+        heading_offset: headingOffset
+      });
+    });
+
+    return containers;
+  },
+
+  /**
+   * Value of an ordinal word from CONTAINER_ORDINALS
+   * @private
+   * @param {string} word - Ordinal word
+   * @returns {number|null} 1-based value, or null if not an ordinal
+   */
+  _containerOrdinalValue(word) {
+    const fold = (s) => s.replace(/য়/g, 'য়').toUpperCase();
+    const folded = fold(word);
+    for (const list of Object.values(this.CONTAINER_ORDINALS)) {
+      const index = list.findIndex(ordinal => fold(ordinal) === folded);
+      if (index > -1) return index + 1;
+    }
+    return null;
+  },
+
+  /**
+   * Value of a container numeral (Bengali, Arabic or Roman)
+   *
+   * A trailing letter ("IIA", "৩ক") is ignored; letters alone have no value.
+   *
+   * @private
+   * @param {string|null} number - Numeral text
+   * @returns {number|null} Integer value, or null
+   */
+  _containerNumberValue(number) {
+    if (!number) return null;
+    const digits = number.replace(/[০-৯]/g, d => String(d.charCodeAt(0) - 0x09E6));
+    const arabic = digits.match(/^[0-9]+/);
+    if (arabic) return parseInt(arabic[0], 10);
+    const roman = number.match(/^[IVXLC]+/);
+    // "PART C" and "SCHEDULE L" are lettered, not Roman
+    if (!roman || number === 'C' || number === 'L') return null;
+    const values = { I: 1, V: 5, X: 10, L: 50, C: 100 };
+    let total = 0;
+    for (let i = 0; i < roman[0].length; i++) {
+      const value = values[roman[0][i]];
+      const next = values[roman[0][i + 1]] || 0;
+      total += value < next ? -value : value;
+    }
+    return total;
+  },
+
+  /**
+   * Locate proviso, explanation and illustration markers in content
+   *
+   * @param {string} content - Content to analyze (content_raw)
+   * @returns {Array<{type: string, marker: string, offset: number}>} Matches sorted by offset
+   */
+  locateSectionBlocks(content) {
+    if (!content || typeof content !== 'string') {
+      return [];
+    }
+
+    const blocks = [];
+    for (const [type, patterns] of Object.entries(this.SECTION_BLOCK_PATTERNS)) {
+      for (const pattern of patterns) {
+        const freshPattern = new RegExp(pattern.source, pattern.flags);
+        let match;
+        while ((match = freshPattern.exec(content)) !== null) {
+          blocks.push({ type, marker: match[0], offset: match.index });
+        }
+      }
+    }
+
+    return blocks.sort((a, b) => a.offset - b.offset);
+  },
+
+  /**
+   * Count proviso, explanation and illustration markers in content
+   *
+   * Every marker in content is counted, including those in the preamble,
+   * schedules and sections without offsets; the structure.metadata totals
+   * count only the blocks attached to sections.
+   *
+   * @param {string} content - Content to analyze
+   * @returns {Object} {proviso_marker_count, explanation_marker_count, illustration_marker_count}
+   */
+  countBlockMarkers(content) {
+    const result = { proviso_marker_count: 0, explanation_marker_count: 0, illustration_marker_count: 0 };
+    for (const block of this.locateSectionBlocks(content)) {
+      result[`${block.type}_marker_count`]++;
+    }
+    return result;
+  },
+
+  /**
+   * Attach proviso, explanation and illustration nodes to a mapped section
+   *
+   * A block runs to the next block, the next subsection marker or the end of
+   * the section, whichever comes first; clause markers inside a proviso stay
+   * inside it. Blocks inside a subsection's range go to that subsection's
+   * `blocks`, the rest to the section's.
+   *
+   * @private
+   * @param {Object} section - Section node from buildStructureTree
+   * @param {Array<Object>} located - Output of locateSectionBlocks over content_raw
+   */
+  _attachSectionBlocks(section, located) {
+    section.blocks = [];
+    section.subsections.forEach(sub => { sub.blocks = []; });
+    if (section.content_start < 0) {
+      return;
+    }
+
+    const start = section.content_start;
+    const end = section.content_end;
+    const anchoredSubs = section.subsections
+      .filter(sub => sub.marker_offset >= start && sub.marker_offset < end)
+      .sort((a, b) => a.marker_offset - b.marker_offset);
+    const inside = located.filter(block => block.offset >= start && block.offset < end);
+    const boundaries = [...inside.map(b => b.offset), ...anchoredSubs.map(sub => sub.marker_offset), end]
+      .sort((a, b) => a - b);
+
+    inside.forEach(block => {
+      const node = {
+        type: block.type,
+        marker: block.marker,
+        marker_offset: block.offset,
+        content_start: block.offset,
+        content_end: boundaries.find(boundary => boundary > block.offset)
+      };
+      const owner = anchoredSubs.filter(sub => sub.marker_offset <= block.offset).pop();
+      (owner ? owner.blocks : section.blocks).push(node);
+    });
+  },
+
   /**
    * Build the structure tree from DOM-extracted data
    * Requirements: 8.1, 8.2, 8.3, 8.4, 8.5, 8.6 - Lossless JSON tree output
@@ -5236,17 +6686,27 @@ const BDLawExtractor = {
    * Assembles the final structure tree with:
    * - Preamble and enactment clause
    * - Sections with nested subsections and clauses
+   * - Part, chapter and schedule containers, each section pointing at the
+   *   innermost container holding it (container_index)
+   * - Proviso, explanation and illustration `blocks` on sections and
+   *   subsections
    * - Character offsets mapped to content_raw
    * - Metadata (counts, extraction method)
    * 
+   * Containers come from the DOM headings when any were found, otherwise
+   * from detectStructuralContainers over content_raw. A section ends where
+   * the next container begins, so a chapter heading is not read as the tail
+   * of the section before it.
+   * 
    * @param {Object} params - Structure building parameters
    * @param {Object|null} params.preamble - Preamble data from DOM
    * @param {Object|null} params.enactment - Enactment clause data from DOM
    * @param {Array} params.sections - Sections array from DOM extraction
+   * @param {Array} [params.containers] - Container headings from DOM extraction
    * @param {string} params.contentRaw - The content_raw for offset mapping
    * @returns {Object} Complete structure tree
    */
-  buildStructureTree({ preamble, enactment, sections, contentRaw }) {
+  buildStructureTree({ preamble, enactment, sections, containers, contentRaw }) {
     // Map sections with offsets
     let totalSubsections = 0;
     let totalClauses = 0;
@@ -5339,6 +6799,33 @@ const BDLawExtractor = {
       };
     });
     
+    // Nest containers and place each section in the innermost one
+    const mappedContainers = this._nestContainers(
+      Array.isArray(containers) && containers.length > 0
+        ? this._anchorDomContainers(containers, contentRaw, mappedSections)
+        : this.detectStructuralContainers(contentRaw).map(container => ({ ...container, source: 'pattern' })),
+      contentRaw.length
+    );
+    mappedSections.forEach(section => {
+      section.container_index = null;
+      if (section.content_start < 0) return;
+      for (const container of mappedContainers) {
+        if (container.content_start < 0) continue;
+        if (container.content_start > section.content_start && container.content_start < section.content_end) {
+          section.content_end = container.content_start;
+        }
+        if (container.content_start <= section.content_start && section.content_start < container.content_end) {
+          section.container_index = container.index;
+        }
+      }
+    });
+    
+    // Proviso, explanation and illustration nodes, once section ends are final
+    const located = this.locateSectionBlocks(contentRaw);
+    mappedSections.forEach(section => this._attachSectionBlocks(section, located));
+    const blockCount = (type) => mappedSections.reduce((sum, section) =>
+      sum + [section, ...section.subsections].reduce((n, node) => n + node.blocks.filter(b => b.type === type).length, 0), 0);
+    
     // Build preamble structure
     let preambleStructure = null;
     if (preamble && preamble.text) {
@@ -5366,17 +6853,253 @@ const BDLawExtractor = {
     return {
       preamble: preambleStructure,
       enactment_clause: enactmentStructure,
+      containers: mappedContainers,
       sections: mappedSections,
       metadata: {
         total_sections: mappedSections.length,
         total_subsections: totalSubsections,
         total_clauses: totalClauses,
+        total_parts: mappedContainers.filter(c => c.type === 'part').length,
+        total_chapters: mappedContainers.filter(c => c.type === 'chapter').length,
+        total_schedules: mappedContainers.filter(c => c.type === 'schedule').length,
+        total_section_provisos: blockCount('proviso'),
+        total_section_explanations: blockCount('explanation'),
+        total_section_illustrations: blockCount('illustration'),
         extraction_method: 'dom_first',
         deterministic: true
       }
     };
   },
 
+  /**
+   * Map DOM container headings to content_raw offsets
+   *
+   * Each marker is searched for after the previous one, so repeated markers
+   * ("তফসিল") anchor in document order. A marker anchors only at the start
+   * of a line, and only between the sections of the rows around it: after
+   * the start of the last section in an earlier row and before the heading
+   * of the first section in its own or a later row. A marker mentioned in a
+   * section body ("এই আইনের তফসিল অনুযায়ী") is therefore skipped, and a
+   * marker found nowhere else stays unanchored (-1) instead of cutting a
+   * section short.
+   *
+   * @private
+   * @param {Array<Object>} containers - {type, marker, number, number_value, heading, dom_index}
+   * @param {string} contentRaw - The content_raw for offset mapping
+   * @param {Array<Object>} [sections] - Mapped sections with dom_index and offsets
+   * @returns {Array<Object>} Containers with marker, number and heading offsets
+   */
+  _anchorDomContainers(containers, contentRaw, sections = []) {
+    const anchored = sections.filter(section => section.content_start > -1);
+    const atLineStart = (offset) => /^[ \t]*$/.test(contentRaw.slice(contentRaw.lastIndexOf('\n', offset - 1) + 1, offset));
+
+    let cursor = 0;
+    return containers.map(container => {
+      const markerText = (container.marker || '').trim();
+      let from = cursor;
+      let limit = contentRaw.length;
+      if (Number.isInteger(container.dom_index)) {
+        const before = anchored.filter(section => section.dom_index < container.dom_index).pop();
+        const after = anchored.find(section => section.dom_index >= container.dom_index);
+        if (before) from = Math.max(from, before.content_start + 1);
+        if (after) limit = Math.min(after.content_start, after.heading_offset > -1 ? after.heading_offset : after.content_start);
+      }
+
+      let markerOffset = -1;
+      for (let found = this.calculateOffsetInContentRaw(markerText, contentRaw, from);
+        found > -1 && found < limit;
+        found = this.calculateOffsetInContentRaw(markerText, contentRaw, found + 1)) {
+        if (atLineStart(found)) {
+          markerOffset = found;
+          break;
+        }
+      }
+      if (markerOffset > -1) {
+        cursor = markerOffset + markerText.length;
+      }
+      const numberIndex = container.number ? markerText.lastIndexOf(container.number) : -1;
+      return {
+        type: container.type,
+        marker: container.marker || null,
+        number: container.number || null,
+        number_value: container.number_value ?? null,
+        heading: container.heading || null,
+        marker_offset: markerOffset,
+        number_offset: markerOffset > -1 && numberIndex > -1 ? markerOffset + numberIndex : -1,
+        heading_offset: container.heading && markerOffset > -1
+          ? this.calculateOffsetInContentRaw(container.heading, contentRaw, cursor)
+          : -1,
+        dom_index: container.dom_index ?? null,
+        source: 'dom'
+      };
+    });
+  },
+
+  /**
+   * Nest containers by CONTAINER_RANKS and set their content boundaries
+   *
+   * A container runs from its marker to the next container of the same or a
+   * higher rank (or the end of content_raw). Unanchored containers keep
+   * content_start/content_end -1 and no parent.
+   *
+   * @private
+   * @param {Array<Object>} containers - Containers in document order
+   * @param {number} contentLength - Length of content_raw
+   * @returns {Array<Object>} Container nodes with index and parent_index
+   */
+  _nestContainers(containers, contentLength) {
+    const nodes = containers.map((container, index) => ({
+      index,
+      type: container.type,
+      marker: container.marker,
+      number: container.number,
+      number_value: container.number_value,
+      heading: container.heading,
+      marker_offset: container.marker_offset,
+      number_offset: container.number_offset,
+      heading_offset: container.heading_offset,
+      content_start: container.marker_offset,
+      content_end: -1,
+      parent_index: null,
+      ...(container.dom_index !== undefined ? { dom_index: container.dom_index } : {}),
+      source: container.source
+    }));
+
+    const open = [];
+    nodes.forEach(node => {
+      if (node.content_start < 0) return;
+      const rank = this.CONTAINER_RANKS[node.type];
+      while (open.length > 0 && this.CONTAINER_RANKS[open[open.length - 1].type] >= rank) {
+        open.pop().content_end = node.content_start;
+      }
+      node.parent_index = open.length > 0 ? open[open.length - 1].index : null;
+      open.push(node);
+    });
+    open.forEach(node => { node.content_end = contentLength; });
+
+    return nodes;
+  },
+
+  /**
+   * Address a section through its containers
+   *
+   * Returns the chain from the outermost container down to the section,
+   * e.g. PART II › CHAPTER 3 › ১৪৷. Trees built before containers existed
+   * yield the section step alone.
+   *
+   * @param {Object} structure - The structure tree
+   * @param {number} sectionIndex - Index into structure.sections
+   * @returns {Array<Object>} Steps of {type, marker, number, heading}; empty if no such section
+   */
+  getStructurePath(structure, sectionIndex) {
+    const section = structure?.sections?.[sectionIndex];
+    if (!section) {
+      return [];
+    }
+    const containers = structure.containers || [];
+    const path = [{ type: 'section', marker: section.section_number, number: section.section_number, heading: section.heading }];
+    let container = Number.isInteger(section.container_index) ? containers[section.container_index] : null;
+    while (container) {
+      path.unshift({ type: container.type, marker: container.marker, number: container.number, heading: container.heading });
+      container = Number.isInteger(container.parent_index) ? containers[container.parent_index] : null;
+    }
+    return path;
+  },
+
+  /**
+   * Definition section headings ("সংজ্ঞা", "Definitions", "Interpretation")
+   */
+  DEFINITION_HEADING_PATTERN: /সংজ্ঞা|Definitions?|Interpretation/i,
+
+  /**
+   * A clause that opens with a quoted term: "(ক) "আদালত" অর্থ", "(a) “Court” means".
+   * Groups: marker, term
+   */
+  DEFINITION_CLAUSE_PATTERN: /(?<=^|[\s;:—–\-৷])(?<marker>\((?:[ক-হ]{1,2}|[০-৯]+|[a-z]{1,3}|\d+)\))\s*["“‘']+(?<term>[^"“”‘’'\n]{1,120})["”’']+/g,
+
+  /**
+   * Words that open a definition after its terms, longest first. A Bengali
+   * verb must end at a word boundary, so "অর্থে" is never read as অর্থ + ে.
+   */
+  DEFINITION_VERBS: ['shall mean', 'means', 'includes', 'has the meaning', 'অর্থে', 'অর্থ', 'বলিতে', 'অন্তর্ভুক্ত'],
+
+  /**
+   * Extract defined terms from the definition sections of a structure tree
+   *
+   * A definition section is one whose heading matches
+   * DEFINITION_HEADING_PATTERN. Inside it, each clause opening with a quoted
+   * term starts a definition that runs to the next such clause or the end of
+   * the section, so nested items ("(অ)", "(i)") stay in their definition.
+   * Further quoted terms joined by বা/or before the verb ("আদালত" বা "কোর্ট")
+   * each get an entry sharing the definition span, which starts after the
+   * verb (DEFINITION_VERBS) and drops the closing punctuation and "; এবং".
+   *
+   * @param {string} contentRaw - The content_raw the structure indexes
+   * @param {Object|null} structure - Structure tree from buildStructureTree
+   * @returns {Array<Object>} Defined terms in document order:
+   *   {term, term_offset, clause_marker, clause_offset, definition_verb,
+   *   definition_text, definition_start, definition_end, section_number,
+   *   dom_section_index}
+   */
+  extractDefinedTerms(contentRaw, structure) {
+    if (!contentRaw || typeof contentRaw !== 'string' || !structure || !Array.isArray(structure.sections)) {
+      return [];
+    }
+
+    const verbs = this.DEFINITION_VERBS
+      .map(verb => verb.replace(/\s+/g, '\\s+') + (/[\u0980-\u09FF]/.test(verb) ? '(?![\u0980-\u09FF])' : ''))
+      .join('|');
+    const followingTerm = /^\s*(?:,|বা|অথবা|or|and|ও|এবং)\s*["“‘']+([^"“”‘’'\n]{1,120})["”’']+/i;
+    const verbPattern = new RegExp(`^\\s*,?\\s*(${verbs})`, 'i');
+    const terms = [];
+
+    for (const section of structure.sections) {
+      const { content_start: start, content_end: end } = section;
+      if (!section.heading || !this.DEFINITION_HEADING_PATTERN.test(section.heading) ||
+          !Number.isInteger(start) || start < 0 || end <= start) {
+        continue;
+      }
+
+      const text = contentRaw.substring(start, end);
+      const pattern = new RegExp(this.DEFINITION_CLAUSE_PATTERN.source, this.DEFINITION_CLAUSE_PATTERN.flags);
+      const clauses = [...text.matchAll(pattern)];
+
+      clauses.forEach((match, k) => {
+        const clauseEnd = k + 1 < clauses.length ? clauses[k + 1].index : text.length;
+        const found = [{ term: match.groups.term, offset: match.index + match[0].lastIndexOf(match.groups.term) }];
+        let cursor = match.index + match[0].length;
+        let more;
+        while ((more = text.slice(cursor, clauseEnd).match(followingTerm)) !== null) {
+          found.push({ term: more[1], offset: cursor + more[0].lastIndexOf(more[1]) });
+          cursor += more[0].length;
+        }
+
+        const verb = text.slice(cursor, clauseEnd).match(verbPattern);
+        const bodyStart = verb ? cursor + verb[0].length : cursor;
+        const body = text.slice(bodyStart, clauseEnd);
+        const definitionText = body.trim().replace(/[;,.৷।]\s*(?:এবং|and|or|অথবা)?$/i, '').trim();
+        const definitionStart = bodyStart + body.indexOf(definitionText);
+
+        found.forEach(({ term, offset }) => {
+          terms.push({
+            term: term.trim(),
+            term_offset: start + offset + (term.length - term.trimStart().length),
+            clause_marker: match.groups.marker,
+            clause_offset: start + match.index + match[0].indexOf(match.groups.marker),
+            definition_verb: verb ? verb[1] : null,
+            definition_text: definitionText,
+            definition_start: start + definitionStart,
+            definition_end: start + definitionStart + definitionText.length,
+            section_number: section.section_number || null,
+            dom_section_index: section.dom_index ?? null
+          });
+        });
+      });
+    }
+
+    return terms;
+  },
+
   /**
    * Anchor a reference to its structural scope
    * Requirements: 10.1, 10.2, 10.3, 10.4, 10.5, 10.6 - Reference scope anchoring
@@ -5534,6 +7257,7 @@ const BDLawExtractor = {
         preamble: structureData.preamble,
         enactment: structureData.enactment,
         sections: structureData.sections,
+        containers: structureData.containers,
         contentRaw: contentRaw
       }) : null;
       
@@ -0,0 +1,506 @@
+/**
+ * BDLawCorpus Legacy Font Detection and Conversion
+ *
+ * Older acts on bdlaws were typed in ASCII-mapped Bengali fonts (Bijoy
+ * layout, SutonnyMJ and its relatives). Without the font the text shows as
+ * Latin gibberish ("evsjv‡`k miKvi" for বাংলাদেশ সরকার) and looks English to
+ * code-point based language detection. This module finds such spans by their
+ * glyph signatures and converts them to Unicode Bengali.
+ *
+ * Conversion is a best-effort glyph-table mapping with reordering of pre-base
+ * vowel signs and reph; it is a high-risk transformation that is always
+ * logged with the original span.
+ *
+ * @module bdlaw-legacy-font
+ */
+
+const BDLawLegacyFont = {
+  /**
+   * Bijoy (SutonnyMJ) glyph to Unicode table. Longer keys are matched first.
+   * Pre-base vowel signs (ি ে ৈ) and reph (র্) are emitted in the font's
+   * visual order and moved by _reorderBijoy.
+   */
+  BIJOY_MAP: {
+    // Conjunct glyphs
+    'i¨': 'র\u200D্য',
+    'ª¨': '্র্য',
+    '¯Œ': 'স্ক্র',
+    '®Œ': 'ষ্ক্র',
+    'š¿': 'ন্ত্র',
+    '¯¿': 'স্ত্র',
+    'š—': 'ন্ত',
+    'š’': 'ন্থ',
+    '›`': 'ন্দ',
+    '¯—': 'স্ত',
+    '¯’': 'স্থ',
+    '¯‹': 'স্ক',
+    '¤ú': 'ম্প',
+    '°': 'ক্ক',
+    '±': 'ক্ট',
+    '³': 'ক্ত',
+    'µ': 'ক্র',
+    '¶': 'ক্ষ',
+    '·': 'ক্স',
+    '¸': 'গু',
+    '»': 'গ্ধ',
+    '¼': 'ঙ্ক',
+    '½': 'ঙ্গ',
+    '¾': 'জ্জ',
+    'À': 'জ্ঝ',
+    'Á': 'জ্ঞ',
+    'Â': 'ঞ্চ',
+    'Ã': 'ঞ্ছ',
+    'Ä': 'ঞ্জ',
+    'Å': 'ঞ্ঝ',
+    'Æ': 'ট্ট',
+    'Ç': 'ড্ড',
+    'È': 'ণ্ট',
+    'É': 'ণ্ঠ',
+    'Ê': 'ণ্ড',
+    'Ë': 'ত্ত',
+    'Ì': 'ত্থ',
+    'Í': 'ত্র',
+    'Ï': 'দ্দ',
+    '×': 'দ্ধ',
+    'Ø': 'দ্ব',
+    'Ù': 'দ্ম',
+    'Ú': 'ন্ঠ',
+    'Û': 'ন্ড',
+    'Ü': 'ন্ধ',
+    'Ý': 'ন্স',
+    'Þ': 'প্ট',
+    'ß': 'প্ত',
+    'à': 'প্প',
+    'á': 'প্স',
+    'â': 'ব্জ',
+    'ã': 'ব্দ',
+    'ä': 'ব্ধ',
+    'å': 'ভ্র',
+    'ç': 'ম্ফ',
+    'é': 'ল্ক',
+    'ê': 'ল্গ',
+    'ë': 'ল্ট',
+    'ì': 'ল্ড',
+    'í': 'ল্প',
+    'î': 'ল্ফ',
+    'ï': 'শু',
+    'ð': 'শ্চ',
+    'ò': 'ষ্ণ',
+    'ó': 'ষ্ট',
+    'ô': 'ষ্ঠ',
+    'õ': 'ষ্ফ',
+    'ö': 'স্খ',
+    '÷': 'স্ট',
+    'ù': 'স্ফ',
+    'û': 'হু',
+    'ü': 'হৃ',
+    'ý': 'হ্ন',
+    'þ': 'হ্ম',
+
+    // Half forms joined to the following glyph
+    '¯': 'স্',
+    '¤': 'ম্',
+    '®': 'ষ্',
+    'š': 'ন্',
+    '›': 'ন্',
+    '”': 'চ্',
+    '˜': 'দ্',
+    '•': 'ঙ্',
+
+    // Reph and subjoined forms
+    '©': 'র্',
+    'ª': '্র',
+    '«': '্র',
+    'Ö': '্র',
+    '¨': '্য',
+    '&': '্',
+    '^': '্ব',
+    '¦': '্ব',
+    '¡': '্ব',
+    'Ÿ': '্ব',
+    '¢': '্ভ',
+    '£': '্ভ্র',
+    '¥': '্ম',
+    '§': '্ম',
+    '¬': '্ল',
+    'ø': '্ল',
+    'œ': '্ন',
+    '—': '্ত',
+    '‘': '্তু',
+    '’': '্থ',
+    '¿': '্ত্র',
+    '‹': '্ক',
+    'Œ': '্ক্র',
+    'ú': '্প',
+    'è': '্ণ',
+
+    // Independent vowels
+    'Av': 'আ',
+    'A': 'অ',
+    'B': 'ই',
+    'C': 'ঈ',
+    'D': 'উ',
+    'E': 'ঊ',
+    'F': 'ঋ',
+    'G': 'এ',
+    'H': 'ঐ',
+    'I': 'ও',
+    'J': 'ঔ',
+
+    // Consonants
+    'K': 'ক',
+    'L': 'খ',
+    'M': 'গ',
+    'N': 'ঘ',
+    'O': 'ঙ',
+    'P': 'চ',
+    'Q': 'ছ',
+    'R': 'জ',
+    'S': 'ঝ',
+    'T': 'ঞ',
+    'U': 'ট',
+    'V': 'ঠ',
+    'W': 'ড',
+    'X': 'ঢ',
+    'Y': 'ণ',
+    'Z': 'ত',
+    '_': 'থ',
+    '`': 'দ',
+    'a': 'ধ',
+    'b': 'ন',
+    'c': 'প',
+    'd': 'ফ',
+    'e': 'ব',
+    'f': 'ভ',
+    'g': 'ম',
+    'h': 'য',
+    'i': 'র',
+    'j': 'ল',
+    'k': 'শ',
+    'l': 'ষ',
+    'm': 'স',
+    'n': 'হ',
+    'o': 'ড\u09BC',
+    'p': 'ঢ\u09BC',
+    'q': 'য\u09BC',
+    'r': 'ৎ',
+    's': 'ং',
+    't': 'ঃ',
+    'u': 'ঁ',
+
+    // Vowel signs
+    'v': 'া',
+    'w': 'ি',
+    'x': 'ী',
+    'y': 'ু',
+    'z': 'ু',
+    '~': 'ূ',
+    '„': 'ৃ',
+    '…': 'ৃ',
+    '‡': 'ে',
+    '†': 'ে',
+    'ˆ': 'ৈ',
+    '‰': 'ৈ',
+    'Š': 'ৗ',
+
+    // Digits and punctuation
+    '0': '০',
+    '1': '১',
+    '2': '২',
+    '3': '৩',
+    '4': '৪',
+    '5': '৫',
+    '6': '৬',
+    '7': '৭',
+    '8': '৮',
+    '9': '৯',
+    '|': '।',
+    'æ': '“',
+    'Ô': '‘',
+    'Õ': '’',
+    'Ò': '“',
+    'Ó': '”'
+  },
+
+  /**
+   * Glyphs that mark a token as Bijoy text: the table's non-ASCII keys,
+   * less the typographic quotes, dashes and bullets English text also uses
+   */
+  BIJOY_SIGNATURE_GLYPHS: /[¡-ÿŒœŠŸˆ˜†‡‰‹›]/g,
+
+  /**
+   * UTF-8 quotes and dashes read as CP850 ("ÔÇ£", "ÔÇØ") or Windows-1252
+   * ("â€œ"); their bytes land on signature glyphs but they mark mojibake,
+   * not Bijoy text, so they are removed before a token is classified
+   */
+  MOJIBAKE_SEQUENCES: /ÔÇ.|â€./g,
+
+  /**
+   * Signature glyphs that are also accented Latin letters (é, ï, æ...);
+   * words like "café" and "naïve" carry them, so alone they only make a
+   * token weak. Ö (্র) is left out: it is far commoner in Bijoy text.
+   */
+  ACCENTED_LETTER_GLYPHS: /[À-ÕØ-öø-ÿ]/,
+
+  /**
+   * The commonest Bijoy glyphs (ে ৈ ৗ র্ ্য ্র); a span needs one of them
+   * or a high share of v (া) to count as Bijoy text
+   */
+  BIJOY_CORE_GLYPHS: /[‡†ˆ‰Š©¨Öª«]/,
+
+  /**
+   * Span acceptance thresholds for detectLegacyFontSpans
+   */
+  DETECTION_THRESHOLDS: {
+    minScore: 0.5,
+    minWordTokens: 2,
+    minVRatio: 0.1,
+    maxNeutralGap: 2
+  },
+
+  /**
+   * Find spans of Bijoy-encoded text
+   *
+   * Whitespace-delimited tokens without Bengali Unicode are scored: strong
+   * tokens carry Bijoy symbol glyphs, weak ones carry only accented-letter
+   * glyphs or are ASCII words shaped like Bijoy (inner capitals as in
+   * "miKvi", a high share of v as in "aviv", or `~^&|). Quote and dash
+   * mojibake (MOJIBAKE_SEQUENCES) does not count as glyphs.
+   * A span runs from a strong token across strong and weak tokens, bridging
+   * up to two other words, and ends at a line break; it is kept when its score, the share of strong
+   * and weak tokens among its words (strong counted twice), reaches 0.5 and
+   * it holds a core glyph or enough v outside plain English words.
+   *
+   * @param {string} content - Text to scan (content_raw)
+   * @returns {Array<Object>} Spans { start, end, text, font: 'bijoy', score, word_tokens, strong_tokens }
+   */
+  detectLegacyFontSpans(content) {
+    if (!content || typeof content !== 'string') {
+      return [];
+    }
+
+    const thresholds = this.DETECTION_THRESHOLDS;
+    const spans = [];
+    let current = null;
+    let gap = [];
+    let leading = [];
+
+    const close = () => {
+      if (current) {
+        const span = this._scoreSpan(content, current);
+        if (span) {
+          spans.push(span);
+        }
+      }
+      current = null;
+      gap = [];
+    };
+
+    const tokenPattern = /\S+/g;
+    let previousEnd = 0;
+    let match;
+    while ((match = tokenPattern.exec(content)) !== null) {
+      const token = { start: match.index, end: match.index + match[0].length, text: match[0] };
+      token.kind = this._classifyToken(token.text);
+      const lineBreak = content.substring(previousEnd, token.start).includes('\n');
+      previousEnd = token.end;
+
+      if (lineBreak) {
+        close();
+        leading = [];
+      }
+      if (token.kind === 'bengali') {
+        close();
+        leading = [];
+      } else if (token.kind === 'strong' || token.kind === 'weak') {
+        if (current) {
+          current.push(...gap, token);
+          gap = [];
+        } else if (token.kind === 'strong') {
+          current = [...leading, token];
+        }
+        leading = token.kind === 'weak' && !current ? [...leading, token] : [];
+      } else {
+        if (leading.length > 0) {
+          leading.push(token);
+          leading = this._trimLeading(leading);
+        }
+        if (current) {
+          gap.push(token);
+          if (gap.filter(t => t.kind === 'neutral').length > thresholds.maxNeutralGap) {
+            close();
+          }
+        }
+      }
+    }
+    close();
+
+    return spans;
+  },
+
+  /**
+   * Keep the tokens before a span's first strong token that may open it:
+   * starting at a weak token, with at most maxNeutralGap other words
+   */
+  _trimLeading(tokens) {
+    const trimmed = [...tokens];
+    while (trimmed.filter(t => t.kind === 'neutral').length > this.DETECTION_THRESHOLDS.maxNeutralGap) {
+      trimmed.shift();
+    }
+    while (trimmed.length > 0 && trimmed[0].kind !== 'weak') {
+      trimmed.shift();
+    }
+    return trimmed;
+  },
+
+  /**
+   * Classify a token for detectLegacyFontSpans
+   *
+   * @param {string} text - Token text
+   * @returns {string} 'bengali', 'strong', 'weak', 'neutral' (other words) or 'inert' (no letters)
+   */
+  _classifyToken(text) {
+    if (/[ঀ-৿]/.test(text)) {
+      return 'bengali';
+    }
+    const glyphs = text.replace(this.MOJIBAKE_SEQUENCES, '').match(this.BIJOY_SIGNATURE_GLYPHS) || [];
+    const symbols = glyphs.filter(glyph => !this.ACCENTED_LETTER_GLYPHS.test(glyph)).length;
+    const letters = (text.match(/[A-Za-z]/g) || []).length;
+    if (symbols >= 1 && letters + glyphs.length >= 2) {
+      return 'strong';
+    }
+    if (letters === 0) {
+      return 'inert';
+    }
+    if (glyphs.length > 0) {
+      return 'weak';
+    }
+    if (/^[A-Za-z`~^&|]+$/.test(text) && letters >= 2) {
+      const vShare = (text.match(/v/g) || []).length / letters;
+      if (/[a-z][A-Z]/.test(text) || /[`~^&|]/.test(text) || vShare > 0.25) {
+        return 'weak';
+      }
+    }
+    return 'neutral';
+  },
+
+  /**
+   * Score a run of tokens and build its span, or null when it falls short
+   * of DETECTION_THRESHOLDS
+   */
+  _scoreSpan(content, tokens) {
+    const thresholds = this.DETECTION_THRESHOLDS;
+    const words = tokens.filter(t => t.kind !== 'inert');
+    const strong = words.filter(t => t.kind === 'strong').length;
+    const weak = words.filter(t => t.kind === 'weak').length;
+    if (strong === 0 || words.length < thresholds.minWordTokens) {
+      return null;
+    }
+
+    const score = Math.round(((2 * strong + weak) / (2 * words.length)) * 100) / 100;
+    const start = tokens[0].start;
+    const end = tokens[tokens.length - 1].end;
+    const text = content.substring(start, end);
+    const letters = (text.match(/[A-Za-z]/g) || []).length;
+    const bijoyVs = tokens
+      .filter(token => !this._isPlainWord(token.text))
+      .reduce((count, token) => count + (token.text.match(/v/g) || []).length, 0);
+    const vRatio = letters > 0 ? bijoyVs / letters : 0;
+    if (score < thresholds.minScore || !(this.BIJOY_CORE_GLYPHS.test(text) || vRatio >= thresholds.minVRatio)) {
+      return null;
+    }
+
+    return {
+      start,
+      end,
+      text,
+      font: 'bijoy',
+      score,
+      word_tokens: words.length,
+      strong_tokens: strong
+    };
+  },
+
+  /**
+   * Whether a token is an ordinary English word ("five", "Provided"): one
+   * optional capital then lower-case letters, with v no more than a quarter
+   * of them, once punctuation and mojibake are stripped. Its v's are not
+   * counted as া.
+   */
+  _isPlainWord(text) {
+    const word = text.replace(this.MOJIBAKE_SEQUENCES, '').replace(/[^A-Za-z`~^&|]/g, '');
+    if (!/^[A-Z]?[a-z]+$/.test(word)) {
+      return false;
+    }
+    return (word.match(/v/g) || []).length / word.length <= 0.25;
+  },
+
+  /**
+   * Convert Bijoy-encoded text to Unicode Bengali
+   *
+   * Maps glyphs through BIJOY_MAP (longest key first), moves pre-base
+   * vowel signs and reph into Unicode order, then applies NFC. Characters
+   * outside the table are kept.
+   *
+   * @param {string} text - Bijoy-encoded text
+   * @returns {string} Unicode Bengali text
+   */
+  convertBijoyToUnicode(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+    if (!this._bijoyPattern) {
+      const keys = Object.keys(this.BIJOY_MAP)
+        .sort((a, b) => b.length - a.length)
+        .map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      this._bijoyPattern = new RegExp(keys.join('|'), 'g');
+    }
+    const mapped = text.replace(this._bijoyPattern, glyph => this.BIJOY_MAP[glyph]);
+    return this._reorderBijoy(mapped).normalize('NFC');
+  },
+
+  /**
+   * Move pre-base vowel signs after their consonant cluster and reph before
+   * it, turning the font's visual order into Unicode's logical order
+   */
+  _reorderBijoy(text) {
+    const consonant = '[\\u0995-\\u09B9\\u09CE\\u09DC-\\u09DF]\\u09BC?';
+    const cluster = `(?:${consonant}\\u09CD\\u200D?)*${consonant}(?:\\u09CD${consonant})*`;
+    return text
+      .replace(new RegExp(`([\\u09BF\\u09C7\\u09C8])(${cluster})`, 'g'), '$2$1')
+      .replace(new RegExp(`(${cluster}[\\u09BE-\\u09CC\\u09D7]*)\\u09B0\\u09CD(?!\\u200D)`, 'g'), 'র্$1');
+  },
+
+  /**
+   * Convert the detected Bijoy spans of a text
+   *
+   * @param {string} content - Text holding legacy font spans
+   * @param {Array} spans - Spans from detectLegacyFontSpans (detected when omitted)
+   * @returns {Object} { content, conversions } where each conversion is
+   *   { position, original, converted, font, score } with position in the input
+   */
+  convertLegacyFontSpans(content, spans = null) {
+    if (!content || typeof content !== 'string') {
+      return { content: content || '', conversions: [] };
+    }
+    const found = spans || this.detectLegacyFontSpans(content);
+    const conversions = found.map(span => ({
+      position: span.start,
+      original: span.text,
+      converted: this.convertBijoyToUnicode(span.text),
+      font: span.font,
+      score: span.score
+    }));
+
+    let result = content;
+    for (let i = found.length - 1; i >= 0; i--) {
+      result = result.substring(0, found[i].start) + conversions[i].converted + result.substring(found[i].end);
+    }
+    return { content: result, conversions };
+  }
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BDLawLegacyFont;
+}
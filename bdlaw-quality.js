@@ -93,6 +93,7 @@ const BDLawQuality = {
       completeness_disclaimer: 'Website representation incomplete; legal completeness unknown',
       flags: [],
       issues: [],
+      issue_counts: {},
       risks: [],
       known_limitations: [
         'Preamble and enactment clause may not be present in all HTML extractions',
@@ -105,7 +106,10 @@ const BDLawQuality = {
       intended_ml_use: ['retrieval', 'extractive_question_answering'],
       preamble_present: false,
       enactment_clause_present: false,
-      statutory_footnotes_present: false
+      statutory_footnotes_present: false,
+      proviso_marker_count: 0,
+      explanation_marker_count: 0,
+      illustration_marker_count: 0
     };
   },
 
@@ -350,9 +354,9 @@ const BDLawQuality = {
       return 'textual_partial';
     }
 
-    // Encoding errors and OCR artifacts don't affect completeness, just quality
-    // These are fixable issues, so content is still considered complete
-    if (flagSet.has('encoding_error') || flagSet.has('ocr_artifact')) {
+    // Encoding errors, legacy font text and OCR artifacts don't affect
+    // completeness, just quality: the text is all there, if mis-encoded
+    if (flagSet.has('encoding_error') || flagSet.has('encoding_legacy_font') || flagSet.has('ocr_artifact')) {
       return 'complete';
     }
 
@@ -360,6 +364,115 @@ const BDLawQuality = {
     return 'uncertain';
   },
 
+  /**
+   * Apply Unicode normalization to content
+   * Requirements: 3.6, 3.7 - Only Unicode normalization inside numeric regions
+   *
+   * Runs BDLawExtractor.normalizeBengaliText: NFC plus Bengali
+   * canonicalisation (precomposed nukta letters, khanda ta, stray ZWJ/ZWNJ,
+   * dotted circles). Records one transformation per change class with its
+   * count; classes that go beyond canonical equivalence are skipped inside
+   * numeric regions and protected sections.
+   *
+   * @param {string} content - The content to normalize
+   * @param {boolean} dryRun - If true, detect but don't modify content
+   * @param {Array} numericRegions - Optional array of numeric regions to skip
+   * @param {Array} protectedRegions - Optional array of protected sections to skip
+   * @returns {Object} { content, transformations, skippedInNumericRegions, skippedInProtectedSections }
+   */
+  applyUnicodeNormalization(content, dryRun = false, numericRegions = null, protectedRegions = null) {
+    let extractor = typeof BDLawExtractor !== 'undefined' ? BDLawExtractor : null;
+    if (!extractor) {
+      try {
+        extractor = require('./bdlaw-extractor.js');
+      } catch (e) {
+        extractor = null;
+      }
+    }
+    if (!content || typeof content !== 'string' || !extractor) {
+      return {
+        content: content || '',
+        transformations: [],
+        skippedInNumericRegions: 0,
+        skippedInProtectedSections: 0
+      };
+    }
+
+    const result = extractor.normalizeBengaliText(content, { numericRegions, protectedRegions });
+    return {
+      content: dryRun ? content : result.normalized,
+      transformations: result.changes.map(change => ({
+        type: 'unicode_normalization',
+        change_class: change.change_class,
+        original: change.original,
+        corrected: change.corrected,
+        position: change.position,
+        count: change.count,
+        skippedCount: change.skipped_count,
+        applied: !dryRun && change.count > 0
+      })),
+      skippedInNumericRegions: result.skippedInNumericRegions,
+      skippedInProtectedSections: result.skippedInProtectedSections
+    };
+  },
+
+  /**
+   * Convert legacy ASCII-mapped Bengali font spans to Unicode
+   *
+   * Spans typed in Bijoy-layout fonts (SutonnyMJ and relatives) are found by
+   * BDLawLegacyFont.detectLegacyFontSpans and converted glyph by glyph. The
+   * conversion re-encodes whole spans, digits included, and is always
+   * recorded as a high-risk transformation carrying the original span.
+   *
+   * @param {string} content - The content to convert
+   * @param {boolean} dryRun - If true, detect but don't modify content
+   * @returns {Object} { content, transformations, spans }
+   */
+  applyLegacyFontConversion(content, dryRun = false) {
+    const legacyFont = this._loadLegacyFont();
+    if (!content || typeof content !== 'string' || !legacyFont) {
+      return { content: content || '', transformations: [], spans: [] };
+    }
+
+    const spans = legacyFont.detectLegacyFontSpans(content);
+    if (spans.length === 0) {
+      return { content, transformations: [], spans };
+    }
+
+    const result = legacyFont.convertLegacyFontSpans(content, spans);
+    return {
+      content: dryRun ? content : result.content,
+      transformations: result.conversions.map(conversion => ({
+        type: 'legacy_font_conversion',
+        font: conversion.font,
+        position: conversion.position,
+        original: conversion.original,
+        corrected: conversion.converted,
+        score: conversion.score,
+        count: 1,
+        risk_level: 'high-risk',
+        applied: !dryRun
+      })),
+      spans
+    };
+  },
+
+  /**
+   * BDLawLegacyFont, loaded as the other cross-module helpers are
+   *
+   * @returns {Object|null} The legacy font module, or null when unavailable
+   */
+  _loadLegacyFont() {
+    if (typeof BDLawLegacyFont !== 'undefined') {
+      return BDLawLegacyFont;
+    }
+    try {
+      return require('./bdlaw-legacy-font.js');
+    } catch (e) {
+      return null;
+    }
+  },
+
   /**
    * Apply encoding repair rules to content
    * Requirements: 4.1, 4.2, 4.3, 4.5
@@ -398,8 +511,8 @@ const BDLawQuality = {
 
     // Iterate through all encoding error patterns
     for (const rule of encodingErrors) {
-      // Skip invalid rule definitions
-      if (!rule || !rule.pattern) {
+      // Skip invalid or disabled rule definitions
+      if (!rule || !rule.pattern || rule.enabled === false) {
         continue;
       }
 
@@ -410,9 +523,17 @@ const BDLawQuality = {
       const matchesSkipped = [];
 
       // Find all matches and check if they're in numeric regions
-      while ((match = freshPattern.exec(content)) !== null) {
+      // (searched in the text as left by earlier rules, so offsets stay valid)
+      while ((match = freshPattern.exec(result)) !== null) {
         const matchStart = match.index;
         const matchEnd = match.index + match[0].length;
+        if (match[0].length === 0) {
+          freshPattern.lastIndex++;
+          continue;
+        }
+        if (!this._ruleAppliesAt(rule, result, matchStart, matchEnd)) {
+          continue;
+        }
 
         // Requirements: 3.6, 3.7 - Check if match is in a numeric region
         if (numericRegions && this._isInNumericRegion(matchStart, matchEnd, numericRegions)) {
@@ -430,7 +551,8 @@ const BDLawQuality = {
           rule: rule.description,
           count: matchesToApply.length,
           replacement: rule.replacement,
-          skippedCount: matchesSkipped.length
+          skippedCount: matchesSkipped.length,
+          ...this._ruleProvenance(rule)
         });
 
         // Apply the replacement only if not in dryRun mode
@@ -449,7 +571,8 @@ const BDLawQuality = {
           count: 0,
           replacement: rule.replacement,
           skippedCount: matchesSkipped.length,
-          skippedReason: 'numeric_region_protection'
+          skippedReason: 'numeric_region_protection',
+          ...this._ruleProvenance(rule)
         });
       }
     }
@@ -461,6 +584,54 @@ const BDLawQuality = {
     };
   },
 
+  /**
+   * Whether a rule's scope and context allow it at a match
+   *
+   * Both are checked against the line holding the match: a bengali or
+   * english scope needs a letter of that script on the line, and a
+   * context_pattern (from a rule pack's context regex) must match it.
+   * Rules without scope or context apply everywhere.
+   *
+   * @param {Object} rule - encodingErrors or ocrCorrections entry
+   * @param {string} content - Content being cleaned
+   * @param {number} start - Match start
+   * @param {number} end - Match end
+   * @returns {boolean} True if the rule applies at this match
+   */
+  _ruleAppliesAt(rule, content, start, end) {
+    if ((!rule.scope || rule.scope === 'any') && !rule.context_pattern) {
+      return true;
+    }
+    const lineEnd = content.indexOf('\n', end);
+    const line = content.substring(content.lastIndexOf('\n', start - 1) + 1, lineEnd === -1 ? content.length : lineEnd);
+    if (rule.scope === 'bengali' && !/[\u0980-\u09FF]/.test(line)) {
+      return false;
+    }
+    if (rule.scope === 'english' && !/[A-Za-z]/.test(line)) {
+      return false;
+    }
+    return !rule.context_pattern || new RegExp(rule.context_pattern.source, rule.context_pattern.flags.replace(/[gy]/g, '')).test(line);
+  },
+
+  /**
+   * Rule pack provenance recorded on a transformation
+   *
+   * @param {Object} rule - encodingErrors or ocrCorrections entry
+   * @returns {Object} rule_id, rule_version, pack_id, pack_version and risk_level when the rule came from a rule pack
+   */
+  _ruleProvenance(rule) {
+    if (!rule.pack_id) {
+      return {};
+    }
+    return {
+      rule_id: rule.rule_id,
+      rule_version: rule.rule_version,
+      pack_id: rule.pack_id,
+      pack_version: rule.pack_version,
+      risk_level: rule.risk_level
+    };
+  },
+
   /**
    * Check if a range overlaps with any numeric region
    * Requirements: 3.6 - Helper for numeric region checking
@@ -542,8 +713,8 @@ const BDLawQuality = {
 
     // Iterate through all OCR correction entries
     for (const correction of ocrCorrections) {
-      // Skip invalid correction definitions
-      if (!correction || !correction.incorrect || !correction.correct) {
+      // Skip invalid or disabled correction definitions
+      if (!correction || !correction.incorrect || !correction.correct || correction.enabled === false) {
         continue;
       }
 
@@ -556,9 +727,13 @@ const BDLawQuality = {
       const matchesFlaggedProtected = [];
 
       // Find all matches and check if they're in numeric regions or protected sections
-      while ((match = pattern.exec(content)) !== null) {
+      // (searched in the text as left by earlier rules, so offsets stay valid)
+      while ((match = pattern.exec(result)) !== null) {
         const matchStart = match.index;
         const matchEnd = match.index + match[0].length;
+        if (!this._ruleAppliesAt(correction, result, matchStart, matchEnd)) {
+          continue;
+        }
 
         // Requirements: 3.6, 3.7 - Check if match is in a numeric region
         if (numericRegions && this._isInNumericRegion(matchStart, matchEnd, numericRegions)) {
@@ -591,7 +766,8 @@ const BDLawQuality = {
             position: flagged.position,
             context: flagged.context,
             applied: false,
-            reason: 'protected_section_enforcement'
+            reason: 'protected_section_enforcement',
+            ...this._ruleProvenance(correction)
           });
         }
         
@@ -604,7 +780,8 @@ const BDLawQuality = {
           context: correction.context,
           skippedCount: matchesFlaggedProtected.length,
           skippedReason: 'protected_section_enforcement',
-          applied: false
+          applied: false,
+          ...this._ruleProvenance(correction)
         });
       }
 
@@ -617,7 +794,8 @@ const BDLawQuality = {
           count: matchesToApply.length,
           context: correction.context,
           skippedCount: matchesSkippedNumeric.length,
-          applied: !dryRun
+          applied: !dryRun,
+          ...this._ruleProvenance(correction)
         });
 
         // Apply the replacement only if not in dryRun mode
@@ -638,7 +816,8 @@ const BDLawQuality = {
           context: correction.context,
           skippedCount: matchesSkippedNumeric.length,
           skippedReason: 'numeric_region_protection',
-          applied: false
+          applied: false,
+          ...this._ruleProvenance(correction)
         });
       }
     }
@@ -876,9 +1055,23 @@ const BDLawQuality = {
    * returns both original and cleaned content with transformation log.
    * Detects numeric regions and passes them to cleaning functions to skip.
    * Detects protected sections and passes them to OCR correction to flag but not correct.
+   * With applyUnicodeNormalization the content is first normalized the way
+   * content_normalized is, and the regions for the later rules are detected
+   * again on the normalized text.
+   * With applyLegacyFontConversion, legacy font spans (Bijoy/SutonnyMJ)
+   * are converted to Unicode next,
+   * before the encoding repairs that would otherwise read their glyphs as
+   * corrupted characters; each span is logged as a high-risk
+   * legacy_font_conversion with the original text.
+   * Transformations from rules compiled out of rule packs
+   * (BDLawRulePacks.buildQualityConfig) carry the pack_id, pack_version,
+   * rule_id, rule_version and risk_level that produced them; rulePacks lists
+   * the packs in the config.
    * 
    * @param {string} content - Original content to clean
    * @param {Object} options - Cleaning options
+   * @param {boolean} options.applyUnicodeNormalization - Normalize Unicode first, as for content_normalized (default: false)
+   * @param {boolean} options.applyLegacyFontConversion - Convert Bijoy/SutonnyMJ spans to Unicode (high risk, opt-in; default: false)
    * @param {boolean} options.applyEncodingRepairs - Enable encoding repairs (default: true)
    * @param {boolean} options.applyOcrCorrections - Enable OCR corrections (default: true)
    * @param {boolean} options.applyFormatting - Enable formatting improvements (default: true)
@@ -888,11 +1081,13 @@ const BDLawQuality = {
    * @param {Array} options.protectedRegions - Pre-detected protected sections (optional, will detect if not provided)
    * @param {boolean} options.skipNumericRegionDetection - If true, skip numeric region detection (default: false)
    * @param {boolean} options.skipProtectedSectionDetection - If true, skip protected section detection (default: false)
-   * @returns {Object} { original, cleaned, transformations, flags, numericRegions, protectedRegions, skippedInNumericRegions, skippedInProtectedSections, flaggedInProtectedSections }
+   * @returns {Object} { original, cleaned, transformations, flags, numericRegions, protectedRegions, skippedInNumericRegions, skippedInProtectedSections, flaggedInProtectedSections, rulePacks }
    */
   cleanContent(content, options = {}) {
     // Extract options with defaults
     const {
+      applyUnicodeNormalization = false,
+      applyLegacyFontConversion = false,
       applyEncodingRepairs = true,
       applyOcrCorrections = true,
       applyFormatting = true,
@@ -918,7 +1113,8 @@ const BDLawQuality = {
         protectedRegions: [],
         skippedInNumericRegions: 0,
         skippedInProtectedSections: 0,
-        flaggedInProtectedSections: []
+        flaggedInProtectedSections: [],
+        rulePacks: cfg.rulePacks || []
       };
     }
 
@@ -930,49 +1126,36 @@ const BDLawQuality = {
     let totalSkippedInProtectedSections = 0;
     let allFlaggedInProtectedSections = [];
 
-    // Requirements: 3.6, 3.7 - Detect numeric regions if not provided
-    let detectedNumericRegions = numericRegions;
-    if (!skipNumericRegionDetection && !detectedNumericRegions) {
-      // Try to use BDLawExtractor if available
-      if (typeof BDLawExtractor !== 'undefined' && BDLawExtractor.detectNumericRegions) {
-        detectedNumericRegions = BDLawExtractor.detectNumericRegions(content);
-      } else {
-        // Fallback: try to require it (Node.js environment)
-        try {
-          const extractor = require('./bdlaw-extractor.js');
-          if (extractor && extractor.detectNumericRegions) {
-            detectedNumericRegions = extractor.detectNumericRegions(content);
-          }
-        } catch (e) {
-          // BDLawExtractor not available, proceed without numeric region protection
-          detectedNumericRegions = [];
-        }
+    // Requirements: 3.6, 3.7, 17.5 - Detect numeric regions and protected sections if not provided
+    const regionOptions = { skipNumericRegionDetection, skipProtectedSectionDetection };
+    let { numericRegions: detectedNumericRegions, protectedRegions: detectedProtectedRegions } =
+      this._detectCleaningRegions(content, { ...regionOptions, numericRegions, protectedRegions });
+
+    // Apply Unicode normalization if enabled; the later rules work on the
+    // normalized text, so regions are detected again when it changed
+    if (applyUnicodeNormalization) {
+      const result = this.applyUnicodeNormalization(cleaned, dryRun, detectedNumericRegions, detectedProtectedRegions);
+      allTransformations.push(...result.transformations);
+      totalSkippedInNumericRegions += result.skippedInNumericRegions;
+      totalSkippedInProtectedSections += result.skippedInProtectedSections;
+      if (result.content !== cleaned) {
+        cleaned = result.content;
+        ({ numericRegions: detectedNumericRegions, protectedRegions: detectedProtectedRegions } =
+          this._detectCleaningRegions(cleaned, regionOptions));
       }
     }
-    detectedNumericRegions = detectedNumericRegions || [];
 
-    // Requirements: 17.5, 17.6, 17.7 - Detect protected sections if not provided
-    let detectedProtectedRegions = protectedRegions;
-    if (!skipProtectedSectionDetection && !detectedProtectedRegions) {
-      // Try to use BDLawExtractor if available
-      if (typeof BDLawExtractor !== 'undefined' && BDLawExtractor.detectProtectedSections) {
-        const result = BDLawExtractor.detectProtectedSections(content);
-        detectedProtectedRegions = result.regions || [];
-      } else {
-        // Fallback: try to require it (Node.js environment)
-        try {
-          const extractor = require('./bdlaw-extractor.js');
-          if (extractor && extractor.detectProtectedSections) {
-            const result = extractor.detectProtectedSections(content);
-            detectedProtectedRegions = result.regions || [];
-          }
-        } catch (e) {
-          // BDLawExtractor not available, proceed without protected section detection
-          detectedProtectedRegions = [];
-        }
+    // Convert legacy font spans before encoding repairs, which would read
+    // Bijoy glyphs such as æ and ì as corrupted characters
+    if (applyLegacyFontConversion) {
+      const result = this.applyLegacyFontConversion(cleaned, dryRun);
+      allTransformations.push(...result.transformations);
+      if (result.content !== cleaned) {
+        cleaned = result.content;
+        ({ numericRegions: detectedNumericRegions, protectedRegions: detectedProtectedRegions } =
+          this._detectCleaningRegions(cleaned, regionOptions));
       }
     }
-    detectedProtectedRegions = detectedProtectedRegions || [];
 
     // Apply encoding repairs if enabled
     if (applyEncodingRepairs) {
@@ -1021,7 +1204,70 @@ const BDLawQuality = {
       protectedRegions: detectedProtectedRegions,
       skippedInNumericRegions: totalSkippedInNumericRegions,
       skippedInProtectedSections: totalSkippedInProtectedSections,
-      flaggedInProtectedSections: allFlaggedInProtectedSections
+      flaggedInProtectedSections: allFlaggedInProtectedSections,
+      rulePacks: cfg.rulePacks || []
+    };
+  },
+
+  /**
+   * Numeric regions and protected sections for cleaning content
+   * Requirements: 3.6, 3.7, 17.5 - Regions the cleaning rules skip
+   *
+   * Regions passed in are used as given; missing ones are detected with
+   * BDLawExtractor unless detection is skipped.
+   *
+   * @param {string} content - Content being cleaned
+   * @param {Object} options - { numericRegions, protectedRegions, skipNumericRegionDetection, skipProtectedSectionDetection }
+   * @returns {Object} { numericRegions, protectedRegions }
+   */
+  _detectCleaningRegions(content, options = {}) {
+    // Requirements: 3.6, 3.7 - Detect numeric regions if not provided
+    let detectedNumericRegions = options.numericRegions || null;
+    if (!options.skipNumericRegionDetection && !detectedNumericRegions) {
+      // Try to use BDLawExtractor if available
+      if (typeof BDLawExtractor !== 'undefined' && BDLawExtractor.detectNumericRegions) {
+        detectedNumericRegions = BDLawExtractor.detectNumericRegions(content);
+      } else {
+        // Fallback: try to require it (Node.js environment)
+        try {
+          const extractor = require('./bdlaw-extractor.js');
+          if (extractor && extractor.detectNumericRegions) {
+            detectedNumericRegions = extractor.detectNumericRegions(content);
+          }
+        } catch (e) {
+          // BDLawExtractor not available, proceed without numeric region protection
+          detectedNumericRegions = [];
+        }
+      }
+    }
+    detectedNumericRegions = detectedNumericRegions || [];
+
+    // Requirements: 17.5, 17.6, 17.7 - Detect protected sections if not provided
+    let detectedProtectedRegions = options.protectedRegions || null;
+    if (!options.skipProtectedSectionDetection && !detectedProtectedRegions) {
+      // Try to use BDLawExtractor if available
+      if (typeof BDLawExtractor !== 'undefined' && BDLawExtractor.detectProtectedSections) {
+        const result = BDLawExtractor.detectProtectedSections(content);
+        detectedProtectedRegions = result.regions || [];
+      } else {
+        // Fallback: try to require it (Node.js environment)
+        try {
+          const extractor = require('./bdlaw-extractor.js');
+          if (extractor && extractor.detectProtectedSections) {
+            const result = extractor.detectProtectedSections(content);
+            detectedProtectedRegions = result.regions || [];
+          }
+        } catch (e) {
+          // BDLawExtractor not available, proceed without protected section detection
+          detectedProtectedRegions = [];
+        }
+      }
+    }
+    detectedProtectedRegions = detectedProtectedRegions || [];
+
+    return {
+      numericRegions: detectedNumericRegions,
+      protectedRegions: detectedProtectedRegions
     };
   },
 
@@ -1069,13 +1315,30 @@ const BDLawQuality = {
       risks.push('missing_schedule_content');
     }
 
+    // Detect text typed in legacy ASCII-mapped Bengali fonts; its glyphs are
+    // not encoding errors, so those inside the spans are left to this flag
+    const legacyFont = this._loadLegacyFont();
+    const legacySpans = legacyFont ? legacyFont.detectLegacyFontSpans(content) : [];
+    if (legacySpans.length > 0) {
+      flags.add('encoding_legacy_font');
+      allIssues.push(...legacySpans.map(span => ({
+        type: 'encoding_legacy_font',
+        position: span.start,
+        description: `Legacy font text (${span.font}, score ${span.score}) at position ${span.start}: "${span.text.substring(0, 40)}"`
+      })));
+      risks.push('encoding_ambiguity');
+    }
+
     // Detect encoding errors
-    const encodingIssues = this.detectEncodingErrors(content, cfg);
+    const encodingIssues = this.detectEncodingErrors(content, cfg)
+      .filter(issue => !legacySpans.some(span => issue.position >= span.start && issue.position < span.end));
     if (encodingIssues.length > 0) {
       flags.add('encoding_error');
       allIssues.push(...encodingIssues);
       // Requirements: 9.2 - Add to risks array
-      risks.push('encoding_ambiguity');
+      if (!risks.includes('encoding_ambiguity')) {
+        risks.push('encoding_ambiguity');
+      }
     }
 
     // Detect OCR artifacts
@@ -1111,6 +1374,7 @@ const BDLawQuality = {
     let preambleResult = { preamble_present: false, preamble_markers: [] };
     let enactmentResult = { enactment_clause_present: false, enactment_markers: [] };
     let statutoryFootnotesResult = { statutory_footnotes_present: false, footnote_count: 0 };
+    let blockMarkerCounts = { proviso_marker_count: 0, explanation_marker_count: 0, illustration_marker_count: 0 };
 
     // Try to use BDLawExtractor if available
     if (typeof BDLawExtractor !== 'undefined') {
@@ -1123,6 +1387,9 @@ const BDLawQuality = {
       if (BDLawExtractor.detectStatutoryFootnotes) {
         statutoryFootnotesResult = BDLawExtractor.detectStatutoryFootnotes(content);
       }
+      if (BDLawExtractor.countBlockMarkers) {
+        blockMarkerCounts = BDLawExtractor.countBlockMarkers(content);
+      }
     } else {
       // Fallback: try to require it (Node.js environment)
       try {
@@ -1137,6 +1404,9 @@ const BDLawQuality = {
           if (extractor.detectStatutoryFootnotes) {
             statutoryFootnotesResult = extractor.detectStatutoryFootnotes(content);
           }
+          if (extractor.countBlockMarkers) {
+            blockMarkerCounts = extractor.countBlockMarkers(content);
+          }
         }
       } catch (e) {
         // BDLawExtractor not available, proceed with defaults
@@ -1175,6 +1445,11 @@ const BDLawQuality = {
       completeness_disclaimer: 'Website representation incomplete; legal completeness unknown',
       flags: Array.from(flags),
       issues: allIssues.map(issue => issue.description),
+      // Issues by type, for corpus-level reports
+      issue_counts: allIssues.reduce((counts, issue) => {
+        counts[issue.type] = (counts[issue.type] || 0) + 1;
+        return counts;
+      }, {}),
       // Requirements: 9.2 - risks array
       risks: risks,
       // Requirements: 9.3 - known_limitations array
@@ -1193,6 +1468,10 @@ const BDLawQuality = {
       // Statutory footnotes detection
       statutory_footnotes_present: statutoryFootnotesResult.statutory_footnotes_present,
       statutory_footnote_count: statutoryFootnotesResult.footnote_count,
+      // Proviso, explanation and illustration markers anywhere in content
+      proviso_marker_count: blockMarkerCounts.proviso_marker_count,
+      explanation_marker_count: blockMarkerCounts.explanation_marker_count,
+      illustration_marker_count: blockMarkerCounts.illustration_marker_count,
       // Editorial content flag (set by caller if detected)
       editorial_content_present: options.editorialContentPresent || false
     };
@@ -1306,6 +1585,15 @@ const BDLawQuality = {
       });
     }
 
+    // Structured tables are derived alongside the raw HTML, never instead of it
+    if (Array.isArray(scheduleResult.tables) && scheduleResult.tables.length > 0 && !scheduleResult.html_content) {
+      result.valid = false;
+      result.issues.push({
+        type: 'schedule_metadata_error',
+        description: 'Schedule tables present without the html_content they are derived from'
+      });
+    }
+
     // Check for missing schedule flag
     // Requirements: 8.6 - Flag missing schedules without inferring content
     if (scheduleResult.missing_schedule_flag) {
@@ -551,7 +551,11 @@ const BDLawQueue = {
         'ধারা': 0,
         'অধ্যায়': 0,
         'তফসিল': 0
-      }
+      },
+      // DOM-derived structure tree and scope-anchored cross-references.
+      // Offsets index into content; null/[] when the capture predates derivation.
+      structure: act.structure || null,
+      cross_references: Array.isArray(act.cross_references) ? act.cross_references : []
       // REMOVED: structured_sections - semantic interpretation, not extraction
       // REMOVED: tables - requires structural inference
       // REMOVED: amendments - classification, not detection
@@ -681,12 +685,73 @@ const BDLawQueue = {
         if (act.volume_number === null || act.volume_number === undefined) {
           errors.push(`Act ${index}: volume_number is null or undefined`);
         }
+
+        this._validateStructureAnchoring(act, index, errors);
       }
     });
 
     return { valid: errors.length === 0, errors };
   },
 
+  /**
+   * Validate that structure and cross_references are anchored to the act text
+   * Both fields are optional; when present every offset must index into
+   * content_raw (or content for corpus-format acts), with -1 meaning "not found".
+   * 
+   * @private
+   * @param {Object} act - The exported act to check
+   * @param {number} index - Act position in the corpus (for error messages)
+   * @param {Array<string>} errors - Error list to append to
+   */
+  _validateStructureAnchoring(act, index, errors) {
+    const text = typeof act.content_raw === 'string' ? act.content_raw : act.content;
+    const length = typeof text === 'string' ? text.length : 0;
+    const isValidOffset = (offset) => Number.isInteger(offset) && offset >= -1 && offset <= length;
+
+    if (act.structure !== undefined && act.structure !== null) {
+      if (typeof act.structure !== 'object' || !Array.isArray(act.structure.sections)) {
+        errors.push(`Act ${index}: structure.sections is not an array`);
+      } else {
+        act.structure.sections.forEach((section, sectionIndex) => {
+          const label = `Act ${index}: structure.sections[${sectionIndex}]`;
+          if (!isValidOffset(section.content_start) || !isValidOffset(section.content_end)) {
+            errors.push(`${label} has content offsets outside content_raw`);
+          }
+          const children = [
+            ...(section.subsections || []),
+            ...(section.clauses || []),
+            ...(section.subsections || []).flatMap(sub => sub.clauses || [])
+          ];
+          if (children.some(child => !isValidOffset(child.marker_offset))) {
+            errors.push(`${label} has marker offsets outside content_raw`);
+          }
+        });
+      }
+    }
+
+    if (act.cross_references !== undefined) {
+      if (!Array.isArray(act.cross_references)) {
+        errors.push(`Act ${index}: cross_references is not an array`);
+        return;
+      }
+      act.cross_references.forEach((ref, refIndex) => {
+        const label = `Act ${index}: cross_references[${refIndex}]`;
+        if (!ref || typeof ref !== 'object' || typeof ref.citation_text !== 'string') {
+          errors.push(`${label} is missing citation_text`);
+          return;
+        }
+        if (!isValidOffset(ref.character_offset) || ref.character_offset === -1) {
+          errors.push(`${label} character_offset is outside content_raw`);
+        } else if (text.substring(ref.character_offset, ref.character_offset + ref.citation_text.length) !== ref.citation_text) {
+          errors.push(`${label} citation_text does not match content_raw at its offset`);
+        }
+        if (!ref.scope || typeof ref.scope !== 'object') {
+          errors.push(`${label} is missing scope`);
+        }
+      });
+    }
+  },
+
   // ============================================
   // QUEUE CONFIGURATION FUNCTIONS
   // Requirements: 1.1, 1.4, 1.5, 10.1-10.5
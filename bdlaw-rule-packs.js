@@ -0,0 +1,348 @@
+/**
+ * BDLawCorpus Correction Rule Packs
+ *
+ * OCR and encoding corrections kept as data rather than code. A rule pack is
+ * a versioned JSON document of rules, each with an id and version, a kind
+ * (ocr_correction or encoding_repair), a script scope, an optional context
+ * regex, a risk level and an enabled flag. Packs are stored in extension
+ * storage, imported and exported as JSON, and compiled into the
+ * encodingErrors/ocrCorrections lists of a BDLawQuality config, so every
+ * cleaning transformation can name the pack and rule version behind it.
+ *
+ * @module bdlaw-rule-packs
+ */
+
+const BDLawRulePacks = {
+  /**
+   * Storage key for rule packs in chrome.storage
+   */
+  STORAGE_KEY: 'bdlaw_rule_packs',
+
+  PACK_FORMAT: 'bdlaw-rule-pack',
+  BUNDLE_FORMAT: 'bdlaw-rule-packs',
+  FORMAT_VERSION: '1.0',
+
+  RULE_KINDS: ['ocr_correction', 'encoding_repair'],
+  RULE_SCOPES: ['bengali', 'english', 'any'],
+  RISK_LEVELS: ['non-semantic', 'potential-semantic'],
+
+  /**
+   * The corrections that used to be hard-coded in
+   * BDLawQuality.QUALITY_CONFIG, as the default pack
+   */
+  BUILTIN_PACK: {
+    format: 'bdlaw-rule-pack',
+    format_version: '1.0',
+    pack_id: 'builtin',
+    name: 'Built-in corrections',
+    version: '1.0.0',
+    description: 'Encoding repairs and OCR corrections shipped with BDLawCorpus',
+    rules: [
+      {
+        id: 'encoding-ae-quote',
+        version: 1,
+        kind: 'encoding_repair',
+        scope: 'any',
+        match: 'æ',
+        flags: 'g',
+        replacement: '"',
+        context: null,
+        description: 'Corrupted quotation mark',
+        risk_level: 'non-semantic',
+        enabled: true
+      },
+      {
+        id: 'encoding-table-border',
+        version: 1,
+        kind: 'encoding_repair',
+        scope: 'any',
+        match: '[\\u00ec\\u00ed\\u00ee\\u00ef]',
+        flags: 'g',
+        replacement: '\n',
+        context: null,
+        description: 'Corrupted table border',
+        risk_level: 'non-semantic',
+        enabled: true
+      },
+      {
+        id: 'ocr-london-proof',
+        version: 1,
+        kind: 'ocr_correction',
+        scope: 'bengali',
+        match: 'প্রম্্নফ',
+        replacement: 'প্রুফ',
+        context: null,
+        description: 'London Proof',
+        risk_level: 'potential-semantic',
+        enabled: true
+      },
+      {
+        id: 'ocr-letter-reference',
+        version: 1,
+        kind: 'ocr_correction',
+        scope: 'bengali',
+        match: 'অতগরটির',
+        replacement: 'অক্ষরটির',
+        context: null,
+        description: 'letter reference',
+        risk_level: 'potential-semantic',
+        enabled: true
+      }
+    ]
+  },
+
+  /**
+   * Check a rule pack against the pack format
+   *
+   * @param {Object} pack - Parsed rule pack
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateRulePack(pack) {
+    const errors = [];
+    if (!pack || typeof pack !== 'object') {
+      return { valid: false, errors: ['Rule pack must be an object'] };
+    }
+    if (pack.format !== this.PACK_FORMAT) {
+      errors.push(`format must be "${this.PACK_FORMAT}"`);
+    }
+    if (!pack.pack_id || typeof pack.pack_id !== 'string') {
+      errors.push('pack_id is required');
+    }
+    if (!pack.version || typeof pack.version !== 'string') {
+      errors.push('version is required');
+    }
+    if (!Array.isArray(pack.rules)) {
+      errors.push('rules must be an array');
+      return { valid: false, errors };
+    }
+
+    const ids = new Set();
+    pack.rules.forEach((rule, index) => {
+      const label = `rules[${index}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (!rule.id || typeof rule.id !== 'string') {
+        errors.push(`${label}: id is required`);
+      } else if (ids.has(rule.id)) {
+        errors.push(`${label}: duplicate id`);
+      }
+      ids.add(rule.id);
+      if (!Number.isInteger(rule.version) || rule.version < 1) {
+        errors.push(`${label}: version must be a positive integer`);
+      }
+      if (!this.RULE_KINDS.includes(rule.kind)) {
+        errors.push(`${label}: kind must be one of ${this.RULE_KINDS.join(', ')}`);
+      }
+      if (!this.RULE_SCOPES.includes(rule.scope)) {
+        errors.push(`${label}: scope must be one of ${this.RULE_SCOPES.join(', ')}`);
+      }
+      if (!this.RISK_LEVELS.includes(rule.risk_level)) {
+        errors.push(`${label}: risk_level must be one of ${this.RISK_LEVELS.join(', ')}`);
+      }
+      if (typeof rule.enabled !== 'boolean') {
+        errors.push(`${label}: enabled must be true or false`);
+      }
+      if (!rule.match || typeof rule.match !== 'string') {
+        errors.push(`${label}: match is required`);
+      }
+      if (typeof rule.replacement !== 'string') {
+        errors.push(`${label}: replacement must be a string`);
+      }
+      const patterns = { context: [rule.context, ''] };
+      if (rule.kind === 'encoding_repair') {
+        patterns.match = [rule.match, rule.flags || ''];
+      }
+      for (const [field, [source, flags]] of Object.entries(patterns)) {
+        if (typeof source !== 'string') {
+          continue;
+        }
+        try {
+          new RegExp(source, flags);
+        } catch (e) {
+          errors.push(`${label}: ${field} is not a valid regular expression (${e.message})`);
+        }
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Read rule packs from imported JSON
+   *
+   * Accepts a single pack or an export bundle of packs. Packs that fail
+   * validation are left out and their errors reported.
+   *
+   * @param {string} text - JSON text
+   * @returns {Object} { packs: Object[], errors: string[] }
+   */
+  parseRulePacks(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return { packs: [], errors: [`Not valid JSON: ${e.message}`] };
+    }
+
+    const candidates = data && data.format === this.BUNDLE_FORMAT ? (data.packs || []) : [data];
+    const packs = [];
+    const errors = [];
+    for (const pack of candidates) {
+      const validation = this.validateRulePack(pack);
+      if (validation.valid) {
+        packs.push(pack);
+      } else {
+        errors.push(...validation.errors.map(error => `${pack?.pack_id || 'rule pack'}: ${error}`));
+      }
+    }
+    return { packs, errors };
+  },
+
+  /**
+   * Merge imported packs into the stored list
+   *
+   * A pack replaces the stored pack with the same pack_id, keeping its place;
+   * new packs are appended.
+   *
+   * @param {Object[]} existing - Stored packs
+   * @param {Object[]} incoming - Packs from parseRulePacks
+   * @returns {Object[]} Merged packs
+   */
+  mergeRulePacks(existing, incoming) {
+    const merged = [...(existing || [])];
+    for (const pack of incoming || []) {
+      const index = merged.findIndex(stored => stored.pack_id === pack.pack_id);
+      if (index === -1) {
+        merged.push(pack);
+      } else {
+        merged[index] = pack;
+      }
+    }
+    return merged;
+  },
+
+  /**
+   * Serialize packs as an export bundle
+   *
+   * @param {Object[]} packs - Packs to export
+   * @param {Object} options - { exportedAt: ISO string }
+   * @returns {string} Pretty-printed JSON
+   */
+  formatRulePacksExport(packs, options = {}) {
+    return JSON.stringify({
+      format: this.BUNDLE_FORMAT,
+      format_version: this.FORMAT_VERSION,
+      exported_at: options.exportedAt || new Date().toISOString(),
+      packs: packs || []
+    }, null, 2);
+  },
+
+  /**
+   * Compile packs into a BDLawQuality config
+   *
+   * Enabled rules become encodingErrors (regex from match/flags) and
+   * ocrCorrections (literal match) entries carrying scope, context_pattern,
+   * risk_level and their pack and rule versions. Everything else is taken
+   * from the base config.
+   *
+   * @param {Object[]} packs - Rule packs, applied in order
+   * @param {Object} baseConfig - Config to extend (BDLawQuality.QUALITY_CONFIG when omitted)
+   * @returns {Object} Quality config with rulePacks listing the packs used
+   */
+  buildQualityConfig(packs, baseConfig = null) {
+    let base = baseConfig;
+    if (!base && typeof BDLawQuality !== 'undefined') {
+      base = BDLawQuality.QUALITY_CONFIG;
+    }
+    if (!base && typeof require === 'function') {
+      base = require('./bdlaw-quality.js').QUALITY_CONFIG;
+    }
+
+    const encodingErrors = [];
+    const ocrCorrections = [];
+    for (const pack of packs || []) {
+      for (const rule of pack.rules || []) {
+        if (rule.enabled !== true) {
+          continue;
+        }
+        const common = {
+          scope: rule.scope,
+          context_pattern: rule.context ? new RegExp(rule.context) : null,
+          risk_level: rule.risk_level,
+          rule_id: rule.id,
+          rule_version: rule.version,
+          pack_id: pack.pack_id,
+          pack_version: pack.version
+        };
+        if (rule.kind === 'encoding_repair') {
+          const flags = (rule.flags || '').includes('g') ? rule.flags : `${rule.flags || ''}g`;
+          encodingErrors.push({
+            pattern: new RegExp(rule.match, flags),
+            description: rule.description || rule.id,
+            replacement: rule.replacement,
+            ...common
+          });
+        } else if (rule.kind === 'ocr_correction') {
+          ocrCorrections.push({
+            incorrect: rule.match,
+            correct: rule.replacement,
+            context: rule.description || rule.id,
+            ...common
+          });
+        }
+      }
+    }
+
+    return {
+      ...(base || {}),
+      encodingErrors,
+      ocrCorrections,
+      rulePacks: (packs || []).map(pack => ({ pack_id: pack.pack_id, version: pack.version }))
+    };
+  },
+
+  /**
+   * Load rule packs from chrome.storage
+   *
+   * @returns {Promise<Object[]>} Stored packs, or the built-in pack when none are stored
+   */
+  async loadRulePacks() {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+        const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+        if (Array.isArray(result[this.STORAGE_KEY]) && result[this.STORAGE_KEY].length > 0) {
+          return result[this.STORAGE_KEY];
+        }
+      }
+      return [JSON.parse(JSON.stringify(this.BUILTIN_PACK))];
+    } catch (e) {
+      console.error('Failed to load rule packs:', e);
+      return [JSON.parse(JSON.stringify(this.BUILTIN_PACK))];
+    }
+  },
+
+  /**
+   * Save rule packs to chrome.storage
+   *
+   * @param {Object[]} packs - Packs to store
+   * @returns {Promise<boolean>} True if save succeeded, false otherwise
+   */
+  async saveRulePacks(packs) {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: packs });
+      }
+      return true;
+    } catch (e) {
+      console.error('Failed to save rule packs:', e);
+      return false;
+    }
+  }
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BDLawRulePacks;
+}
@@ -0,0 +1,534 @@
+/**
+ * BDLawCorpus Near-Duplicate and Translation Pair Detection
+ *
+ * Two kinds of overlap between acts stored under different internal_ids:
+ *
+ * - Near-duplicates: acts whose content_normalized shares most of its word
+ *   shingles with another act (re-captures, amending acts that reproduce a
+ *   large part of their parent). Found with MinHash signatures and
+ *   locality-sensitive hashing over signature bands.
+ * - Translation candidates: the Bengali and English versions of one act.
+ *   Their texts share nothing, so they are paired on the citation printed in
+ *   the title, the act year and the section count.
+ *
+ * Both are similarity signals for corpus curation. A pair does not assert
+ * that two acts are legally identical or that one translates the other.
+ *
+ * @module bdlaw-similarity
+ */
+
+const BDLawSimilarity = {
+  // Word shingle length
+  SHINGLE_SIZE: 5,
+
+  // MinHash values per signature
+  SIGNATURE_SIZE: 128,
+
+  /**
+   * Signature values per LSH band. Two rows give 64 bands, so pairs with a
+   * Jaccard similarity as low as 0.2 are still likely to be compared; that
+   * keeps an amending act that copies part of a much longer parent in view.
+   */
+  LSH_ROWS: 2,
+
+  // Estimated Jaccard similarity at which two acts are near-duplicates
+  NEAR_DUPLICATE_THRESHOLD: 0.8,
+
+  // Share of the shorter act's shingles found in the longer one
+  CONTAINMENT_THRESHOLD: 0.8,
+
+  // Relative section count difference still treated as matching
+  SECTION_COUNT_TOLERANCE: 0.1,
+
+  NEAR_DUPLICATES_FORMAT: 'bdlaw-near-duplicates',
+  TRANSLATION_PAIRS_FORMAT: 'bdlaw-translation-pairs',
+  FORMAT_VERSION: '1.0',
+
+  /**
+   * translation pair confidence values
+   * - high: same title citation, section counts within SECTION_COUNT_TOLERANCE
+   * - medium: same title citation, section counts differ or are unknown
+   * - low: no shared citation; the only Bengali and only English act of a
+   *   year with that exact section count
+   */
+  TRANSLATION_CONFIDENCE_LEVELS: ['high', 'medium', 'low'],
+
+  TRANSLATION_DISCLAIMER: 'Pairs are matched on title citation, year and section count. They are candidates for review, not verified translations, and imply no legal equivalence between the texts.',
+
+  /**
+   * Split text into lowercase word tokens (letters, marks and digits)
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Tokens
+   */
+  tokenize(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+    return text.toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+  },
+
+  /**
+   * Hashes of every SHINGLE_SIZE-word shingle in a text
+   * Texts shorter than one shingle hash as a single shingle.
+   * @param {string} text - Text to shingle
+   * @returns {Set<number>} 32-bit shingle hashes
+   */
+  shingleHashes(text) {
+    const tokens = this.tokenize(text);
+    const hashes = new Set();
+    if (tokens.length === 0) {
+      return hashes;
+    }
+    const last = Math.max(tokens.length - this.SHINGLE_SIZE, 0);
+    for (let i = 0; i <= last; i++) {
+      hashes.add(this._fnv1a(tokens.slice(i, i + this.SHINGLE_SIZE).join(' ')));
+    }
+    return hashes;
+  },
+
+  /**
+   * MinHash signature of a text
+   * @param {string} text - Text, normally content_normalized
+   * @returns {{signature: number[]|null, shingle_count: number}} Signature (null without text)
+   */
+  computeSignature(text) {
+    const hashes = this.shingleHashes(text);
+    if (hashes.size === 0) {
+      return { signature: null, shingle_count: 0 };
+    }
+    const seeds = this._seeds();
+    const signature = new Array(this.SIGNATURE_SIZE).fill(0xFFFFFFFF);
+    for (const hash of hashes) {
+      for (let i = 0; i < seeds.length; i++) {
+        const value = this._fmix32(hash ^ seeds[i]);
+        if (value < signature[i]) signature[i] = value;
+      }
+    }
+    return { signature, shingle_count: hashes.size };
+  },
+
+  /**
+   * Estimated Jaccard similarity of two signatures
+   * @param {number[]} a - Signature
+   * @param {number[]} b - Signature
+   * @returns {number} Share of matching positions (0 when either is missing)
+   */
+  estimateJaccard(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+      return 0;
+    }
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) matches++;
+    }
+    return matches / a.length;
+  },
+
+  /**
+   * Estimated share of the smaller shingle set contained in the larger
+   * Derived from the Jaccard estimate and both set sizes:
+   * |A ∩ B| = J (|A| + |B|) / (1 + J).
+   * @param {number} jaccard - Estimated Jaccard similarity
+   * @param {number} sizeA - Shingle count of one act
+   * @param {number} sizeB - Shingle count of the other
+   * @returns {number} Containment between 0 and 1
+   */
+  estimateContainment(jaccard, sizeA, sizeB) {
+    const smaller = Math.min(sizeA, sizeB);
+    if (!(smaller > 0)) {
+      return 0;
+    }
+    return Math.min(1, (jaccard * (sizeA + sizeB)) / ((1 + jaccard) * smaller));
+  },
+
+  /**
+   * Similarity record for one act
+   * @param {Object} act - { internal_id, title, content_language, text }
+   * @returns {Object} { internal_id, title, content_language, signature, shingle_count }
+   */
+  buildSimilarityRecord(act) {
+    const { signature, shingle_count: shingleCount } = this.computeSignature(act?.text);
+    return {
+      internal_id: String(act?.internal_id ?? ''),
+      title: act?.title || '',
+      content_language: act?.content_language || 'unknown',
+      signature,
+      shingle_count: shingleCount
+    };
+  },
+
+  /**
+   * Find near-duplicate and contained pairs among similarity records
+   *
+   * Records sharing any LSH band are compared on their full signatures.
+   * A pair is reported as near_duplicate when its estimated Jaccard
+   * similarity reaches jaccardThreshold, otherwise as contained (with the
+   * shorter act as contained_id) when its estimated containment reaches
+   * containmentThreshold. Records without a signature are skipped.
+   *
+   * The containment estimate scales the Jaccard estimate by the size ratio,
+   * so its error grows with the ratio; contained pairs are candidates until
+   * verifyContainedPairs checks them on exact shingle sets.
+   *
+   * @param {Object[]} records - Results of buildSimilarityRecord
+   * @param {Object} options - { jaccardThreshold, containmentThreshold }
+   * @returns {Object[]} Pairs sorted by internal_id
+   */
+  findNearDuplicates(records, options = {}) {
+    const jaccardThreshold = options.jaccardThreshold ?? this.NEAR_DUPLICATE_THRESHOLD;
+    const containmentThreshold = options.containmentThreshold ?? this.CONTAINMENT_THRESHOLD;
+    const usable = (records || []).filter(record => Array.isArray(record.signature));
+
+    const buckets = new Map();
+    for (let index = 0; index < usable.length; index++) {
+      const signature = usable[index].signature;
+      for (let start = 0; start < signature.length; start += this.LSH_ROWS) {
+        const key = `${start}:${signature.slice(start, start + this.LSH_ROWS).join(',')}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      }
+    }
+
+    const candidates = new Set();
+    for (const members of buckets.values()) {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          candidates.add(members[i] * usable.length + members[j]);
+        }
+      }
+    }
+
+    const pairs = [];
+    for (const candidate of candidates) {
+      const a = usable[Math.floor(candidate / usable.length)];
+      const b = usable[candidate % usable.length];
+      if (a.internal_id === b.internal_id) continue;
+
+      const jaccard = this.estimateJaccard(a.signature, b.signature);
+      const containment = this.estimateContainment(jaccard, a.shingle_count, b.shingle_count);
+      let relation = null;
+      if (jaccard >= jaccardThreshold) {
+        relation = 'near_duplicate';
+      } else if (containment >= containmentThreshold) {
+        relation = 'contained';
+      } else {
+        continue;
+      }
+
+      const [first, second] = this._compareIds(a.internal_id, b.internal_id) <= 0 ? [a, b] : [b, a];
+      pairs.push({
+        internal_ids: [first.internal_id, second.internal_id],
+        titles: [first.title, second.title],
+        content_languages: [first.content_language, second.content_language],
+        relation,
+        jaccard: Math.round(jaccard * 1000) / 1000,
+        containment: Math.round(containment * 1000) / 1000,
+        containment_method: 'minhash_estimate',
+        contained_id: relation === 'contained'
+          ? (first.shingle_count <= second.shingle_count ? first.internal_id : second.internal_id)
+          : null
+      });
+    }
+
+    return pairs.sort((x, y) =>
+      this._compareIds(x.internal_ids[0], y.internal_ids[0]) || this._compareIds(x.internal_ids[1], y.internal_ids[1]));
+  },
+
+  /**
+   * Ids of the acts in contained pairs, whose shingle sets
+   * verifyContainedPairs needs
+   * @param {Object[]} pairs - Result of findNearDuplicates
+   * @returns {string[]} internal_ids
+   */
+  containedPairIds(pairs) {
+    return [...new Set((pairs || [])
+      .filter(pair => pair.relation === 'contained')
+      .flatMap(pair => pair.internal_ids))];
+  },
+
+  /**
+   * Check contained pairs on exact shingle sets
+   *
+   * Each contained pair's containment is recomputed from the shingle sets of
+   * both acts (shingleHashes); the pair is kept, with the exact value and
+   * containment_method 'exact_shingles', only when it still reaches
+   * containmentThreshold. Contained pairs missing a set are dropped.
+   * Near-duplicate pairs pass through unchanged.
+   *
+   * @param {Object[]} pairs - Result of findNearDuplicates
+   * @param {Map<string, Set<number>>} shingleSets - Shingle hashes by internal_id
+   * @param {Object} options - { containmentThreshold }
+   * @returns {Object[]} Verified pairs, in the input order
+   */
+  verifyContainedPairs(pairs, shingleSets, options = {}) {
+    const containmentThreshold = options.containmentThreshold ?? this.CONTAINMENT_THRESHOLD;
+    const verified = [];
+    for (const pair of pairs || []) {
+      if (pair.relation !== 'contained') {
+        verified.push(pair);
+        continue;
+      }
+      const [a, b] = pair.internal_ids.map(id => shingleSets?.get(id));
+      if (!a || !b || a.size === 0 || b.size === 0) continue;
+      const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+      let shared = 0;
+      for (const hash of smaller) {
+        if (larger.has(hash)) shared++;
+      }
+      const containment = shared / smaller.size;
+      if (containment >= containmentThreshold) {
+        verified.push({ ...pair, containment: Math.round(containment * 1000) / 1000, containment_method: 'exact_shingles' });
+      }
+    }
+    return verified;
+  },
+
+  /**
+   * Translation pairing record for a corpus manifest act entry
+   *
+   * citation_key is the key recorded at capture from the citation printed
+   * under the title ("act/1908/16" for "( ACT NO. XVI OF 1908 )" and its
+   * Bengali counterpart), else the first citation in the title; act_year
+   * falls back to the citation year.
+   *
+   * @param {Object} entry - Manifest act entry
+   * @returns {Object} { internal_id, title, content_language, citation_key, act_year, section_count }
+   */
+  buildTranslationRecord(entry) {
+    const resolver = this._loadCitationResolver();
+    const citation = resolver ? resolver.parseCitations(entry?.title || '')[0] : null;
+    const citationKey = typeof entry?.citation_key === 'string' ? entry.citation_key : (citation ? citation.key : null);
+    const citationYear = citationKey ? parseInt(citationKey.split('/')[1], 10) : NaN;
+    return {
+      internal_id: String(entry?.internal_id ?? ''),
+      title: entry?.title || '',
+      content_language: entry?.content_language || 'english',
+      citation_key: citationKey,
+      act_year: Number.isInteger(entry?.act_year) ? entry.act_year : (Number.isInteger(citationYear) ? citationYear : null),
+      section_count: Number.isInteger(entry?.section_count) ? entry.section_count : null
+    };
+  },
+
+  /**
+   * Pair Bengali and English acts that are likely versions of one act
+   * See TRANSLATION_CONFIDENCE_LEVELS for how each pair is graded.
+   * @param {Object[]} records - Results of buildTranslationRecord
+   * @returns {Object[]} Pairs sorted by bengali_id, then english_id
+   */
+  findTranslationPairs(records) {
+    const bengali = (records || []).filter(record => record.content_language === 'bengali');
+    const english = (records || []).filter(record => record.content_language === 'english');
+    const pairs = [];
+    const paired = new Set();
+
+    const englishByKey = {};
+    for (const record of english) {
+      if (record.citation_key) {
+        (englishByKey[record.citation_key] = englishByKey[record.citation_key] || []).push(record);
+      }
+    }
+    for (const bn of bengali) {
+      for (const en of (bn.citation_key && englishByKey[bn.citation_key]) || []) {
+        const countsMatch = this._sectionCountsMatch(bn.section_count, en.section_count);
+        pairs.push(this._translationPair(bn, en, countsMatch ? 'high' : 'medium',
+          countsMatch ? ['citation_key', 'act_year', 'section_count'] : ['citation_key', 'act_year']));
+        paired.add(bn.internal_id);
+        paired.add(en.internal_id);
+      }
+    }
+
+    // Acts without a shared citation: unique year and section count on both sides
+    const groups = {};
+    for (const record of [...bengali, ...english]) {
+      if (paired.has(record.internal_id) || record.act_year === null || !(record.section_count > 0)) continue;
+      const group = groups[`${record.act_year}|${record.section_count}`] =
+        groups[`${record.act_year}|${record.section_count}`] || { bengali: [], english: [] };
+      group[record.content_language].push(record);
+    }
+    for (const group of Object.values(groups)) {
+      if (group.bengali.length !== 1 || group.english.length !== 1) continue;
+      const [bn, en] = [group.bengali[0], group.english[0]];
+      if (bn.citation_key && en.citation_key) continue;
+      pairs.push(this._translationPair(bn, en, 'low', ['act_year', 'section_count']));
+    }
+
+    return pairs.sort((x, y) =>
+      this._compareIds(x.bengali_id, y.bengali_id) || this._compareIds(x.english_id, y.english_id));
+  },
+
+  /**
+   * translation_candidate_ids for every act in a set of pairs
+   * @param {Object[]} pairs - Result of findTranslationPairs
+   * @returns {Object} Map of internal_id to sorted candidate internal_ids
+   */
+  translationCandidateIds(pairs) {
+    const candidates = {};
+    const add = (id, other) => {
+      candidates[id] = candidates[id] || [];
+      if (!candidates[id].includes(other)) candidates[id].push(other);
+    };
+    for (const pair of pairs || []) {
+      add(pair.bengali_id, pair.english_id);
+      add(pair.english_id, pair.bengali_id);
+    }
+    for (const ids of Object.values(candidates)) {
+      ids.sort((a, b) => this._compareIds(a, b));
+    }
+    return candidates;
+  },
+
+  /**
+   * Translation pairs and per-act candidates for a corpus manifest
+   * @param {Object} manifest - Corpus manifest
+   * @returns {{pairs: Object[], candidates: Object}} Pairs and translation_candidate_ids
+   */
+  buildTranslationIndex(manifest) {
+    const records = Object.values(manifest?.acts || {}).map(entry => this.buildTranslationRecord(entry));
+    const pairs = this.findTranslationPairs(records);
+    return { pairs, candidates: this.translationCandidateIds(pairs) };
+  },
+
+  /**
+   * near_duplicates.json document
+   * @param {Object[]} pairs - Result of findNearDuplicates
+   * @param {Object} options - { generatedAt, actsCompared, actsWithoutText }
+   * @returns {Object} Document
+   */
+  formatNearDuplicates(pairs, options = {}) {
+    return {
+      format: this.NEAR_DUPLICATES_FORMAT,
+      format_version: this.FORMAT_VERSION,
+      generated_at: options.generatedAt || new Date().toISOString(),
+      method: {
+        text: 'content_normalized',
+        shingle_size: this.SHINGLE_SIZE,
+        signature_size: this.SIGNATURE_SIZE,
+        lsh_rows: this.LSH_ROWS,
+        jaccard_threshold: options.jaccardThreshold ?? this.NEAR_DUPLICATE_THRESHOLD,
+        containment_threshold: options.containmentThreshold ?? this.CONTAINMENT_THRESHOLD
+      },
+      acts_compared: options.actsCompared ?? 0,
+      acts_without_text: options.actsWithoutText || [],
+      total_pairs: pairs.length,
+      pairs
+    };
+  },
+
+  /**
+   * translation_pairs.json document
+   * @param {Object[]} pairs - Result of findTranslationPairs
+   * @param {Object} options - { generatedAt }
+   * @returns {Object} Document
+   */
+  formatTranslationPairs(pairs, options = {}) {
+    const byConfidence = {};
+    for (const level of this.TRANSLATION_CONFIDENCE_LEVELS) {
+      byConfidence[level] = pairs.filter(pair => pair.confidence === level).length;
+    }
+    return {
+      format: this.TRANSLATION_PAIRS_FORMAT,
+      format_version: this.FORMAT_VERSION,
+      generated_at: options.generatedAt || new Date().toISOString(),
+      disclaimer: this.TRANSLATION_DISCLAIMER,
+      total_pairs: pairs.length,
+      by_confidence: byConfidence,
+      pairs
+    };
+  },
+
+  /**
+   * Pair entry for a Bengali and an English record
+   * @private
+   */
+  _translationPair(bn, en, confidence, matchedOn) {
+    return {
+      bengali_id: bn.internal_id,
+      english_id: en.internal_id,
+      bengali_title: bn.title,
+      english_title: en.title,
+      confidence,
+      matched_on: matchedOn,
+      citation_key: bn.citation_key && bn.citation_key === en.citation_key ? bn.citation_key : null,
+      act_year: bn.act_year ?? en.act_year,
+      section_counts: { bengali: bn.section_count, english: en.section_count }
+    };
+  },
+
+  /**
+   * Whether two known section counts differ by at most SECTION_COUNT_TOLERANCE
+   * @private
+   */
+  _sectionCountsMatch(a, b) {
+    if (!(a > 0) || !(b > 0)) {
+      return false;
+    }
+    return Math.abs(a - b) <= this.SECTION_COUNT_TOLERANCE * Math.max(a, b);
+  },
+
+  /**
+   * Numeric-aware internal_id order
+   * @private
+   */
+  _compareIds(a, b) {
+    return String(a).localeCompare(String(b), 'en', { numeric: true });
+  },
+
+  /**
+   * 32-bit FNV-1a hash of a string
+   * @private
+   */
+  _fnv1a(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  },
+
+  /**
+   * MurmurHash3 finalizer; with a per-position seed it gives the
+   * SIGNATURE_SIZE hash functions of the signature
+   * @private
+   */
+  _fmix32(value) {
+    let h = value >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  },
+
+  /**
+   * Fixed per-position seeds, so signatures are comparable across runs
+   * @private
+   */
+  _seeds() {
+    if (!this._seedCache || this._seedCache.length !== this.SIGNATURE_SIZE) {
+      this._seedCache = Array.from({ length: this.SIGNATURE_SIZE }, (_, i) => this._fmix32(Math.imul(i + 1, 0x9E3779B9)));
+    }
+    return this._seedCache;
+  },
+
+  /**
+   * Citation resolver, loaded on demand outside the browser
+   * @private
+   */
+  _loadCitationResolver() {
+    if (typeof BDLawCitationResolver !== 'undefined') {
+      return BDLawCitationResolver;
+    }
+    try {
+      return require('./bdlaw-citation-resolver.js');
+    } catch (e) {
+      return null;
+    }
+  }
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BDLawSimilarity;
+}
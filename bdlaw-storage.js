@@ -1517,6 +1517,86 @@ const StorageManager = {
     }
   },
 
+  /**
+   * Visit every stored act without loading the whole store at once
+   * 
+   * IndexedDB is read in key-ordered batches (one short readonly transaction
+   * per batch) so onAct may await between acts without the transaction
+   * auto-committing. Other backends already hold acts in memory and are
+   * visited from getAllActs().
+   * 
+   * @param {Function} onAct - async (act) => void, called once per act in act_number order
+   * @param {Object} options - Iteration options
+   * @param {number} options.batchSize - Acts read per IndexedDB transaction (default: 25)
+   * @returns {Promise<number>} Number of acts visited
+   * @throws {StorageError} if a read fails
+   */
+  async iterateActs(onAct, options = {}) {
+    const batchSize = Math.max(1, options.batchSize || 25);
+    let visited = 0;
+
+    if (this._activeBackend !== 'indexeddb') {
+      const acts = await this.getAllActs();
+      for (const act of acts) {
+        await onAct(act);
+        visited++;
+      }
+      return visited;
+    }
+
+    let lastKey = null;
+    for (;;) {
+      const batch = await this._getActBatchFromIndexedDB(lastKey, batchSize);
+      for (const act of batch) {
+        await onAct(act);
+        visited++;
+      }
+      if (batch.length < batchSize) {
+        return visited;
+      }
+      lastKey = batch[batch.length - 1].act_number;
+    }
+  },
+
+  /**
+   * Read one key-ordered batch of acts from IndexedDB
+   * @param {string|null} afterKey - Exclusive lower bound act_number, or null to start at the beginning
+   * @param {number} limit - Maximum number of acts to return
+   * @returns {Promise<Object[]>} Batch of acts
+   */
+  async _getActBatchFromIndexedDB(afterKey, limit) {
+    if (!this._db) {
+      throw new StorageError(
+        StorageErrorType.BACKEND_UNAVAILABLE,
+        'IndexedDB not initialized. Call initialize() first.',
+        { operation: 'iterateActs' }
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      try {
+        const transaction = this._db.transaction(['acts'], 'readonly');
+        const store = transaction.objectStore('acts');
+        const range = afterKey === null ? null : IDBKeyRange.lowerBound(afterKey, true);
+        const request = store.getAll(range, limit);
+
+        request.onsuccess = (event) => {
+          resolve(event.target.result || []);
+        };
+
+        request.onerror = (event) => {
+          reject(createStorageError(event.target.error, {
+            operation: 'getActBatchFromIndexedDB'
+          }));
+        };
+      } catch (e) {
+        reject(createStorageError(e, {
+          operation: 'getActBatchFromIndexedDB'
+        }));
+      }
+    });
+  },
+
   /**
    * Get all acts from IndexedDB
    * @returns {Promise<Object[]>} Array of all acts
@@ -3505,6 +3585,169 @@ const ExportCheckpointManager = {
     };
   },
   
+  // ============================================
+  // EXPORT SNAPSHOTS
+  // Per-act content_raw_sha256 recorded at each full or delta export, so a
+  // later delta export can be computed against a named base
+  // ============================================
+
+  // Storage key for recorded export snapshots
+  EXPORT_SNAPSHOTS_KEY: 'bdlaw_export_snapshots',
+
+  // Oldest snapshots are dropped beyond this count
+  MAX_SNAPSHOTS: 20,
+
+  // In-memory cache of snapshots
+  _snapshots: null,
+
+  /**
+   * Record the corpus state written by an export
+   * 
+   * @param {Object} snapshot
+   * @param {string} snapshot.exportId - Id written into the export (default: generated)
+   * @param {string} snapshot.name - Human-readable label (usually the filename)
+   * @param {string} snapshot.exportType - e.g. 'corpus_jsonl', 'corpus_zip', 'corpus_delta'
+   * @param {Object<string, string|null>} snapshot.acts - internal_id → content_raw_sha256
+   * @param {string|null} snapshot.baseExportId - Base snapshot for delta exports
+   * @returns {Promise<Object>} Stored snapshot summary (without acts)
+   */
+  async recordExportSnapshot({ exportId, name, exportType, acts, baseExportId = null }) {
+    if (!acts || typeof acts !== 'object') {
+      throw new Error('recordExportSnapshot requires an acts map');
+    }
+
+    const createdAt = new Date().toISOString();
+    const actIds = Object.keys(acts);
+
+    const snapshot = {
+      export_id: exportId || this.generateExportId(createdAt),
+      name: name || createdAt,
+      export_type: exportType || 'unknown',
+      created_at: createdAt,
+      base_export_id: baseExportId,
+      act_count: actIds.length,
+      acts: { ...acts }
+    };
+
+    const snapshots = await this._loadSnapshots();
+    snapshots.push(snapshot);
+    while (snapshots.length > this.MAX_SNAPSHOTS) {
+      snapshots.shift();
+    }
+    await this._saveSnapshots(snapshots);
+
+    return this._summarizeSnapshot(snapshot);
+  },
+
+  /**
+   * Generate an export id
+   * 
+   * Written into export manifests before the snapshot is recorded, so the
+   * next delta can name this export as its base.
+   * 
+   * @param {string|Date} timestamp - Defaults to now
+   * @returns {string} Id of the form export-YYYYMMDDTHHmmssSSSZ-xxxxxxxx
+   */
+  generateExportId(timestamp) {
+    const iso = new Date(timestamp || Date.now()).toISOString();
+    const bytes = new Uint8Array(4);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      crypto.getRandomValues(bytes);
+    } else {
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.floor(Math.random() * 256);
+      }
+    }
+    const suffix = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    return `export-${iso.replace(/[-:.]/g, '')}-${suffix}`;
+  },
+
+  /**
+   * List recorded export snapshots, newest first
+   * 
+   * @returns {Promise<Array<Object>>} Summaries without per-act hashes
+   */
+  async listExportSnapshots() {
+    const snapshots = await this._loadSnapshots();
+    return snapshots.map(snapshot => this._summarizeSnapshot(snapshot)).reverse();
+  },
+
+  /**
+   * Get a recorded export snapshot including per-act hashes
+   * 
+   * @param {string} exportId - Snapshot export_id
+   * @returns {Promise<Object|null>} Snapshot, or null if not recorded
+   */
+  async getExportSnapshot(exportId) {
+    const snapshots = await this._loadSnapshots();
+    const snapshot = snapshots.find(s => s.export_id === exportId);
+    return snapshot ? { ...snapshot, acts: { ...snapshot.acts } } : null;
+  },
+
+  /**
+   * @private
+   */
+  _summarizeSnapshot(snapshot) {
+    const { acts, ...summary } = snapshot;
+    return summary;
+  },
+
+  /**
+   * Load snapshots from chrome.storage.local
+   * 
+   * @private
+   * @returns {Promise<Array<Object>>}
+   */
+  async _loadSnapshots() {
+    if (this._snapshots) {
+      return this._snapshots;
+    }
+
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+      this._snapshots = [];
+      return this._snapshots;
+    }
+
+    this._snapshots = await new Promise((resolve) => {
+      chrome.storage.local.get([this.EXPORT_SNAPSHOTS_KEY], (result) => {
+        if (chrome.runtime && chrome.runtime.lastError) {
+          console.error('Failed to load export snapshots:', chrome.runtime.lastError);
+          resolve([]);
+          return;
+        }
+        const stored = result[this.EXPORT_SNAPSHOTS_KEY];
+        resolve(Array.isArray(stored) ? stored : []);
+      });
+    });
+    return this._snapshots;
+  },
+
+  /**
+   * Save snapshots to chrome.storage.local
+   * 
+   * @private
+   * @param {Array<Object>} snapshots
+   * @returns {Promise<void>}
+   */
+  async _saveSnapshots(snapshots) {
+    this._snapshots = snapshots;
+
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+      return;
+    }
+
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [this.EXPORT_SNAPSHOTS_KEY]: snapshots }, () => {
+        if (chrome.runtime && chrome.runtime.lastError) {
+          console.error('Failed to save export snapshots:', chrome.runtime.lastError);
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  },
+  
   /**
    * Set the prompt callback function
    * Called when export prompt should be displayed
@@ -3539,6 +3782,7 @@ const ExportCheckpointManager = {
    */
   clearCache() {
     this._state = null;
+    this._snapshots = null;
     this._promptCallback = null;
   }
 };
@@ -4884,6 +5128,9 @@ if (typeof module !== 'undefined' && module.exports) {
     recordExport: () => ExportCheckpointManager.recordExport(),
     dismissExportPrompt: () => ExportCheckpointManager.dismissPrompt(),
     shouldPromptExport: () => ExportCheckpointManager.shouldPromptExport(),
+    recordExportSnapshot: (snapshot) => ExportCheckpointManager.recordExportSnapshot(snapshot),
+    listExportSnapshots: () => ExportCheckpointManager.listExportSnapshots(),
+    getExportSnapshot: (exportId) => ExportCheckpointManager.getExportSnapshot(exportId),
     // Export progress functions
     getExportProgressState: () => ExportProgressTracker.getState(),
     startExport: (actIds) => ExportProgressTracker.startExport(actIds),
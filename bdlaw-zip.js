@@ -0,0 +1,452 @@
+/**
+ * BDLawCorpus ZIP Archive Writer
+ *
+ * Minimal in-extension ZIP (PKWARE APPNOTE 6.3) writer and reader used for
+ * single-archive corpus bundles. Entries are either stored or compressed with
+ * the browser's native raw-deflate CompressionStream; nothing is fetched.
+ * Every entry records its CRC-32 and SHA-256 so a bundle can be verified
+ * offline. ZIP64 is not supported (4 GiB / 65,535 entry limits).
+ *
+ * @module bdlaw-zip
+ */
+
+const BDLawZip = {
+  METHOD: {
+    STORE: 0,
+    DEFLATE: 8
+  },
+
+  MAX_ENTRIES: 0xffff,
+  MAX_BYTES: 0xffffffff,
+
+  /**
+   * Whether raw-deflate compression is available in this environment
+   * @returns {boolean}
+   */
+  isDeflateSupported() {
+    try {
+      return typeof CompressionStream !== 'undefined' && !!new CompressionStream('deflate-raw');
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Create an archive writer
+   *
+   * Entries are appended in call order. finish() returns the archive as an
+   * array of byte chunks suitable for `new Blob(parts)`.
+   *
+   * @param {Object} options - Writer options
+   * @param {number} options.method - Default METHOD for entries (default: DEFLATE when supported)
+   * @param {Date} options.modifiedAt - Timestamp written to every entry (default: now)
+   * @returns {{addFile: Function, finish: Function}} Archive writer
+   */
+  createWriter(options = {}) {
+    const defaultMethod = options.method !== undefined
+      ? options.method
+      : (this.isDeflateSupported() ? this.METHOD.DEFLATE : this.METHOD.STORE);
+    const { time, date } = this._toDosDateTime(options.modifiedAt || new Date());
+    const parts = [];
+    const entries = [];
+    const centralRecords = [];
+    let offset = 0;
+    let finished = false;
+
+    const push = (bytes) => {
+      parts.push(bytes);
+      offset += bytes.length;
+    };
+
+    const writer = {
+      /**
+       * Add a file entry
+       * @param {string} path - Archive path using forward slashes
+       * @param {string|Uint8Array} data - File content (strings are UTF-8 encoded)
+       * @param {Object} entryOptions - { method } overrides the default method
+       * @returns {Promise<Object>} Entry record { path, method, size, compressed_size, crc32, sha256 }
+       */
+      addFile: async (path, data, entryOptions = {}) => {
+        if (finished) {
+          throw new Error('Cannot add entries after finish()');
+        }
+        if (entries.length >= this.MAX_ENTRIES) {
+          throw new Error(`ZIP archives without ZIP64 are limited to ${this.MAX_ENTRIES} entries`);
+        }
+        const normalizedPath = this._normalizePath(path);
+        const bytes = typeof data === 'string' ? this._encodeUtf8(data) : data;
+        const requestedMethod = entryOptions.method !== undefined ? entryOptions.method : defaultMethod;
+
+        let method = requestedMethod;
+        let payload = bytes;
+        if (requestedMethod === this.METHOD.DEFLATE) {
+          payload = await this.deflateRaw(bytes);
+          // Keep the smaller representation, as most zip tools do
+          if (payload.length >= bytes.length) {
+            method = this.METHOD.STORE;
+            payload = bytes;
+          }
+        } else if (requestedMethod !== this.METHOD.STORE) {
+          throw new Error(`Unsupported compression method: ${requestedMethod}`);
+        }
+
+        if (bytes.length > this.MAX_BYTES || offset + payload.length > this.MAX_BYTES) {
+          throw new Error('ZIP archives without ZIP64 are limited to 4 GiB');
+        }
+
+        const crc = this.crc32(bytes);
+        const nameBytes = this._encodeUtf8(normalizedPath);
+        const localOffset = offset;
+
+        push(this._localHeader({ nameBytes, method, crc, compressedSize: payload.length, size: bytes.length, time, date }));
+        push(payload);
+
+        centralRecords.push(this._centralHeader({
+          nameBytes, method, crc, compressedSize: payload.length, size: bytes.length, time, date, localOffset
+        }));
+
+        const entry = {
+          path: normalizedPath,
+          method: method === this.METHOD.DEFLATE ? 'deflate' : 'store',
+          size: bytes.length,
+          compressed_size: payload.length,
+          crc32: this._toHex32(crc),
+          sha256: this._getSha256().update(bytes).digestHex()
+        };
+        entries.push(entry);
+        return entry;
+      },
+
+      /**
+       * Write the central directory and end record
+       * @returns {{parts: Uint8Array[], entries: Object[], byteLength: number}}
+       */
+      finish: () => {
+        if (finished) {
+          throw new Error('finish() already called');
+        }
+        finished = true;
+        const centralOffset = offset;
+        for (const record of centralRecords) {
+          push(record);
+        }
+        push(this._endOfCentralDirectory({
+          count: centralRecords.length,
+          size: offset - centralOffset,
+          centralOffset
+        }));
+        return { parts, entries: entries.slice(), byteLength: offset };
+      }
+    };
+
+    return writer;
+  },
+
+  /**
+   * Read entries from a complete archive
+   *
+   * @param {Uint8Array} bytes - Archive bytes
+   * @returns {Promise<Array<Object>>} Entries { path, method, size, compressed_size, crc32, data }
+   * @throws {Error} if the archive is malformed or an entry fails its CRC check
+   */
+  async readArchive(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) {
+      throw new Error('End of central directory record not found');
+    }
+
+    const count = view.getUint16(eocd + 10, true);
+    let pointer = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(pointer, true) !== 0x02014b50) {
+        throw new Error(`Invalid central directory header at ${pointer}`);
+      }
+      const method = view.getUint16(pointer + 10, true);
+      const crc = view.getUint32(pointer + 16, true);
+      const compressedSize = view.getUint32(pointer + 20, true);
+      const size = view.getUint32(pointer + 24, true);
+      const nameLength = view.getUint16(pointer + 28, true);
+      const extraLength = view.getUint16(pointer + 30, true);
+      const commentLength = view.getUint16(pointer + 32, true);
+      const localOffset = view.getUint32(pointer + 42, true);
+      const path = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+      if (view.getUint32(localOffset, true) !== 0x04034b50) {
+        throw new Error(`Invalid local header for ${path}`);
+      }
+      const dataStart = localOffset + 30 +
+        view.getUint16(localOffset + 26, true) +
+        view.getUint16(localOffset + 28, true);
+      const payload = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      let data;
+      if (method === this.METHOD.STORE) {
+        data = payload;
+      } else if (method === this.METHOD.DEFLATE) {
+        data = await this.inflateRaw(payload);
+      } else {
+        throw new Error(`Unsupported compression method ${method} for ${path}`);
+      }
+
+      if (data.length !== size || this.crc32(data) !== crc) {
+        throw new Error(`CRC-32 mismatch for ${path}`);
+      }
+
+      entries.push({
+        path,
+        method: method === this.METHOD.DEFLATE ? 'deflate' : 'store',
+        size,
+        compressed_size: compressedSize,
+        crc32: this._toHex32(crc),
+        data
+      });
+      pointer += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  },
+
+  /**
+   * Verify archive contents against a list of entry records
+   *
+   * @param {Uint8Array} bytes - Archive bytes
+   * @param {Array<Object>} expectedEntries - Records with path, size, crc32 and sha256
+   * @returns {Promise<Object>} { valid: boolean, errors: string[] }
+   */
+  async verifyArchive(bytes, expectedEntries) {
+    const errors = [];
+    let entries;
+    try {
+      entries = await this.readArchive(bytes);
+    } catch (e) {
+      return { valid: false, errors: [e.message] };
+    }
+
+    const byPath = new Map(entries.map(entry => [entry.path, entry]));
+    for (const expected of (expectedEntries || [])) {
+      const actual = byPath.get(expected.path);
+      if (!actual) {
+        errors.push(`${expected.path}: missing from archive`);
+        continue;
+      }
+      if (actual.size !== expected.size) {
+        errors.push(`${expected.path}: size ${actual.size} does not match ${expected.size}`);
+      }
+      if (actual.crc32 !== expected.crc32) {
+        errors.push(`${expected.path}: CRC-32 does not match`);
+      }
+      if (this._getSha256().update(actual.data).digestHex() !== expected.sha256) {
+        errors.push(`${expected.path}: SHA-256 does not match`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Compute (or continue) a CRC-32 (IEEE 802.3) checksum
+   * @param {Uint8Array} bytes - Data to checksum
+   * @param {number} crc - Previous CRC for incremental use (default: 0)
+   * @returns {number} Unsigned 32-bit CRC
+   */
+  crc32(bytes, crc = 0) {
+    const table = this._getCrcTable();
+    let value = (crc ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+      value = table[(value ^ bytes[i]) & 0xff] ^ (value >>> 8);
+    }
+    return (value ^ 0xffffffff) >>> 0;
+  },
+
+  /**
+   * Raw-deflate bytes with the native CompressionStream
+   * @param {Uint8Array} bytes - Uncompressed data
+   * @returns {Promise<Uint8Array>} Deflated data
+   */
+  async deflateRaw(bytes) {
+    return this._pipeThrough(bytes, new CompressionStream('deflate-raw'));
+  },
+
+  /**
+   * Inflate raw-deflate bytes with the native DecompressionStream
+   * @param {Uint8Array} bytes - Deflated data
+   * @returns {Promise<Uint8Array>} Inflated data
+   */
+  async inflateRaw(bytes) {
+    return this._pipeThrough(bytes, new DecompressionStream('deflate-raw'));
+  },
+
+  /**
+   * Write bytes through a transform stream and collect its output
+   * The write, close and read promises are awaited together, so a stream
+   * error (e.g. corrupt deflate data) rejects the returned promise once and
+   * leaves no unhandled rejection behind.
+   * @private
+   */
+  async _pipeThrough(bytes, transform) {
+    const writer = transform.writable.getWriter();
+    const written = Promise.all([writer.write(bytes), writer.close()]);
+
+    const chunks = [];
+    let length = 0;
+    const read = async () => {
+      const reader = transform.readable.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        length += value.length;
+      }
+    };
+    await Promise.all([written, read()]);
+
+    const result = new Uint8Array(length);
+    let position = 0;
+    for (const chunk of chunks) {
+      result.set(chunk, position);
+      position += chunk.length;
+    }
+    return result;
+  },
+
+  /**
+   * @private
+   */
+  _localHeader({ nameBytes, method, crc, compressedSize, size, time, date }) {
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true);            // version needed to extract (2.0)
+    view.setUint16(6, 0x0800, true);        // general purpose flag: UTF-8 names
+    view.setUint16(8, method, true);
+    view.setUint16(10, time, true);
+    view.setUint16(12, date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, compressedSize, true);
+    view.setUint32(22, size, true);
+    view.setUint16(26, nameBytes.length, true);
+    view.setUint16(28, 0, true);            // extra field length
+    header.set(nameBytes, 30);
+    return header;
+  },
+
+  /**
+   * @private
+   */
+  _centralHeader({ nameBytes, method, crc, compressedSize, size, time, date, localOffset }) {
+    const header = new Uint8Array(46 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x02014b50, true);
+    view.setUint16(4, 20, true);            // version made by
+    view.setUint16(6, 20, true);            // version needed to extract
+    view.setUint16(8, 0x0800, true);
+    view.setUint16(10, method, true);
+    view.setUint16(12, time, true);
+    view.setUint16(14, date, true);
+    view.setUint32(16, crc, true);
+    view.setUint32(20, compressedSize, true);
+    view.setUint32(24, size, true);
+    view.setUint16(28, nameBytes.length, true);
+    // extra length, comment length, disk number, internal/external attrs stay 0
+    view.setUint32(42, localOffset, true);
+    header.set(nameBytes, 46);
+    return header;
+  },
+
+  /**
+   * @private
+   */
+  _endOfCentralDirectory({ count, size, centralOffset }) {
+    const record = new Uint8Array(22);
+    const view = new DataView(record.buffer);
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, count, true);
+    view.setUint16(10, count, true);
+    view.setUint32(12, size, true);
+    view.setUint32(16, centralOffset, true);
+    return record;
+  },
+
+  /**
+   * @private
+   */
+  _toDosDateTime(dateValue) {
+    const d = dateValue instanceof Date && !isNaN(dateValue.getTime()) ? dateValue : new Date();
+    const year = Math.max(1980, d.getFullYear());
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+  },
+
+  /**
+   * @private
+   */
+  _normalizePath(path) {
+    const normalized = String(path || '').replace(/\\/g, '/').replace(/^\/+/, '');
+    if (!normalized || normalized.split('/').some(segment => segment === '..')) {
+      throw new Error(`Invalid archive path: ${path}`);
+    }
+    return normalized;
+  },
+
+  /**
+   * @private
+   */
+  _getCrcTable() {
+    if (!this._crcTable) {
+      const table = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+      }
+      this._crcTable = table;
+    }
+    return this._crcTable;
+  },
+
+  _crcTable: null,
+
+  /**
+   * @private
+   */
+  _getSha256() {
+    const exporter = typeof BDLawExport !== 'undefined' ? BDLawExport : require('./bdlaw-export.js');
+    return exporter.createSha256();
+  },
+
+  /**
+   * @private
+   */
+  _toHex32(value) {
+    return (value >>> 0).toString(16).padStart(8, '0');
+  },
+
+  /**
+   * @private
+   */
+  _encodeUtf8(str) {
+    return new TextEncoder().encode(str);
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BDLawZip;
+}
+
+if (typeof window !== 'undefined') {
+  window.BDLawZip = BDLawZip;
+}
@@ -214,6 +214,7 @@
    * Requirements: 6.1 - Detect status from source page structure
    */
   const BDLAW_LEGAL_STATUS_SELECTORS = [
+    '.bt-act-repealed',
     '.act-status',
     '.law-status',
     '.status-badge',
@@ -549,19 +550,35 @@
    * - "repealed": Clear repealed indicators detected
    * - "unknown": Cannot determine status reliably
    * 
-   * @returns {Object} {legal_status: string, status_source: string|null, status_indicators: string[]}
+   * Elements with repealed markers are also searched for repeal evidence
+   * (BDLawExtractor.extractRepealEvidence) naming the repealing instrument.
+   * 
+   * @param {string} contentRaw - content_raw, to locate repeal evidence in it
+   * @returns {Object} {legal_status: string, status_source: string|null, status_indicators: string[], repeal_evidence: Object[]}
    */
-  function bdlawDetectLegalStatus() {
+  function bdlawDetectLegalStatus(contentRaw) {
     // Default result - unknown status
     const result = {
       legal_status: 'unknown',
       status_source: null,
-      status_indicators: []
+      status_indicators: [],
+      repeal_evidence: []
     };
 
     const detectedIndicators = [];
+    const repealEvidence = [];
     let statusSource = null;
 
+    // Evidence from nested elements is found once, under the first selector
+    const addEvidence = (text, source) => {
+      if (typeof BDLawExtractor === 'undefined') return;
+      for (const entry of BDLawExtractor.extractRepealEvidence(text, source, contentRaw || null)) {
+        if (!repealEvidence.some(seen => seen.evidence_text === entry.evidence_text)) {
+          repealEvidence.push(entry);
+        }
+      }
+    };
+
     // Step 1: Check status-specific DOM elements
     for (const selector of BDLAW_LEGAL_STATUS_SELECTORS) {
       try {
@@ -577,6 +594,7 @@
             if (!statusSource) {
               statusSource = selector;
             }
+            addEvidence(text, selector);
           }
         }
       } catch (e) {
@@ -593,6 +611,7 @@
         if (!statusSource) {
           statusSource = 'document.title';
         }
+        addEvidence(document.title, 'document.title');
       }
     }
 
@@ -602,6 +621,7 @@
       result.legal_status = 'repealed';
       result.status_source = statusSource;
       result.status_indicators = [...new Set(detectedIndicators)]; // Deduplicate
+      result.repeal_evidence = repealEvidence;
     } else {
       // No repealed indicators found - assume active
       // Requirements: 6.2 - Default to "active" when no repealed markers found
@@ -1256,6 +1276,51 @@
     return sections;
   }
 
+  /**
+   * Extract part, chapter and schedule headings from DOM
+   *
+   * Container headings sit in a section row's .txt-head above the section
+   * title, or fill a row of their own. Each text node of a row is read as one
+   * line (textContent only) and handed to
+   * BDLawExtractor.detectStructuralContainers, so "দ্বিতীয় অধ্যায়" followed by
+   * "বোর্ড" in the next element yields one chapter with its heading.
+   *
+   * @returns {Array<Object>} Containers {type, marker, number, number_value, heading, dom_index}
+   */
+  function extractContainersFromDOM() {
+    const container = document.querySelector(BDLAW_LEGAL_SELECTORS.actContainer);
+    if (!container || typeof BDLawExtractor === 'undefined') {
+      return [];
+    }
+
+    const containers = [];
+    const sectionRows = container.querySelectorAll(BDLAW_LEGAL_SELECTORS.sectionRows);
+
+    sectionRows.forEach((row, domIndex) => {
+      const lines = [];
+      const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        const text = walker.currentNode.textContent.trim();
+        if (text) {
+          lines.push(text);
+        }
+      }
+
+      BDLawExtractor.detectStructuralContainers(lines.join('\n')).forEach(found => {
+        containers.push({
+          type: found.type,
+          marker: found.marker,
+          number: found.number,
+          number_value: found.number_value,
+          heading: found.heading,
+          dom_index: domIndex
+        });
+      });
+    });
+
+    return containers;
+  }
+
   /**
    * Extract preamble from DOM
    * Requirements: 6.1, 6.2, 6.3, 6.5, 6.6 - Preamble detection
@@ -1430,6 +1495,7 @@
     const preamble = extractPreambleFromDOM();
     const enactment = extractEnactmentFromDOM();
     const sections = extractSectionsFromDOM();
+    const containers = extractContainersFromDOM();
     
     // If BDLawExtractor is available, build the structure tree
     if (typeof BDLawExtractor !== 'undefined') {
@@ -1437,6 +1503,7 @@
         preamble: preamble,
         enactment: enactment,
         sections: sections,
+        containers: containers,
         contentRaw: contentRaw
       });
     }
@@ -1445,6 +1512,7 @@
     return {
       preamble: preamble,
       enactment_clause: enactment,
+      containers: containers,
       sections: sections,
       metadata: {
         total_sections: sections.length,
@@ -1480,14 +1548,16 @@
         const citations = BDLawExtractor.detectCitationsInContent(section.body_text);
         
         for (const citation of citations) {
-          // Calculate absolute offset in content_raw
+          // Calculate absolute offset in content_raw. relativeOffset is
+          // relative to body_text, which does not start at content_start
+          // (the section number/heading precede it), so locate the citation
+          // text itself from the section start onwards.
           let absoluteOffset = -1;
-          if (section.content_start !== undefined && section.content_start > -1) {
-            absoluteOffset = section.content_start + citation.relativeOffset;
-          } else if (contentRaw) {
+          if (contentRaw) {
             absoluteOffset = BDLawExtractor.calculateOffsetInContentRaw(
               citation.citation_text, 
-              contentRaw
+              contentRaw,
+              section.content_start > -1 ? section.content_start : 0
             );
           }
           
@@ -1955,7 +2025,8 @@
       html_content: null,
       schedule_count: 0,
       has_tables: false,
-      missing_schedule_flag: false
+      missing_schedule_flag: false,
+      tables: []
     };
     if (typeof BDLawExtractor !== 'undefined' && BDLawExtractor.extractScheduleHTML) {
       schedules = BDLawExtractor.extractScheduleHTML(document);
@@ -2015,7 +2086,7 @@
       data_quality: dataQuality,
       // Legal status and temporal marking
       // Requirements: 6.1-6.3, 7.1-7.4 - Legal Integrity Enhancement
-      ...bdlawDetectLegalStatus(),
+      ...bdlawDetectLegalStatus(content),
       temporal_status: BDLAW_TEMPORAL_STATUS,
       temporal_disclaimer: BDLAW_TEMPORAL_DISCLAIMER,
       // Extraction risk detection
@@ -20,6 +20,7 @@
     EXPORT_HISTORY: 'bdlaw_export_history',
     FAILED_EXTRACTIONS: 'bdlaw_failed_extractions',
     QUEUE_STATS: 'bdlaw_queue_stats',
+    VOLUME_CATALOGS: 'bdlaw_volume_catalogs',  // Every captured catalog, for citation resolution
     PROCESSING_STATE: 'bdlaw_processing_state'  // Requirements: 8.5 - Track interrupted processing
   };
 
@@ -36,6 +37,8 @@
     isProcessing: false,
     isRetrying: false,  // Requirements: 5.1 - Track retry queue processing
     pendingDuplicateInfo: null,  // Requirements: 7.1, 7.4 - Track pending duplicate for UI
+    rulePacks: null,             // Correction rule packs, loaded from storage at init
+    qualityReport: null,         // Last corpus quality report shown or exported
     forceReExtract: null,        // Requirements: 7.5 - Track force re-extract state
     // Robust queue processing state
     failedExtractions: [],       // Requirements: 4.1 - Track failed extractions
@@ -1050,6 +1053,122 @@
     }
   }
 
+  /**
+   * Keep a captured catalog for citation resolution
+   * 
+   * state.currentVolume only holds the latest catalog; this keeps one entry
+   * per volume or index (title, year, url and act number of each row).
+   */
+  async function recordVolumeCatalog(volume) {
+    try {
+      const result = await chrome.storage.local.get([STORAGE_KEYS.VOLUME_CATALOGS]);
+      const catalogs = result[STORAGE_KEYS.VOLUME_CATALOGS] || {};
+      catalogs[volume.volumeNumber] = {
+        volume_number: volume.volumeNumber,
+        source_url: volume.url,
+        captured_at: volume.capturedAt,
+        acts: volume.acts.map(act => ({
+          title: act.title || '',
+          year: act.year || '',
+          url: act.url || '',
+          actNumber: act.actNumber || ''
+        }))
+      };
+      await chrome.storage.local.set({ [STORAGE_KEYS.VOLUME_CATALOGS]: catalogs });
+    } catch (e) {
+      console.error('Failed to record volume catalog:', e);
+    }
+  }
+
+  /**
+   * Build the citation index from the corpus manifest and captured catalogs
+   * Bulk exports build it once and pass it as exportOptions.citationIndex;
+   * exports that read no references pass null to skip resolution.
+   * It also carries translation_candidates, the Bengali/English pairing of
+   * the manifest's acts, so each export can list its act's counterparts.
+   */
+  async function loadCitationIndex() {
+    const manifest = await BDLawCorpusManifest.loadCorpusManifest();
+    let catalogs = {};
+    try {
+      const result = await chrome.storage.local.get([STORAGE_KEYS.VOLUME_CATALOGS]);
+      catalogs = result[STORAGE_KEYS.VOLUME_CATALOGS] || {};
+    } catch (e) {
+      console.error('Failed to load volume catalogs:', e);
+    }
+    const current = state.currentVolume ? [{ acts: state.currentVolume.acts }] : [];
+    const index = BDLawCitationResolver.buildCitationIndex(manifest, [...Object.values(catalogs), ...current]);
+    index.translation_candidates = BDLawSimilarity.buildTranslationIndex(manifest).candidates;
+    return index;
+  }
+
+  /**
+   * Cleaning config compiled from the stored correction rule packs
+   */
+  function cleaningConfig() {
+    return BDLawRulePacks.buildQualityConfig(state.rulePacks || [BDLawRulePacks.BUILTIN_PACK]);
+  }
+
+  /**
+   * Rule pack and rule version of a cleaning transformation, for its
+   * transformation_log entry
+   */
+  function rulePackProvenance(transform) {
+    if (!transform.pack_id) {
+      return {};
+    }
+    return {
+      rule_pack_id: transform.pack_id,
+      rule_pack_version: transform.pack_version,
+      rule_id: transform.rule_id,
+      rule_version: transform.rule_version
+    };
+  }
+
+  /**
+   * Locates converted legacy font spans in content_raw
+   * Cleaning runs on content_normalized, whose offsets can drift from
+   * content_raw's; normalization leaves the Latin span text itself alone,
+   * so each span is found again in order. Other cleaning transformations
+   * are logged without a position.
+   */
+  function legacyFontPositionLocator(contentRaw) {
+    let cursor = 0;
+    return (transform) => {
+      if (transform.type !== 'legacy_font_conversion') {
+        return 0;
+      }
+      const position = contentRaw.indexOf(transform.original, cursor);
+      if (position === -1) {
+        return transform.position;
+      }
+      cursor = position + transform.original.length;
+      return position;
+    };
+  }
+
+  /**
+   * Stored schedules with their structured tables
+   * Acts captured before schedule tables were derived carry only
+   * html_content; their tables are parsed from it here.
+   */
+  function withScheduleTables(schedules) {
+    if (!schedules || Array.isArray(schedules.tables) || !schedules.html_content) {
+      return schedules;
+    }
+    const doc = new DOMParser().parseFromString(schedules.html_content, 'text/html');
+    return { ...schedules, tables: BDLawExtractor.extractScheduleTables(doc.body) };
+  }
+
+  /**
+   * legal_status as stored and exported
+   * The content script reports "active" whenever it finds no repeal marker;
+   * that is not evidence of legal force, so only "repealed" is kept.
+   */
+  function recordedLegalStatus(status) {
+    return status === 'repealed' ? 'repealed' : 'unknown';
+  }
+
   async function buildSingleActExportData(act, options = {}) {
     if (!act) {
       throw new Error('No act data provided.');
@@ -1064,11 +1183,12 @@
       'তফসিল': 0
     };
 
+    const normalizationLog = [];
     const threeVersionContent = act.content
-      ? BDLawExtractor.createThreeVersionContent(act.content)
+      ? BDLawExtractor.createThreeVersionContent(act.content, { transformationLog: normalizationLog })
       : { content_raw: '', content_normalized: '', content_corrected: '' };
 
-    let transformationLog = act.transformation_log || [];
+    let transformationLog = [...(act.transformation_log || []), ...normalizationLog];
     const titlePreservation = act.title
       ? BDLawExtractor.createTitlePreservation(act.title)
       : { title_raw: '', title_normalized: '' };
@@ -1079,12 +1199,14 @@
     const protectedSectionsResult = act.protected_sections_result ||
       (threeVersionContent.content_raw ? BDLawExtractor.detectProtectedSections(threeVersionContent.content_raw) : { protected_sections: [], regions: [] });
 
+    const citationIndex = options.citationIndex === undefined ? await loadCitationIndex() : options.citationIndex;
     const crossReferences = threeVersionContent.content_raw
       ? BDLawExtractor.detectCrossReferences(threeVersionContent.content_raw)
       : [];
 
+    const resolvedReferences = BDLawCitationResolver.resolveReferences(crossReferences, citationIndex);
     const lexicalReferences = BDLawExtractor.getLexicalReferencesMetadata(
-      crossReferences.map(ref => ({
+      resolvedReferences.map(ref => ({
         citation_text: ref.citation_text,
         lexical_relation_type: ref.lexical_relation_type || 'mention',
         lexical_relation_confidence: ref.lexical_relation_confidence || 'low',
@@ -1093,9 +1215,25 @@
         negation_context: ref.negation_context || null,
         position: ref.position,
         context_before: ref.context_before,
-        context_after: ref.context_after
+        context_after: ref.context_after,
+        citation_key: ref.citation_key,
+        resolved_internal_id: ref.resolved_internal_id,
+        resolved_in_corpus: ref.resolved_in_corpus,
+        resolution_confidence: ref.resolution_confidence,
+        resolution_method: ref.resolution_method,
+        resolution_ambiguity: ref.resolution_ambiguity
       }))
     );
+    lexicalReferences.resolution = BDLawCitationResolver.getResolutionMetadata(resolvedReferences);
+
+    const amendmentNotes = threeVersionContent.content_raw
+      ? BDLawCitationResolver.resolveAmendmentNotes(
+          BDLawExtractor.parseAmendmentNotes(threeVersionContent.content_raw, act.structure || null),
+          citationIndex
+        )
+      : [];
+
+    const actDates = threeVersionContent.content_raw ? BDLawExtractor.extractDates(threeVersionContent.content_raw) : [];
 
     const dataQuality = threeVersionContent.content_raw
       ? BDLawQuality.validateContentQuality(threeVersionContent.content_raw, null, {
@@ -1111,29 +1249,35 @@
     let cleaningTransformations = [];
 
     if (applyTextCleaning && threeVersionContent.content_normalized) {
+      const normalizedMatchesRaw = threeVersionContent.content_normalized === threeVersionContent.content_raw;
       const cleaningResult = BDLawQuality.cleanContent(threeVersionContent.content_normalized, {
+        config: cleaningConfig(),
+        applyLegacyFontConversion: $('applyLegacyFontConversion')?.checked || false,
         applyEncodingRepairs: true,
         applyOcrCorrections: true,
         applyFormatting: true,
         dryRun: false,
-        numericRegions,
-        protectedRegions: protectedSectionsResult.regions
+        // Regions index content_raw; they are detected again when normalization changed the text
+        numericRegions: normalizedMatchesRaw ? numericRegions : null,
+        protectedRegions: normalizedMatchesRaw ? protectedSectionsResult.regions : null
       });
 
       threeVersionContent.content_corrected = cleaningResult.cleaned;
       cleaningTransformations = cleaningResult.transformations;
 
+      const rawPosition = legacyFontPositionLocator(threeVersionContent.content_raw);
       for (const transform of cleaningTransformations) {
         transformationLog.push({
           transformation_type: transform.type === 'encoding_repair' ? 'encoding_fix' :
                                transform.type === 'ocr_correction' ? 'ocr_correction' :
                                transform.type === 'formatting' ? 'formatting' : transform.type,
-          original: transform.incorrect || transform.rule || '',
-          corrected: transform.correct || transform.replacement || '',
-          position: 0,
-          risk_level: BDLawExtractor.getRiskLevel(transform.type === 'ocr_correction' ? 'ocr_correction' : 'encoding_fix'),
+          original: transform.incorrect || transform.rule || transform.original || '',
+          corrected: transform.correct || transform.replacement || transform.corrected || '',
+          position: rawPosition(transform),
+          risk_level: transform.risk_level || BDLawExtractor.getRiskLevel(transform.type === 'ocr_correction' ? 'ocr_correction' : 'encoding_fix'),
           applied: transform.applied !== false,
-          timestamp: new Date().toISOString()
+          timestamp: new Date().toISOString(),
+          ...rulePackProvenance(transform)
         });
       }
 
@@ -1147,7 +1291,8 @@
             risk_level: 'potential-semantic',
             applied: false,
             timestamp: new Date().toISOString(),
-            reason: 'protected_section_enforcement'
+            reason: 'protected_section_enforcement',
+            ...rulePackProvenance(flagged)
           });
         }
       }
@@ -1195,11 +1340,20 @@
       content_corrected: threeVersionContent.content_corrected,
       url: act.url,
       volume_number: act.volumeNumber || 'unknown',
-      legal_status: act.legal_status || 'unknown',
+      legal_status: recordedLegalStatus(act.legal_status),
+      repeal_evidence: act.repeal_evidence || [],
       temporal_status: BDLawExtractor.TEMPORAL_STATUS,
       temporal_disclaimer: BDLawExtractor.TEMPORAL_DISCLAIMER,
       lexical_references: lexicalReferences,
-      schedules: act.schedules || {
+      structure: act.structure || null,
+      cross_references: act.cross_references || [],
+      amendment_notes: amendmentNotes,
+      dates: actDates,
+      defined_terms: BDLawExtractor.extractDefinedTerms(threeVersionContent.content_raw, act.structure || null),
+      penalties: BDLawExtractor.extractPenalties(threeVersionContent.content_raw, act.structure || null),
+      ...BDLawCorpusManifest.classifyInstrument(act.title, BDLawCorpusManifest.deriveActDate(actDates, act.title)),
+      translation_candidate_ids: citationIndex?.translation_candidates?.[String(act.actNumber)] || [],
+      schedules: withScheduleTables(act.schedules) || {
         representation: 'raw_html',
         extraction_method: 'verbatim_dom_capture',
         processed: false,
@@ -1217,9 +1371,13 @@
         completeness: dataQuality.completeness,
         completeness_disclaimer: dataQuality.completeness_disclaimer || 'Website representation incomplete; legal completeness unknown',
         flags: dataQuality.flags,
+        issue_counts: dataQuality.issue_counts || {},
         ml_risk_factors: dataQuality.risks || [],
         known_limitations: dataQuality.known_limitations || [],
-        ml_usage_warning: BDLawExtractor.ML_USAGE_WARNING
+        ml_usage_warning: BDLawExtractor.ML_USAGE_WARNING,
+        proviso_marker_count: dataQuality.proviso_marker_count || 0,
+        explanation_marker_count: dataQuality.explanation_marker_count || 0,
+        illustration_marker_count: dataQuality.illustration_marker_count || 0
       },
       extraction_risk: act.extraction_risk || {
         possible_truncation: false,
@@ -1339,11 +1497,13 @@
       let manifest = await loadFilesystemSyncManifestFromFolder();
       state.filesystemSync.manifest = manifest;
       const pendingQueue = rebuildFilesystemSyncQueue();
+      const citationIndex = pendingQueue.pendingActs.length > 0 ? await loadCitationIndex() : null;
 
       for (const act of pendingQueue.pendingActs) {
         const exportPayload = await buildSingleActExportData(act, {
           includeMetadata: true,
-          applyTextCleaning: $('applyTextCleaning')?.checked || false
+          applyTextCleaning: $('applyTextCleaning')?.checked || false,
+          citationIndex
         });
         const actNumber = String(act.actNumber || act.act_number || exportPayload.identifiers?.internal_id || '');
         const actJson = JSON.stringify(exportPayload, null, 2);
@@ -1669,6 +1829,7 @@
       };
 
       await saveToStorage();
+      await recordVolumeCatalog(state.currentVolume);
       showCurrentVolume();
       
       alert(`${sourceLabel} captured!\n${response.acts.length} acts found.`);
@@ -1881,6 +2042,12 @@
         structured_sections: response.structured_sections || [],
         tables: response.tables || [],
         amendments: response.amendments || [],
+        // DOM-derived structure tree and scope-anchored references (offsets into content)
+        structure: response.structure || null,
+        cross_references: response.cross_references_derived || [],
+        // Source-page status markers and the repealing instrument they name
+        legal_status: recordedLegalStatus(response.legal_status),
+        repeal_evidence: response.repeal_evidence || [],
         metadata: BDLawMetadata.generate(state.currentUrl),
         capturedAt: new Date().toISOString()
       };
@@ -1937,7 +2104,10 @@
             content: actData.content,
             content_hash: contentHash, // Requirements: 10.2 - Store hash in manifest
             content_language: contentLanguage, // Requirements: 11.6 - Store language in manifest
-            cross_reference_count: 0 // Will be updated during export
+            cross_reference_count: 0, // Will be updated during export
+            section_count: actData.structure?.metadata?.total_sections ?? null,
+            citation_key: BDLawCitationResolver.parseHeaderCitation(actData.content, actData.title)?.key ?? null,
+            dates: BDLawExtractor.extractDates(actData.content)
           }
         );
         await BDLawCorpusManifest.saveCorpusManifest(updatedManifest);
@@ -1969,7 +2139,10 @@
           content: actData.content,
           content_hash: contentHash,
           content_language: contentLanguage,
-          cross_reference_count: 0
+          cross_reference_count: 0,
+          section_count: actData.structure?.metadata?.total_sections ?? null,
+          citation_key: BDLawCitationResolver.parseHeaderCitation(actData.content, actData.title)?.key ?? null,
+          dates: BDLawExtractor.extractDates(actData.content)
         });
         await BDLawCorpusManifest.saveCorpusManifest(updatedManifest);
         
@@ -2960,6 +3133,11 @@
             structured_sections: response.structured_sections || [],
             tables: response.tables || [],
             amendments: response.amendments || [],
+            structure: response.structure || null,
+            cross_references: response.cross_references_derived || [],
+            // Source-page status markers and the repealing instrument they name
+            legal_status: recordedLegalStatus(response.legal_status),
+            repeal_evidence: response.repeal_evidence || [],
             metadata: BDLawMetadata.generate(item.url),
             capturedAt: new Date().toISOString()
           };
@@ -3225,6 +3403,11 @@
             structured_sections: response.structured_sections || [],
             tables: response.tables || [],
             amendments: response.amendments || [],
+            structure: response.structure || null,
+            cross_references: response.cross_references_derived || [],
+            // Source-page status markers and the repealing instrument they name
+            legal_status: recordedLegalStatus(response.legal_status),
+            repeal_evidence: response.repeal_evidence || [],
             metadata: BDLawMetadata.generate(failedEntry.url),
             capturedAt: new Date().toISOString(),
             // Requirements: 5.7 - Record selector strategy used
@@ -3379,6 +3562,15 @@
 
     // Update button states
     $('exportAllBtn').disabled = acts.length === 0;
+    $('exportJsonlBtn').disabled = acts.length === 0;
+    $('exportZipBtn').disabled = acts.length === 0;
+    $('exportDatasetBtn').disabled = acts.length === 0;
+    $('exportTablesBtn').disabled = acts.length === 0;
+    $('exportGlossaryBtn').disabled = acts.length === 0;
+    $('exportSimilarityBtn').disabled = acts.length === 0;
+    $('showQualityReportBtn').disabled = acts.length === 0;
+    $('exportQualityReportBtn').disabled = acts.length === 0;
+    await refreshExportSnapshotOptions();
     $('exportVolumeCatalogBtn').disabled = !state.currentVolume;
     
     // Update research document export buttons
@@ -3426,12 +3618,15 @@
     };
     
     let actsWithIssues = 0;
+    const config = cleaningConfig();
     
     for (const act of state.capturedActs) {
       if (!act.content) continue;
       
       // Dry run to detect transformations without applying them
       const result = BDLawQuality.cleanContent(act.content, {
+        config,
+        applyLegacyFontConversion: $('applyLegacyFontConversion')?.checked || false,
         applyEncodingRepairs: true,
         applyOcrCorrections: true,
         applyFormatting: true,
@@ -4171,6 +4366,8 @@
     // If no transformation log exists, try to generate one from content analysis
     if (transformationLog.length === 0 && act.content) {
       const cleaningResult = BDLawQuality.cleanContent(act.content, {
+        config: cleaningConfig(),
+        applyLegacyFontConversion: $('applyLegacyFontConversion')?.checked || false,
         applyEncodingRepairs: true,
         applyOcrCorrections: true,
         applyFormatting: true,
@@ -4185,9 +4382,10 @@
         original: t.incorrect || t.rule || '',
         corrected: t.correct || t.replacement || '',
         position: 0,
-        risk_level: t.type === 'ocr_correction' ? 'potential-semantic' : 'non-semantic',
+        risk_level: t.risk_level || (t.type === 'ocr_correction' ? 'potential-semantic' : 'non-semantic'),
         applied: t.type !== 'ocr_correction', // OCR corrections are flagged, not applied
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        ...rulePackProvenance(t)
       }));
     }
     
@@ -4222,7 +4420,7 @@
 
     return transformationLog.map(entry => {
       const typeClass = getTransformationTypeClass(entry.transformation_type);
-      const riskClass = entry.risk_level === 'potential-semantic' ? 'potential-semantic' : 'non-semantic';
+      const riskClass = ['potential-semantic', 'high-risk'].includes(entry.risk_level) ? entry.risk_level : 'non-semantic';
       const appliedClass = entry.applied === false ? 'flagged' : 'applied';
       const itemClass = entry.applied === false ? 'flagged' : riskClass;
       
@@ -4266,6 +4464,8 @@
       case 'unicode_normalization':
       case 'normalization':
         return 'normalization';
+      case 'legacy_font_conversion':
+        return 'legacy-font';
       default:
         return 'encoding';
     }
@@ -4294,6 +4494,8 @@
       case 'unicode_normalization':
       case 'normalization':
         return 'Normalize';
+      case 'legacy_font_conversion':
+        return 'Legacy Font';
       default:
         return type || 'Unknown';
     }
@@ -4518,6 +4720,8 @@
     
     // Get cleaning result with dry run first to see what would change
     const cleaningResult = BDLawQuality.cleanContent(act.content, {
+      config: cleaningConfig(),
+      applyLegacyFontConversion: $('applyLegacyFontConversion')?.checked || false,
       applyEncodingRepairs: true,
       applyOcrCorrections: true,
       applyFormatting: true,
@@ -4616,15 +4820,17 @@
     
     // Create three-version content structure from act content
     // content_raw: Exact extracted text, NEVER modified
-    // content_normalized: Unicode NFC normalized only
+    // content_normalized: Unicode NFC and Bengali canonicalisation only
     // content_corrected: Encoding-level fixes applied
+    const normalizationLog = [];
     const threeVersionContent = act.content 
-      ? BDLawExtractor.createThreeVersionContent(act.content)
+      ? BDLawExtractor.createThreeVersionContent(act.content, { transformationLog: normalizationLog })
       : { content_raw: '', content_normalized: '', content_corrected: '' };
     
-    // Initialize transformation log for audit trail
+    // Initialize transformation log for audit trail, starting with the
+    // normalization change classes
     // Requirements: 2.1, 2.5 - Transformation Audit Logging
-    let transformationLog = act.transformation_log || [];
+    let transformationLog = [...(act.transformation_log || []), ...normalizationLog];
     
     // ============================================
     // TITLE PRESERVATION
@@ -4660,14 +4866,16 @@
     // ============================================
     
     // Detect cross-references with negation-aware classification and confidence levels
+    const citationIndex = await loadCitationIndex();
     const crossReferences = threeVersionContent.content_raw 
       ? BDLawExtractor.detectCrossReferences(threeVersionContent.content_raw) 
       : [];
     
     // Build lexical references metadata with disclaimer
     // Requirements: 5.2, 5.3, 5.4, 5.5 - Lexical Relation Purity
+    const resolvedReferences = BDLawCitationResolver.resolveReferences(crossReferences, citationIndex);
     const lexicalReferences = BDLawExtractor.getLexicalReferencesMetadata(
-      crossReferences.map(ref => ({
+      resolvedReferences.map(ref => ({
         citation_text: ref.citation_text,
         lexical_relation_type: ref.lexical_relation_type || 'mention',
         lexical_relation_confidence: ref.lexical_relation_confidence || 'low',
@@ -4676,9 +4884,27 @@
         negation_context: ref.negation_context || null,
         position: ref.position,
         context_before: ref.context_before,
-        context_after: ref.context_after
+        context_after: ref.context_after,
+        citation_key: ref.citation_key,
+        resolved_internal_id: ref.resolved_internal_id,
+        resolved_in_corpus: ref.resolved_in_corpus,
+        resolution_confidence: ref.resolution_confidence,
+        resolution_method: ref.resolution_method,
+        resolution_ambiguity: ref.resolution_ambiguity
       }))
     );
+    lexicalReferences.resolution = BDLawCitationResolver.getResolutionMetadata(resolvedReferences);
+    
+    // Amendment footnotes as structured notes, amending citations resolved
+    const amendmentNotes = threeVersionContent.content_raw
+      ? BDLawCitationResolver.resolveAmendmentNotes(
+          BDLawExtractor.parseAmendmentNotes(threeVersionContent.content_raw, act.structure || null),
+          citationIndex
+        )
+      : [];
+
+    // Header, assent, enactment and commencement dates
+    const actDates = threeVersionContent.content_raw ? BDLawExtractor.extractDates(threeVersionContent.content_raw) : [];
 
     // ============================================
     // DATA QUALITY ASSESSMENT
@@ -4706,13 +4932,17 @@
     let cleaningTransformations = [];
     
     if (applyTextCleaning && threeVersionContent.content_normalized) {
+      const normalizedMatchesRaw = threeVersionContent.content_normalized === threeVersionContent.content_raw;
       const cleaningResult = BDLawQuality.cleanContent(threeVersionContent.content_normalized, {
+        config: cleaningConfig(),
+        applyLegacyFontConversion: $('applyLegacyFontConversion')?.checked || false,
         applyEncodingRepairs: true,
         applyOcrCorrections: true,
         applyFormatting: true,
         dryRun: false,
-        numericRegions: numericRegions,
-        protectedRegions: protectedSectionsResult.regions
+        // Regions index content_raw; they are detected again when normalization changed the text
+        numericRegions: normalizedMatchesRaw ? numericRegions : null,
+        protectedRegions: normalizedMatchesRaw ? protectedSectionsResult.regions : null
       });
       
       // Update content_corrected with cleaned content
@@ -4721,17 +4951,19 @@
       
       // Add transformations to the audit log
       // Requirements: 2.1, 2.5 - Log all transformations
+      const rawPosition = legacyFontPositionLocator(threeVersionContent.content_raw);
       for (const transform of cleaningTransformations) {
         transformationLog.push({
           transformation_type: transform.type === 'encoding_repair' ? 'encoding_fix' : 
                                transform.type === 'ocr_correction' ? 'ocr_correction' : 
                                transform.type === 'formatting' ? 'formatting' : transform.type,
-          original: transform.incorrect || transform.rule || '',
-          corrected: transform.correct || transform.replacement || '',
-          position: 0, // Position tracking would require more detailed logging
-          risk_level: BDLawExtractor.getRiskLevel(transform.type === 'ocr_correction' ? 'ocr_correction' : 'encoding_fix'),
+          original: transform.incorrect || transform.rule || transform.original || '',
+          corrected: transform.correct || transform.replacement || transform.corrected || '',
+          position: rawPosition(transform), // Only legacy font spans carry a position
+          risk_level: transform.risk_level || BDLawExtractor.getRiskLevel(transform.type === 'ocr_correction' ? 'ocr_correction' : 'encoding_fix'),
           applied: transform.applied !== false,
-          timestamp: new Date().toISOString()
+          timestamp: new Date().toISOString(),
+          ...rulePackProvenance(transform)
         });
       }
       
@@ -4746,7 +4978,8 @@
             risk_level: 'potential-semantic',
             applied: false,
             timestamp: new Date().toISOString(),
-            reason: 'protected_section_enforcement'
+            reason: 'protected_section_enforcement',
+            ...rulePackProvenance(flagged)
           });
         }
       }
@@ -4830,7 +5063,8 @@
       
       // LEGAL STATUS AND TEMPORAL MARKING
       // Requirements: 6.1-6.3, 7.1-7.4 - Legal Integrity Enhancement
-      legal_status: act.legal_status || 'unknown',
+      legal_status: recordedLegalStatus(act.legal_status),
+      repeal_evidence: act.repeal_evidence || [],
       temporal_status: BDLawExtractor.TEMPORAL_STATUS,
       temporal_disclaimer: BDLawExtractor.TEMPORAL_DISCLAIMER,
       
@@ -4838,9 +5072,23 @@
       // Requirements: 5.1-5.5, 16.1-16.5 - Lexical Relation Purity
       lexical_references: lexicalReferences,
       
+      // STRUCTURE TREE AND SCOPED CROSS-REFERENCES
+      // DOM-derived at capture time; all offsets index into content_raw
+      structure: act.structure || null,
+      cross_references: act.cross_references || [],
+      
+      // AMENDMENT NOTES
+      // Parsed from statutory footnotes; recorded as written, not verified
+      amendment_notes: amendmentNotes,
+      dates: actDates,
+      defined_terms: BDLawExtractor.extractDefinedTerms(threeVersionContent.content_raw, act.structure || null),
+      penalties: BDLawExtractor.extractPenalties(threeVersionContent.content_raw, act.structure || null),
+      ...BDLawCorpusManifest.classifyInstrument(act.title, BDLawCorpusManifest.deriveActDate(actDates, act.title)),
+      translation_candidate_ids: citationIndex.translation_candidates?.[String(act.actNumber)] || [],
+      
       // SCHEDULES
       // Requirements: 8.1-8.6 - Schedule HTML Preservation
-      schedules: act.schedules || {
+      schedules: withScheduleTables(act.schedules) || {
         representation: 'raw_html',
         extraction_method: 'verbatim_dom_capture',
         processed: false,
@@ -4870,9 +5118,13 @@
         completeness: dataQuality.completeness,
         completeness_disclaimer: dataQuality.completeness_disclaimer || 'Website representation incomplete; legal completeness unknown',
         flags: dataQuality.flags,
+        issue_counts: dataQuality.issue_counts || {},
         ml_risk_factors: dataQuality.risks || [],
         known_limitations: dataQuality.known_limitations || [],
-        ml_usage_warning: BDLawExtractor.ML_USAGE_WARNING
+        ml_usage_warning: BDLawExtractor.ML_USAGE_WARNING,
+        proviso_marker_count: dataQuality.proviso_marker_count || 0,
+        explanation_marker_count: dataQuality.explanation_marker_count || 0,
+        illustration_marker_count: dataQuality.illustration_marker_count || 0
       },
       
       // EXTRACTION RISK
@@ -5124,187 +5376,1374 @@
   }
 
   /**
-   * Export a single failed act as a JSON file
-   * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5, 6.6 - Failed Act Export Format
+   * Export the whole corpus as a single JSON Lines file
    * 
-   * @param {Object} failedEntry - The failed extraction entry to export
+   * Acts are streamed out of StorageManager one at a time and formatted with
+   * the same builder used for per-act files and filesystem sync. Permanently
+   * failed acts follow the successful ones, and a trailing manifest line
+   * records counts and a SHA-256 over the preceding bytes.
    */
-  async function exportFailedAct(failedEntry) {
-    if (!failedEntry) {
-      console.error('No failed entry data provided.');
+  async function exportCorpusAsJsonl() {
+    const permanentlyFailed = (state.failedExtractions || []).filter(f => !BDLawQueue.shouldRetry(f));
+
+    if (state.capturedActs.length === 0 && permanentlyFailed.length === 0) {
+      alert('No acts captured. Capture some acts first.');
       return;
     }
 
-    const prettyPrint = $('prettyPrint').checked;
-    
-    // Format the failed act for export using BDLawQueue
-    const exportData = BDLawQueue.formatFailedActForExport(failedEntry);
-    
-    // Add trust boundary for research integrity
-    exportData.trust_boundary = {
-      can_trust: [
-        'Text extraction was attempted at the recorded timestamps',
-        'Failure reasons are accurately recorded',
-        'No content inference or auto-correction was applied'
-      ],
-      must_not_trust: [
-        'Content availability (extraction failed)',
-        'Legal validity',
-        'Completeness'
-      ]
+    const total = state.capturedActs.length;
+    const filename = BDLawExport.generateCorpusJsonlFilename(new Date());
+    const exportOptions = {
+      includeMetadata: $('includeMetadata').checked,
+      applyTextCleaning: $('applyTextCleaning')?.checked || false,
+      citationIndex: await loadCitationIndex()
     };
 
-    const jsonContent = prettyPrint 
-      ? JSON.stringify(exportData, null, 2) 
-      : JSON.stringify(exportData);
-
-    // Generate filename with _FAILED suffix to distinguish from successful exports
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const actNumber = failedEntry.act_number || 'unknown';
-    const filename = `bdlaw_act_${actNumber}_FAILED_${timestamp}.json`;
+    $('exportProgress').classList.remove('hidden');
+    $('exportProgressText').textContent = `Writing 0 of ${total} acts...`;
+    $('exportProgressFill').style.width = '0%';
 
     try {
-      await chrome.runtime.sendMessage({
-        type: 'downloadJSON',
-        content: jsonContent,
-        filename: filename
+      const exportId = ExportCheckpointManager.generateExportId();
+      const actHashes = {};
+      const result = await BDLawExport.buildCorpusJsonl({
+        iterateActs: (onAct) => StorageManager.iterateActs(onAct),
+        formatAct: async (act) => {
+          const exportAct = await buildSingleActExportData(act, exportOptions);
+          actHashes[String(exportAct.identifiers.internal_id)] = exportAct.content_raw_sha256;
+          return exportAct;
+        },
+        failedActs: permanentlyFailed.map(buildFailedActExportData),
+        exportId,
+        onProgress: (processed) => {
+          const percent = total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 100;
+          $('exportProgressFill').style.width = percent + '%';
+          $('exportProgressText').textContent = `Writing ${processed} of ${total} acts...`;
+        }
       });
-      
-      // Log export operation
+
+      const blob = new Blob(result.parts, { type: 'application/x-ndjson;charset=utf-8' });
+      await BDLawExport.triggerDownload(blob, filename);
+      await recordExportSnapshot({ exportId, name: filename, exportType: 'corpus_jsonl', acts: actHashes });
+
       BDLawCorpusManifest.logExtractionOperation({
         type: 'export',
-        internal_id: actNumber,
         result: 'success',
         details: {
           filename: filename,
-          export_type: 'failed_act',
-          failure_reason: failedEntry.failure_reason,
-          total_attempts: failedEntry.attempts?.length || 0
+          export_type: 'corpus_jsonl',
+          total_records: result.manifest.total_records,
+          successful_acts: result.manifest.successful_acts,
+          failed_acts: result.manifest.failed_acts,
+          skipped_acts: result.manifest.skipped_acts.length,
+          sha256: result.manifest.sha256
         }
       });
+
+      try {
+        await ExportCheckpointManager.recordExport();
+        await updateExportCheckpointUI();
+      } catch (checkpointError) {
+        console.warn('Failed to record export for checkpoint:', checkpointError);
+      }
+
+      let completeMsg = `JSONL export complete!\n${filename}\n\n` +
+        `${result.manifest.successful_acts} act(s), ${result.manifest.failed_acts} failed act(s)\n` +
+        `SHA-256: ${result.manifest.sha256}`;
+      if (result.manifest.skipped_acts.length > 0) {
+        completeMsg += `\n\n⚠️ ${result.manifest.skipped_acts.length} act(s) could not be formatted and are listed in the manifest line.`;
+      }
+      alert(completeMsg);
     } catch (e) {
-      console.error('Failed act export failed:', e);
-      
+      console.error('JSONL export failed:', e);
+
       BDLawCorpusManifest.logExtractionOperation({
         type: 'export',
-        internal_id: actNumber,
         result: 'error',
-        details: { error: e.message, filename: filename, export_type: 'failed_act' }
+        details: { error: e.message, filename: filename, export_type: 'corpus_jsonl' }
       });
-      
-      throw e;
+
+      alert('JSONL export failed: ' + e.message);
+    } finally {
+      $('exportProgress').classList.add('hidden');
     }
   }
 
   /**
-   * Export volume catalog as a separate JSON file
-   * Requirements: 31.3 - Export volume catalog as a separate JSON file
-   * Requirements: 31.4 - Generate filename: bdlaw_volume_{volume_number}_{timestamp}.json
-   * Requirements: 31.6 - Provide "Export Volume Catalog" option
+   * Write every corpus file through addFile(path, data)
+   * 
+   * Layout mirrors a filesystem sync folder: acts/{id}.json,
+   * failed/{id}.failed.json, manifests/corpus_manifest.json,
+   * logs/audit-log.ndjson, plus README.md, CITATION.cff and
+   * DATA_DICTIONARY.md at the root. akn/{id}.xml is added when includeAkn
+   * is set, tei/{id}.xml and tei/teiCorpus.xml when includeTei is set,
+   * txt/{id}.txt when includeText is set and md/{id}.md when includeMarkdown
+   * is set.
+   * Shared by the ZIP bundle and the BagIt payload.
+   * 
+   * includeAct(internalId, sha256) limits which acts are written (delta
+   * exports); every act's hash is still returned in actHashes.
+   * 
+   * @returns {Promise<Object>} { packed, manifest, actHashes }
    */
-  async function exportVolumeCatalog() {
-    if (!state.currentVolume) {
-      alert('No volume captured. Capture a volume first.');
-      return;
+  async function packCorpusFiles(addFile, { exportOptions, prettyPrint, includeAkn, includeTei = false, includeText = false, includeMarkdown = false, permanentlyFailed, total, includeAct = null }) {
+    const toJson = (data) => prettyPrint ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+    const actHashes = {};
+    let visited = 0;
+    let packed = 0;
+
+    await StorageManager.iterateActs(async (act) => {
+      const exportAct = await buildSingleActExportData(act, exportOptions);
+      const actNumber = String(act.actNumber || act.act_number || exportAct.identifiers?.internal_id || '');
+      actHashes[actNumber] = exportAct.content_raw_sha256;
+      visited++;
+
+      if (!includeAct || includeAct(actNumber, exportAct.content_raw_sha256)) {
+        await addFile(BDLawFilesystemSync.getActPath(actNumber), toJson(exportAct));
+        if (includeAkn) {
+          await addFile(BDLawExport.generateAkomaNtosoPath(actNumber), BDLawExport.formatActAsAkomaNtoso(exportAct));
+        }
+        if (includeTei) {
+          await addFile(BDLawExport.generateTeiPath(actNumber), BDLawExport.formatActAsTei(exportAct));
+        }
+        if (includeText) {
+          await addFile(BDLawExport.generateTextPath(actNumber), BDLawExport.formatActAsText(exportAct));
+        }
+        if (includeMarkdown) {
+          await addFile(BDLawExport.generateMarkdownPath(actNumber), BDLawExport.formatActAsMarkdown(exportAct));
+        }
+        packed++;
+      }
+      $('exportProgressFill').style.width = Math.min(100, Math.round((visited / Math.max(total, 1)) * 100)) + '%';
+      $('exportProgressText').textContent = `Packing ${visited} of ${total} acts...`;
+    });
+
+    for (const failedEntry of permanentlyFailed) {
+      const actNumber = String(failedEntry.act_number || failedEntry.actNumber || '');
+      await addFile(BDLawFilesystemSync.getFailedPath(actNumber), toJson(buildFailedActExportData(failedEntry)));
     }
 
-    const includeMetadata = $('includeMetadata').checked;
-    const prettyPrint = $('prettyPrint').checked;
+    $('exportProgressText').textContent = 'Packing manifest, documentation and audit log...';
+    const manifest = await BDLawCorpusManifest.loadCorpusManifest();
+    await addFile('manifests/corpus_manifest.json', toJson(manifest));
+    await addFile('README.md', BDLawCorpusManifest.generateCorpusReadme(manifest));
+    await addFile('CITATION.cff', BDLawCorpusManifest.generateCitationCff(manifest));
+    await addFile('DATA_DICTIONARY.md', BDLawCorpusManifest.generateDataDictionary());
+    if (includeTei) {
+      await addFile(BDLawExport.TEI_CORPUS_PATH, BDLawExport.formatTeiCorpus(manifest));
+    }
 
-    // Build the volume catalog export object
-    const volumeExport = {
-      volume_number: state.currentVolume.volumeNumber,
-      source_url: state.currentVolume.url,
-      captured_at: state.currentVolume.capturedAt,
-      total_acts: state.currentVolume.acts.length,
-      acts: state.currentVolume.acts.map(act => ({
-        title: act.title || '',
-        year: act.year || '',
-        act_number: act.actNumber || '',
-        url: act.url || ''
-      }))
-    };
+    const auditEntries = await StorageManager.getAuditLog();
+    await addFile(
+      BDLawFilesystemSync.getAuditLogPath(),
+      auditEntries.map((entry) => JSON.stringify(entry)).join('\n') + (auditEntries.length > 0 ? '\n' : '')
+    );
 
-    // Include metadata if option is checked
-    if (includeMetadata) {
-      volumeExport._metadata = {
-        source: 'bdlaws.minlaw.gov.bd',
-        source_url: state.currentVolume.url,
-        scraped_at: state.currentVolume.capturedAt,
-        extracted_at: new Date().toISOString(),
-        scraping_method: 'manual page-level extraction',
-        tool: 'BDLawCorpus',
-        language: 'bn',
-        research_purpose: 'academic legal corpus construction',
-        disclaimer: 'This tool performs manual extraction of publicly available legal texts for academic research. No automated crawling, modification, or interpretation is performed.'
-      };
+    return { packed, manifest, actHashes };
+  }
+
+  /**
+   * Export the whole corpus as one ZIP archive
+   * 
+   * Plain bundles end with manifests/bundle-manifest.json, which records the
+   * CRC-32 and SHA-256 of every other entry. With the BagIt option the
+   * archive holds a single bag directory (RFC 8493): corpus files under
+   * data/, checksummed by manifest-sha256.txt and tagmanifest-sha256.txt.
+   */
+  async function exportCorpusAsZip() {
+    const permanentlyFailed = (state.failedExtractions || []).filter(f => !BDLawQueue.shouldRetry(f));
+
+    if (state.capturedActs.length === 0 && permanentlyFailed.length === 0) {
+      alert('No acts captured. Capture some acts first.');
+      return;
     }
 
-    const jsonContent = prettyPrint 
-      ? JSON.stringify(volumeExport, null, 2) 
-      : JSON.stringify(volumeExport);
+    const total = state.capturedActs.length;
+    const prettyPrint = $('prettyPrint').checked;
+    const useDeflate = ($('zipDeflate')?.checked ?? true) && BDLawZip.isDeflateSupported();
+    const asBag = $('zipBagit')?.checked || false;
+    const now = new Date();
+    const bagName = BDLawExport.generateCorpusBagName(now);
+    const filename = asBag ? `${bagName}.zip` : BDLawExport.generateCorpusZipFilename(now);
+    const packOptions = {
+      exportOptions: {
+        includeMetadata: $('includeMetadata').checked,
+        applyTextCleaning: $('applyTextCleaning')?.checked || false,
+        citationIndex: await loadCitationIndex()
+      },
+      prettyPrint,
+      includeAkn: $('zipIncludeAkn')?.checked || false,
+      includeTei: $('zipIncludeTei')?.checked || false,
+      includeText: $('zipIncludeText')?.checked || false,
+      includeMarkdown: $('zipIncludeMarkdown')?.checked || false,
+      permanentlyFailed,
+      total
+    };
 
-    // Requirements: 31.4 - Generate filename: bdlaw_volume_{volume_number}_{timestamp}.json
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const filename = `bdlaw_volume_${state.currentVolume.volumeNumber}_${timestamp}.json`;
+    $('exportProgress').classList.remove('hidden');
+    $('exportProgressText').textContent = `Packing 0 of ${total} acts...`;
+    $('exportProgressFill').style.width = '0%';
 
     try {
-      await chrome.runtime.sendMessage({
-        type: 'downloadJSON',
-        content: jsonContent,
-        filename: filename
+      const exportId = ExportCheckpointManager.generateExportId(now);
+      const zip = BDLawZip.createWriter({
+        method: useDeflate ? BDLawZip.METHOD.DEFLATE : BDLawZip.METHOD.STORE
       });
-      
-      // Requirements: 10.5 - Log volume export operation
+      let packed = 0;
+      let actHashes = {};
+      let checksumSummary = '';
+
+      if (asBag) {
+        const bag = BDLawBagIt.createBag({
+          writeFile: (path, data) => zip.addFile(`${bagName}/${path}`, data)
+        });
+        const result = await packCorpusFiles(bag.addPayload, packOptions);
+        packed = result.packed;
+        actHashes = result.actHashes;
+        const bagInfo = BDLawBagIt.buildBagInfo({
+          metadata: BDLawMetadata.generate('http://bdlaws.minlaw.gov.bd/'),
+          manifest: result.manifest,
+          baggingDate: now
+        });
+        bagInfo.push(['BDLaw-Export-Id', exportId]);
+        const bagResult = await bag.finish(bagInfo);
+        checksumSummary = `BagIt Payload-Oxum: ${bagResult.payload_oxum}`;
+      } else {
+        const entries = [];
+        const result = await packCorpusFiles(async (path, data) => {
+          entries.push(await zip.addFile(path, data));
+        }, packOptions);
+        packed = result.packed;
+        actHashes = result.actHashes;
+        const bundleManifest = BDLawExport.formatBundleManifest(entries, {
+          exportId,
+          compression: useDeflate ? 'deflate' : 'store',
+          successfulActs: packed,
+          failedActs: permanentlyFailed.length
+        });
+        await zip.addFile(BDLawExport.BUNDLE_MANIFEST_PATH, prettyPrint ? JSON.stringify(bundleManifest, null, 2) : JSON.stringify(bundleManifest));
+        checksumSummary = `Checksums: ${BDLawExport.BUNDLE_MANIFEST_PATH}`;
+      }
+
+      const archive = zip.finish();
+      const blob = new Blob(archive.parts, { type: 'application/zip' });
+      await BDLawExport.triggerDownload(blob, filename);
+      await recordExportSnapshot({ exportId, name: filename, exportType: asBag ? 'corpus_bagit' : 'corpus_zip', acts: actHashes });
+
       BDLawCorpusManifest.logExtractionOperation({
         type: 'export',
-        volume_number: state.currentVolume.volumeNumber,
         result: 'success',
         details: {
           filename: filename,
-          total_acts: state.currentVolume.acts.length,
-          include_metadata: includeMetadata
+          export_id: exportId,
+          export_type: asBag ? 'corpus_bagit' : 'corpus_zip',
+          successful_acts: packed,
+          failed_acts: permanentlyFailed.length,
+          entry_count: archive.entries.length,
+          byte_length: archive.byteLength,
+          compression: useDeflate ? 'deflate' : 'store'
         }
       });
-      
-      alert(`Volume catalog exported!\n${state.currentVolume.acts.length} acts listed in ${filename}`);
+
+      try {
+        await ExportCheckpointManager.recordExport();
+        await updateExportCheckpointUI();
+      } catch (checkpointError) {
+        console.warn('Failed to record export for checkpoint:', checkpointError);
+      }
+
+      alert(`ZIP export complete!\n${filename}\n\n` +
+        `${packed} act(s), ${permanentlyFailed.length} failed act(s), ${archive.entries.length} file(s)\n` +
+        checksumSummary);
     } catch (e) {
-      console.error('Export failed:', e);
-      
-      // Requirements: 10.5 - Log volume export errors
+      console.error('ZIP export failed:', e);
+
       BDLawCorpusManifest.logExtractionOperation({
         type: 'export',
-        volume_number: state.currentVolume?.volumeNumber,
         result: 'error',
-        details: { error: e.message, filename: filename }
+        details: { error: e.message, filename: filename, export_type: asBag ? 'corpus_bagit' : 'corpus_zip' }
       });
-      
-      alert('Export failed: ' + e.message);
+
+      alert('ZIP export failed: ' + e.message);
+    } finally {
+      $('exportProgress').classList.add('hidden');
     }
   }
 
   /**
-   * Export corpus manifest as a JSON file
-   * Requirements: 8.5 - Generate an updated manifest alongside act files
+   * Record the acts written by an export so later deltas can use it as a base
    */
-  async function exportCorpusManifest() {
-    if (state.capturedActs.length === 0) {
-      alert('No acts captured. Capture some acts first.');
-      return;
+  async function recordExportSnapshot(snapshot) {
+    try {
+      await ExportCheckpointManager.recordExportSnapshot(snapshot);
+      await refreshExportSnapshotOptions();
+    } catch (e) {
+      console.warn('Failed to record export snapshot:', e);
     }
+  }
 
-    const prettyPrint = $('prettyPrint').checked;
+  /**
+   * Fill the delta base selector with recorded export snapshots
+   */
+  async function refreshExportSnapshotOptions() {
+    const select = $('deltaBaseSelect');
+    if (!select) return;
 
     try {
-      // Load the current manifest
-      const manifest = await BDLawCorpusManifest.loadCorpusManifest();
-      
-      const jsonContent = prettyPrint 
-        ? JSON.stringify(manifest, null, 2) 
-        : JSON.stringify(manifest);
+      const snapshots = await ExportCheckpointManager.listExportSnapshots();
+      const previous = select.value;
+      select.innerHTML = snapshots.length === 0
+        ? '<option value="">No previous exports recorded</option>'
+        : snapshots.map(snapshot =>
+            `<option value="${escapeHtml(snapshot.export_id)}">${escapeHtml(snapshot.name)} — ` +
+            `${escapeHtml(new Date(snapshot.created_at).toLocaleString())} (${snapshot.act_count} acts)</option>`
+          ).join('');
+      if (snapshots.some(snapshot => snapshot.export_id === previous)) {
+        select.value = previous;
+      }
+      $('exportDeltaBtn').disabled = snapshots.length === 0 || state.capturedActs.length === 0;
+    } catch (e) {
+      console.error('Failed to load export snapshots:', e);
+    }
+  }
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-      const filename = `bdlaw_corpus_manifest_${timestamp}.json`;
+  /**
+   * Export only what changed since a recorded export
+   * 
+   * Writes a ZIP in the bundle layout holding acts whose content_raw_sha256
+   * is new or different from the base, a tombstone for every act in the base
+   * that is no longer stored, and manifests/delta-manifest.json naming the
+   * base export id and listing each change.
+   */
+  async function exportCorpusDelta() {
+    const baseExportId = $('deltaBaseSelect')?.value;
+    if (!baseExportId) {
+      alert('Select a previous export to compare against.');
+      return;
+    }
+
+    const base = await ExportCheckpointManager.getExportSnapshot(baseExportId);
+    if (!base) {
+      alert('The selected export is no longer recorded. Choose another base.');
+      await refreshExportSnapshotOptions();
+      return;
+    }
+
+    const permanentlyFailed = (state.failedExtractions || []).filter(f => !BDLawQueue.shouldRetry(f));
+    const total = state.capturedActs.length;
+    const prettyPrint = $('prettyPrint').checked;
+    const toJson = (data) => prettyPrint ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+    const useDeflate = ($('zipDeflate')?.checked ?? true) && BDLawZip.isDeflateSupported();
+    const now = new Date();
+    const exportId = ExportCheckpointManager.generateExportId(now);
+    const filename = BDLawExport.generateCorpusDeltaFilename(now);
+
+    $('exportProgress').classList.remove('hidden');
+    $('exportProgressText').textContent = `Comparing 0 of ${total} acts...`;
+    $('exportProgressFill').style.width = '0%';
+
+    try {
+      const zip = BDLawZip.createWriter({
+        method: useDeflate ? BDLawZip.METHOD.DEFLATE : BDLawZip.METHOD.STORE
+      });
+      const entries = [];
+      const addEntry = async (path, data) => {
+        entries.push(await zip.addFile(path, data));
+      };
+
+      const result = await packCorpusFiles(addEntry, {
+        exportOptions: {
+          includeMetadata: $('includeMetadata').checked,
+          applyTextCleaning: $('applyTextCleaning')?.checked || false,
+          citationIndex: await loadCitationIndex()
+        },
+        prettyPrint,
+        includeAkn: $('zipIncludeAkn')?.checked || false,
+        includeTei: $('zipIncludeTei')?.checked || false,
+        includeText: $('zipIncludeText')?.checked || false,
+        includeMarkdown: $('zipIncludeMarkdown')?.checked || false,
+        permanentlyFailed,
+        total,
+        includeAct: (internalId, sha256) => !sha256 || base.acts[internalId] !== sha256
+      });
+
+      const delta = BDLawExport.computeExportDelta(base.acts, result.actHashes);
+      for (const internalId of delta.removed) {
+        await addEntry(
+          BDLawExport.getTombstonePath(internalId),
+          toJson(BDLawExport.formatTombstone(internalId, base.acts[internalId], base.export_id))
+        );
+      }
+
+      const deltaManifest = BDLawExport.formatDeltaManifest({
+        exportId,
+        base,
+        currentActs: result.actHashes,
+        delta
+      });
+      await addEntry(BDLawExport.DELTA_MANIFEST_PATH, toJson(deltaManifest));
+      await zip.addFile(BDLawExport.BUNDLE_MANIFEST_PATH, toJson(BDLawExport.formatBundleManifest(entries, {
+        exportId,
+        compression: useDeflate ? 'deflate' : 'store',
+        successfulActs: result.packed,
+        failedActs: permanentlyFailed.length
+      })));
+
+      const archive = zip.finish();
+      await BDLawExport.triggerDownload(new Blob(archive.parts, { type: 'application/zip' }), filename);
+      await recordExportSnapshot({
+        exportId,
+        name: filename,
+        exportType: 'corpus_delta',
+        acts: result.actHashes,
+        baseExportId: base.export_id
+      });
+
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'export',
+        result: 'success',
+        details: {
+          filename: filename,
+          export_id: exportId,
+          export_type: 'corpus_delta',
+          base_export_id: base.export_id,
+          ...deltaManifest.counts
+        }
+      });
+
+      try {
+        await ExportCheckpointManager.recordExport();
+        await updateExportCheckpointUI();
+      } catch (checkpointError) {
+        console.warn('Failed to record export for checkpoint:', checkpointError);
+      }
+
+      alert(`Delta export complete!\n${filename}\n\n` +
+        `Base: ${base.name}\n` +
+        `${delta.added.length} added, ${delta.changed.length} changed, ${delta.removed.length} removed, ` +
+        `${delta.unchanged.length} unchanged`);
+    } catch (e) {
+      console.error('Delta export failed:', e);
+
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'export',
+        result: 'error',
+        details: { error: e.message, filename: filename, export_type: 'corpus_delta', base_export_id: baseExportId }
+      });
+
+      alert('Delta export failed: ' + e.message);
+    } finally {
+      $('exportProgress').classList.add('hidden');
+    }
+  }
+
+  /**
+   * Build every stored act as for export and hand it to onAct
+   *
+   * Shows "<progressLabel> n of total acts..." in the export progress bar,
+   * which the caller hides. Acts that cannot be built, or that onAct throws
+   * on, are logged and left out.
+   *
+   * @param {Object} exportOptions - Options for buildSingleActExportData
+   * @param {Function} onAct - async (exportAct, act) => void
+   * @param {Object} labels - { progressLabel, exportName } for progress and warnings
+   * @returns {Promise<string[]>} Act numbers left out
+   */
+  async function iterateExportActs(exportOptions, onAct, { progressLabel, exportName }) {
+    const total = state.capturedActs.length;
+    const skipped = [];
+    let processed = 0;
+
+    $('exportProgress').classList.remove('hidden');
+    $('exportProgressText').textContent = `${progressLabel} 0 of ${total} acts...`;
+    $('exportProgressFill').style.width = '0%';
+
+    await StorageManager.iterateActs(async (act) => {
+      processed++;
+      try {
+        await onAct(await buildSingleActExportData(act, exportOptions), act);
+      } catch (e) {
+        skipped.push(String(act.actNumber || act.act_number || ''));
+        console.warn(`Act left out of ${exportName}:`, e);
+      }
+      $('exportProgressFill').style.width = Math.min(100, Math.round((processed / Math.max(total, 1)) * 100)) + '%';
+      $('exportProgressText').textContent = `${progressLabel} ${processed} of ${total} acts...`;
+    });
+
+    return skipped;
+  }
+
+  /**
+   * Run a corpus export and report its outcome
+   *
+   * run writes and downloads the files and resolves to { skipped, details,
+   * summary }; details go into the success log entry, summary into the
+   * completion alert, followed by the acts left out. Failures are logged
+   * and alerted, and the progress bar is hidden either way.
+   *
+   * @param {Object} exportInfo - { title, exportType, filename, skippedVerb }
+   * @param {Function} run - async () => { skipped, details, summary }
+   */
+  async function runCorpusExport({ title, exportType, filename, skippedVerb = 'formatted' }, run) {
+    try {
+      const { skipped, details, summary } = await run();
+
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'export',
+        result: 'success',
+        details: {
+          filename: filename,
+          export_type: exportType,
+          ...details,
+          skipped_acts: skipped.length
+        }
+      });
+
+      let completeMsg = `${title} complete!\n${filename}\n\n${summary}`;
+      if (skipped.length > 0) {
+        completeMsg += `\n\n⚠️ ${skipped.length} act(s) could not be ${skippedVerb}: ${skipped.join(', ')}`;
+      }
+      alert(completeMsg);
+    } catch (e) {
+      console.error(`${title} failed:`, e);
+
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'export',
+        result: 'error',
+        details: { error: e.message, filename: filename, export_type: exportType }
+      });
+
+      alert(`${title} failed: ` + e.message);
+    } finally {
+      $('exportProgress').classList.add('hidden');
+    }
+  }
+
+  /**
+   * Export a Hugging Face datasets folder with train/validation/test splits
+   * 
+   * Each act's split comes from a hash of its internal_id and the seed, so
+   * the same settings reproduce the same splits on every re-export. Acts
+   * with data_quality risk factors are tagged or left out per the chosen
+   * policy; dataset_info.json records the settings and split fingerprints.
+   */
+  async function exportDatasetSplits() {
+    if (state.capturedActs.length === 0) {
+      alert('No acts captured. Capture some acts first.');
+      return;
+    }
+
+    let builder;
+    try {
+      builder = BDLawExport.createDatasetBuilder({
+        ratios: {
+          train: parseFloat($('datasetTrainRatio').value) || 0,
+          validation: parseFloat($('datasetValidationRatio').value) || 0,
+          test: parseFloat($('datasetTestRatio').value) || 0
+        },
+        seed: $('datasetSeed').value.trim() || BDLawExport.DEFAULT_DATASET_SPLIT_CONFIG.seed,
+        risk_policy: $('datasetRiskPolicy').value
+      });
+    } catch (e) {
+      alert('Invalid split settings: ' + e.message);
+      return;
+    }
+
+    const now = new Date();
+    const filename = BDLawExport.generateDatasetFilename(now);
+    const exportOptions = {
+      includeMetadata: $('includeMetadata').checked,
+      applyTextCleaning: $('applyTextCleaning')?.checked || false,
+      citationIndex: await loadCitationIndex()
+    };
+    const useDeflate = ($('zipDeflate')?.checked ?? true) && BDLawZip.isDeflateSupported();
+
+    await runCorpusExport({ title: 'Dataset export', exportType: 'dataset_splits', filename }, async () => {
+      const skipped = await iterateExportActs(exportOptions, async (exportAct) => {
+        builder.addAct(exportAct);
+      }, { progressLabel: 'Splitting', exportName: 'dataset export' });
+
+      $('exportProgressText').textContent = 'Writing dataset files...';
+      const { files, info } = builder.finish({
+        generatedAt: now,
+        manifest: await BDLawCorpusManifest.loadCorpusManifest()
+      });
+
+      const zip = BDLawZip.createWriter({
+        method: useDeflate ? BDLawZip.METHOD.DEFLATE : BDLawZip.METHOD.STORE
+      });
+      for (const file of files) {
+        await zip.addFile(file.path, new Uint8Array(await new Blob(file.parts).arrayBuffer()));
+      }
+      const archive = zip.finish();
+      await BDLawExport.triggerDownload(new Blob(archive.parts, { type: 'application/zip' }), filename);
+
+      const counts = Object.fromEntries(Object.values(info.splits).map(split => [split.name, split.num_examples]));
+      let summary = Object.entries(counts).map(([name, count]) => `${name}: ${count}`).join(', ');
+      if (info.bdlaw_split.excluded.length > 0) {
+        summary += `\n${info.bdlaw_split.excluded.length} risky act(s) excluded (listed in dataset_info.json)`;
+      }
+      return {
+        skipped,
+        details: {
+          seed: info.bdlaw_split.seed,
+          ratios: info.bdlaw_split.ratios,
+          risk_policy: info.bdlaw_split.risk_policy,
+          splits: counts,
+          excluded_acts: info.bdlaw_split.excluded.length,
+          split_fingerprints: info.bdlaw_split.split_fingerprints
+        },
+        summary
+      };
+    });
+  }
+
+  /**
+   * Export section-level and act-level tables as CSV or TSV
+   * 
+   * sections.{csv,tsv} has one row per structure section with its text and
+   * offsets into content_raw; penalties.{csv,tsv} has one row per fine,
+   * imprisonment term or death sentence in a penalty clause; acts.{csv,tsv}
+   * has one row per corpus manifest entry. Fields are quoted per RFC 4180,
+   * so Bengali text and embedded newlines survive spreadsheet and R imports.
+   */
+  async function exportCorpusTables() {
+    if (state.capturedActs.length === 0) {
+      alert('No acts captured. Capture some acts first.');
+      return;
+    }
+
+    const format = $('tableFormat')?.value === 'tsv' ? 'tsv' : 'csv';
+    const tableOptions = {
+      delimiter: BDLawExport.TABLE_DELIMITERS[format],
+      bom: $('tableBom')?.checked ?? true
+    };
+    const filename = BDLawExport.generateTablesFilename(new Date());
+    const exportOptions = {
+      includeMetadata: $('includeMetadata').checked,
+      applyTextCleaning: $('applyTextCleaning')?.checked || false,
+      citationIndex: await loadCitationIndex()
+    };
+    const useDeflate = ($('zipDeflate')?.checked ?? true) && BDLawZip.isDeflateSupported();
+
+    await runCorpusExport({ title: 'Table export', exportType: `corpus_tables_${format}`, filename }, async () => {
+      const sectionParts = [BDLawExport.formatDelimitedTable(BDLawExport.SECTION_TABLE_COLUMNS, [], tableOptions)];
+      const penaltyParts = [BDLawExport.formatDelimitedTable(BDLawExport.PENALTY_TABLE_COLUMNS, [], tableOptions)];
+      let sectionRows = 0;
+      let penaltyRows = 0;
+
+      const skipped = await iterateExportActs(exportOptions, async (exportAct, act) => {
+        const rows = BDLawExport.buildSectionRows(exportAct, { contentLanguage: act.content_language });
+        sectionParts.push(BDLawExport.formatDelimitedTable(BDLawExport.SECTION_TABLE_COLUMNS, rows, {
+          ...tableOptions,
+          header: false,
+          bom: false
+        }));
+        sectionRows += rows.length;
+        const penalties = BDLawExport.buildPenaltyRows(exportAct);
+        penaltyParts.push(BDLawExport.formatDelimitedTable(BDLawExport.PENALTY_TABLE_COLUMNS, penalties, {
+          ...tableOptions,
+          header: false,
+          bom: false
+        }));
+        penaltyRows += penalties.length;
+      }, { progressLabel: 'Flattening', exportName: 'table export' });
+
+      const manifest = await BDLawCorpusManifest.loadCorpusManifest();
+      const actRows = BDLawExport.buildActTableRows(manifest);
+
+      const zip = BDLawZip.createWriter({
+        method: useDeflate ? BDLawZip.METHOD.DEFLATE : BDLawZip.METHOD.STORE
+      });
+      await zip.addFile(`sections.${format}`, new Uint8Array(await new Blob(sectionParts).arrayBuffer()));
+      await zip.addFile(`penalties.${format}`, new Uint8Array(await new Blob(penaltyParts).arrayBuffer()));
+      await zip.addFile(`acts.${format}`, BDLawExport.formatDelimitedTable(BDLawExport.ACT_TABLE_COLUMNS, actRows, tableOptions));
+      const archive = zip.finish();
+      await BDLawExport.triggerDownload(new Blob(archive.parts, { type: 'application/zip' }), filename);
+
+      return {
+        skipped,
+        details: { section_rows: sectionRows, penalty_rows: penaltyRows, act_rows: actRows.length },
+        summary: `sections.${format}: ${sectionRows} row(s)\npenalties.${format}: ${penaltyRows} row(s)\nacts.${format}: ${actRows.length} row(s)`
+      };
+    });
+  }
+
+  /**
+   * Export the term glossary as JSON plus a CSV or TSV table
+   *
+   * glossary.json groups every definition of a term across the corpus;
+   * glossary.{csv,tsv} has one row per definition. Both come from the
+   * defined_terms of each act's definition section.
+   */
+  async function exportCorpusGlossary() {
+    if (state.capturedActs.length === 0) {
+      alert('No acts captured. Capture some acts first.');
+      return;
+    }
+
+    const format = $('tableFormat')?.value === 'tsv' ? 'tsv' : 'csv';
+    const tableOptions = {
+      delimiter: BDLawExport.TABLE_DELIMITERS[format],
+      bom: $('tableBom')?.checked ?? true
+    };
+    const generatedAt = new Date();
+    const filename = BDLawExport.generateGlossaryFilename(generatedAt);
+    const exportOptions = {
+      includeMetadata: false,
+      applyTextCleaning: false,
+      citationIndex: null
+    };
+    const useDeflate = ($('zipDeflate')?.checked ?? true) && BDLawZip.isDeflateSupported();
+
+    await runCorpusExport({ title: 'Glossary export', exportType: `corpus_glossary_${format}`, filename, skippedVerb: 'read' }, async () => {
+      const rows = [];
+      const skipped = await iterateExportActs(exportOptions, async (exportAct) => {
+        rows.push(...BDLawExport.buildGlossaryRows(exportAct));
+      }, { progressLabel: 'Reading definitions in', exportName: 'glossary export' });
+
+      const glossary = BDLawExport.formatGlossary(rows, { generatedAt: generatedAt.toISOString() });
+      const zip = BDLawZip.createWriter({
+        method: useDeflate ? BDLawZip.METHOD.DEFLATE : BDLawZip.METHOD.STORE
+      });
+      await zip.addFile('glossary.json', JSON.stringify(glossary, null, 2) + '\n');
+      await zip.addFile(`glossary.${format}`, BDLawExport.formatDelimitedTable(BDLawExport.GLOSSARY_TABLE_COLUMNS, rows, tableOptions));
+      const archive = zip.finish();
+      await BDLawExport.triggerDownload(new Blob(archive.parts, { type: 'application/zip' }), filename);
+
+      return {
+        skipped,
+        details: { total_terms: glossary.total_terms, total_definitions: glossary.total_definitions },
+        summary: `${glossary.total_terms} term(s), ${glossary.total_definitions} definition(s)`
+      };
+    });
+  }
+
+  /**
+   * Export the near-duplicate and translation pair reports
+   *
+   * Near-duplicates come from MinHash signatures of each stored act's
+   * content_normalized; translation pairs from the corpus manifest, the same
+   * pairing that fills translation_candidate_ids in act exports.
+   */
+  async function exportCorpusSimilarity() {
+    if (state.capturedActs.length === 0) {
+      alert('No acts captured. Capture some acts first.');
+      return;
+    }
+
+    const total = state.capturedActs.length;
+    const generatedAt = new Date();
+    const filename = BDLawExport.generateSimilarityFilename(generatedAt);
+    const useDeflate = ($('zipDeflate')?.checked ?? true) && BDLawZip.isDeflateSupported();
+
+    $('exportProgress').classList.remove('hidden');
+    $('exportProgressText').textContent = `Hashing 0 of ${total} acts...`;
+    $('exportProgressFill').style.width = '0%';
+
+    try {
+      const records = [];
+      const withoutText = [];
+      let processed = 0;
+
+      await StorageManager.iterateActs(async (act) => {
+        processed++;
+        const record = BDLawSimilarity.buildSimilarityRecord({
+          internal_id: act.actNumber,
+          title: act.title,
+          content_language: act.content_language,
+          text: act.content ? BDLawExtractor.createThreeVersionContent(act.content).content_normalized : ''
+        });
+        if (record.signature) {
+          records.push(record);
+        } else {
+          withoutText.push(record.internal_id);
+        }
+        $('exportProgressFill').style.width = Math.min(100, Math.round((processed / Math.max(total, 1)) * 100)) + '%';
+        $('exportProgressText').textContent = `Hashing ${processed} of ${total} acts...`;
+      });
+
+      // Contained pairs are MinHash candidates; check them on exact shingle sets
+      let pairs = BDLawSimilarity.findNearDuplicates(records);
+      const containedIds = new Set(BDLawSimilarity.containedPairIds(pairs));
+      if (containedIds.size > 0) {
+        $('exportProgressText').textContent = `Verifying ${containedIds.size} acts in contained pairs...`;
+        const shingleSets = new Map();
+        await StorageManager.iterateActs(async (act) => {
+          if (!containedIds.has(String(act.actNumber)) || !act.content) return;
+          shingleSets.set(String(act.actNumber), BDLawSimilarity.shingleHashes(
+            BDLawExtractor.createThreeVersionContent(act.content).content_normalized
+          ));
+        });
+        pairs = BDLawSimilarity.verifyContainedPairs(pairs, shingleSets);
+      }
+
+      const nearDuplicates = BDLawSimilarity.formatNearDuplicates(pairs, {
+        generatedAt: generatedAt.toISOString(),
+        actsCompared: records.length,
+        actsWithoutText: withoutText
+      });
+      const manifest = await BDLawCorpusManifest.loadCorpusManifest();
+      const translationPairs = BDLawSimilarity.formatTranslationPairs(
+        BDLawSimilarity.buildTranslationIndex(manifest).pairs,
+        { generatedAt: generatedAt.toISOString() }
+      );
+
+      const zip = BDLawZip.createWriter({
+        method: useDeflate ? BDLawZip.METHOD.DEFLATE : BDLawZip.METHOD.STORE
+      });
+      await zip.addFile('near_duplicates.json', JSON.stringify(nearDuplicates, null, 2) + '\n');
+      await zip.addFile('translation_pairs.json', JSON.stringify(translationPairs, null, 2) + '\n');
+      const archive = zip.finish();
+      await BDLawExport.triggerDownload(new Blob(archive.parts, { type: 'application/zip' }), filename);
+
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'export',
+        result: 'success',
+        details: {
+          filename: filename,
+          export_type: 'corpus_similarity',
+          acts_compared: nearDuplicates.acts_compared,
+          near_duplicate_pairs: nearDuplicates.total_pairs,
+          translation_pairs: translationPairs.total_pairs
+        }
+      });
+
+      let completeMsg = `Similarity export complete!\n${filename}\n\n` +
+        `${nearDuplicates.total_pairs} near-duplicate pair(s) among ${nearDuplicates.acts_compared} act(s)\n` +
+        `${translationPairs.total_pairs} translation pair(s)`;
+      if (withoutText.length > 0) {
+        completeMsg += `\n\n⚠️ ${withoutText.length} act(s) have no text to compare: ${withoutText.join(', ')}`;
+      }
+      alert(completeMsg);
+    } catch (e) {
+      console.error('Similarity export failed:', e);
+
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'export',
+        result: 'error',
+        details: { error: e.message, filename: filename, export_type: 'corpus_similarity' }
+      });
+
+      alert('Similarity export failed: ' + e.message);
+    } finally {
+      $('exportProgress').classList.add('hidden');
+    }
+  }
+
+  /**
+   * Build the corpus quality report from every stored act
+   *
+   * Acts are built as for export (honouring "Apply text cleaning", so the
+   * transformation counts match what an export would log) and reduced to
+   * report entries. Acts that cannot be built are returned in skipped.
+   *
+   * @returns {Promise<Object>} { report, skipped }
+   */
+  async function buildCorpusQualityReport() {
+    const exportOptions = {
+      includeMetadata: false,
+      citationIndex: await loadCitationIndex()
+    };
+    const entries = [];
+    let skipped;
+
+    try {
+      skipped = await iterateExportActs(exportOptions, async (exportAct, act) => {
+        entries.push(BDLawCorpusManifest.buildQualityReportEntry(exportAct, { contentLanguage: act.content_language }));
+      }, { progressLabel: 'Assessing quality of', exportName: 'quality report' });
+    } finally {
+      $('exportProgress').classList.add('hidden');
+    }
+
+    return { report: BDLawCorpusManifest.buildQualityReport(entries), skipped };
+  }
+
+  /**
+   * Show the corpus quality report in the side panel
+   */
+  async function showCorpusQualityReport() {
+    if (state.capturedActs.length === 0) {
+      alert('No acts captured. Capture some acts first.');
+      return;
+    }
+
+    try {
+      const { report, skipped } = await buildCorpusQualityReport();
+      state.qualityReport = report;
+      renderQualityReportView();
+      if (skipped.length > 0) {
+        alert(`⚠️ ${skipped.length} act(s) could not be assessed: ${skipped.join(', ')}`);
+      }
+    } catch (e) {
+      console.error('Quality report failed:', e);
+      alert('Quality report failed: ' + e.message);
+    }
+  }
+
+  /**
+   * Render the quality report summary, breakdown and issue list
+   */
+  function renderQualityReportView() {
+    const report = state.qualityReport;
+    if (!report) return;
+
+    const { summary } = report;
+    $('qualityReportSummary').textContent =
+      `${summary.total_acts} act(s): ${summary.completeness.complete || 0} complete, ` +
+      `${summary.possible_truncation} possibly truncated, ${summary.missing_schedule} missing schedules, ` +
+      `${summary.encoding_issues.acts} with encoding issues; ` +
+      `${summary.transformations.applied} transformation(s) applied, ${summary.transformations.flagged} flagged.`;
+
+    renderQualityReportBreakdown();
+
+    const categories = BDLawExport.listQualityReportCategories(report);
+    const categoriesEl = $('qualityReportCategories');
+    categoriesEl.innerHTML = categories.length === 0
+      ? '<p class="empty-message">No quality issues found.</p>'
+      : categories.map(category => `
+        <button class="quality-report-category" data-category="${escapeHtml(category.id)}">
+          <span>${escapeHtml(category.label)}</span>
+          <span class="quality-report-category-count">${category.internal_ids.length}</span>
+        </button>
+      `).join('');
+
+    categoriesEl.querySelectorAll('.quality-report-category').forEach(button => {
+      button.addEventListener('click', () => {
+        categoriesEl.querySelectorAll('.quality-report-category').forEach(b => b.classList.remove('active'));
+        button.classList.add('active');
+        renderQualityReportActs(categories.find(category => category.id === button.dataset.category));
+      });
+    });
+
+    $('qualityReportActs').classList.add('hidden');
+    $('qualityReportView').classList.remove('hidden');
+  }
+
+  /**
+   * Render the breakdown table for the selected dimension
+   */
+  function renderQualityReportBreakdown() {
+    const report = state.qualityReport;
+    if (!report) return;
+
+    const groups = report[$('qualityReportDimension').value] || {};
+    $('qualityReportBreakdown').innerHTML = `
+      <table>
+        <tr><th></th><th>Acts</th><th>Flagged</th><th>Truncation</th><th>Schedules</th><th>Encoding</th></tr>
+        ${Object.entries(groups).map(([key, group]) => `
+          <tr>
+            <th>${escapeHtml(key)}</th>
+            <td>${group.total_acts}</td>
+            <td>${group.total_acts - (group.completeness.complete || 0)}</td>
+            <td>${group.possible_truncation}</td>
+            <td>${group.missing_schedule}</td>
+            <td>${group.encoding_issues.acts}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  /**
+   * List the acts behind a quality report category; clicking one opens its
+   * quality details
+   *
+   * @param {Object} category - Category from BDLawExport.listQualityReportCategories
+   */
+  function renderQualityReportActs(category) {
+    if (!category) return;
+
+    const entries = new Map(state.qualityReport.acts.map(entry => [entry.internal_id, entry]));
+    $('qualityReportActsTitle').textContent = `${category.label} (${category.internal_ids.length})`;
+    const listEl = $('qualityReportActsList');
+    listEl.innerHTML = category.internal_ids.map(id => {
+      const entry = entries.get(id) || {};
+      return `
+        <div class="manifest-item" data-act-number="${escapeHtml(id)}">
+          <div class="manifest-item-info">
+            <div class="manifest-item-title">${escapeHtml(entry.title || `Act ${id}`)}</div>
+            <div class="manifest-item-meta">ID: ${escapeHtml(id)} • Vol: ${escapeHtml(entry.volume_number || 'N/A')} • ${escapeHtml(entry.decade || 'unknown')}</div>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    listEl.querySelectorAll('.manifest-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const act = state.capturedActs.find(a => String(a.actNumber) === item.dataset.actNumber);
+        if (act) {
+          showQualityDetailsPanel(act);
+        }
+      });
+    });
+    $('qualityReportActs').classList.remove('hidden');
+  }
+
+  /**
+   * Export the corpus quality report as JSON and HTML in one ZIP
+   */
+  async function exportCorpusQualityReport() {
+    if (state.capturedActs.length === 0) {
+      alert('No acts captured. Capture some acts first.');
+      return;
+    }
+
+    const filename = BDLawExport.generateQualityReportFilename(new Date());
+    const useDeflate = ($('zipDeflate')?.checked ?? true) && BDLawZip.isDeflateSupported();
+
+    const exportInfo = { title: 'Quality report export', exportType: 'corpus_quality_report', filename, skippedVerb: 'assessed' };
+    await runCorpusExport(exportInfo, async () => {
+      const { report, skipped } = await buildCorpusQualityReport();
+      state.qualityReport = report;
+
+      const zip = BDLawZip.createWriter({
+        method: useDeflate ? BDLawZip.METHOD.DEFLATE : BDLawZip.METHOD.STORE
+      });
+      await zip.addFile('quality_report.json', JSON.stringify(report, null, 2) + '\n');
+      await zip.addFile('quality_report.html', BDLawExport.formatQualityReportHtml(report));
+      const archive = zip.finish();
+      await BDLawExport.triggerDownload(new Blob(archive.parts, { type: 'application/zip' }), filename);
+
+      return {
+        skipped,
+        details: { total_acts: report.summary.total_acts },
+        summary: `${report.summary.total_acts} act(s) assessed`
+      };
+    });
+  }
+
+  /**
+   * Load correction rule packs from storage and show them
+   */
+  async function loadRulePacks() {
+    state.rulePacks = await BDLawRulePacks.loadRulePacks();
+    renderRulePackSummary();
+  }
+
+  function renderRulePackSummary() {
+    const summary = $('rulePackSummary');
+    if (!summary) return;
+    const packs = state.rulePacks || [];
+    summary.textContent = 'Correction rules: ' + (packs.length === 0 ? 'none' : packs.map(pack => {
+      const enabled = (pack.rules || []).filter(rule => rule.enabled === true).length;
+      return `${pack.name || pack.pack_id} ${pack.version} (${enabled}/${(pack.rules || []).length} rules enabled)`;
+    }).join(', '));
+  }
+
+  /**
+   * Import rule packs from a JSON file
+   *
+   * A pack replaces the stored pack with the same pack_id. Packs that fail
+   * validation are not imported and their errors are shown.
+   */
+  async function handleImportRulePacks(event) {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const { packs, errors } = BDLawRulePacks.parseRulePacks(await file.text());
+    if (packs.length > 0) {
+      const merged = BDLawRulePacks.mergeRulePacks(state.rulePacks || [], packs);
+      if (!await BDLawRulePacks.saveRulePacks(merged)) {
+        alert('Rule packs could not be saved.');
+        return;
+      }
+      state.rulePacks = merged;
+      renderRulePackSummary();
+      updateCleaningSummary();
+    }
+
+    BDLawCorpusManifest.logExtractionOperation({
+      type: 'rule_pack_import',
+      result: errors.length === 0 ? 'success' : (packs.length > 0 ? 'partial' : 'error'),
+      details: {
+        filename: file.name,
+        packs: packs.map(pack => ({ pack_id: pack.pack_id, version: pack.version, rules: pack.rules.length })),
+        errors
+      }
+    });
+
+    let message = packs.length > 0
+      ? `Imported ${packs.map(pack => `${pack.pack_id} ${pack.version} (${pack.rules.length} rules)`).join(', ')}`
+      : 'No rule packs imported.';
+    if (errors.length > 0) {
+      message += `\n\n⚠️ ${errors.length} problem(s):\n${errors.slice(0, 10).join('\n')}`;
+    }
+    alert(message);
+  }
+
+  /**
+   * Export the stored rule packs as one JSON bundle
+   */
+  async function exportRulePacks() {
+    const packs = state.rulePacks || await BDLawRulePacks.loadRulePacks();
+    const filename = BDLawExport.generateRulePacksFilename(new Date());
+    const blob = new Blob([BDLawRulePacks.formatRulePacksExport(packs)], { type: 'application/json' });
+    await BDLawExport.triggerDownload(blob, filename);
+
+    BDLawCorpusManifest.logExtractionOperation({
+      type: 'export',
+      result: 'success',
+      details: {
+        filename: filename,
+        export_type: 'rule_packs',
+        packs: packs.map(pack => ({ pack_id: pack.pack_id, version: pack.version }))
+      }
+    });
+  }
+
+  /**
+   * Validate a BagIt folder picked by the user
+   * 
+   * The picker opens in the filesystem sync folder when one is connected, so
+   * bags unpacked there can be re-checked before deposit.
+   */
+  async function handleValidateBagFolder() {
+    if (typeof window.showDirectoryPicker !== 'function') {
+      alert('This browser profile does not support folder selection in the side panel.');
+      return;
+    }
+
+    let handle;
+    try {
+      const pickerOptions = { mode: 'read' };
+      if (state.filesystemSync.rootHandle) {
+        pickerOptions.startIn = state.filesystemSync.rootHandle;
+      }
+      handle = await window.showDirectoryPicker(pickerOptions);
+    } catch (e) {
+      if (e && e.name === 'AbortError') {
+        return;
+      }
+      alert('Could not open folder: ' + e.message);
+      return;
+    }
+
+    $('exportProgress').classList.remove('hidden');
+    $('exportProgressText').textContent = `Validating bag ${handle.name}...`;
+    $('exportProgressFill').style.width = '0%';
+
+    try {
+      const result = await BDLawBagIt.validateBag(handle, {
+        onProgress: (checked, total) => {
+          $('exportProgressFill').style.width = Math.round((checked / Math.max(total, 1)) * 100) + '%';
+          $('exportProgressText').textContent = `Checking payload ${checked} of ${total}...`;
+        }
+      });
+
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'bag_validation',
+        result: result.valid ? 'success' : 'error',
+        details: {
+          folder: handle.name,
+          payload_count: result.payload_count,
+          payload_bytes: result.payload_bytes,
+          errors: result.errors.slice(0, 50),
+          warnings: result.warnings
+        }
+      });
+
+      let message = result.valid
+        ? `✅ Bag "${handle.name}" is valid.\n${result.payload_count} payload file(s), ${result.payload_bytes} bytes.`
+        : `❌ Bag "${handle.name}" is invalid (${result.errors.length} problem(s)):\n\n${result.errors.slice(0, 10).join('\n')}`;
+      if (!result.valid && result.errors.length > 10) {
+        message += `\n...and ${result.errors.length - 10} more`;
+      }
+      if (result.warnings.length > 0) {
+        message += `\n\n⚠️ ${result.warnings.join('\n⚠️ ')}`;
+      }
+      alert(message);
+    } catch (e) {
+      console.error('Bag validation failed:', e);
+      alert('Bag validation failed: ' + e.message);
+    } finally {
+      $('exportProgress').classList.add('hidden');
+    }
+  }
+
+  /**
+   * Export a single failed act as a JSON file
+   * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5, 6.6 - Failed Act Export Format
+   * 
+   * @param {Object} failedEntry - The failed extraction entry to export
+   */
+  async function exportFailedAct(failedEntry) {
+    if (!failedEntry) {
+      console.error('No failed entry data provided.');
+      return;
+    }
+
+    const prettyPrint = $('prettyPrint').checked;
+    
+    // Format the failed act for export using BDLawQueue
+    const exportData = BDLawQueue.formatFailedActForExport(failedEntry);
+    
+    // Add trust boundary for research integrity
+    exportData.trust_boundary = {
+      can_trust: [
+        'Text extraction was attempted at the recorded timestamps',
+        'Failure reasons are accurately recorded',
+        'No content inference or auto-correction was applied'
+      ],
+      must_not_trust: [
+        'Content availability (extraction failed)',
+        'Legal validity',
+        'Completeness'
+      ]
+    };
+
+    const jsonContent = prettyPrint 
+      ? JSON.stringify(exportData, null, 2) 
+      : JSON.stringify(exportData);
+
+    // Generate filename with _FAILED suffix to distinguish from successful exports
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const actNumber = failedEntry.act_number || 'unknown';
+    const filename = `bdlaw_act_${actNumber}_FAILED_${timestamp}.json`;
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'downloadJSON',
+        content: jsonContent,
+        filename: filename
+      });
+      
+      // Log export operation
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'export',
+        internal_id: actNumber,
+        result: 'success',
+        details: {
+          filename: filename,
+          export_type: 'failed_act',
+          failure_reason: failedEntry.failure_reason,
+          total_attempts: failedEntry.attempts?.length || 0
+        }
+      });
+    } catch (e) {
+      console.error('Failed act export failed:', e);
+      
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'export',
+        internal_id: actNumber,
+        result: 'error',
+        details: { error: e.message, filename: filename, export_type: 'failed_act' }
+      });
+      
+      throw e;
+    }
+  }
+
+  /**
+   * Export volume catalog as a separate JSON file
+   * Requirements: 31.3 - Export volume catalog as a separate JSON file
+   * Requirements: 31.4 - Generate filename: bdlaw_volume_{volume_number}_{timestamp}.json
+   * Requirements: 31.6 - Provide "Export Volume Catalog" option
+   */
+  async function exportVolumeCatalog() {
+    if (!state.currentVolume) {
+      alert('No volume captured. Capture a volume first.');
+      return;
+    }
+
+    const includeMetadata = $('includeMetadata').checked;
+    const prettyPrint = $('prettyPrint').checked;
+
+    // Build the volume catalog export object
+    const volumeExport = {
+      volume_number: state.currentVolume.volumeNumber,
+      source_url: state.currentVolume.url,
+      captured_at: state.currentVolume.capturedAt,
+      total_acts: state.currentVolume.acts.length,
+      acts: state.currentVolume.acts.map(act => ({
+        title: act.title || '',
+        year: act.year || '',
+        act_number: act.actNumber || '',
+        url: act.url || ''
+      }))
+    };
+
+    // Include metadata if option is checked
+    if (includeMetadata) {
+      volumeExport._metadata = {
+        source: 'bdlaws.minlaw.gov.bd',
+        source_url: state.currentVolume.url,
+        scraped_at: state.currentVolume.capturedAt,
+        extracted_at: new Date().toISOString(),
+        scraping_method: 'manual page-level extraction',
+        tool: 'BDLawCorpus',
+        language: 'bn',
+        research_purpose: 'academic legal corpus construction',
+        disclaimer: 'This tool performs manual extraction of publicly available legal texts for academic research. No automated crawling, modification, or interpretation is performed.'
+      };
+    }
+
+    const jsonContent = prettyPrint 
+      ? JSON.stringify(volumeExport, null, 2) 
+      : JSON.stringify(volumeExport);
+
+    // Requirements: 31.4 - Generate filename: bdlaw_volume_{volume_number}_{timestamp}.json
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const filename = `bdlaw_volume_${state.currentVolume.volumeNumber}_${timestamp}.json`;
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'downloadJSON',
+        content: jsonContent,
+        filename: filename
+      });
+      
+      // Requirements: 10.5 - Log volume export operation
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'export',
+        volume_number: state.currentVolume.volumeNumber,
+        result: 'success',
+        details: {
+          filename: filename,
+          total_acts: state.currentVolume.acts.length,
+          include_metadata: includeMetadata
+        }
+      });
+      
+      alert(`Volume catalog exported!\n${state.currentVolume.acts.length} acts listed in ${filename}`);
+    } catch (e) {
+      console.error('Export failed:', e);
+      
+      // Requirements: 10.5 - Log volume export errors
+      BDLawCorpusManifest.logExtractionOperation({
+        type: 'export',
+        volume_number: state.currentVolume?.volumeNumber,
+        result: 'error',
+        details: { error: e.message, filename: filename }
+      });
+      
+      alert('Export failed: ' + e.message);
+    }
+  }
+
+  /**
+   * Export corpus manifest as a JSON file
+   * Requirements: 8.5 - Generate an updated manifest alongside act files
+   */
+  async function exportCorpusManifest() {
+    if (state.capturedActs.length === 0) {
+      alert('No acts captured. Capture some acts first.');
+      return;
+    }
+
+    const prettyPrint = $('prettyPrint').checked;
+
+    try {
+      // Load the current manifest
+      const manifest = await BDLawCorpusManifest.loadCorpusManifest();
+      
+      const jsonContent = prettyPrint 
+        ? JSON.stringify(manifest, null, 2) 
+        : JSON.stringify(manifest);
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      const filename = `bdlaw_corpus_manifest_${timestamp}.json`;
 
       await chrome.runtime.sendMessage({
         type: 'downloadJSON',
@@ -5571,10 +7010,11 @@
       const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
       if (response?.success) return true;
     } catch (e) {
-      // Content script not loaded, inject it
+      // Content script not loaded, inject it together with the modules it
+      // uses for structure derivation (same order as manifest content_scripts)
       await chrome.scripting.executeScript({
         target: { tabId },
-        files: ['content.js']
+        files: ['bdlaw-legacy-font.js', 'bdlaw-quality.js', 'bdlaw-extractor.js', 'content.js']
       });
       await new Promise(r => setTimeout(r, 500));
     }
@@ -5822,6 +7262,19 @@
     // Requirements: 31.5 - Replace "Export All" with "Export All as Separate Files"
     $('exportAllBtn').addEventListener('click', exportAllAsSeparateFiles);
     // Requirements: 31.6 - Add "Export Volume Catalog" button
+    $('exportJsonlBtn').addEventListener('click', exportCorpusAsJsonl);
+    $('exportZipBtn').addEventListener('click', exportCorpusAsZip);
+    $('exportDeltaBtn').addEventListener('click', exportCorpusDelta);
+    $('exportDatasetBtn').addEventListener('click', exportDatasetSplits);
+    $('exportTablesBtn').addEventListener('click', exportCorpusTables);
+    $('exportGlossaryBtn').addEventListener('click', exportCorpusGlossary);
+    $('exportSimilarityBtn').addEventListener('click', exportCorpusSimilarity);
+    $('showQualityReportBtn').addEventListener('click', showCorpusQualityReport);
+    $('exportQualityReportBtn').addEventListener('click', exportCorpusQualityReport);
+    $('qualityReportDimension').addEventListener('change', renderQualityReportBreakdown);
+    $('importRulePacksBtn').addEventListener('click', () => $('rulePackFileInput').click());
+    $('rulePackFileInput').addEventListener('change', handleImportRulePacks);
+    $('exportRulePacksBtn').addEventListener('click', exportRulePacks);
     $('exportVolumeCatalogBtn').addEventListener('click', exportVolumeCatalog);
     // Requirements: 8.5 - Add "Export Corpus Manifest" button
     $('exportManifestBtn').addEventListener('click', exportCorpusManifest);
@@ -5858,6 +7311,11 @@
       reconcileSyncFolderBtn.addEventListener('click', handleReconcileSyncFolder);
     }
 
+    const validateBagBtn = $('validateBagBtn');
+    if (validateBagBtn) {
+      validateBagBtn.addEventListener('click', handleValidateBagFolder);
+    }
+
     const pauseSyncBtn = $('pauseSyncBtn');
     if (pauseSyncBtn) {
       pauseSyncBtn.addEventListener('click', handlePauseSync);
@@ -5943,6 +7401,7 @@
     }
     
     await loadFromStorage();
+    await loadRulePacks();
     initTabs();
     bindEvents();
     initQualityDetailsPanel();
@@ -0,0 +1,159 @@
+/**
+ * Property-Based Tests for Akoma Ntoso Export
+ *
+ * Feature: corpus-export-formats, Property 3: Akoma Ntoso Offset Round Trip
+ *
+ * For any act with a structure tree, formatActAsAkomaNtoso SHALL produce a
+ * well-formed AKN 3.0 document whose offset-bearing leaves each match
+ * content_raw at their offsets and together cover content_raw exactly once,
+ * whatever the quality of the structure offsets.
+ */
+
+const fc = require('fast-check');
+const { JSDOM } = require('jsdom');
+const BDLawExport = require('../../bdlaw-export.js');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+
+describe('Property 3: Akoma Ntoso Offset Round Trip', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const DANDA = '৷';
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+
+  const bodyArb = fc.stringOf(fc.constantFrom('ক', 'খ', 'গ', ' ', '&', '<', '"', '\n'), { minLength: 1, maxLength: 30 });
+
+  const actArb = fc.record({
+    actNumber: fc.integer({ min: 1, max: 9999 }).map(String),
+    lead: fc.constantFrom('', 'যেহেতু উদ্দেশ্যে সমীচীন; ', 'সেহেতু এতদ্বারা আইন করা হইল:- '),
+    bodies: fc.array(fc.record({ body: bodyArb, withSubsections: fc.boolean() }), { minLength: 0, maxLength: 5 }),
+    footnote: fc.boolean(),
+    schedule: fc.option(fc.constantFrom('<table><tr><td>১</td></tr></table>', '<p>]]></p>'), { nil: null })
+  }).map(({ actNumber, lead, bodies, footnote, schedule }) => {
+    let content = lead;
+    const sections = [];
+    bodies.forEach(({ body, withSubsections }, i) => {
+      const number = toBengaliNumeral(i + 1) + DANDA;
+      const heading = `শিরোনাম${toBengaliNumeral(i + 1)}`;
+      const bodyText = body + (withSubsections ? ' (১) প্রথম (ক) দফা (২) দ্বিতীয়' : '') +
+        (footnote && i === 0 ? ' [সংশোধিত ২০০০ সনের ১ নং আইন]' : '');
+      content += `${heading} ${number} ${bodyText}\n`;
+      sections.push({
+        dom_index: i,
+        section_number: number,
+        heading,
+        body_text: bodyText,
+        subsections: BDLawExtractor.detectSubsectionsInContent(bodyText),
+        clauses: []
+      });
+    });
+
+    const structure = BDLawExtractor.buildStructureTree({
+      preamble: lead.startsWith('যেহেতু') ? { text: lead.trim() } : null,
+      enactment: lead.startsWith('সেহেতু') ? { text: lead.trim() } : null,
+      sections,
+      contentRaw: content
+    });
+
+    return {
+      identifiers: { internal_id: actNumber },
+      title_raw: `আইন ${actNumber} & <Ordinance>`,
+      content_raw: content,
+      url: `http://bdlaws.minlaw.gov.bd/act-details-${actNumber}.html`,
+      structure,
+      schedules: { representation: 'raw_html', html_content: schedule },
+      language_distribution: { bn_ratio: 0.9, en_ratio: 0.1 }
+    };
+  });
+
+  const parse = (xml) => new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+  const isWellFormed = (doc) => doc.getElementsByTagName('parsererror').length === 0;
+
+  it('should cover content_raw exactly with offset-bearing leaves', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const xml = BDLawExport.formatActAsAkomaNtoso(act, { generatedAt: '2026-01-01T00:00:00Z' });
+        const result = BDLawExport.verifyAkomaNtoso(xml, act.content_raw);
+        return result.valid === true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should produce well-formed XML with an AKN act root and FRBR identifiers', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const xml = BDLawExport.formatActAsAkomaNtoso(act, { generatedAt: '2026-01-01T00:00:00Z' });
+        const doc = parse(xml);
+        const root = doc.documentElement;
+        const workThis = doc.getElementsByTagName('FRBRWork')[0].getElementsByTagName('FRBRthis')[0];
+        return isWellFormed(doc) &&
+          root.localName === 'akomaNtoso' &&
+          root.namespaceURI === BDLawExport.AKN_NAMESPACE &&
+          root.getElementsByTagName('act').length === 1 &&
+          workThis.getAttribute('value') === `/akn/bd/act/bdlaws/${act.identifiers.internal_id}/!main`;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should emit one section element per anchored structure section', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const doc = parse(BDLawExport.formatActAsAkomaNtoso(act));
+        return doc.getElementsByTagName('section').length === act.structure.sections.length;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should keep round-tripping when structure offsets are wrong', () => {
+    fc.assert(
+      fc.property(actArb, fc.array(fc.integer({ min: -5, max: 500 }), { minLength: 1, maxLength: 10 }), (act, offsets) => {
+        const structure = JSON.parse(JSON.stringify(act.structure));
+        structure.sections.forEach((section, i) => {
+          section.number_offset = offsets[i % offsets.length];
+          section.heading_offset = offsets[(i + 1) % offsets.length];
+        });
+        const xml = BDLawExport.formatActAsAkomaNtoso({ ...act, structure });
+        return BDLawExport.verifyAkomaNtoso(xml, act.content_raw).valid === true &&
+          isWellFormed(parse(xml));
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should carry characters XML cannot represent in bdlaw:raw', () => {
+    const act = {
+      identifiers: { internal_id: '7' },
+      title_raw: 'Act',
+      content_raw: 'ধারা\u0001 text\uFFFE end \uD800',
+      structure: null
+    };
+    const xml = BDLawExport.formatActAsAkomaNtoso(act);
+    expect(isWellFormed(parse(xml))).toBe(true);
+    expect(BDLawExport.verifyAkomaNtoso(xml, act.content_raw).valid).toBe(true);
+  });
+
+  it('should reject documents whose leaves no longer match content_raw', () => {
+    fc.assert(
+      fc.property(actArb.filter(act => act.content_raw.length > 0), (act) => {
+        const xml = BDLawExport.formatActAsAkomaNtoso(act);
+        return BDLawExport.verifyAkomaNtoso(xml, act.content_raw + 'x').valid === false;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should list statutory footnotes with offsets into content_raw', () => {
+    fc.assert(
+      fc.property(actArb.filter(act => act.content_raw.includes('[সংশোধিত')), (act) => {
+        const doc = parse(BDLawExport.formatActAsAkomaNtoso(act));
+        const notes = Array.from(doc.getElementsByTagName('note'));
+        return notes.length === 1 && notes.every(note => {
+          const offset = parseInt(note.getAttribute('bdlaw:offset'), 10);
+          return act.content_raw.substring(offset, offset + note.textContent.length) === note.textContent;
+        });
+      }),
+      { numRuns: 30 }
+    );
+  });
+});
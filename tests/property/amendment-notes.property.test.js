@@ -0,0 +1,132 @@
+/**
+ * Property-Based Tests for Amendment Note Parsing
+ *
+ * Feature: legal-integrity-enhancement, Property 13: Amendment Note Parsing
+ *
+ * For any content carrying statutory amendment footnotes, parseAmendmentNotes
+ * SHALL return one note per footnote found by locateStatutoryFootnotes, with
+ * note_text verbatim at character_offset in content_raw, the operation named
+ * by the footnote, the amending citation's year and serial as written, the
+ * adjoining footnote marker and the section holding the note.
+ */
+
+const fc = require('fast-check');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+const BDLawCitationResolver = require('../../bdlaw-citation-resolver.js');
+
+describe('Property 13: Amendment Note Parsing', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const DANDA = '৷';
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  const toRoman = (num) => {
+    const table = [[10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+    let out = '';
+    for (const [value, symbol] of table) {
+      while (num >= value) { out += symbol; num -= value; }
+    }
+    return out;
+  };
+
+  const OPERATIONS = {
+    substituted: { english: 'Substituted by', bengali: 'প্রতিস্থাপিত' },
+    inserted: { english: 'Inserted by', bengali: 'সংযোজিত' },
+    omitted: { english: 'Omitted by', bengali: 'বিলুপ্ত' },
+    repealed: { english: 'Repealed by', bengali: null },
+    amended: { english: 'Amended by', bengali: 'সংশোধিত' }
+  };
+
+  const noteArb = fc.record({
+    operation: fc.constantFrom(...Object.keys(OPERATIONS)),
+    script: fc.constantFrom('english', 'bengali'),
+    form: fc.constantFrom('short', 'numbered'),
+    year: fc.integer({ min: 1900, max: 2025 }),
+    serial: fc.integer({ min: 1, max: 39 }),
+    marker: fc.constantFrom('', '¹', '2', '*')
+  }).map(note => (note.script === 'bengali' && !OPERATIONS[note.operation].bengali)
+    ? { ...note, script: 'english' }
+    : note);
+
+  function noteText({ operation, script, form, year, serial }) {
+    if (script === 'bengali') {
+      return `[${OPERATIONS[operation].bengali} ${toBengaliNumeral(year)} সনের ${toBengaliNumeral(serial)} নং আইন দ্বারা]`;
+    }
+    const citation = form === 'numbered' ? `Act No. ${toRoman(serial)} of ${year}` : `Act ${serial} of ${year}`;
+    return `[${OPERATIONS[operation].english} section 2 of ${citation}]`;
+  }
+
+  const actArb = fc.array(fc.array(noteArb, { maxLength: 3 }), { minLength: 1, maxLength: 3 }).map(sectionNotes => {
+    let content = 'নমুনা আইন\n';
+    const sections = [];
+    const expected = [];
+    sectionNotes.forEach((notes, i) => {
+      const number = toBengaliNumeral(i + 1) + DANDA;
+      const heading = `শিরোনাম${toBengaliNumeral(i + 1)}`;
+      content += `${heading} ${number} বিধান `;
+      notes.forEach(note => {
+        content += `শব্দ ${note.marker}`;
+        expected.push({ ...note, section: number, offset: content.length, text: noteText(note) });
+        content += `${noteText(note)} `;
+      });
+      content += '\n';
+      sections.push({ dom_index: i, section_number: number, heading, subsections: [], clauses: [] });
+    });
+    const structure = BDLawExtractor.buildStructureTree({ preamble: null, enactment: null, sections, contentRaw: content });
+    return { content, structure, expected };
+  });
+
+  it('should parse each footnote into an anchored note', () => {
+    fc.assert(
+      fc.property(actArb, ({ content, structure, expected }) => {
+        const notes = BDLawExtractor.parseAmendmentNotes(content, structure);
+        return notes.length === expected.length &&
+          notes.length === BDLawExtractor.detectStatutoryFootnotes(content).footnote_count &&
+          notes.every((note, k) => {
+            const want = expected[k];
+            const citation = note.amending_citation;
+            return content.startsWith(note.note_text, note.character_offset) &&
+              note.character_offset === want.offset &&
+              note.note_text === want.text &&
+              note.operation === want.operation &&
+              content.startsWith(note.operation_marker, note.character_offset + 1) &&
+              content.startsWith(citation.citation_text, citation.position) &&
+              BDLawCitationResolver.toArabicNumber(citation.citation_year) === want.year &&
+              BDLawCitationResolver.toArabicNumber(citation.citation_serial) === want.serial &&
+              note.footnote_marker === (want.marker || null) &&
+              note.scope.section === want.section;
+          });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should leave scope empty without a structure tree and skip plain brackets', () => {
+    const content = 'text [Substituted by some order] and [see section 3]';
+    const [note] = BDLawExtractor.parseAmendmentNotes(content);
+    expect(BDLawExtractor.parseAmendmentNotes(content)).toHaveLength(1);
+    expect(note).toMatchObject({ operation: 'substituted', amending_citation: null, footnote_marker: null });
+    expect(note.scope).toEqual({ section: null, subsection: null, clause: null, dom_section_index: null });
+    expect(BDLawExtractor.parseAmendmentNotes('')).toEqual([]);
+  });
+
+  it('should name an operation for every statutory footnote pattern', () => {
+    for (const pattern of BDLawExtractor.STATUTORY_FOOTNOTE_PATTERNS) {
+      const opening = pattern.source.match(/^\\\[([^\\[\s]+)/)[1];
+      expect(BDLawExtractor.AMENDMENT_NOTE_OPERATIONS.some(({ pattern: op }) => op.test(`[${opening}`))).toBe(true);
+    }
+  });
+
+  it('should resolve amending citations against the corpus', () => {
+    const index = BDLawCitationResolver.buildCitationIndex({
+      acts: { 40: { internal_id: '40', title: 'The Code (Amendment) Act, 1992 (Act No. XL of 1992)' } }
+    });
+    const content = 'Title ১৷ text [Substituted by section 2 of Act No. XL of 1992] [Omitted by Act 3 of 1950]';
+    const [resolved, unresolved] = BDLawCitationResolver.resolveAmendmentNotes(BDLawExtractor.parseAmendmentNotes(content), index);
+    expect(resolved.amending_citation).toMatchObject({
+      citation_text: 'Act No. XL of 1992',
+      citation_key: 'act/1992/40',
+      resolved_internal_id: '40',
+      resolution_confidence: 'high'
+    });
+    expect(unresolved.amending_citation.resolved_internal_id).toBeNull();
+  });
+});
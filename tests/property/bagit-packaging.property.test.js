@@ -0,0 +1,224 @@
+/**
+ * Property-Based Tests for BagIt Packaging
+ *
+ * Feature: corpus-export-formats, Property 4: BagIt Completeness
+ *
+ * For any set of payload files, a bag built with BDLawBagIt SHALL list every
+ * payload file in manifest-sha256.txt with its SHA-256, record a matching
+ * Payload-Oxum, cover all tag files in tagmanifest-sha256.txt, and
+ * validateBag SHALL accept the bag as written and reject any modified,
+ * missing or unlisted payload file and any manifest path leaving the bag.
+ */
+
+const fc = require('fast-check');
+const crypto = require('crypto');
+const BDLawBagIt = require('../../bdlaw-bagit.js');
+
+/**
+ * In-memory stand-in for FileSystemDirectoryHandle
+ */
+function createMemoryDirectory(name = 'bag') {
+  const children = new Map();
+  const notFound = () => Object.assign(new Error('not found'), { name: 'NotFoundError' });
+  return {
+    kind: 'directory',
+    name,
+    children,
+    async getDirectoryHandle(child, options = {}) {
+      if (!children.has(child)) {
+        if (!options.create) throw notFound();
+        children.set(child, createMemoryDirectory(child));
+      }
+      const handle = children.get(child);
+      if (handle.kind !== 'directory') throw Object.assign(new Error('type mismatch'), { name: 'TypeMismatchError' });
+      return handle;
+    },
+    async getFileHandle(child, options = {}) {
+      if (!children.has(child)) {
+        if (!options.create) throw notFound();
+        children.set(child, { kind: 'file', name: child, bytes: new Uint8Array(0) });
+      }
+      const file = children.get(child);
+      if (file.kind !== 'file') throw Object.assign(new Error('type mismatch'), { name: 'TypeMismatchError' });
+      return {
+        kind: 'file',
+        name: child,
+        async getFile() {
+          return { arrayBuffer: async () => file.bytes.slice().buffer };
+        }
+      };
+    },
+    async *entries() {
+      for (const entry of children.entries()) {
+        yield entry;
+      }
+    }
+  };
+}
+
+async function writeToDirectory(root, path, bytes) {
+  const parts = path.split('/');
+  let dir = root;
+  for (const part of parts.slice(0, -1)) {
+    dir = await dir.getDirectoryHandle(part, { create: true });
+  }
+  await dir.getFileHandle(parts[parts.length - 1], { create: true });
+  dir.children.get(parts[parts.length - 1]).bytes = bytes;
+}
+
+async function getFileNode(root, path) {
+  const parts = path.split('/');
+  let dir = root;
+  for (const part of parts.slice(0, -1)) {
+    dir = await dir.getDirectoryHandle(part);
+  }
+  return { dir, name: parts[parts.length - 1], node: dir.children.get(parts[parts.length - 1]) };
+}
+
+describe('Property 4: BagIt Completeness', () => {
+  const segmentArb = fc.stringOf(fc.constantFrom('a', 'b', '1', '_', '-', 'ধ', '%'), { minLength: 1, maxLength: 6 });
+  const pathArb = fc.array(segmentArb, { minLength: 1, maxLength: 3 }).map(parts => parts.join('/') + '.json');
+  const contentArb = fc.stringOf(fc.constantFrom('ক', 'খ', 'A', ' ', '\n', '{', '}'), { maxLength: 200 });
+
+  // Paths must not collide with a directory of the same name
+  const filesArb = fc.uniqueArray(fc.record({ path: pathArb, content: contentArb }), {
+    selector: file => file.path,
+    minLength: 1,
+    maxLength: 8
+  }).filter(files => files.every(a => files.every(b => !b.path.startsWith(a.path + '/'))));
+
+  async function buildBag(files) {
+    const root = createMemoryDirectory();
+    const bag = BDLawBagIt.createBag({ writeFile: (path, bytes) => writeToDirectory(root, path, bytes) });
+    for (const file of files) {
+      await bag.addPayload(file.path, file.content);
+    }
+    const result = await bag.finish(BDLawBagIt.buildBagInfo({
+      metadata: { source: 'bdlaws.minlaw.gov.bd', tool: 'BDLawCorpus', tool_version: '1.4.0', disclaimer: 'line one\nline two' },
+      manifest: { corpus_stats: { total_acts: files.length, total_volumes: 1, total_characters: 10 } },
+      baggingDate: '2026-01-02T00:00:00Z'
+    }));
+    return { root, result };
+  }
+
+  const readText = async (root, path) => Buffer.from((await getFileNode(root, path)).node.bytes).toString('utf8');
+
+  it('should list every payload file with its SHA-256 and a matching Payload-Oxum', async () => {
+    await fc.assert(
+      fc.asyncProperty(filesArb, async (files) => {
+        const { root, result } = await buildBag(files);
+        const manifest = BDLawBagIt.parseManifest(await readText(root, 'manifest-sha256.txt'));
+        const bytes = files.reduce((sum, file) => sum + Buffer.byteLength(file.content, 'utf8'), 0);
+
+        return manifest.length === files.length &&
+          files.every(file => manifest.some(entry =>
+            entry.path === `data/${file.path}` &&
+            entry.sha256 === crypto.createHash('sha256').update(file.content, 'utf8').digest('hex')
+          )) &&
+          result.payload_oxum === `${bytes}.${files.length}`;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should cover bagit.txt, bag-info.txt and the payload manifest in the tag manifest', async () => {
+    await fc.assert(
+      fc.asyncProperty(filesArb, async (files) => {
+        const { root } = await buildBag(files);
+        const tags = BDLawBagIt.parseManifest(await readText(root, 'tagmanifest-sha256.txt')).map(e => e.path).sort();
+        const bagit = await readText(root, 'bagit.txt');
+        return JSON.stringify(tags) === JSON.stringify(['bag-info.txt', 'bagit.txt', 'manifest-sha256.txt']) &&
+          bagit === 'BagIt-Version: 1.0\nTag-File-Character-Encoding: UTF-8\n';
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  it('should accept bags as written', async () => {
+    await fc.assert(
+      fc.asyncProperty(filesArb, async (files) => {
+        const { root } = await buildBag(files);
+        const validation = await BDLawBagIt.validateBag(root);
+        return validation.valid === true && validation.payload_count === files.length;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should reject modified, missing and unlisted payload files', async () => {
+    await fc.assert(
+      fc.asyncProperty(filesArb, fc.constantFrom('modify', 'remove', 'add'), async (files, change) => {
+        const { root } = await buildBag(files);
+        const target = await getFileNode(root, `data/${files[0].path}`);
+        if (change === 'modify') {
+          target.node.bytes = Buffer.from(Buffer.from(target.node.bytes).toString('utf8') + 'x', 'utf8');
+        } else if (change === 'remove') {
+          target.dir.children.delete(target.name);
+        } else {
+          await writeToDirectory(root, 'data/unlisted.extra', Buffer.from('x'));
+        }
+        const validation = await BDLawBagIt.validateBag(root);
+        return validation.valid === false && validation.errors.length > 0;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should reject a tampered tag file', async () => {
+    const { root } = await buildBag([{ path: 'acts/1.json', content: '{}' }]);
+    const info = await getFileNode(root, 'bag-info.txt');
+    info.node.bytes = Buffer.from(Buffer.from(info.node.bytes).toString('utf8') + 'Extra: field\n');
+    const validation = await BDLawBagIt.validateBag(root);
+    expect(validation.valid).toBe(false);
+    expect(validation.errors).toContain('bag-info.txt: SHA-256 does not match');
+  });
+
+  it('should reject manifest paths that leave the bag before looking them up', async () => {
+    const { root } = await buildBag([{ path: 'acts/1.json', content: '{}' }]);
+    const manifest = await getFileNode(root, 'manifest-sha256.txt');
+    const sha = crypto.createHash('sha256').update(Buffer.from('{}')).digest('hex');
+    manifest.node.bytes = new Uint8Array(Buffer.from(Buffer.from(manifest.node.bytes).toString('utf8') +
+      `${sha}  data/../bagit.txt\n${sha}  /data/acts/1.json\n`));
+    const lookups = [];
+    const getDirectoryHandle = root.getDirectoryHandle;
+    root.getDirectoryHandle = (child, options) => {
+      lookups.push(child);
+      return getDirectoryHandle(child, options);
+    };
+
+    const validation = await BDLawBagIt.validateBag(root);
+    expect(validation.valid).toBe(false);
+    expect(validation.errors).toContain('manifest-sha256.txt: data/../bagit.txt is not a valid payload path');
+    expect(validation.errors).toContain('manifest-sha256.txt: /data/acts/1.json is not a valid payload path');
+    expect(validation.errors.filter(error => error.includes('missing'))).toEqual([]);
+    expect(lookups).not.toContain('..');
+  });
+
+  it('should reject folders that are not bags', async () => {
+    const validation = await BDLawBagIt.validateBag(createMemoryDirectory());
+    expect(validation.valid).toBe(false);
+    expect(validation.errors).toEqual(['bagit.txt is missing']);
+  });
+
+  it('should write multi-line bag-info values as continuation lines and populate corpus stats', async () => {
+    const { root } = await buildBag([{ path: 'acts/1.json', content: '{}' }]);
+    const text = await readText(root, 'bag-info.txt');
+    const fields = Object.fromEntries(BDLawBagIt.parseTagFile(text));
+
+    expect(text).toContain('BDLaw-Disclaimer: line one\n  line two\n');
+    expect(fields['BDLaw-Disclaimer']).toBe('line one line two');
+    expect(fields['Bagging-Date']).toBe('2026-01-02');
+    expect(fields['BDLaw-Total-Acts']).toBe('1');
+    expect(fields['Payload-Oxum']).toBe('2.1');
+  });
+
+  it('should round-trip manifest paths containing %, CR and LF', () => {
+    fc.assert(
+      fc.property(fc.stringOf(fc.constantFrom('a', '%', '\n', '\r', '0', 'A'), { minLength: 1, maxLength: 20 }), (path) => {
+        const text = BDLawBagIt.formatManifest([{ path, sha256: 'ab' }]);
+        return text.split('\n').length === 2 && BDLawBagIt.parseManifest(text)[0].path === path;
+      }),
+      { numRuns: 200 }
+    );
+  });
+});
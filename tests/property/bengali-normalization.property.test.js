@@ -0,0 +1,141 @@
+/**
+ * Property-Based Tests for Bengali Unicode Normalization
+ *
+ * Feature: legal-integrity-enhancement, Property 20: Bengali Normalization Convergence
+ *
+ * For any Bengali text written with precomposed or decomposed nukta letters,
+ * two-part vowel signs, ত্‍ for ৎ, stray ZWJ/ZWNJ or dotted circles,
+ * content_normalized SHALL equal the normalization of the same words in their
+ * canonical spelling, content_raw SHALL be unchanged, and the transformation
+ * log SHALL hold one unicode_normalization entry per change class with its
+ * count. Non-canonical changes SHALL be skipped inside numeric regions and
+ * protected sections.
+ */
+
+const fc = require('fast-check');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+const BDLawQuality = require('../../bdlaw-quality.js');
+
+describe('Property 20: Bengali Normalization Convergence', () => {
+  const NUKTA = '\u09BC';
+  const HASANTA = '\u09CD';
+  const VOWEL_SIGNS = /[\u09BE-\u09CC\u09D7]/;
+
+  // Canonical spellings: decomposed nukta letters, composed ো, ৎ
+  const WORDS = [
+    `আয${NUKTA}কর`,
+    `পড${NUKTA}\u09BE`,
+    'উ\u09CEস',
+    `ব\u09CBর${HASANTA}ড`,
+    'আইন',
+    'দ\u09CBষী'
+  ];
+
+  // Each variant rewrites a canonical word the way bdlaws pages sometimes do
+  const VARIANTS = {
+    nukta_decomposition: word => word.replace(`য${NUKTA}`, '\u09DF').replace(`ড${NUKTA}`, '\u09DC'),
+    vowel_sign_composition: word => word.replace('\u09CB', '\u09C7\u09BE'),
+    khanda_ta: word => word.replace('\u09CE', `ত${HASANTA}\u200D`),
+    stray_zero_width: (word, joiner) => word[0] + joiner + word.slice(1),
+    dotted_circle: word => {
+      const index = [...word].findIndex((ch, i) => i > 0 && VOWEL_SIGNS.test(ch));
+      return index === -1 ? word : word.slice(0, index) + '\u25CC' + word.slice(index);
+    }
+  };
+  const CLASSES = Object.keys(VARIANTS);
+
+  const tokenArb = fc.record({
+    word: fc.constantFrom(...WORDS),
+    variants: fc.subarray(CLASSES),
+    joiner: fc.constantFrom('\u200C', '\u200D')
+  });
+
+  function buildText(tokens) {
+    const expected = Object.fromEntries(CLASSES.map(changeClass => [changeClass, 0]));
+    const written = tokens.map(({ word, variants, joiner }) => {
+      let text = word;
+      for (const changeClass of CLASSES.filter(c => variants.includes(c))) {
+        const next = VARIANTS[changeClass](text, joiner);
+        if (next !== text) {
+          expected[changeClass]++;
+          text = next;
+        }
+      }
+      return text;
+    });
+    return {
+      raw: written.join(' '),
+      canonical: tokens.map(token => token.word).join(' '),
+      expected
+    };
+  }
+
+  it('should converge every spelling of a word on one normalized form', () => {
+    fc.assert(
+      fc.property(fc.array(tokenArb, { minLength: 1, maxLength: 12 }), (tokens) => {
+        const { raw, canonical, expected } = buildText(tokens);
+        const log = [];
+        const content = BDLawExtractor.createThreeVersionContent(raw, { transformationLog: log });
+
+        return content.content_raw === raw &&
+          content.content_normalized === canonical &&
+          content.content_corrected === canonical &&
+          log.every(entry => entry.transformation_type === 'unicode_normalization' &&
+            entry.risk_level === 'non-semantic' &&
+            entry.applied === true &&
+            raw.startsWith(entry.original, entry.position) &&
+            entry.count === expected[entry.change_class]) &&
+          CLASSES.every(changeClass => expected[changeClass] === 0 ||
+            log.some(entry => entry.change_class === changeClass));
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should leave normalized text unchanged on a second pass', () => {
+    fc.assert(
+      fc.property(fc.array(tokenArb, { minLength: 1, maxLength: 12 }), (tokens) => {
+        const { normalized } = BDLawExtractor.normalizeBengaliText(buildText(tokens).raw);
+        const again = BDLawExtractor.normalizeBengaliText(normalized);
+        return again.normalized === normalized && again.changes.length === 0;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should keep non-canonical changes out of numeric regions and protected sections', () => {
+    const raw = `উত\u09CD\u200Dস ক\u200Cখ ১২\u200C৩ \u09DF\u09BE\nউত\u09CD\u200Dস ক\u200Cখ`;
+    const result = BDLawExtractor.normalizeBengaliText(raw, {
+      numericRegions: [{ start: 11, end: 15 }],
+      protectedRegions: [{ start: 0, end: 9 }]
+    });
+    expect(result.normalized).toBe(`উত\u09CD\u200Dস ক\u200Cখ ১২\u200C৩ য${NUKTA}\u09BE\nউ\u09CEস কখ`);
+    expect(result.changes.map(c => [c.change_class, c.count, c.skipped_count])).toEqual([
+      ['khanda_ta', 1, 1],
+      ['stray_zero_width', 1, 2],
+      ['nukta_decomposition', 1, 0]
+    ]);
+    expect(result.skippedInNumericRegions).toBe(1);
+    expect(result.skippedInProtectedSections).toBe(2);
+
+    // A hasanta keeps its joiner: র‍্য and ক্‌ষ are written that way on purpose
+    const joined = `র\u200D${HASANTA}য\u09BEব ক${HASANTA}\u200Cষ`;
+    expect(BDLawExtractor.normalizeBengaliText(joined).normalized).toBe(joined);
+  });
+
+  it('should normalize first in cleanContent when asked and log nothing when the text is canonical', () => {
+    const raw = `উত\u09CD\u200Dস æ\u09DF\u09BE`;
+    const result = BDLawQuality.cleanContent(raw, { applyUnicodeNormalization: true, applyFormatting: false });
+    expect(result.cleaned).toBe(`উ\u09CEস "য${NUKTA}\u09BE`);
+    expect(result.transformations.map(t => [t.type, t.change_class, t.count])).toEqual([
+      ['unicode_normalization', 'khanda_ta', 1],
+      ['unicode_normalization', 'nukta_decomposition', 1],
+      ['encoding_repair', undefined, 1]
+    ]);
+    expect(BDLawQuality.cleanContent(raw, { applyFormatting: false }).cleaned).toBe(`উত\u09CD\u200Dস "\u09DF\u09BE`);
+
+    const log = [];
+    BDLawExtractor.createThreeVersionContent(WORDS.join(' '), { transformationLog: log });
+    expect(log).toEqual([]);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Property-Based Tests for Citation Resolution
+ *
+ * Feature: cross-reference-extraction, Property 18: Citation Resolution
+ *
+ * For any citation written with Roman, Arabic or Bengali numerals, the
+ * resolver SHALL reduce it to the same canonical key as the act title that
+ * carries it, resolve it to that act's internal_id when only one act carries
+ * the key, and otherwise report the competing internal_ids instead of
+ * guessing. Lexical relation fields SHALL pass through unchanged.
+ */
+
+const fc = require('fast-check');
+const BDLawCitationResolver = require('../../bdlaw-citation-resolver.js');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+
+describe('Property 18: Citation Resolution', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  const toRoman = (num) => {
+    const table = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+      [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+    let out = '';
+    for (const [value, symbol] of table) {
+      while (num >= value) { out += symbol; num -= value; }
+    }
+    return out;
+  };
+
+  const citationArb = fc.record({
+    year: fc.integer({ min: 1860, max: 2025 }),
+    serial: fc.integer({ min: 1, max: 99 })
+  });
+
+  const englishTitle = ({ year, serial }) => `The Sample Act, ${year} ( ACT NO. ${toRoman(serial)} OF ${year} )`;
+  const bengaliTitle = ({ year, serial }) =>
+    `নমুনা আইন, ${toBengaliNumeral(year)} ( ${toBengaliNumeral(year)} সনের ${toBengaliNumeral(serial)} নং আইন )`;
+
+  const manifestOf = (entries) => ({
+    acts: Object.fromEntries(entries.map(([id, title]) => [id, { internal_id: id, title }]))
+  });
+
+  it('should read Roman, Arabic and Bengali numerals alike', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 3999 }), (n) => {
+        return BDLawCitationResolver.toArabicNumber(toRoman(n)) === n &&
+          BDLawCitationResolver.toArabicNumber(toRoman(n).toLowerCase()) === n &&
+          BDLawCitationResolver.toArabicNumber(String(n)) === n &&
+          BDLawCitationResolver.toArabicNumber(toBengaliNumeral(n)) === n;
+      }),
+      { numRuns: 200 }
+    );
+    expect(BDLawCitationResolver.toArabicNumber('IIII')).toBeNull();
+    expect(BDLawCitationResolver.toArabicNumber('ক')).toBeNull();
+    expect(BDLawCitationResolver.toArabicNumber('')).toBeNull();
+  });
+
+  it('should resolve detected citations in any script to the act whose title carries them', () => {
+    fc.assert(
+      fc.property(
+        fc.uniqueArray(citationArb, { selector: c => `${c.year}/${c.serial}`, minLength: 1, maxLength: 8 }),
+        fc.nat(),
+        fc.constantFrom('roman', 'arabic', 'bengali'),
+        (citations, pick, form) => {
+          const manifest = manifestOf(citations.map((c, i) => [String(100 + i), englishTitle(c)]));
+          const index = BDLawCitationResolver.buildCitationIndex(manifest);
+          const target = citations[pick % citations.length];
+          const text = form === 'bengali'
+            ? `এই আইন ${toBengaliNumeral(target.year)} সনের ${toBengaliNumeral(target.serial)} নং আইন দ্বারা`
+            : `under Act ${form === 'roman' ? toRoman(target.serial) : target.serial} of ${target.year} and`;
+          const [reference] = BDLawExtractor.detectCrossReferences(text);
+          const resolved = BDLawCitationResolver.resolveReference(reference, index);
+
+          return resolved.citation_key === `act/${target.year}/${target.serial}` &&
+            resolved.resolved_internal_id === String(100 + (pick % citations.length)) &&
+            resolved.resolution_confidence === 'high' &&
+            resolved.resolved_in_corpus === true &&
+            resolved.resolution_ambiguity.length === 0;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should report ambiguity instead of guessing between acts sharing a key', () => {
+    fc.assert(
+      fc.property(citationArb, fc.constantFrom('english', 'bengali'), (citation, script) => {
+        const shared = BDLawCitationResolver.buildCitationIndex(
+          manifestOf([['1', englishTitle(citation)], ['2', bengaliTitle(citation)]])
+        );
+        const reference = {
+          citation_text: script === 'bengali' ? 'x সনের y নং আইন' : `Act ${citation.serial} of ${citation.year}`,
+          citation_year: String(citation.year),
+          citation_serial: String(citation.serial),
+          script
+        };
+        const picked = BDLawCitationResolver.resolveReference(reference, shared);
+
+        const twins = BDLawCitationResolver.buildCitationIndex(
+          manifestOf([['1', englishTitle(citation)], ['2', englishTitle(citation)]])
+        );
+        const tied = BDLawCitationResolver.resolveReference({ ...reference, script: 'english' }, twins);
+
+        return picked.resolved_internal_id === (script === 'bengali' ? '2' : '1') &&
+          picked.resolution_confidence === 'medium' &&
+          picked.resolution_ambiguity.length === 1 &&
+          tied.resolved_internal_id === null &&
+          tied.resolution_confidence === 'unresolved' &&
+          JSON.stringify(tied.resolution_ambiguity) === JSON.stringify(['1', '2']);
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should leave citations to acts outside the index unresolved', () => {
+    fc.assert(
+      fc.property(citationArb, citationArb, (inCorpus, cited) => {
+        fc.pre(inCorpus.year !== cited.year || inCorpus.serial !== cited.serial);
+        const index = BDLawCitationResolver.buildCitationIndex(manifestOf([['5', englishTitle(inCorpus)]]));
+        const resolved = BDLawCitationResolver.resolveReference(
+          { citation_text: `Act ${cited.serial} of ${cited.year}`, citation_serial: String(cited.serial), citation_year: String(cited.year) },
+          index
+        );
+        return resolved.resolved_internal_id === null && resolved.resolution_confidence === 'unresolved';
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should keep instrument types apart', () => {
+    const index = BDLawCitationResolver.buildCitationIndex(manifestOf([
+      ['10', 'The Sample Ordinance, 1984 (Ordinance No. XV of 1984)'],
+      ['11', 'The Sample Act, 1984 (Act No. XV of 1984)'],
+      ['12', 'The Bangladesh Sample Order, 1972 (President\'s Order No. 12 of 1972)']
+    ]));
+    const resolve = (text) => BDLawCitationResolver.resolveReference(BDLawExtractor.detectCrossReferences(text)[0], index);
+
+    expect(resolve('see Ordinance XV of 1984 here').resolved_internal_id).toBe('10');
+    expect(resolve('see Act XV of 1984 here').resolved_internal_id).toBe('11');
+    expect(resolve('see P.O. No. 12 of 1972 here')).toMatchObject({ resolved_internal_id: '12', citation_key: 'presidents_order/1972/12' });
+    expect(resolve('১৯৮৪ সনের ১৫ নং অধ্যাদেশ').resolved_internal_id).toBe('10');
+  });
+
+  it('should fall back to title and year with low confidence, and resolve catalog rows outside the corpus', () => {
+    const manifest = manifestOf([['20', 'The Registration Act, 1908']]);
+    const catalogs = [{ acts: [{ title: 'The Stamp Act, 1899 ( ACT NO. II OF 1899 )', year: '1899', url: 'http://bdlaws.minlaw.gov.bd/act-86.html', actNumber: '86' }] }];
+    const index = BDLawCitationResolver.buildCitationIndex(manifest, catalogs);
+
+    const [byName] = BDLawExtractor.detectCrossReferences('under the Registration Act, 1908 (XVI of 1908) and');
+    expect(BDLawCitationResolver.resolveReference(byName, index)).toMatchObject({
+      resolved_internal_id: '20',
+      resolution_confidence: 'low',
+      resolution_method: 'title_and_year'
+    });
+
+    const [stamp] = BDLawExtractor.detectCrossReferences('the Act II of 1899 applies');
+    expect(BDLawCitationResolver.resolveReference(stamp, index)).toMatchObject({
+      resolved_internal_id: '86',
+      resolved_in_corpus: false,
+      resolution_confidence: 'high'
+    });
+  });
+
+  it('should index the citation printed under the title at capture', () => {
+    const english = 'The Appropriation Act, 1975\n\n      \n   (\n  ACT NO. XLIV OF 1975 )\nAn Act to authorise payment under Act No. V of 1913.';
+    const bengali = '1সন্ত্রাস বিরোধী আইন, ২০০৯\n   ( ২০০৯ সনের ১৬ নং আইন )\nযেহেতু ১৯৯০ সনের ২০ নং আইন';
+    expect(BDLawCitationResolver.parseHeaderCitation(english, 'The Appropriation Act, 1975')).toMatchObject({ key: 'act/1975/44' });
+    expect(BDLawCitationResolver.parseHeaderCitation(bengali, 'সন্ত্রাস বিরোধী আইন, ২০০৯')).toMatchObject({ key: 'act/2009/16' });
+    // Citations further down are not the act's own
+    expect(BDLawCitationResolver.parseHeaderCitation('The Sample Act, 1913\nunder Act No. V of 1913', 'The Sample Act, 1913')).toBeNull();
+    expect(BDLawCitationResolver.parseHeaderCitation(english, 'Another Title')).toBeNull();
+    expect(BDLawCitationResolver.parseHeaderCitation('', 'x')).toBeNull();
+
+    const manifest = { acts: { 500: { internal_id: '500', title: 'The Appropriation Act, 1975', citation_key: 'act/1975/44' } } };
+    const index = BDLawCitationResolver.buildCitationIndex(manifest);
+    const [reference] = BDLawExtractor.detectCrossReferences('as provided in Act XLIV of 1975.');
+    expect(BDLawCitationResolver.resolveReference(reference, index)).toMatchObject({
+      resolved_internal_id: '500',
+      resolution_confidence: 'high'
+    });
+    expect(BDLawCitationResolver.buildCitationIndex({ acts: { 500: { ...manifest.acts[500], citation_key: null } } }).by_key).toEqual({});
+  });
+
+  it('should add resolution fields without changing lexical relation fields', () => {
+    const index = BDLawCitationResolver.buildCitationIndex(manifestOf([['30', 'The Sample Act, 1990 (Act No. 5 of 1990)']]));
+    const references = BDLawExtractor.detectCrossReferences('This section was amended by Act 5 of 1990 and Act 6 of 1991.');
+    const resolved = BDLawCitationResolver.resolveReferences(references, index);
+
+    expect(resolved).toHaveLength(references.length);
+    resolved.forEach((ref, i) => {
+      expect(ref.lexical_relation_type).toBe(references[i].lexical_relation_type);
+      expect(ref.lexical_relation_confidence).toBe(references[i].lexical_relation_confidence);
+    });
+    expect(BDLawCitationResolver.getResolutionMetadata(resolved)).toMatchObject({
+      disclaimer: BDLawCitationResolver.RESOLUTION_DISCLAIMER,
+      resolved_count: 1,
+      ambiguous_count: 0,
+      unresolved_count: 1
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Property-Based Tests for Corpus JSONL Export
+ *
+ * Feature: corpus-export-formats, Property 1: JSONL Line Integrity
+ *
+ * For any set of acts streamed through buildCorpusJsonl, the output SHALL
+ * contain exactly one JSON line per record followed by one manifest line whose
+ * counts and SHA-256 describe every preceding byte, and verifyCorpusJsonl SHALL
+ * detect any modification of those bytes.
+ */
+
+const fc = require('fast-check');
+const crypto = require('crypto');
+const FDBFactory = require('fake-indexeddb/lib/FDBFactory');
+const FDBKeyRange = require('fake-indexeddb/lib/FDBKeyRange');
+const BDLawExport = require('../../bdlaw-export.js');
+const { StorageManager } = require('../../bdlaw-storage.js');
+
+describe('Property 1: JSONL Line Integrity', () => {
+  const textArb = fc.stringOf(
+    fc.constantFrom('ক', 'খ', 'গ', 'া', 'ি', '১', '৷', 'A', 'b', ' ', '\n', '"', '\\'),
+    { minLength: 0, maxLength: 200 }
+  );
+
+  const actArb = fc.record({
+    actNumber: fc.integer({ min: 1, max: 99999 }).map(String),
+    title: textArb,
+    content: textArb
+  });
+
+  const actsArb = fc.uniqueArray(actArb, { selector: act => act.actNumber, maxLength: 15 });
+
+  const failedArb = fc.array(fc.record({
+    act_number: fc.integer({ min: 1, max: 99999 }).map(String),
+    extraction_status: fc.constant('failed'),
+    content_raw: fc.constant(null)
+  }), { maxLength: 3 });
+
+  const fromArray = (acts) => async (onAct) => {
+    for (const act of acts) {
+      await onAct(act);
+    }
+  };
+
+  const formatAct = async (act) => ({
+    identifiers: { internal_id: act.actNumber },
+    title_raw: act.title,
+    content_raw: act.content
+  });
+
+  const toText = (parts) => Buffer.concat(parts.map(p => Buffer.from(p))).toString('utf8');
+
+  it('should match Node crypto for chunked SHA-256 input', () => {
+    fc.assert(
+      fc.property(fc.uint8Array({ maxLength: 500 }), fc.nat(), (bytes, split) => {
+        const cut = bytes.length === 0 ? 0 : split % bytes.length;
+        const digest = BDLawExport.createSha256()
+          .update(bytes.subarray(0, cut))
+          .update(bytes.subarray(cut))
+          .digestHex();
+        return digest === crypto.createHash('sha256').update(bytes).digest('hex');
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should write one line per record plus a trailing manifest line', async () => {
+    await fc.assert(
+      fc.asyncProperty(actsArb, failedArb, async (acts, failed) => {
+        const result = await BDLawExport.buildCorpusJsonl({
+          iterateActs: fromArray(acts),
+          formatAct,
+          failedActs: failed
+        });
+        const lines = toText(result.parts).split('\n');
+
+        // Trailing newline leaves one empty element
+        if (lines.pop() !== '') return false;
+        if (lines.length !== acts.length + failed.length + 1) return false;
+
+        const parsed = lines.map(line => JSON.parse(line));
+        const manifest = parsed.pop()._jsonl_manifest;
+
+        return manifest.total_records === acts.length + failed.length &&
+          manifest.successful_acts === acts.length &&
+          manifest.failed_acts === failed.length &&
+          parsed.slice(0, acts.length).every((rec, i) => rec.content_raw === acts[i].content);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should record a SHA-256 over all bytes preceding the manifest line', async () => {
+    await fc.assert(
+      fc.asyncProperty(actsArb, async (acts) => {
+        const result = await BDLawExport.buildCorpusJsonl({ iterateActs: fromArray(acts), formatAct });
+        const records = Buffer.concat(result.parts.slice(0, -1).map(p => Buffer.from(p)));
+        return result.manifest.sha256 === crypto.createHash('sha256').update(records).digest('hex') &&
+          result.manifest.byte_length === records.length;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should verify untouched exports and reject modified ones', async () => {
+    await fc.assert(
+      fc.asyncProperty(actsArb.filter(acts => acts.length > 0), async (acts) => {
+        const result = await BDLawExport.buildCorpusJsonl({ iterateActs: fromArray(acts), formatAct });
+        const text = toText(result.parts);
+        const tampered = text.replace('"content_raw":"', '"content_raw":"x');
+
+        return BDLawExport.verifyCorpusJsonl(text).valid === true &&
+          BDLawExport.verifyCorpusJsonl(tampered).valid === false;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should list acts that fail to format instead of aborting the export', async () => {
+    const result = await BDLawExport.buildCorpusJsonl({
+      iterateActs: fromArray([{ actNumber: '1' }, { actNumber: '2' }]),
+      formatAct: async (act) => {
+        if (act.actNumber === '2') throw new Error('format failed');
+        return { identifiers: { internal_id: act.actNumber } };
+      }
+    });
+
+    expect(result.manifest.successful_acts).toBe(1);
+    expect(result.manifest.skipped_acts).toEqual([{ internal_id: '2', error: 'format failed' }]);
+    expect(BDLawExport.verifyCorpusJsonl(toText(result.parts)).valid).toBe(true);
+  });
+
+  describe('StorageManager.iterateActs', () => {
+    beforeEach(async () => {
+      global.indexedDB = new FDBFactory();
+      global.IDBKeyRange = FDBKeyRange;
+      StorageManager._db = null;
+      StorageManager._activeBackend = null;
+      await StorageManager.initialize();
+    });
+
+    afterEach(() => {
+      StorageManager.closeDatabase();
+      delete global.indexedDB;
+      delete global.IDBKeyRange;
+    });
+
+    it('should visit every stored act exactly once across batches', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.uniqueArray(fc.integer({ min: 1, max: 9999 }).map(String), { maxLength: 30 }),
+          fc.integer({ min: 1, max: 7 }),
+          async (actNumbers, batchSize) => {
+            const transaction = StorageManager._db.transaction(['acts'], 'readwrite');
+            const store = transaction.objectStore('acts');
+            store.clear();
+            actNumbers.forEach(n => store.put({ act_number: n, content_raw: `content ${n}` }));
+            await new Promise(resolve => { transaction.oncomplete = resolve; });
+
+            const visited = [];
+            const count = await StorageManager.iterateActs(async (act) => {
+              visited.push(act.act_number);
+            }, { batchSize });
+
+            return count === actNumbers.length &&
+              JSON.stringify([...visited].sort()) === JSON.stringify([...actNumbers].sort()) &&
+              new Set(visited).size === visited.length;
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Property-Based Tests for ML Dataset Splits
+ *
+ * Feature: corpus-export-formats, Property 6: Split Stability
+ *
+ * For any seed and ratios, an act's split SHALL depend only on its
+ * internal_id, so adding, removing or reordering other acts never moves it;
+ * every kept act SHALL appear in exactly one data/{split}.jsonl file, and
+ * risky acts SHALL be tagged or excluded according to the risk policy.
+ */
+
+const fc = require('fast-check');
+const BDLawExport = require('../../bdlaw-export.js');
+
+describe('Property 6: Split Stability', () => {
+  const idArb = fc.integer({ min: 1, max: 5000 }).map(String);
+  const seedArb = fc.string({ maxLength: 12 });
+  const ratiosArb = fc.record({
+    train: fc.integer({ min: 0, max: 100 }),
+    validation: fc.integer({ min: 0, max: 100 }),
+    test: fc.integer({ min: 0, max: 100 })
+  }).filter(r => r.train + r.validation + r.test > 0);
+  const riskArb = fc.subarray(['numeric_corruption_risk', 'encoding_ambiguity', 'preamble_not_detected']);
+
+  const actArb = fc.record({ id: idArb, risks: riskArb }).map(({ id, risks }) => ({
+    identifiers: { internal_id: id },
+    title_raw: `আইন ${id}`,
+    content_raw: 'ধারা ১',
+    content_corrected: 'ধারা ১',
+    content_raw_sha256: 'a'.repeat(64),
+    data_quality: { ml_risk_factors: risks }
+  }));
+  const actsArb = fc.uniqueArray(actArb, { selector: act => act.identifiers.internal_id, maxLength: 40 });
+
+  const decode = (parts) => Buffer.concat(parts.map(p => Buffer.from(p))).toString('utf8');
+  const readSplits = (files) => Object.fromEntries(
+    files.filter(file => file.path.startsWith('data/')).map(file => [
+      file.path.slice(5, -6),
+      decode(file.parts).split('\n').filter(Boolean).map(line => JSON.parse(line))
+    ])
+  );
+
+  function build(acts, config) {
+    const builder = BDLawExport.createDatasetBuilder(config);
+    acts.forEach(act => builder.addAct(act));
+    return builder.finish({ generatedAt: '2026-01-01T00:00:00Z' });
+  }
+
+  it('should keep every act in the same split when other acts change', () => {
+    fc.assert(
+      fc.property(actsArb, actsArb, seedArb, ratiosArb, (acts, others, seed, ratios) => {
+        const splitOf = (set) => {
+          const found = {};
+          for (const [split, records] of Object.entries(readSplits(build(set, { seed, ratios }).files))) {
+            records.forEach(record => { found[record.internal_id] = split; });
+          }
+          return found;
+        };
+        const alone = splitOf(acts);
+        const mixed = splitOf([...others, ...acts.slice().reverse()]);
+        return Object.entries(alone).every(([id, split]) => mixed[id] === split);
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should place every act in exactly one split and never in a zero-ratio split', () => {
+    fc.assert(
+      fc.property(actsArb, seedArb, ratiosArb, (acts, seed, ratios) => {
+        const { files, info } = build(acts, { seed, ratios });
+        const splits = readSplits(files);
+        const ids = Object.values(splits).flat().map(record => record.internal_id);
+        return ids.length === acts.length &&
+          new Set(ids).size === acts.length &&
+          BDLawExport.DATASET_SPLITS.every(split => (ratios[split] > 0) === (split in splits)) &&
+          Object.values(info.splits).every(split => split.num_examples === splits[split.name].length);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should produce identical fingerprints for the same acts in any order', () => {
+    fc.assert(
+      fc.property(actsArb, seedArb, (acts, seed) => {
+        const a = build(acts, { seed }).info.bdlaw_split.split_fingerprints;
+        const b = build(acts.slice().reverse(), { seed }).info.bdlaw_split.split_fingerprints;
+        return JSON.stringify(a) === JSON.stringify(b);
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should tag or exclude risky acts according to the risk policy', () => {
+    fc.assert(
+      fc.property(actsArb, fc.constantFrom('tag', 'exclude'), (acts, riskPolicy) => {
+        const { files, info } = build(acts, { risk_policy: riskPolicy });
+        const records = Object.values(readSplits(files)).flat();
+        const risky = acts.filter(act => act.data_quality.ml_risk_factors.some(f => f !== 'preamble_not_detected'));
+
+        if (riskPolicy === 'exclude') {
+          return records.length === acts.length - risky.length &&
+            records.every(record => !record.risk_flagged) &&
+            info.bdlaw_split.excluded.length === risky.length;
+        }
+        return records.length === acts.length &&
+          records.filter(record => record.risk_flagged).length === risky.length &&
+          info.bdlaw_split.excluded.length === 0;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should roughly follow the requested ratios', () => {
+    const config = BDLawExport.normalizeDatasetSplitConfig({ seed: 's', ratios: { train: 70, validation: 20, test: 10 } });
+    const counts = { train: 0, validation: 0, test: 0 };
+    for (let i = 1; i <= 5000; i++) {
+      counts[BDLawExport.assignDatasetSplit(String(i), config)]++;
+    }
+    expect(counts.train / 5000).toBeCloseTo(0.7, 1);
+    expect(counts.validation / 5000).toBeCloseTo(0.2, 1);
+    expect(counts.test / 5000).toBeCloseTo(0.1, 1);
+  });
+
+  it('should treat safe_for_ml_training false as a risk', () => {
+    const config = BDLawExport.normalizeDatasetSplitConfig();
+    expect(BDLawExport.getDatasetRiskFactors({ data_quality: { safe_for_ml_training: false } }, config))
+      .toEqual(['not_safe_for_ml_training']);
+  });
+
+  it('should reject invalid split settings', () => {
+    expect(() => BDLawExport.normalizeDatasetSplitConfig({ ratios: { train: 0, validation: 0, test: 0 } })).toThrow();
+    expect(() => BDLawExport.normalizeDatasetSplitConfig({ ratios: { train: -1 } })).toThrow();
+    expect(() => BDLawExport.normalizeDatasetSplitConfig({ risk_policy: 'drop' })).toThrow();
+  });
+
+  it('should write a dataset card whose data_files match the split files', () => {
+    const { files } = build([], {});
+    const card = decode(files.find(file => file.path === 'README.md').parts);
+    const info = JSON.parse(decode(files.find(file => file.path === 'dataset_info.json').parts));
+
+    expect(card.startsWith('---\n')).toBe(true);
+    for (const split of BDLawExport.DATASET_SPLITS) {
+      expect(card).toContain(`  - split: ${split}\n    path: data/${split}.jsonl`);
+      expect(files.some(file => file.path === `data/${split}.jsonl`)).toBe(true);
+    }
+    expect(info.features.ml_risk_factors._type).toBe('Sequence');
+    expect(info.bdlaw_split.seed).toBe('bdlawcorpus');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Property-Based Tests for Date Extraction
+ *
+ * Feature: legal-integrity-enhancement, Property 15: Date Extraction
+ *
+ * For any Gregorian or বঙ্গাব্দ date written with Bengali or Arabic digits and
+ * Bengali or English month names, day first, month first or year first, extractDates SHALL return it verbatim at its
+ * offset in content_raw with its role and, for Gregorian dates, the ISO date.
+ * The corpus manifest SHALL derive act years and the act date range from them.
+ */
+
+const fc = require('fast-check');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+const BDLawCorpusManifest = require('../../bdlaw-corpus-manifest.js');
+
+describe('Property 15: Date Extraction', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  const pad = (num) => String(num).padStart(2, '0');
+
+  const ROLE_SENTENCES = {
+    header: (date) => `[${date}]`,
+    commencement: (date) => `এই আইন ${date} তারিখে বলবৎ হইবে৷`,
+    assent: (date) => `${date} তারিখে রাষ্ট্রপতির সম্মতি লাভ করিয়াছে৷`,
+    enactment: (date) => `This Act was passed on ${date}.`,
+    other: (date) => `নোটিশ ${date} তারিখের৷`
+  };
+
+  const dateArb = fc.record({
+    role: fc.constantFrom(...Object.keys(ROLE_SENTENCES)),
+    form: fc.constantFrom('bengali', 'bengali_year_first', 'english', 'english_month_first'),
+    year: fc.integer({ min: 1900, max: 2025 }),
+    month: fc.integer({ min: 1, max: 12 }),
+    day: fc.integer({ min: 1, max: 28 })
+  });
+
+  function dateText({ form, year, month, day }) {
+    const [english, bengali] = BDLawExtractor.DATE_MONTH_NAMES.gregorian[month - 1];
+    if (form === 'bengali') return `${toBengaliNumeral(day)} ${bengali}, ${toBengaliNumeral(year)}`;
+    if (form === 'bengali_year_first') return `${toBengaliNumeral(year)} সালের ${toBengaliNumeral(day)} ${bengali}`;
+    if (form === 'english') return `${day} ${english}, ${year}`;
+    return `${english} ${day}, ${year}`;
+  }
+
+  it('should extract each date with its role and ISO date', () => {
+    fc.assert(
+      fc.property(fc.array(dateArb, { minLength: 1, maxLength: 4 }), (dates) => {
+        let content = 'নমুনা আইন\n';
+        const expected = dates.map(date => {
+          const text = dateText(date);
+          const sentence = ROLE_SENTENCES[date.role](text);
+          const offset = content.length + sentence.indexOf(text);
+          content += `${sentence}\n`;
+          return { ...date, text, offset };
+        });
+
+        const found = BDLawExtractor.extractDates(content);
+        return found.length === expected.length && found.every((date, k) =>
+          date.raw_text === expected[k].text &&
+          date.offset === expected[k].offset &&
+          content.startsWith(date.raw_text, date.offset) &&
+          date.role === expected[k].role &&
+          date.calendar === 'gregorian' &&
+          date.iso_date === `${expected[k].year}-${pad(expected[k].month)}-${pad(expected[k].day)}`);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should map বঙ্গাব্দ dates only when asked', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1300, max: 1440 }), fc.integer({ min: 1, max: 12 }), fc.integer({ min: 1, max: 30 }),
+        (year, month, day) => {
+          const text = `${toBengaliNumeral(day)} ${BDLawExtractor.DATE_MONTH_NAMES.bangla[month - 1][0]}, ${toBengaliNumeral(year)} বঙ্গাব্দ`;
+          const [plain] = BDLawExtractor.extractDates(text);
+          const [mapped] = BDLawExtractor.extractDates(text, { convertBanglaCalendar: true });
+          const newYear = Date.UTC(year + 593, 3, 14);
+          const elapsed = (Date.parse(mapped.iso_date) - newYear) / 86400000;
+
+          return plain.raw_text === text && plain.calendar === 'bangla' && plain.iso_date === null &&
+            mapped.iso_date === BDLawExtractor.banglaToGregorian(year, month, day) &&
+            elapsed >= 0 && elapsed < 366 &&
+            (month === 1 ? elapsed === day - 1 : elapsed >= 31 * (month - 1) - (month > 6 ? month - 6 : 0));
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should read the forms found on bdlaws pages', () => {
+    const content = '[ ২৩ জানুয়ারী, ১৯৯০ ]\n২০ ফেব্রুয়ারী, ১৯৯০ (৮ ফাল্গুন, ১৩৯৬) তারিখে রাষ্ট্রপতির সম্মতি লাভ করিয়াছে৷ ' +
+      'এই আইন ১লা জুলাই, ২০০৯ তারিখে কার্যকর হইবে৷ [23rd January, 1990] ৩১শে ফেব্রুয়ারি, ২০০১';
+    expect(BDLawExtractor.extractDates(content, { convertBanglaCalendar: true })
+      .map(d => [d.role, d.raw_text, d.iso_date, d.calendar])).toEqual([
+      ['header', '২৩ জানুয়ারী, ১৯৯০', '1990-01-23', 'gregorian'],
+      ['assent', '২০ ফেব্রুয়ারী, ১৯৯০', '1990-02-20', 'gregorian'],
+      ['assent', '৮ ফাল্গুন, ১৩৯৬', '1990-02-20', 'bangla'],
+      ['commencement', '১লা জুলাই, ২০০৯', '2009-07-01', 'gregorian'],
+      ['header', '23rd January, 1990', '1990-01-23', 'gregorian'],
+      ['other', '৩১শে ফেব্রুয়ারি, ২০০১', null, 'gregorian']
+    ]);
+    expect(BDLawExtractor.banglaToGregorian(1397, 1, 1)).toBe('1990-04-14');
+    expect(BDLawExtractor.extractDates('')).toEqual([]);
+    expect(BDLawExtractor.extractDates('১৯৯০ সনের ৫ নং আইন')).toEqual([]);
+    expect(BDLawExtractor.extractDates('to our dismay 5, 2000 passed')).toEqual([]);
+    expect(BDLawExtractor.extractDates('সময়মে ৫, ২০০০')).toEqual([]);
+    expect(BDLawExtractor.extractDates('on May 5, 2000').map(d => d.iso_date)).toEqual(['2000-05-05']);
+  });
+
+  it('should read year-first Bengali dates', () => {
+    // 1000.json and 1010.json
+    const content = '২০০৭ সালের ৩০ জুন তারিখে সমাপ্ত বৎসর; ২০০৭ সালের ৩০শে জুন; ২০০৮ সনের ১ জুলাই হইতে; ' +
+      '১৮৮৩ সালের ২০শে মার্চের আইন';
+    expect(BDLawExtractor.extractDates(content).map(d => [d.raw_text, d.iso_date, d.offset])).toEqual([
+      ['২০০৭ সালের ৩০ জুন', '2007-06-30', 0],
+      ['২০০৭ সালের ৩০শে জুন', '2007-06-30', content.indexOf('২০০৭ সালের ৩০শে')],
+      ['২০০৮ সনের ১ জুলাই', '2008-07-01', content.indexOf('২০০৮')],
+      ['১৮৮৩ সালের ২০শে মার্চের', '1883-03-20', content.indexOf('১৮৮৩')]
+    ]);
+    expect(BDLawExtractor.extractDates('২০০০ সালের ৫ মেয়াদ')).toEqual([]);
+    expect(BDLawExtractor.extractDates('১২০০০ সালের ৫ জুন')).toEqual([]);
+  });
+
+  it('should derive act years and the act date range in the manifest', () => {
+    fc.assert(
+      fc.property(fc.array(fc.tuple(dateArb, fc.boolean()), { minLength: 1, maxLength: 8 }), (acts) => {
+        let manifest = BDLawCorpusManifest.createEmptyManifest();
+        const years = {};
+        const isoDates = [];
+        acts.forEach(([date, dated], i) => {
+          const iso = `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+          const content = dated ? ROLE_SENTENCES.header(dateText(date)) : 'কোনো তারিখ নেই';
+          manifest = BDLawCorpusManifest.updateCorpusManifest(manifest, {
+            internal_id: String(i + 1),
+            title: `নমুনা আইন, ${toBengaliNumeral(date.year)}`,
+            content,
+            dates: BDLawExtractor.extractDates(content)
+          });
+          years[date.year] = (years[date.year] || 0) + 1;
+          if (dated) isoDates.push(iso);
+          const entry = manifest.acts[String(i + 1)];
+          if (entry.act_year !== date.year || entry.act_year_source !== (dated ? 'header' : 'title')) {
+            throw new Error(`unexpected act year for ${JSON.stringify(entry)}`);
+          }
+        });
+        isoDates.sort();
+        const stats = manifest.corpus_stats;
+
+        return JSON.stringify(stats.act_year_distribution) === JSON.stringify(
+          Object.fromEntries(Object.keys(years).sort().map(y => [y, years[y]]))) &&
+          stats.act_date_range.earliest === (isoDates[0] || null) &&
+          stats.act_date_range.latest === (isoDates[isoDates.length - 1] || null);
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
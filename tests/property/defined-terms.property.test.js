@@ -0,0 +1,167 @@
+/**
+ * Property-Based Tests for Definition Sections and the Term Glossary
+ *
+ * Feature: legal-structure-derivation, Property 17: Defined Term Extraction
+ *
+ * For any definition section whose clauses open with quoted terms,
+ * extractDefinedTerms SHALL return each term, its clause marker and its
+ * definition verbatim at their offsets in content_raw, each definition ending
+ * before the next defining clause. Sections with other headings SHALL yield no
+ * terms. The glossary SHALL list every definition of a term across acts.
+ */
+
+const fc = require('fast-check');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+const BDLawExport = require('../../bdlaw-export.js');
+
+describe('Property 17: Defined Term Extraction', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const DANDA = '৷';
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  const BENGALI_MARKERS = ['ক', 'খ', 'গ', 'ঘ', 'ঙ', 'চ'];
+  const ENGLISH_MARKERS = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+  const TERMS = ['আদালত', 'কমিশন', 'সরকার', 'বোর্ড', 'Court', 'person', 'prescribed'];
+  const DEFINITIONS = ['জেলা জজ আদালত', 'ধারা ৩ এর অধীন গঠিত কমিশন', 'the District Court', 'a company (i) registered or (ii) not'];
+
+  const clauseArb = fc.record({
+    terms: fc.array(fc.constantFrom(...TERMS), { minLength: 1, maxLength: 2 }),
+    quote: fc.constantFrom(['"', '"'], ['“', '”']),
+    verb: fc.constantFrom('অর্থ', 'অর্থে', 'বলিতে', 'means', 'includes'),
+    definition: fc.constantFrom(...DEFINITIONS)
+  });
+
+  const actArb = fc.record({
+    script: fc.constantFrom('bengali', 'english'),
+    heading: fc.constantFrom('সংজ্ঞা', 'Definitions', 'Interpretation'),
+    clauses: fc.array(clauseArb, { minLength: 1, maxLength: 6 })
+  });
+
+  function buildAct({ script, heading, clauses }) {
+    const markers = script === 'bengali' ? BENGALI_MARKERS : ENGLISH_MARKERS;
+    let content = 'নমুনা আইন\nপ্রারম্ভ ১৷ এই আইন "নমুনা" নামে অভিহিত হইবে৷\n';
+    content += `${heading} ${toBengaliNumeral(2)}${DANDA} এই আইনে,-\n`;
+    const expected = [];
+    clauses.forEach((clause, i) => {
+      const marker = `(${markers[i]})`;
+      const clauseOffset = content.length;
+      content += `${marker} `;
+      const terms = clause.terms.map((term, k) => {
+        if (k > 0) content += script === 'bengali' ? ' বা ' : ' or ';
+        content += clause.quote[0];
+        const termOffset = content.length;
+        content += term + clause.quote[1];
+        return { term, termOffset };
+      });
+      content += ` ${clause.verb} `;
+      const definitionStart = content.length;
+      content += clause.definition;
+      terms.forEach(({ term, termOffset }) => expected.push({
+        term, termOffset, marker, clauseOffset, verb: clause.verb,
+        definition: clause.definition, definitionStart
+      }));
+      content += i === clauses.length - 1 ? `${DANDA}\n` : ';\n';
+    });
+    content += `প্রতিষ্ঠা ${toBengaliNumeral(3)}${DANDA} "অন্য" অর্থ কিছু৷\n`;
+
+    const sections = [
+      { dom_index: 0, section_number: `১${DANDA}`, heading: 'প্রারম্ভ', subsections: [], clauses: [] },
+      { dom_index: 1, section_number: `২${DANDA}`, heading, subsections: [], clauses: [] },
+      { dom_index: 2, section_number: `৩${DANDA}`, heading: 'প্রতিষ্ঠা', subsections: [], clauses: [] }
+    ];
+    const structure = BDLawExtractor.buildStructureTree({ preamble: null, enactment: null, sections, contentRaw: content });
+    return { content, structure, expected };
+  }
+
+  it('should anchor each term, clause marker and definition in content_raw', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const { content, structure, expected } = buildAct(act);
+        const terms = BDLawExtractor.extractDefinedTerms(content, structure);
+
+        return terms.length === expected.length && terms.every((entry, k) => {
+          const want = expected[k];
+          return entry.term === want.term &&
+            entry.term_offset === want.termOffset &&
+            entry.clause_marker === want.marker &&
+            entry.clause_offset === want.clauseOffset &&
+            entry.definition_verb === want.verb &&
+            entry.definition_text === want.definition &&
+            entry.definition_start === want.definitionStart &&
+            content.slice(entry.definition_start, entry.definition_end) === entry.definition_text &&
+            entry.section_number === `২${DANDA}` &&
+            entry.dom_section_index === 1;
+        });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should list every definition of a term across acts in the glossary', () => {
+    fc.assert(
+      fc.property(fc.array(actArb, { minLength: 1, maxLength: 4 }), (acts) => {
+        const rows = acts.flatMap((act, i) => {
+          const { content, structure } = buildAct(act);
+          return BDLawExport.buildGlossaryRows({
+            identifiers: { internal_id: String(i + 1) },
+            title_raw: `আইন ${i + 1}`,
+            defined_terms: BDLawExtractor.extractDefinedTerms(content, structure)
+          });
+        });
+        const glossary = BDLawExport.formatGlossary(rows, { generatedAt: '2026-01-01T00:00:00.000Z' });
+        const csv = BDLawExport.formatDelimitedTable(BDLawExport.GLOSSARY_TABLE_COLUMNS, rows);
+        const parsed = BDLawExport.parseDelimited(csv);
+
+        return glossary.total_definitions === rows.length &&
+          glossary.total_terms === new Set(rows.map(r => r.normalized_term)).size &&
+          glossary.terms.every(entry => entry.definitions.length ===
+            rows.filter(r => r.normalized_term === entry.normalized_term).length) &&
+          parsed.length === rows.length + 1 &&
+          parsed[0].join(',') === BDLawExport.GLOSSARY_TABLE_COLUMNS.join(',');
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should read অর্থে as the whole verb', () => {
+    // 1010.json: the definition must not start with the vowel sign ে
+    const content = 'আইন\nসংজ্ঞা ২৷ এই আইনে,-\n(১০) "নাম" অর্থে নামের যে কোন সংক্ষিপ্তরূপ বা আদ্যক্ষর অন্তর্ভুক্ত হইবে;\n' +
+      '(১১) "নিবন্ধক" অর্থ এই আইনের ধারা ৩ এ উল্লিখিত মহাপরিচালক;\n';
+    const structure = BDLawExtractor.buildStructureTree({
+      preamble: null,
+      enactment: null,
+      sections: [{ dom_index: 0, section_number: '২৷', heading: 'সংজ্ঞা', subsections: [], clauses: [] }],
+      contentRaw: content
+    });
+    const terms = BDLawExtractor.extractDefinedTerms(content, structure);
+    expect(terms.map(t => [t.term, t.definition_verb, t.definition_text])).toEqual([
+      ['নাম', 'অর্থে', 'নামের যে কোন সংক্ষিপ্তরূপ বা আদ্যক্ষর অন্তর্ভুক্ত হইবে'],
+      ['নিবন্ধক', 'অর্থ', 'এই আইনের ধারা ৩ এ উল্লিখিত মহাপরিচালক']
+    ]);
+    // A Bengali word that merely starts with a verb is not one
+    const prefixed = content.replace('অর্থে নামের', 'অর্থনীতি নামের');
+    expect(BDLawExtractor.extractDefinedTerms(prefixed, structure)[0].definition_verb).toBeNull();
+  });
+
+  it('should skip sections that are not definition sections', () => {
+    const content = 'আইন\nপ্রারম্ভ ১৷ (ক) "নমুনা" অর্থ কিছু৷\n';
+    const structure = BDLawExtractor.buildStructureTree({
+      preamble: null,
+      enactment: null,
+      sections: [{ dom_index: 0, section_number: '১৷', heading: 'প্রারম্ভ', subsections: [], clauses: [] }],
+      contentRaw: content
+    });
+    expect(BDLawExtractor.extractDefinedTerms(content, structure)).toEqual([]);
+    expect(BDLawExtractor.extractDefinedTerms(content, null)).toEqual([]);
+  });
+
+  it('should group spellings of a term under one glossary entry', () => {
+    const glossary = BDLawExport.formatGlossary([
+      { term: 'Court', normalized_term: BDLawExport.normalizeGlossaryTerm('Court'), internal_id: '2', term_offset: 5 },
+      { term: 'court', normalized_term: BDLawExport.normalizeGlossaryTerm(' court '), internal_id: '10', term_offset: 9 }
+    ]);
+    expect(glossary.terms).toHaveLength(1);
+    expect(glossary.terms[0].spellings).toEqual(['Court', 'court']);
+    expect(glossary.terms[0].definitions.map(d => d.internal_id)).toEqual(['2', '10']);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Property-Based Tests for Delta Export
+ *
+ * Feature: corpus-export-formats, Property 5: Delta Application
+ *
+ * For any base snapshot and current corpus state, applying the delta manifest
+ * built against the base SHALL reproduce the current internal_id →
+ * content_raw_sha256 map exactly, listing only added, changed and removed
+ * acts, and every recorded snapshot SHALL be retrievable by its export id.
+ */
+
+const fc = require('fast-check');
+const BDLawExport = require('../../bdlaw-export.js');
+const { ExportCheckpointManager } = require('../../bdlaw-storage.js');
+
+describe('Property 5: Delta Application', () => {
+  const idArb = fc.integer({ min: 1, max: 60 }).map(String);
+  const hashArb = fc.constantFrom('a'.repeat(64), 'b'.repeat(64), 'c'.repeat(64), null);
+  const mapArb = fc.dictionary(idArb, hashArb, { maxKeys: 30 });
+
+  const base = (acts) => ({ export_id: 'export-base', name: 'base.zip', created_at: '2026-01-01T00:00:00.000Z', acts });
+
+  it('should reproduce the current state when the delta is applied to the base', () => {
+    fc.assert(
+      fc.property(mapArb, mapArb, (baseActs, currentActs) => {
+        const delta = BDLawExport.computeExportDelta(baseActs, currentActs);
+        const manifest = BDLawExport.formatDeltaManifest({
+          exportId: 'export-delta',
+          base: base(baseActs),
+          currentActs,
+          delta
+        });
+        const sorted = (acts) => JSON.stringify(Object.entries(acts).sort(([a], [b]) => a.localeCompare(b)));
+        return sorted(BDLawExport.applyExportDelta(baseActs, manifest)) === sorted(currentActs);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should partition every act into exactly one change class', () => {
+    fc.assert(
+      fc.property(mapArb, mapArb, (baseActs, currentActs) => {
+        const delta = BDLawExport.computeExportDelta(baseActs, currentActs);
+        const all = [...delta.added, ...delta.changed, ...delta.unchanged, ...delta.removed];
+        const expected = new Set([...Object.keys(baseActs), ...Object.keys(currentActs)]);
+        return all.length === expected.size && all.every(id => expected.has(id));
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should list only acts that differ from the base and never unchanged ones', () => {
+    fc.assert(
+      fc.property(mapArb, mapArb, (baseActs, currentActs) => {
+        const delta = BDLawExport.computeExportDelta(baseActs, currentActs);
+        const manifest = BDLawExport.formatDeltaManifest({ exportId: 'x', base: base(baseActs), currentActs, delta });
+        return manifest.changes.every(change => !delta.unchanged.includes(change.internal_id)) &&
+          delta.unchanged.every(id => currentActs[id] && currentActs[id] === baseActs[id]) &&
+          manifest.base_export_id === 'export-base' &&
+          manifest.counts.removed === delta.removed.length;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should treat acts without a current hash as changed', () => {
+    const delta = BDLawExport.computeExportDelta({ '1': null }, { '1': null });
+    expect(delta.changed).toEqual(['1']);
+  });
+
+  it('should write tombstones that point at the removed act file', () => {
+    const tombstone = BDLawExport.formatTombstone('42', 'a'.repeat(64), 'export-base');
+    expect(tombstone).toEqual({
+      identifiers: { internal_id: '42' },
+      removed: true,
+      previous_content_raw_sha256: 'a'.repeat(64),
+      base_export_id: 'export-base',
+      removed_path: 'acts/42.json'
+    });
+    expect(BDLawExport.getTombstonePath('42')).toBe('tombstones/42.json');
+  });
+
+  it('should reject manifests that are not delta manifests', () => {
+    expect(() => BDLawExport.applyExportDelta({}, { format: 'bdlaw-corpus-zip' })).toThrow();
+  });
+
+  describe('ExportCheckpointManager snapshots', () => {
+    beforeEach(() => {
+      ExportCheckpointManager.clearCache();
+    });
+
+    afterEach(() => {
+      ExportCheckpointManager.clearCache();
+    });
+
+    it('should return recorded snapshots by export id, newest first, capped at MAX_SNAPSHOTS', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(mapArb, { minLength: 1, maxLength: 25 }), async (maps) => {
+          ExportCheckpointManager.clearCache();
+          for (const [i, acts] of maps.entries()) {
+            await ExportCheckpointManager.recordExportSnapshot({
+              exportId: `export-${i}`,
+              name: `export ${i}`,
+              exportType: 'corpus_zip',
+              acts
+            });
+          }
+
+          const listed = await ExportCheckpointManager.listExportSnapshots();
+          const kept = maps.slice(-ExportCheckpointManager.MAX_SNAPSHOTS);
+          const latest = await ExportCheckpointManager.getExportSnapshot(`export-${maps.length - 1}`);
+
+          return listed.length === kept.length &&
+            listed[0].export_id === `export-${maps.length - 1}` &&
+            listed.every(summary => summary.acts === undefined) &&
+            JSON.stringify(latest.acts) === JSON.stringify(maps[maps.length - 1]) &&
+            latest.act_count === Object.keys(maps[maps.length - 1]).length &&
+            (maps.length <= ExportCheckpointManager.MAX_SNAPSHOTS || (await ExportCheckpointManager.getExportSnapshot('export-0')) === null);
+        }),
+        { numRuns: 30 }
+      );
+    });
+
+    it('should generate distinct export ids', () => {
+      const ids = new Set(Array.from({ length: 50 }, () => ExportCheckpointManager.generateExportId('2026-01-01T00:00:00Z')));
+      expect(ids.size).toBe(50);
+      expect([...ids][0]).toMatch(/^export-20260101T000000000Z-[0-9a-f]{8}$/);
+    });
+  });
+});
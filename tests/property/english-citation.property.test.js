@@ -4,7 +4,7 @@
  * Feature: cross-reference-extraction, Property 1: English Citation Pattern Detection
  * Validates: Requirements 1.1, 1.2, 1.3, 1.4
  * 
- * For any text containing a valid English citation pattern (Act/Ordinance [Roman/Arabic] of [Year]),
+ * For any text containing a valid English citation pattern (Act/Ordinance [No.] [Roman/Arabic] of [Year]),
  * the detector SHALL find and return that citation with correct year and serial components extracted.
  */
 
@@ -75,6 +75,58 @@ describe('Property 1: English Citation Pattern Detection', () => {
     );
   });
 
+  /**
+   * Property: Numbered English citations (Act/Ordinance No. [Serial] of [Year]) SHALL be detected
+   */
+  it('should detect numbered English Act citations with correct components', () => {
+    fc.assert(
+      fc.property(
+        serialGen,
+        yearGen,
+        fc.constantFrom('Act', 'Ordinance'),
+        fc.constantFrom('No. ', 'No.', 'No '),
+        (serial, year, type, no) => {
+          const citation = `${type} ${no}${serial} of ${year}`;
+          const text = `This is governed by ${citation} which provides...`;
+
+          const refs = BDLawExtractor.detectCrossReferences(text);
+
+          return refs.length === 1 &&
+                 refs[0].citation_text === citation &&
+                 refs[0].pattern_type === 'ENGLISH_ACT_NUMBERED' &&
+                 refs[0].position === text.indexOf(citation) &&
+                 refs[0].citation_year === year &&
+                 refs[0].citation_serial === serial &&
+                 refs[0].script === 'english';
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Numbered citations inside act titles and amendment notes, which no other
+   * pattern reads
+   */
+  it('should pin the numbered citation matches in titles and notes', () => {
+    const summarize = (text) => BDLawExtractor.detectCrossReferences(text)
+      .map(r => [r.citation_text, r.pattern_type, r.citation_serial, r.citation_year, r.position]);
+
+    expect(summarize('as amended by Act No. XL of 1992 and Ordinance No. 5 of 1985.')).toEqual([
+      ['Act No. XL of 1992', 'ENGLISH_ACT_NUMBERED', 'XL', '1992', 14],
+      ['Ordinance No. 5 of 1985', 'ENGLISH_ACT_NUMBERED', '5', '1985', 37]
+    ]);
+    expect(summarize('The Code (Amendment) Act, 1992 (Act No. XL of 1992)')).toEqual([
+      ['Act No. XL of 1992', 'ENGLISH_ACT_NUMBERED', 'XL', '1992', 32]
+    ]);
+    expect(summarize('Act XL of 1992 and Act No XL of 1992')).toEqual([
+      ['Act XL of 1992', 'ENGLISH_ACT_SHORT', 'XL', '1992', 0],
+      ['Act No XL of 1992', 'ENGLISH_ACT_NUMBERED', 'XL', '1992', 19]
+    ]);
+    expect(summarize('P.O. No. 5 of 1972')).toEqual([['P.O. No. 5 of 1972', 'PRESIDENTS_ORDER', '5', '1972', 0]]);
+    expect(summarize('Act No. 12345')).toEqual([]);
+  });
+
   /**
    * Property: Full English citations ([Name] Act, [Year] ([Serial] of [Year])) SHALL be detected
    */
@@ -0,0 +1,131 @@
+/**
+ * Property-Based Tests for Instrument Classification
+ *
+ * Feature: legal-integrity-enhancement, Property 16: Instrument Classification
+ *
+ * For any act title naming an Act, Ordinance, President's Order or Regulation
+ * in English or Bengali, classifyInstrument SHALL assign the instrument type of
+ * its citation (or of the title without one, where a bare "Order" is the
+ * generic order), the regime period holding the
+ * act's date or whole year, and the language of enactment. The corpus manifest
+ * SHALL record the classification per act and the README SHALL aggregate it.
+ */
+
+const fc = require('fast-check');
+const BDLawCorpusManifest = require('../../bdlaw-corpus-manifest.js');
+const BDLawExport = require('../../bdlaw-export.js');
+
+describe('Property 16: Instrument Classification', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+
+  const INSTRUMENTS = {
+    act: { english: 'Act', bengali: 'আইন', citation: (serial, year) => `( ACT NO. ${serial} OF ${year} )` },
+    ordinance: { english: 'Ordinance', bengali: 'অধ্যাদেশ', citation: (serial, year) => `(Ordinance No. ${serial} of ${year})` },
+    presidents_order: { english: 'Order', bengali: 'আদেশ', citation: (serial, year) => `(President's Order No. ${serial} of ${year})` },
+    regulation: { english: 'Regulation', bengali: 'রেগুলেশন', citation: (serial, year) => `(Bengal Regulation ${serial} of ${year})` }
+  };
+
+  const titleArb = fc.record({
+    type: fc.constantFrom(...Object.keys(INSTRUMENTS)),
+    script: fc.constantFrom('english', 'bengali'),
+    name: fc.constantFrom('Land Revenue', 'Finance', 'Public Demands Recovery'),
+    amendment: fc.boolean(),
+    cited: fc.boolean(),
+    year: fc.integer({ min: 1793, max: 2025 }),
+    serial: fc.integer({ min: 1, max: 99 })
+  });
+
+  function titleText({ type, script, name, amendment, cited, year, serial }) {
+    const instrument = INSTRUMENTS[type];
+    if (script === 'bengali') {
+      return `${name}${amendment ? ' (সংশোধন)' : ''} ${instrument.bengali}, ${toBengaliNumeral(year)}`;
+    }
+    const citation = cited ? ` ${instrument.citation(serial, year)}` : '';
+    return `The ${name}${amendment ? ' (Amendment)' : ''} ${instrument.english}, ${year}${citation}`;
+  }
+
+  // "Order"/আদেশ alone is only the generic order; a President's Order needs its citation
+  function expectedType({ type, script, cited }) {
+    return type === 'presidents_order' && (script === 'bengali' || !cited) ? 'order' : type;
+  }
+
+  function expectedPeriod(year) {
+    if (year < 1947) return 'british_india';
+    if (year > 1947 && year < 1971) return 'pakistan';
+    if (year > 1971) return 'bangladesh';
+    return null;
+  }
+
+  it('should classify the instrument, regime period and language from the title year', () => {
+    fc.assert(
+      fc.property(titleArb, (title) => {
+        const text = titleText(title);
+        const classified = BDLawCorpusManifest.classifyInstrument(text, BDLawCorpusManifest.deriveActDate(null, text));
+        const language = title.year < 1987 ? 'english' : (title.year > 1987 ? 'bengali' : null);
+
+        return classified.instrument_type === expectedType(title) &&
+          text.includes(classified.instrument_type_marker) &&
+          classified.regime_period === expectedPeriod(title.year) &&
+          classified.language_of_enactment === language;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should settle boundary years from the act date', () => {
+    const classify = (date) => BDLawCorpusManifest.classifyInstrument('Act', { act_date: date, act_year: parseInt(date, 10) });
+    expect(classify('1947-08-13').regime_period).toBe('british_india');
+    expect(classify('1947-08-14').regime_period).toBe('pakistan');
+    expect(classify('1971-03-25').regime_period).toBe('pakistan');
+    expect(classify('1971-03-26').regime_period).toBe('bangladesh');
+    expect(classify('1987-03-07').language_of_enactment).toBe('english');
+    expect(classify('1987-03-08').language_of_enactment).toBe('bengali');
+    expect(BDLawCorpusManifest.classifyInstrument('', {})).toEqual({
+      instrument_type: null, instrument_type_marker: null, regime_period: null, language_of_enactment: null
+    });
+  });
+
+  it('should record the classification in the manifest, acts table and README', () => {
+    fc.assert(
+      fc.property(fc.array(titleArb, { minLength: 1, maxLength: 8 }), (titles) => {
+        let manifest = BDLawCorpusManifest.createEmptyManifest();
+        const counts = {};
+        titles.forEach((title, i) => {
+          manifest = BDLawCorpusManifest.updateCorpusManifest(manifest, { internal_id: String(i + 1), title: titleText(title), content: 'x' });
+          counts[expectedType(title)] = (counts[expectedType(title)] || 0) + 1;
+        });
+
+        const summary = BDLawCorpusManifest.summarizeInstruments(manifest);
+        const rows = BDLawExport.buildActTableRows(manifest);
+        const readme = BDLawCorpusManifest.generateCorpusReadme(manifest);
+
+        return JSON.stringify(Object.entries(summary.instrument_type).sort()) === JSON.stringify(Object.entries(counts).sort()) &&
+          rows.every(row => row.instrument_type === manifest.acts[row.internal_id].instrument_type) &&
+          Object.entries(counts).every(([type, count]) => readme.includes(`| ${type} | ${count} |`));
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should name a President\'s Order only from "President\'s Order", "P.O." or রাষ্ট্রপতির আদেশ', () => {
+    const type = (title) => BDLawCorpusManifest.classifyInstrument(title).instrument_type;
+    expect(type("The Bangladesh Bank Order, 1972 (President's Order No. 127 of 1972)")).toBe('presidents_order');
+    expect(type('The Bangladesh Bank Order, 1972 (P.O. No. 127 of 1972)')).toBe('presidents_order');
+    expect(type('বাংলাদেশ ব্যাংক আদেশ, ১৯৭২ ( ১৯৭২ সনের রাষ্ট্রপতির আদেশ নং ১২৭ )')).toBe('presidents_order');
+    expect(type('The Bangladesh Bank Order, 1972')).toBe('order');
+    expect(type('The Supreme Court (High Court Division) Rules and Orders')).toBe('order');
+    expect(type('The Court Fees (Amendment) Order, 1975')).toBe('order');
+    expect(type('The Finance Ordinance, 1985 (Ordinance No. 5 of 1985)')).toBe('ordinance');
+  });
+
+  it('should classify manifest entries recorded before classification from their titles', () => {
+    const manifest = BDLawCorpusManifest.createEmptyManifest();
+    manifest.acts['1'] = { internal_id: '1', title: 'আয়কর অধ্যাদেশ, ১৯৮৪' };
+    expect(BDLawCorpusManifest.summarizeInstruments(manifest)).toEqual({
+      instrument_type: { ordinance: 1 },
+      regime_period: { bangladesh: 1 },
+      language_of_enactment: { english: 1 }
+    });
+  });
+});
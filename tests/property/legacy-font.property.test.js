@@ -0,0 +1,161 @@
+/**
+ * Property-Based Tests for Legacy Font Detection and Conversion
+ *
+ * Feature: legal-integrity-enhancement, Property 21: Legacy Font Conversion
+ *
+ * For any run of Bengali words typed in the Bijoy layout (SutonnyMJ and
+ * relatives), detectLegacyFontSpans SHALL find exactly that run, conversion
+ * SHALL give the Unicode spelling of every word, and cleanContent SHALL log
+ * it as a high-risk legacy_font_conversion carrying the original span when
+ * the conversion is opted into. English text, quote mojibake included, SHALL
+ * yield no spans and keep its language and quality flags.
+ */
+
+const fc = require('fast-check');
+const BDLawLegacyFont = require('../../bdlaw-legacy-font.js');
+const BDLawQuality = require('../../bdlaw-quality.js');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+
+describe('Property 21: Legacy Font Conversion', () => {
+  // Bijoy spellings carrying a core glyph (ে ৈ র্ ্য ্র) and their Unicode forms
+  const STRONG_WORDS = {
+    'evsjv‡`k': 'বাংলাদেশ',
+    'cÖRvZš¿x': 'প্রজাতন্ত্রী',
+    'Kg©KZ©v': 'কর্মকর্তা',
+    'msm‡`': 'সংসদে',
+    'Dc‡Rjv': 'উপজেলা',
+    'e¨e¯’v': 'ব্যবস্থা',
+    'ˆea': 'বৈধ',
+    '‡KvU©': 'কোর্ট',
+    'nB‡e': 'হইবে',
+    'Aa¨v‡`k': 'অধ্যাদেশ',
+    'ms‡kvab': 'সংশোধন',
+    'Kvh©µg': 'কার্যক্রম'
+  };
+  // Plain ASCII Bijoy spellings, shaped like Bijoy but not proof of it alone
+  const WEAK_WORDS = {
+    'miKvi': 'সরকার',
+    'AvBb': 'আইন',
+    'aviv': 'ধারা',
+    'Av`vjZ': 'আদালত',
+    'wePvi': 'বিচার',
+    'RvZxq': 'জাতীয়',
+    'Rwigvbv': 'জরিমানা',
+    'mwPe': 'সচিব',
+    'Kiv': 'করা'
+  };
+  const WORDS = { ...STRONG_WORDS, ...WEAK_WORDS };
+
+  const ENGLISH_WORDS = ['The', 'Government', 'of', 'Bangladesh', 'Act', 'section', 'shall', 'vivid',
+    'café', 'naïve', 'résumé', '“Act”', 'Court—', 'iPhone', 'McDonald', '(a)', '1972', '§5', '©'];
+
+  const bijoyRunArb = fc.tuple(
+    fc.constantFrom(...Object.keys(STRONG_WORDS)),
+    fc.array(fc.constantFrom(...Object.keys(WORDS)), { minLength: 1, maxLength: 8 }),
+    fc.nat()
+  ).map(([strong, others, at]) => {
+    const words = [...others];
+    words.splice(at % (others.length + 1), 0, strong);
+    return words;
+  });
+
+  const englishArb = fc.array(fc.constantFrom(...ENGLISH_WORDS), { minLength: 1, maxLength: 15 })
+    .map(words => words.join(' '));
+
+  it('should find and convert every Bijoy run between Unicode and English lines', () => {
+    fc.assert(
+      fc.property(bijoyRunArb, fc.constantFrom('', '১। ধারা ৫ ', 'প্রথম তফসিল\n'), englishArb, (words, prefix, english) => {
+        const bijoy = words.join(' ') + '|';
+        const unicode = words.map(word => WORDS[word]).join(' ') + '।';
+        const raw = `${prefix}${bijoy}\n${english}`;
+
+        const spans = BDLawLegacyFont.detectLegacyFontSpans(raw);
+        const result = BDLawQuality.cleanContent(raw, {
+          applyLegacyFontConversion: true,
+          applyFormatting: false,
+          skipNumericRegionDetection: true,
+          skipProtectedSectionDetection: true
+        });
+        const [conversion] = result.transformations;
+
+        return spans.length === 1 &&
+          spans[0].start === prefix.length &&
+          spans[0].text === bijoy &&
+          spans[0].font === 'bijoy' &&
+          BDLawLegacyFont.convertBijoyToUnicode(bijoy) === unicode.normalize('NFC') &&
+          result.original === raw &&
+          result.cleaned.startsWith(`${prefix}${unicode.normalize('NFC')}\n`) &&
+          result.transformations.filter(t => t.type === 'legacy_font_conversion').length === 1 &&
+          conversion.type === 'legacy_font_conversion' &&
+          conversion.risk_level === 'high-risk' &&
+          conversion.applied === true &&
+          conversion.original === bijoy &&
+          raw.startsWith(conversion.original, conversion.position);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should find no legacy font text in English', () => {
+    fc.assert(
+      fc.property(fc.array(englishArb, { minLength: 1, maxLength: 4 }), (lines) => {
+        const content = lines.join('\n');
+        const quality = BDLawQuality.validateContentQuality(content);
+        return BDLawLegacyFont.detectLegacyFontSpans(content).length === 0 &&
+          BDLawExtractor.detectContentLanguage(content) === 'english' &&
+          !quality.flags.includes('encoding_legacy_font') &&
+          BDLawQuality.cleanContent(content, { applyFormatting: false, applyLegacyFontConversion: true })
+            .transformations.every(t => t.type !== 'legacy_font_conversion');
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should count legacy font text as Bengali and flag it in data_quality', () => {
+    const raw = 'æevsjv‡`k miKvi AvBb cÖYqb Kwij|\nThe æActæ';
+    expect(BDLawExtractor.detectContentLanguage('evsjv‡`k miKvi GB AvBb')).toBe('bengali');
+    expect(BDLawExtractor.calculateLanguageDistribution(raw).bn_ratio).toBeGreaterThan(0.5);
+    expect(BDLawExtractor.calculateLanguageDistribution('The æActæ')).toEqual({ bn_ratio: 0, en_ratio: 1 });
+
+    const quality = BDLawQuality.validateContentQuality(raw);
+    expect(quality.flags).toEqual(['encoding_legacy_font', 'encoding_error']);
+    expect(quality.issues).toHaveLength(3);
+    expect(quality.risks).toEqual(['encoding_ambiguity']);
+    expect(quality.completeness).toBe('complete');
+    expect(quality.safe_for_ml_training).toBe(false);
+    expect(BDLawQuality.determineCompleteness(['encoding_legacy_font'], [])).toBe('complete');
+
+    // The æ inside the span is a Bijoy quote, converted before encoding repairs run
+    const result = BDLawQuality.cleanContent(raw, { applyFormatting: false, applyLegacyFontConversion: true });
+    expect(result.cleaned).toBe('“বাংলাদেশ সরকার আইন প্রণয়ন করিল।\nThe "Act"');
+    expect(result.transformations.map(t => [t.type, t.count])).toEqual([['legacy_font_conversion', 1], ['encoding_repair', 2]]);
+    expect(BDLawQuality.cleanContent(raw, { applyFormatting: false, applyLegacyFontConversion: true, dryRun: true }).cleaned)
+      .toBe(raw);
+    // Conversion is opt-in
+    expect(BDLawQuality.cleanContent(raw, { applyFormatting: false }).cleaned)
+      .toBe('"evsjv‡`k miKvi AvBb cÖYqb Kwij|\nThe "Act"');
+  });
+
+  it('should ignore quote mojibake and the v in English words', () => {
+    // 626.json: UTF-8 curly quotes read as CP850 around an English phrase
+    expect(BDLawLegacyFont.detectLegacyFontSpans('ÔÇ£seventy‑five per centÔÇØ')).toEqual([]);
+    expect(BDLawLegacyFont.detectLegacyFontSpans('the â€œfive hundred rupeesâ€\u009d fine')).toEqual([]);
+    expect(BDLawLegacyFont._classifyToken('ÔÇ£seventy‑five')).toBe('neutral');
+    expect(BDLawLegacyFont._isPlainWord('Provided,')).toBe(true);
+    expect(BDLawLegacyFont._isPlainWord('aviv')).toBe(false);
+    expect(BDLawLegacyFont.detectLegacyFontSpans('evsjv‡`k miKvi')).toHaveLength(1);
+  });
+
+  it('should log legacy font conversion as applied but high-risk', () => {
+    const log = [];
+    const applied = BDLawExtractor.logTransformation(log, {
+      transformation_type: 'legacy_font_conversion',
+      original: 'miKvi',
+      corrected: 'সরকার',
+      position: 0
+    });
+    expect(applied).toBe(true);
+    expect(log[0].risk_level).toBe('high-risk');
+    expect(BDLawExtractor.isTransformationSafe('legacy_font_conversion')).toBe(false);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Property-Based Tests for Penalty Extraction
+ *
+ * Feature: legal-integrity-enhancement, Property 17: Penalty Extraction
+ *
+ * For any penalty clause naming imprisonment terms and fines in Bengali or
+ * English, with Bengali or Arabic digits or English number words,
+ * extractPenalties SHALL return each sanction verbatim at its offset in
+ * content_raw with its type, numeric amount or duration, bound and host
+ * section. The penalties table SHALL have one row per sanction.
+ */
+
+const fc = require('fast-check');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+const BDLawExport = require('../../bdlaw-export.js');
+
+describe('Property 17: Penalty Extraction', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const DANDA = '৷';
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  const groupThousands = (num) => String(num).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+
+  const clauseArb = fc.record({
+    script: fc.constantFrom('bengali', 'english'),
+    digits: fc.constantFrom('bengali', 'arabic'),
+    years: fc.option(fc.integer({ min: 1, max: 14 }), { nil: null }),
+    taka: fc.option(fc.integer({ min: 1, max: 500 }).map(n => n * 1000), { nil: null }),
+    bound: fc.constantFrom('maximum', 'minimum')
+  }).filter(clause => clause.years !== null || clause.taka !== null);
+
+  // Builds the clause and returns it with the sanctions it names, their
+  // offsets relative to the clause
+  function buildClause({ script, digits, years, taka, bound }) {
+    const number = (num) => digits === 'bengali' ? toBengaliNumeral(num) : String(num);
+    const sanctions = [];
+    let text;
+    const add = (part, sanction) => {
+      sanctions.push({ ...sanction, raw_text: part, offset: text.length });
+      text += part;
+    };
+
+    if (script === 'bengali') {
+      const word = bound === 'maximum' ? 'অনধিক' : 'অন্যূন';
+      text = 'কোন ব্যক্তি এই ধারা লংঘন করিলে তিনি ';
+      if (years !== null) {
+        text += `${word} `;
+        add(`${number(years)} বৎসর`, { type: 'imprisonment', duration_value: years, duration_unit: 'year' });
+        text += ' কারাদণ্ড';
+      }
+      if (taka !== null) {
+        text += `${years !== null ? ' বা ' : ''}${word} `;
+        add(`${number(groupThousands(taka))} টাকা`, { type: 'fine', amount: taka });
+        text += ' অর্থদণ্ড';
+      }
+      text += ` দণ্ডে দণ্ডনীয় হইবেন${DANDA}`;
+    } else {
+      const words = bound === 'maximum' ? 'which may extend to' : 'not less than';
+      text = 'Whoever contravenes this section shall be punishable with ';
+      if (years !== null) {
+        text += `imprisonment for a term ${words} `;
+        add(`${number(years)} years`, { type: 'imprisonment', duration_value: years, duration_unit: 'year' });
+      }
+      if (taka !== null) {
+        text += `${years !== null ? ', or with ' : ''}fine ${words} `;
+        add(`Taka ${number(groupThousands(taka))}`, { type: 'fine', amount: taka });
+      }
+      text += ', or with both.';
+    }
+    return { text, sanctions: sanctions.map(s => ({ ...s, bound })) };
+  }
+
+  function buildAct(clauses) {
+    let content = 'নমুনা আইন\n';
+    const sections = [];
+    const expected = [];
+    clauses.forEach((clause, i) => {
+      const heading = `শিরোনাম${toBengaliNumeral(i + 1)}`;
+      const sectionNumber = `${toBengaliNumeral(i + 1)}${DANDA}`;
+      content += `${heading} ${sectionNumber} `;
+      const { text, sanctions } = buildClause(clause);
+      expected.push({
+        offset: content.length,
+        text,
+        section_number: sectionNumber,
+        dom_section_index: i,
+        sanctions: sanctions.map(s => ({ ...s, offset: content.length + s.offset }))
+      });
+      content += `${text}\n`;
+      sections.push({ dom_index: i, section_number: sectionNumber, heading, subsections: [], clauses: [] });
+    });
+    content += `অন্যান্য ${toBengaliNumeral(clauses.length + 1)}${DANDA} এই আইন সকলের জন্য প্রযোজ্য হইবে${DANDA}\n`;
+    const structure = BDLawExtractor.buildStructureTree({ preamble: null, enactment: null, sections, contentRaw: content });
+    return { content, structure, expected };
+  }
+
+  it('should extract each sanction with its amount or duration, bound and section', () => {
+    fc.assert(
+      fc.property(fc.array(clauseArb, { minLength: 1, maxLength: 4 }), (clauses) => {
+        const { content, structure, expected } = buildAct(clauses);
+        const penalties = BDLawExtractor.extractPenalties(content, structure);
+
+        return penalties.length === expected.length && penalties.every((penalty, k) => {
+          const want = expected[k];
+          return penalty.character_offset === want.offset &&
+            penalty.penalty_text === want.text &&
+            penalty.scope.section === want.section_number &&
+            penalty.scope.dom_section_index === want.dom_section_index &&
+            penalty.components.length === want.sanctions.length &&
+            penalty.components.every((component, j) => {
+              const sanction = want.sanctions[j];
+              return component.type === sanction.type &&
+                component.raw_text === sanction.raw_text &&
+                component.offset === sanction.offset &&
+                content.startsWith(component.raw_text, component.offset) &&
+                component.amount === (sanction.amount ?? null) &&
+                component.duration_value === (sanction.duration_value ?? null) &&
+                component.duration_unit === (sanction.duration_unit ?? null) &&
+                component.bound === sanction.bound;
+            });
+        });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should write one penalties table row per sanction', () => {
+    fc.assert(
+      fc.property(fc.array(clauseArb, { minLength: 1, maxLength: 4 }), (clauses) => {
+        const { content, structure } = buildAct(clauses);
+        const penalties = BDLawExtractor.extractPenalties(content, structure);
+        const rows = BDLawExport.buildPenaltyRows({
+          identifiers: { internal_id: '7' },
+          title_raw: 'নমুনা আইন',
+          penalties
+        });
+        const parsed = BDLawExport.parseDelimited(BDLawExport.formatDelimitedTable(BDLawExport.PENALTY_TABLE_COLUMNS, rows));
+
+        return rows.length === penalties.reduce((sum, p) => sum + p.components.length, 0) &&
+          rows.every(row => row.internal_id === '7' && row.penalty_type !== '' && row.section_number !== '') &&
+          parsed.length === rows.length + 1 &&
+          parsed[0].join(',') === BDLawExport.PENALTY_TABLE_COLUMNS.join(',');
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should read the forms found on bdlaws pages', () => {
+    const content = 'তিনি অনধিক ৩ (তিন) বৎসর সশ্রম কারাদণ্ড বা অনধিক ৫০ (পঞ্চাশ) হাজার টাকা অর্থদণ্ড বা উভয় দণ্ডে দণ্ডনীয় হইবেন৷\n' +
+      'অপরাধী মৃত্যুদন্ড বা যাবজ্জীবন কারাদন্ডে দন্ডিত হইবেন৷\n' +
+      'Whoever murders shall be punished with death, or imprisonment for life, and shall also be liable to fine.\n' +
+      'এই আইন সকলের জন্য প্রযোজ্য হইবে৷';
+    const summary = BDLawExtractor.extractPenalties(content).map(p => p.components
+      .map(c => [c.type, c.raw_text, c.amount ?? c.duration_value, c.life, c.imprisonment_kind, c.bound]));
+    expect(summary).toEqual([
+      [
+        ['imprisonment', '৩ (তিন) বৎসর', 3, false, 'rigorous', 'maximum'],
+        ['fine', '৫০ (পঞ্চাশ) হাজার টাকা', 50000, false, null, 'maximum']
+      ],
+      [
+        ['death', 'মৃত্যুদন্ড', null, false, null, null],
+        ['imprisonment', 'যাবজ্জীবন কারাদন্ড', null, true, null, null]
+      ],
+      [
+        ['death', 'death', null, false, null, null],
+        ['imprisonment', 'imprisonment for life', null, true, null, null],
+        ['fine', 'fine', null, false, null, null]
+      ]
+    ]);
+    expect(BDLawExtractor.extractPenalties('')).toEqual([]);
+    expect(BDLawExtractor.extractPenalties('সরকার প্রজ্ঞাপন দ্বারা বিধি প্রণয়ন করিতে পারিবে৷')).toEqual([]);
+  });
+
+  it('should take prison terms only from imprisonment phrases and death only from death sentences', () => {
+    const summary = (content) => BDLawExtractor.extractPenalties(content).map(p => p.components
+      .map(c => [c.type, c.raw_text, c.duration_value, c.bound]));
+
+    // Notice and limitation periods in a sentence that mentions imprisonment
+    expect(summary('shall be punishable with imprisonment if he fails to give notice within 30 days of the death of the owner.'))
+      .toEqual([[['imprisonment', 'imprisonment', null, null]]]);
+    expect(summary('No complaint after six months; the offender shall be liable to imprisonment.'))
+      .toEqual([[['imprisonment', 'imprisonment', null, null]]]);
+    expect(summary('নোটিশ প্রাপ্তির ৩০ দিনের মধ্যে আপত্তি না করিলে তিনি কারাদণ্ডে দণ্ডনীয় হইবেন৷'))
+      .toEqual([[['imprisonment', 'কারাদণ্ড', null, null]]]);
+
+    // Terms written in the forms bdlaws uses
+    expect(summary('shall be punished with imprisonment for a term of not less than two years and not more than seven years.'))
+      .toEqual([[['imprisonment', 'two years', 2, 'minimum'], ['imprisonment', 'seven years', 7, 'maximum']]]);
+    expect(summary('তিনি যে কোন বর্ণনার কারাদণ্ডে, যাহার মেয়াদ ২ বৎসর পর্যন্ত হইতে পারে, দণ্ডনীয় হইবেন৷'))
+      .toEqual([[['imprisonment', '২ বৎসর', 2, 'maximum']]]);
+
+    // "death" outside a death sentence
+    expect(summary('On the death of the owner the licensee shall be liable to a fine of Taka 500.'))
+      .toEqual([[['fine', 'Taka 500', null, null]]]);
+    expect(summary('He shall be punishable with fine or a sentence of death.'))
+      .toEqual([[['fine', 'fine', null, null], ['death', 'death', null, null]]]);
+  });
+
+  it('should read fine amounts without widening numeric-region detection', () => {
+    const content = 'shall be punishable with fine which may extend to Taka 5,000.';
+    expect(BDLawExtractor.extractPenalties(content)[0].components
+      .map(c => [c.type, c.raw_text, c.amount, c.bound])).toEqual([['fine', 'Taka 5,000', 5000, 'maximum']]);
+    // Penalty amount forms stay local to PENALTY_PATTERNS.amount
+    expect(BDLawExtractor.detectNumericRegions(content)).toEqual([]);
+    expect(BDLawExtractor.detectNumericRegions('অনধিক ৫০ (পঞ্চাশ) হাজার টাকা')).toEqual([]);
+  });
+
+  it('should read fine amounts written in words', () => {
+    const read = (content) => BDLawExtractor.extractPenalties(content)[0].components
+      .filter(c => c.type === 'fine')
+      .map(c => [c.raw_text, c.amount, c.bound]);
+    expect(read('shall be punishable with imprisonment for a term which may extend to six months, ' +
+      'or with fine which may extend to five hundred rupees, or with both.'))
+      .toEqual([['five hundred rupees', 500, 'maximum']]);
+    expect(read('shall be punishable with fine not exceeding one hundred and fifty rupees.'))
+      .toEqual([['one hundred and fifty rupees', 150, 'maximum']]);
+    expect(read('shall be punishable with fine which may extend to twenty-five thousand taka.'))
+      .toEqual([['twenty-five thousand taka', 25000, 'maximum']]);
+    expect(read('shall be punishable with fine of not less than two lakh Taka.'))
+      .toEqual([['two lakh Taka', 200000, 'minimum']]);
+    // Words spelling out a figure are not a second fine
+    expect(read('shall be punishable with fine which may extend to Tk. 5000 (five thousand taka).'))
+      .toEqual([['Tk. 5000', 5000, 'maximum']]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Property-Based Tests for the Corpus Quality Report
+ *
+ * Feature: data-quality-remediation, Property 11: Corpus Quality Report Consistency
+ *
+ * For any set of act exports, the quality report SHALL count every act once
+ * in the summary and once in each volume, decade and language breakdown, so
+ * the groups of a breakdown add up to the summary, and SHALL list under each
+ * flag, ML risk factor, truncation risk, missing schedule and encoding issue
+ * exactly the acts it counts there.
+ */
+
+const fc = require('fast-check');
+const BDLawCorpusManifest = require('../../bdlaw-corpus-manifest.js');
+const BDLawExport = require('../../bdlaw-export.js');
+const BDLawQuality = require('../../bdlaw-quality.js');
+
+describe('Property 11: Corpus Quality Report Consistency', () => {
+  const FLAGS = ['missing_schedule', 'encoding_error', 'encoding_legacy_font', 'ocr_artifact'];
+  const RISKS = ['encoding_ambiguity', 'missing_schedule_content', 'numeric_corruption_risk'];
+  const TYPES = ['unicode_normalization', 'encoding_fix', 'ocr_correction', 'legacy_font_conversion'];
+
+  const actArb = fc.record({
+    volume: fc.constantFrom('1', '2', '26', undefined),
+    year: fc.option(fc.integer({ min: 1799, max: 2025 }), { nil: null }),
+    language: fc.constantFrom('bengali', 'english'),
+    title: fc.constantFrom('The <Penal> Code', 'দণ্ডবিধি', 'Evidence Act & Rules'),
+    flags: fc.subarray(FLAGS),
+    risks: fc.subarray(RISKS),
+    encodingErrors: fc.nat(3),
+    truncation: fc.boolean(),
+    log: fc.array(fc.record({
+      type: fc.constantFrom(...TYPES),
+      applied: fc.boolean(),
+      count: fc.option(fc.integer({ min: 1, max: 9 }), { nil: undefined })
+    }), { maxLength: 5 })
+  });
+
+  function buildExportAct(act, index) {
+    return {
+      identifiers: { internal_id: String(index + 1) },
+      title_raw: act.title,
+      volume_number: act.volume,
+      dates: act.year === null ? [] : [{ iso_date: `${act.year}-06-01`, role: 'header' }],
+      data_quality: {
+        completeness: act.flags.includes('missing_schedule') ? 'textual_partial' : 'complete',
+        flags: act.flags,
+        issue_counts: act.flags.includes('encoding_error') ? { encoding_error: act.encodingErrors } : {},
+        ml_risk_factors: act.risks
+      },
+      extraction_risk: { possible_truncation: act.truncation, reason: act.truncation ? 'max_length' : 'none' },
+      transformation_log: act.log.map(entry => ({
+        transformation_type: entry.type,
+        applied: entry.applied,
+        ...(entry.count === undefined ? {} : { count: entry.count })
+      }))
+    };
+  }
+
+  function buildReport(acts) {
+    const entries = acts.map((act, i) =>
+      BDLawCorpusManifest.buildQualityReportEntry(buildExportAct(act, i), { contentLanguage: act.language }));
+    return BDLawCorpusManifest.buildQualityReport(entries, { generatedAt: '2026-01-01T00:00:00.000Z' });
+  }
+
+  it('should add up every breakdown to the summary', () => {
+    fc.assert(
+      fc.property(fc.array(actArb, { maxLength: 12 }), (acts) => {
+        const report = buildReport(acts);
+        const sum = (groups, read) => Object.values(groups).reduce((total, group) => total + read(group), 0);
+
+        return report.summary.total_acts === acts.length &&
+          ['by_volume', 'by_decade', 'by_language'].every(dimension => {
+            const groups = report[dimension];
+            return sum(groups, g => g.total_acts) === acts.length &&
+              sum(groups, g => g.possible_truncation) === report.summary.possible_truncation &&
+              sum(groups, g => g.encoding_issues.issues) === report.summary.encoding_issues.issues &&
+              sum(groups, g => g.transformations.total) === report.summary.transformations.total &&
+              FLAGS.every(flag => sum(groups, g => g.flags[flag] || 0) === (report.summary.flags[flag] || 0));
+          }) &&
+          Object.keys(report.by_decade).every(decade => decade === 'unknown' || /^\d{4}s$/.test(decade)) &&
+          acts.every((act, i) => report.acts[i].decade === (act.year === null ? 'unknown' : `${act.year - (act.year % 10)}s`)) &&
+          report.summary.transformations.total === report.summary.transformations.applied + report.summary.transformations.flagged &&
+          report.summary.transformations.total === acts.reduce((total, act) =>
+            total + act.log.reduce((n, entry) => n + (entry.count === undefined ? 1 : entry.count), 0), 0);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should list exactly the acts behind every count', () => {
+    fc.assert(
+      fc.property(fc.array(actArb, { maxLength: 12 }), (acts) => {
+        const report = buildReport(acts);
+        const ids = (predicate) => acts.map((act, i) => (predicate(act) ? String(i + 1) : null)).filter(Boolean);
+        const { affected_acts: affected, summary } = report;
+
+        return FLAGS.every(flag => JSON.stringify(affected.flags[flag] || []) === JSON.stringify(ids(act => act.flags.includes(flag))) &&
+            (summary.flags[flag] || 0) === (affected.flags[flag] || []).length) &&
+          RISKS.every(risk => JSON.stringify(affected.ml_risk_factors[risk] || []) === JSON.stringify(ids(act => act.risks.includes(risk)))) &&
+          JSON.stringify(affected.possible_truncation) === JSON.stringify(ids(act => act.truncation)) &&
+          JSON.stringify(affected.missing_schedule) === JSON.stringify(ids(act => act.flags.includes('missing_schedule'))) &&
+          JSON.stringify(affected.encoding_issues) === JSON.stringify(ids(act => act.flags.includes('encoding_error') && act.encodingErrors > 0)) &&
+          BDLawExport.listQualityReportCategories(report).every(category => category.internal_ids.length > 0);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should render every category in the HTML report with escaped titles', () => {
+    const acts = [
+      { volume: '1', year: 1860, language: 'english', title: 'The <Penal> Code', flags: ['encoding_error'], risks: ['encoding_ambiguity'], encodingErrors: 2, truncation: true, log: [] },
+      { volume: '26', year: null, language: 'bengali', title: 'দণ্ডবিধি', flags: [], risks: [], encodingErrors: 0, truncation: false, log: [{ type: 'encoding_fix', applied: true, count: 3 }] }
+    ];
+    const report = buildReport(acts);
+    const html = BDLawExport.formatQualityReportHtml(report);
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('The &lt;Penal&gt; Code');
+    expect(html).not.toContain('<Penal>');
+    for (const category of BDLawExport.listQualityReportCategories(report)) {
+      expect(html).toContain(`<summary>${category.label} (${category.internal_ids.length})</summary>`);
+    }
+    expect(html).toContain('href="#cat-flags-encoding_error"');
+    expect(report.by_decade).toHaveProperty(['1860s', 'total_acts'], 1);
+    expect(report.by_language.bengali.transformations.by_type).toEqual({ encoding_fix: 3 });
+    expect(BDLawExport.generateQualityReportFilename('2026-01-01T00:00:00.000Z')).toMatch(/^bdlaw_quality_report_.*\.zip$/);
+  });
+
+  it('should take encoding issue counts and language from the act itself', () => {
+    const content = 'এই আইনের æধারাæ ৫ অনুযায়ী';
+    const quality = BDLawQuality.validateContentQuality(content);
+    expect(quality.issue_counts).toEqual({ encoding_error: 2 });
+    expect(BDLawQuality.createEmptyAssessment().issue_counts).toEqual({});
+
+    const entry = BDLawCorpusManifest.buildQualityReportEntry({
+      identifiers: { internal_id: 7 },
+      title_raw: 'আইন, ১৯৯০',
+      content_raw: content,
+      data_quality: { completeness: quality.completeness, flags: quality.flags, issue_counts: quality.issue_counts, ml_risk_factors: quality.risks }
+    });
+    expect(entry).toMatchObject({
+      internal_id: '7',
+      volume_number: 'unknown',
+      decade: '1990s',
+      content_language: 'bengali',
+      encoding_issue_count: 2,
+      possible_truncation: false,
+      transformations: { total: 0, applied: 0, flagged: 0, by_type: {} }
+    });
+  });
+});
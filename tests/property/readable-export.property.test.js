@@ -0,0 +1,203 @@
+/**
+ * Property-Based Tests for Readable Text and Markdown Export
+ *
+ * Feature: corpus-export-formats, Property 9: Readable Text Preservation
+ *
+ * For any act with a structure tree, formatActAsText and formatActAsMarkdown
+ * SHALL keep every non-whitespace character of content_raw in order, with
+ * each footnote replaced by a [^n] marker whose note appears once at the end,
+ * and SHALL give every anchored section its own numbered heading.
+ */
+
+const fc = require('fast-check');
+const { JSDOM } = require('jsdom');
+const BDLawExport = require('../../bdlaw-export.js');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+
+describe('Property 9: Readable Text Preservation', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const DANDA = '৷';
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  const domParser = new (new JSDOM('').window.DOMParser)();
+
+  const bodyArb = fc.stringOf(
+    fc.constantFrom('ক', 'খ', ' ', '\n', '*', '#', '|', '_', '[1]', '<', '-', ' [সংশোধিত ২০০০ সনের ১ নং আইন]', ' [Note: see below]'),
+    { minLength: 1, maxLength: 12 }
+  );
+
+  const actArb = fc.record({
+    lead: fc.constantFrom('', 'যেহেতু উদ্দেশ্যে সমীচীন; '),
+    bodies: fc.array(fc.record({ body: bodyArb, withSubsections: fc.boolean() }), { maxLength: 4 })
+  }).map(({ lead, bodies }) => {
+    let content = lead;
+    const sections = [];
+    bodies.forEach(({ body, withSubsections }, i) => {
+      const number = toBengaliNumeral(i + 1) + DANDA;
+      const heading = `শিরোনাম${toBengaliNumeral(i + 1)}`;
+      const bodyText = body + (withSubsections ? ' (১) প্রথম (২) দ্বিতীয়' : '');
+      content += `${heading} ${number} ${bodyText}\n`;
+      sections.push({
+        dom_index: i,
+        section_number: number,
+        heading,
+        subsections: BDLawExtractor.detectSubsectionsInContent(bodyText),
+        clauses: []
+      });
+    });
+
+    return {
+      identifiers: { internal_id: '7' },
+      title_raw: 'আইন ৭',
+      content_raw: content,
+      url: 'http://bdlaws.minlaw.gov.bd/act-details-7.html',
+      legal_status: 'active',
+      structure: BDLawExtractor.buildStructureTree({
+        preamble: lead ? { text: lead.trim() } : null,
+        enactment: null,
+        sections,
+        contentRaw: content
+      })
+    };
+  });
+
+  const squeeze = (s) => s.replace(/\s+/g, '');
+  const MARKER = /\[\^(\d+)\]/g;
+
+  // Splits a rendering into body (after the header block) and notes
+  function split(rendered, notesHeading) {
+    const blank = rendered.indexOf('\n\n', rendered.indexOf('Internal ID'));
+    const headerEnd = blank > -1 ? blank : rendered.length;
+    const notesStart = rendered.indexOf(notesHeading);
+    const tail = rendered.slice(headerEnd);
+    return {
+      body: notesStart > -1 ? rendered.slice(headerEnd, notesStart) : tail,
+      notes: notesStart > -1 ? rendered.slice(notesStart + notesHeading.length) : ''
+    };
+  }
+
+  // content_raw as the renderers should show it: notes cut out, headings
+  // moved in front of their section numbers
+  function expectedBody(act) {
+    const notes = [];
+    const { body, notes: noteBlock } = split(BDLawExport.formatActAsText(act), '\nNOTES\n-----\n');
+    noteBlock.split('\n').filter(Boolean).forEach(line => notes.push(line.replace(/^\[\^\d+\] /, '')));
+    let content = act.content_raw;
+    for (const section of act.structure.sections) {
+      content = content.replace(`${section.heading} ${section.section_number}`, `${section.section_number} ${section.heading}`);
+    }
+    return { body, notes, content };
+  }
+
+  it('should keep content_raw text in order in the plain-text rendering', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const { body, notes, content } = expectedBody(act);
+        const rebuilt = body.replace(MARKER, (_, n) => notes[Number(n) - 1]);
+        return squeeze(rebuilt) === squeeze(content);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should keep content_raw text in order in the Markdown rendering', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const { content } = expectedBody(act);
+        const markdown = BDLawExport.formatActAsMarkdown(act);
+        const { body, notes } = split(markdown, '\n## Notes\n');
+        const unescape = (s) => s.replace(/\\(.)/g, '$1');
+        const definitions = notes.split('\n').filter(Boolean).map(line => line.replace(/^\[\^\d+\]: /, ''));
+        const rebuilt = body
+          .replace(/^## /gm, '')
+          .replace(/^\s*- \*\*(.*?)\*\*/gm, '$1')
+          .replace(/(?<!\\)\[\^(\d+)\]/g, (_, n) => definitions[Number(n) - 1]);
+        return squeeze(unescape(rebuilt)) === squeeze(content);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should number footnotes in order and list each once', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const text = BDLawExport.formatActAsText(act);
+        const { body, notes } = split(text, '\nNOTES\n-----\n');
+        const markers = Array.from(body.matchAll(MARKER), m => Number(m[1]));
+        const listed = notes.split('\n').filter(Boolean);
+        return markers.every((n, i) => n === i + 1) && listed.length === markers.length;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should give each anchored section a numbered heading', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const text = BDLawExport.formatActAsText(act).split('\n');
+        const markdown = BDLawExport.formatActAsMarkdown(act).split('\n');
+        return act.structure.sections.every(section =>
+          text.includes(`${section.section_number} ${section.heading}`) &&
+          markdown.includes(`## ${section.section_number} ${section.heading}`));
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should indent subsections beneath their section', () => {
+    const content = 'শিরোনাম ১৷ সূচনা (১) প্রথম (২) দ্বিতীয়';
+    const act = {
+      identifiers: { internal_id: '1' },
+      title_raw: 'আইন',
+      content_raw: content,
+      structure: BDLawExtractor.buildStructureTree({
+        preamble: null,
+        enactment: null,
+        sections: [{ dom_index: 0, section_number: '১৷', heading: 'শিরোনাম', subsections: BDLawExtractor.detectSubsectionsInContent('সূচনা (১) প্রথম (২) দ্বিতীয়'), clauses: [] }],
+        contentRaw: content
+      })
+    };
+    expect(BDLawExport.formatActAsText(act)).toContain('\n১৷ শিরোনাম\n    সূচনা\n    (১) প্রথম\n    (২) দ্বিতীয়\n');
+    expect(BDLawExport.formatActAsMarkdown(act)).toContain('\n## ১৷ শিরোনাম\n\nসূচনা\n\n- **(১)** প্রথম\n- **(২)** দ্বিতীয়\n');
+  });
+
+  it('should show the legal status banner', () => {
+    const act = { identifiers: { internal_id: '2' }, title_raw: 'আইন', content_raw: 'পাঠ', legal_status: 'repealed' };
+    expect(BDLawExport.formatActAsText(act)).toContain('\n[REPEALED] The source page marks this act as repealed.\n');
+    expect(BDLawExport.formatActAsText({ ...act, legal_status: 'active' })).toContain('[UNKNOWN]');
+    expect(BDLawExport.formatActAsText({ ...act, legal_status: undefined })).toContain('[UNKNOWN]');
+    expect(BDLawExport.formatActAsText({ ...act, legal_status: undefined, title_raw: 'আইন (রহিত)' })).toContain('[REPEALED]');
+
+    const page = new JSDOM('<html><head><title>Act</title></head><body><h1>Act [Repealed]</h1></body></html>').window.document;
+    expect(BDLawExport.formatActAsText({ ...act, legal_status: 'active' }, { document: page })).toContain('[REPEALED]');
+    const unmarked = new JSDOM('<html><head><title>Act</title></head><body><h1>Act</h1></body></html>').window.document;
+    expect(BDLawExport.formatActAsMarkdown(act, { document: unmarked })).toContain('> **Status: No repeal marker.**');
+  });
+
+  it('should render schedule tables with merged cells left empty', () => {
+    const act = {
+      identifiers: { internal_id: '3' },
+      title_raw: 'আইন',
+      content_raw: 'পাঠ',
+      schedules: {
+        html_content: '<p>তফসিল</p><table><tr><th>ক্রম</th><th>নাম</th></tr>' +
+          '<tr><td rowspan="2">১</td><td>ক|খ</td></tr><tr><td>গ</td></tr></table>'
+      }
+    };
+    const markdown = BDLawExport.formatActAsMarkdown(act, { domParser });
+    expect(markdown).toContain('| ক্রম | নাম |\n| --- | --- |\n| ১ | ক\\|খ |\n|   | গ |\n');
+    expect(markdown).toContain('_Merged cells');
+
+    const text = BDLawExport.formatActAsText(act, { domParser });
+    expect(text).toContain('\nTable 1\n');
+    expect(text.split('\n').filter(line => line.startsWith('  ') && line.includes(' | '))).toHaveLength(3);
+
+    expect(BDLawExport.formatActAsText(act)).toContain('Schedule tables are kept as raw HTML');
+  });
+
+  it('should reject missing acts and build bundle paths', () => {
+    expect(() => BDLawExport.formatActAsText(null)).toThrow();
+    expect(() => BDLawExport.formatActAsMarkdown(undefined)).toThrow();
+    expect(BDLawExport.generateTextPath('10')).toBe('txt/10.txt');
+    expect(BDLawExport.generateMarkdownPath('10')).toBe('md/10.md');
+  });
+});
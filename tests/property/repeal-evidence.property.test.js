@@ -0,0 +1,114 @@
+/**
+ * Property-Based Tests for Repeal Evidence Extraction
+ *
+ * Feature: legal-integrity-enhancement, Property 14: Repeal Evidence Extraction
+ *
+ * For any repeal notice naming the repealing instrument, extractRepealEvidence
+ * SHALL return the evidence span verbatim at its offsets, the instrument's
+ * citation year and serial as written, the section of the repealing
+ * instrument when stated, and the string-match semantics label.
+ * detectLegalStatus SHALL attach the same evidence to a repealed status.
+ */
+
+const fc = require('fast-check');
+const { JSDOM } = require('jsdom');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+const BDLawCitationResolver = require('../../bdlaw-citation-resolver.js');
+
+describe('Property 14: Repeal Evidence Extraction', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  const toRoman = (num) => {
+    const table = [[10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+    let out = '';
+    for (const [value, symbol] of table) {
+      while (num >= value) { out += symbol; num -= value; }
+    }
+    return out;
+  };
+
+  const noticeArb = fc.record({
+    script: fc.constantFrom('english', 'bengali'),
+    name: fc.constantFrom('Finance', 'Land Revenue', 'Public Demands Recovery'),
+    year: fc.integer({ min: 1900, max: 2025 }),
+    serial: fc.integer({ min: 1, max: 39 }),
+    section: fc.option(fc.integer({ min: 1, max: 99 }), { nil: null }),
+    lead: fc.constantFrom('', 'This Act has been ', 'এই আইন '),
+    trail: fc.constantFrom('', '.', '; see notes', '৷')
+  });
+
+  function noticeText({ script, name, year, serial, section, lead, trail }) {
+    if (script === 'english') {
+      const sectionText = section === null ? '' : `section ${section} of `;
+      return { text: `${lead}repealed by ${sectionText}the ${name} Act, ${year} (Act No. ${toRoman(serial)} of ${year})${trail}`, title: `${name} Act, ${year}` };
+    }
+    const sectionText = section === null ? '' : ` এর ধারা ${toBengaliNumeral(section)}`;
+    return { text: `${lead}${toBengaliNumeral(year)} সনের ${toBengaliNumeral(serial)} নং আইন${sectionText} দ্বারা রহিত${trail}`, title: null };
+  }
+
+  it('should extract the repealing instrument, section and span', () => {
+    fc.assert(
+      fc.property(noticeArb, (notice) => {
+        const { text, title } = noticeText(notice);
+        const evidence = BDLawExtractor.extractRepealEvidence(text, '.bt-act-repealed');
+        if (evidence.length !== 1) return false;
+        const [entry] = evidence;
+        const citation = entry.repealing_citation;
+        const section = entry.repealing_section === null ? null : BDLawCitationResolver.toArabicNumber(entry.repealing_section);
+
+        return text.substring(entry.evidence_start, entry.evidence_end) === entry.evidence_text &&
+          text.startsWith(citation.citation_text, citation.position) &&
+          entry.evidence_start <= citation.position &&
+          citation.position + citation.citation_text.length <= entry.evidence_end &&
+          BDLawCitationResolver.toArabicNumber(citation.citation_year) === notice.year &&
+          BDLawCitationResolver.toArabicNumber(citation.citation_serial) === notice.serial &&
+          section === notice.section &&
+          entry.repealing_instrument_title === title &&
+          entry.source === '.bt-act-repealed' &&
+          entry.evidence_semantics === 'string_match_only' &&
+          /repealed by|দ্বারা রহিত/.test(entry.evidence_text);
+      }),
+      { numRuns: 150 }
+    );
+  });
+
+  it('should attach evidence to a repealed status and locate it in content_raw', () => {
+    fc.assert(
+      fc.property(noticeArb, (notice) => {
+        const { text } = noticeText(notice);
+        const document = new JSDOM(
+          `<html><head><title>Act</title></head><body><div class="bt-act-repealed">${text}</div></body></html>`
+        ).window.document;
+        const contentRaw = `শিরোনাম\n${text}\nযেহেতু ...`;
+        const status = BDLawExtractor.detectLegalStatus(document, contentRaw);
+        const [entry] = status.repeal_evidence;
+
+        return status.legal_status === 'repealed' &&
+          status.status_source === '.bt-act-repealed' &&
+          status.repeal_evidence.length === 1 &&
+          contentRaw.startsWith(entry.evidence_text, entry.character_offset);
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should record bare markers without evidence and leave active acts empty', () => {
+    const bare = new JSDOM('<html><head><title>Act [Repealed]</title></head><body><h1>Act</h1></body></html>').window.document;
+    const active = new JSDOM('<html><head><title>Act</title></head><body><h1>Act</h1></body></html>').window.document;
+
+    expect(BDLawExtractor.detectLegalStatus(bare)).toMatchObject({ legal_status: 'repealed', repeal_evidence: [] });
+    expect(BDLawExtractor.detectLegalStatus(active)).toMatchObject({ legal_status: 'active', repeal_evidence: [] });
+    expect(BDLawExtractor.getLegalStatusMetadata(null).repeal_evidence).toEqual([]);
+    expect(BDLawExtractor.extractRepealEvidence('')).toEqual([]);
+  });
+
+  it('should keep evidence without a citation', () => {
+    const [entry] = BDLawExtractor.extractRepealEvidence('Repealed by Ord. XX of 1985.');
+    expect(entry).toMatchObject({
+      evidence_text: 'Repealed by Ord. XX of 1985',
+      repealing_citation: null,
+      repealing_section: null,
+      character_offset: -1
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Property-Based Tests for Correction Rule Packs
+ *
+ * Feature: legal-integrity-enhancement, Property 19: Rule Pack Provenance
+ *
+ * For any rule pack, exporting and re-importing it SHALL give the same pack,
+ * and cleaning with the config compiled from it SHALL apply only its enabled
+ * rules, within their scope and context, with every transformation naming the
+ * pack, pack version, rule and rule version that produced it.
+ */
+
+const fc = require('fast-check');
+const BDLawRulePacks = require('../../bdlaw-rule-packs.js');
+const BDLawQuality = require('../../bdlaw-quality.js');
+
+describe('Property 19: Rule Pack Provenance', () => {
+  const WORDS = ['সরকর', 'আদলত', 'বিধন', 'জরিমন', 'Goverment', 'Cort'];
+  const FIXES = { 'সরকর': 'সরকার', 'আদলত': 'আদালত', 'বিধন': 'বিধান', 'জরিমন': 'জরিমানা', Goverment: 'Government', Cort: 'Court' };
+  const CLEAN_OPTIONS = {
+    applyFormatting: false,
+    skipNumericRegionDetection: true,
+    skipProtectedSectionDetection: true
+  };
+
+  const ruleArb = fc.record({
+    word: fc.constantFrom(...WORDS),
+    version: fc.integer({ min: 1, max: 20 }),
+    enabled: fc.boolean(),
+    risk_level: fc.constantFrom(...BDLawRulePacks.RISK_LEVELS)
+  });
+
+  const packArb = fc.record({
+    pack_id: fc.constantFrom('court-ocr', 'gazette-2024', 'local'),
+    version: fc.tuple(fc.nat(5), fc.nat(9), fc.nat(9)).map(parts => parts.join('.')),
+    rules: fc.uniqueArray(ruleArb, { selector: rule => rule.word, minLength: 1, maxLength: WORDS.length })
+  }).map(({ pack_id, version, rules }) => ({
+    format: BDLawRulePacks.PACK_FORMAT,
+    format_version: BDLawRulePacks.FORMAT_VERSION,
+    pack_id,
+    name: pack_id,
+    version,
+    rules: rules.map(({ word, version: ruleVersion, enabled, risk_level }) => ({
+      id: `fix-${WORDS.indexOf(word)}`,
+      version: ruleVersion,
+      kind: 'ocr_correction',
+      scope: 'any',
+      match: word,
+      replacement: FIXES[word],
+      context: null,
+      description: word,
+      risk_level,
+      enabled
+    }))
+  }));
+
+  it('should round-trip packs through export and import', () => {
+    fc.assert(
+      fc.property(fc.array(packArb, { minLength: 1, maxLength: 3 }), (packs) => {
+        const { packs: imported, errors } = BDLawRulePacks.parseRulePacks(BDLawRulePacks.formatRulePacksExport(packs));
+        const merged = BDLawRulePacks.mergeRulePacks([], imported);
+
+        return errors.length === 0 &&
+          JSON.stringify(imported) === JSON.stringify(packs) &&
+          merged.length === new Set(packs.map(pack => pack.pack_id)).size &&
+          merged.every(pack => JSON.stringify(pack) === JSON.stringify(packs.filter(p => p.pack_id === pack.pack_id).pop()));
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should apply only enabled rules and record their pack and rule versions', () => {
+    fc.assert(
+      fc.property(packArb, fc.array(fc.constantFrom(...WORDS), { minLength: 1, maxLength: 8 }), (pack, words) => {
+        const content = words.join(' ') + '।';
+        const result = BDLawQuality.cleanContent(content, {
+          ...CLEAN_OPTIONS,
+          config: BDLawRulePacks.buildQualityConfig([pack])
+        });
+        const enabled = pack.rules.filter(rule => rule.enabled);
+        const expected = words.map(word => (enabled.some(rule => rule.match === word) ? FIXES[word] : word)).join(' ') + '।';
+
+        return result.cleaned === expected &&
+          JSON.stringify(result.rulePacks) === JSON.stringify([{ pack_id: pack.pack_id, version: pack.version }]) &&
+          result.transformations.every(t => {
+            const rule = enabled.find(r => r.match === t.incorrect);
+            return rule !== undefined &&
+              t.pack_id === pack.pack_id &&
+              t.pack_version === pack.version &&
+              t.rule_id === rule.id &&
+              t.rule_version === rule.version &&
+              t.risk_level === rule.risk_level &&
+              t.count === words.filter(word => word === rule.match).length;
+          }) &&
+          result.transformations.length === new Set(words.filter(word => enabled.some(r => r.match === word))).size;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should confine rules to their script scope and context', () => {
+    const pack = {
+      format: BDLawRulePacks.PACK_FORMAT,
+      pack_id: 'scoped',
+      version: '1.0.0',
+      rules: [
+        { id: 'quote', version: 2, kind: 'encoding_repair', scope: 'bengali', match: 'æ', flags: 'g', replacement: '"', context: null, risk_level: 'non-semantic', enabled: true },
+        { id: 'dhara', version: 1, kind: 'ocr_correction', scope: 'bengali', match: 'ধরা', replacement: 'ধারা', context: '[০-৯]+\\s*ধরা', risk_level: 'potential-semantic', enabled: true }
+      ]
+    };
+    expect(BDLawRulePacks.validateRulePack(pack).valid).toBe(true);
+
+    const content = 'æআইনæ\nThe æActæ\n৫ ধরা অনুযায়ী\nমাছ ধরা নিষেধ';
+    const result = BDLawQuality.cleanContent(content, {
+      ...CLEAN_OPTIONS,
+      config: BDLawRulePacks.buildQualityConfig([pack])
+    });
+    expect(result.cleaned).toBe('"আইন"\nThe æActæ\n৫ ধারা অনুযায়ী\nমাছ ধরা নিষেধ');
+    expect(result.transformations.map(t => [t.rule_id, t.rule_version, t.count])).toEqual([['quote', 2, 2], ['dhara', 1, 1]]);
+  });
+
+  it('should reject malformed packs and keep the built-in corrections', () => {
+    const bad = BDLawRulePacks.validateRulePack({
+      format: BDLawRulePacks.PACK_FORMAT,
+      pack_id: 'bad',
+      version: '1.0.0',
+      rules: [
+        { id: 'a', version: 1, kind: 'encoding_repair', scope: 'any', match: '(', replacement: '', risk_level: 'non-semantic', enabled: true },
+        { id: 'a', version: 0, kind: 'spelling', scope: 'hindi', match: 'x', replacement: 'y', risk_level: 'safe', enabled: 'yes' }
+      ]
+    });
+    expect(bad.valid).toBe(false);
+    expect(bad.errors).toHaveLength(7);
+    expect(BDLawRulePacks.parseRulePacks('{').packs).toEqual([]);
+
+    const sample = 'æআইনæ ' + BDLawQuality.QUALITY_CONFIG.ocrCorrections.map(c => c.incorrect).join(' ') + 'ì';
+    const legacy = BDLawQuality.cleanContent(sample, CLEAN_OPTIONS);
+    const packed = BDLawQuality.cleanContent(sample, {
+      ...CLEAN_OPTIONS,
+      config: BDLawRulePacks.buildQualityConfig([BDLawRulePacks.BUILTIN_PACK])
+    });
+    expect(BDLawRulePacks.validateRulePack(BDLawRulePacks.BUILTIN_PACK).valid).toBe(true);
+    expect(packed.cleaned).toBe(legacy.cleaned);
+    expect(packed.transformations.every(t => t.pack_id === 'builtin' && t.pack_version === '1.0.0')).toBe(true);
+    expect(legacy.transformations.every(t => t.pack_id === undefined)).toBe(true);
+  });
+});
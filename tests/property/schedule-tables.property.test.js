@@ -0,0 +1,113 @@
+/**
+ * Property-Based Tests for Structured Schedule Tables
+ *
+ * Feature: legal-integrity-enhancement, Property 18: Schedule Table Derivation
+ *
+ * For any schedule table, extractScheduleHTML SHALL keep the verbatim HTML and
+ * add a derived table with its schedule title and number, header rows, merged
+ * cell spans and the numeric value of every cell holding only a number,
+ * whether written with Bengali or Arabic digits.
+ */
+
+const fc = require('fast-check');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+const BDLawQuality = require('../../bdlaw-quality.js');
+const { JSDOM } = require('jsdom');
+
+describe('Property 18: Schedule Table Derivation', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  const groupThousands = (num) => String(num).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+
+  const TITLES = [
+    { text: 'প্রথম তফসিল', number: 1 },
+    { text: 'দ্বিতীয় তফসিল', number: 2 },
+    { text: 'তফসিল-৩', number: 3 },
+    { text: 'THE FOURTH SCHEDULE', number: 4 },
+    { text: 'Schedule IX', number: 9 },
+    { text: 'Appendix A', number: null }
+  ];
+  const LABELS = ['বিবরণ', 'ফি', 'হার', 'Item', 'Fee'];
+
+  const scheduleArb = fc.record({
+    title: fc.constantFrom(...TITLES),
+    placement: fc.constantFrom('heading', 'caption', 'first_row'),
+    header: fc.constantFrom('thead', 'th', 'plain'),
+    digits: fc.constantFrom('bengali', 'arabic'),
+    suffix: fc.constantFrom('', ' টাকা', '/-'),
+    rows: fc.array(fc.array(fc.integer({ min: 0, max: 99999 }), { minLength: 2, maxLength: 2 }), { minLength: 1, maxLength: 4 })
+  });
+
+  function buildSchedule({ title, placement, header, digits, suffix, rows }) {
+    const number = (num) => {
+      const grouped = groupThousands(num);
+      return digits === 'bengali' ? grouped.replace(/\d/g, d => toBengaliNumeral(d)) : grouped;
+    };
+    const cell = header === 'plain' ? 'td' : 'th';
+    const headerRow = `<tr><${cell}>${LABELS[0]}</${cell}><${cell} colspan="2">${LABELS[1]}</${cell}></tr>`;
+    const body = rows.map((values, i) =>
+      `<tr><td>${LABELS[2 + (i % 3)]}</td>${values.map(v => `<td>${number(v)}${suffix}</td>`).join('')}</tr>`).join('');
+    const titleRow = placement === 'first_row' ? `<tr><td colspan="3">${title.text}</td></tr>` : '';
+    const caption = placement === 'caption' ? `<caption>${title.text}</caption>` : '';
+    const table = header === 'thead'
+      ? `<table>${caption}<thead>${titleRow}${headerRow}</thead><tbody>${body}</tbody></table>`
+      : `<table>${caption}<tbody>${titleRow}${headerRow}${body}</tbody></table>`;
+    return placement === 'heading' ? `<p>${title.text}</p>${table}` : table;
+  }
+
+  function createMockDocument(bodyHtml) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><body><div id="lawContent">${bodyHtml}</div></body></html>`);
+    return dom.window.document;
+  }
+
+  it('should derive titled tables with header rows, spans and numeric values', () => {
+    fc.assert(
+      fc.property(fc.array(scheduleArb, { minLength: 1, maxLength: 3 }), (schedules) => {
+        const document = createMockDocument(schedules.map(buildSchedule).join('\n'));
+        const result = BDLawExtractor.extractScheduleHTML(document);
+
+        return result.representation === 'raw_html' &&
+          result.processed === false &&
+          Array.from(document.querySelectorAll('table')).every(table => result.html_content.includes(table.outerHTML)) &&
+          result.tables.length === schedules.length &&
+          result.tables.every((table, k) => {
+            const schedule = schedules[k];
+            const offset = schedule.placement === 'first_row' ? 1 : 0;
+            return table.table_index === k &&
+              table.schedule_title === schedule.title.text &&
+              table.schedule_number === schedule.title.number &&
+              table.title_source === { heading: 'preceding_text', caption: 'caption', first_row: 'first_row' }[schedule.placement] &&
+              table.row_count === schedule.rows.length + 1 + offset &&
+              table.col_count === 3 &&
+              JSON.stringify(table.header_rows) === JSON.stringify([offset]) &&
+              table.header_source === (schedule.header === 'plain' ? 'inferred' : 'markup') &&
+              table.spans.some(span => span.row === offset && span.col === 1 && span.colspan === 2) &&
+              schedule.rows.every((values, i) => values.every((value, j) =>
+                table.values[offset + 1 + i][j + 1] === value &&
+                table.cells[offset + 1 + i][j + 1].endsWith(schedule.suffix.trim()))) &&
+              table.values[offset].every(value => value === null);
+          });
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should leave label cells and unnumbered tables without values or titles', () => {
+    const document = createMockDocument('<table><tr><td>ধারা</td><td>বিবরণ</td></tr><tr><td>৫ক</td><td>২০১০ সনের আইন</td></tr></table>');
+    const [table] = BDLawExtractor.extractScheduleHTML(document).tables;
+    expect(table.schedule_title).toBeNull();
+    expect(table.schedule_number).toBeNull();
+    expect(table.header_rows).toEqual([]);
+    expect(table.values).toEqual([[null, null], [null, null]]);
+    expect(BDLawExtractor.extractScheduleHTML(createMockDocument('<p>কোন তফসিল নাই</p>')).tables).toEqual([]);
+  });
+
+  it('should reject derived tables without the HTML they come from', () => {
+    const document = createMockDocument(buildSchedule({
+      title: TITLES[0], placement: 'heading', header: 'th', digits: 'bengali', suffix: '', rows: [[1, 2]]
+    }));
+    const result = BDLawExtractor.extractScheduleHTML(document);
+    expect(BDLawQuality.validateScheduleHTML(result).valid).toBe(true);
+    expect(BDLawQuality.validateScheduleHTML({ ...result, html_content: null }).valid).toBe(false);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Property-Based Tests for Proviso, Explanation and Illustration Blocks
+ *
+ * Feature: legal-structure-derivation, Property 16: Section Block Nesting
+ *
+ * For any section text carrying provisos, explanations and illustrations,
+ * buildStructureTree SHALL record each as a typed block whose marker sits
+ * verbatim at its offset in content_raw, inside the subsection whose range
+ * holds it (or the section otherwise), ending no later than the next block,
+ * subsection or section. data_quality SHALL count the same markers when
+ * every marker lies inside a section, and more when some lie outside.
+ */
+
+const fc = require('fast-check');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+const BDLawQuality = require('../../bdlaw-quality.js');
+
+describe('Property 16: Section Block Nesting', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const DANDA = '৷';
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+
+  const FRAGMENTS = {
+    proviso: ['তবে শর্ত থাকে যে, ', 'আরও শর্ত থাকে যে ', 'Provided that ', 'Provided further that '],
+    explanation: ['ব্যাখ্যা৷- ', 'ব্যাখ্যা ১: ', 'Explanation.- ', 'Explanation II: '],
+    illustration: ['দৃষ্টান্ত: ', 'Illustrations\n']
+  };
+
+  const pieceArb = fc.oneof(
+    fc.constantFrom('বিধান ', 'কিছু ', '(ক) ', 'ব্যাখ্যা করা ', 'provided ', 'Illustrative '),
+    fc.constantFrom(...Object.entries(FRAGMENTS).flatMap(([type, list]) => list.map(marker => ({ type, marker }))))
+  );
+
+  const sectionArb = fc.array(fc.array(pieceArb, { maxLength: 5 }), { minLength: 1, maxLength: 3 });
+
+  function buildAct(sectionBodies) {
+    let content = 'নমুনা আইন\n';
+    const sections = [];
+    const expected = [];
+    sectionBodies.forEach((subsectionPieces, i) => {
+      const number = toBengaliNumeral(i + 1) + DANDA;
+      const heading = `শিরোনাম${toBengaliNumeral(i + 1)}`;
+      let body = '';
+      subsectionPieces.forEach((pieces, j) => {
+        body += `(${toBengaliNumeral(j + 1)}) `;
+        pieces.forEach(piece => {
+          if (typeof piece === 'string') {
+            body += piece;
+          } else {
+            expected.push({ section: i, subsection: j, type: piece.type, marker: piece.marker.trim() });
+            body += piece.marker;
+          }
+        });
+      });
+      content += `${heading} ${number} ${body}\n`;
+      sections.push({
+        dom_index: i,
+        section_number: number,
+        heading,
+        subsections: BDLawExtractor.detectSubsectionsInContent(body),
+        clauses: []
+      });
+    });
+    return { content, sections, expected };
+  }
+
+  const collect = (tree) => tree.sections.flatMap((section, i) => [
+    ...section.blocks.map(block => ({ section: i, subsection: null, block })),
+    ...section.subsections.flatMap((sub, j) => sub.blocks.map(block => ({ section: i, subsection: j, block })))
+  ]).sort((a, b) => a.block.marker_offset - b.block.marker_offset);
+
+  it('should anchor each block in the subsection that holds it', () => {
+    fc.assert(
+      fc.property(sectionArb.chain(first => fc.array(sectionArb, { maxLength: 2 }).map(rest => [first, ...rest])), (bodies) => {
+        const { content, sections, expected } = buildAct(bodies);
+        const tree = BDLawExtractor.buildStructureTree({ preamble: null, enactment: null, sections, contentRaw: content });
+        const found = collect(tree);
+
+        return found.length === expected.length && found.every(({ section, subsection, block }, k) => {
+          const owner = tree.sections[section];
+          return block.type === expected[k].type &&
+            content.startsWith(block.marker, block.marker_offset) &&
+            expected[k].marker.startsWith(block.marker) &&
+            section === expected[k].section && subsection === expected[k].subsection &&
+            block.content_start >= owner.content_start && block.content_end <= owner.content_end &&
+            block.content_end > block.content_start &&
+            (k === found.length - 1 || found[k + 1].block.marker_offset >= block.content_end ||
+              found[k + 1].section !== section);
+        });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should report the same counts in metadata and data_quality when every marker is in a section', () => {
+    fc.assert(
+      fc.property(fc.array(sectionArb, { minLength: 1, maxLength: 3 }), (bodies) => {
+        const { content, sections, expected } = buildAct(bodies);
+        const tree = BDLawExtractor.buildStructureTree({ preamble: null, enactment: null, sections, contentRaw: content });
+        const quality = BDLawQuality.validateContentQuality(content);
+        const count = (type) => expected.filter(e => e.type === type).length;
+
+        return tree.metadata.total_section_provisos === count('proviso') &&
+          tree.metadata.total_section_explanations === count('explanation') &&
+          tree.metadata.total_section_illustrations === count('illustration') &&
+          quality.proviso_marker_count === count('proviso') &&
+          quality.explanation_marker_count === count('explanation') &&
+          quality.illustration_marker_count === count('illustration');
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should keep clause markers inside a proviso', () => {
+    const content = 'শিরোনাম ১৷ (১) বিধান; তবে শর্ত থাকে যে, (ক) প্রথম; (খ) দ্বিতীয়৷ (২) অন্য\n';
+    const tree = BDLawExtractor.buildStructureTree({
+      preamble: null,
+      enactment: null,
+      sections: [{ dom_index: 0, section_number: '১৷', heading: 'শিরোনাম', subsections: [{ marker: '(১)' }, { marker: '(২)' }], clauses: [] }],
+      contentRaw: content
+    });
+    const [proviso] = tree.sections[0].subsections[0].blocks;
+    expect(content.slice(proviso.content_start, proviso.content_end)).toBe('তবে শর্ত থাকে যে, (ক) প্রথম; (খ) দ্বিতীয়৷ ');
+    expect(tree.sections[0].subsections[1].blocks).toEqual([]);
+  });
+
+  it('should leave sections without offsets and the empty assessment block-free', () => {
+    const tree = BDLawExtractor.buildStructureTree({
+      preamble: null,
+      enactment: null,
+      sections: [{ dom_index: 0, section_number: '৯৷', heading: 'অনুপস্থিত', subsections: [], clauses: [] }],
+      contentRaw: 'তবে শর্ত থাকে যে কিছু'
+    });
+    expect(tree.sections[0].blocks).toEqual([]);
+    expect(tree.metadata.total_section_provisos).toBe(0);
+    expect(BDLawQuality.validateContentQuality('তবে শর্ত থাকে যে কিছু').proviso_marker_count).toBe(1);
+    expect(BDLawQuality.createEmptyAssessment()).toMatchObject({ proviso_marker_count: 0, explanation_marker_count: 0, illustration_marker_count: 0 });
+  });
+
+  it('should count markers outside sections in data_quality only', () => {
+    const content = 'Preamble. Explanation.- recital\nশিরোনাম ১৷ বিধান; তবে শর্ত থাকে যে কিছু\n';
+    const tree = BDLawExtractor.buildStructureTree({
+      preamble: null,
+      enactment: null,
+      sections: [{ dom_index: 0, section_number: '১৷', heading: 'শিরোনাম', subsections: [], clauses: [] }],
+      contentRaw: content
+    });
+    const quality = BDLawQuality.validateContentQuality(content);
+    expect(tree.metadata).toMatchObject({ total_section_provisos: 1, total_section_explanations: 0 });
+    expect(quality).toMatchObject({ proviso_marker_count: 1, explanation_marker_count: 1 });
+  });
+});
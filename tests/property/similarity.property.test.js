@@ -0,0 +1,166 @@
+/**
+ * Property-Based Tests for Near-Duplicate and Translation Pair Detection
+ *
+ * Feature: cross-reference-extraction, Property 19: Near-Duplicate and Translation Pairing
+ *
+ * For any acts, MinHash signatures SHALL be deterministic and identical for
+ * identical texts, so re-captured texts are reported as near-duplicates and
+ * an act reproduced inside a longer one as contained. A Bengali and an
+ * English act whose titles carry the same citation SHALL be paired, with
+ * each listing the other in its translation candidates, and acts with
+ * conflicting citations SHALL never be paired.
+ */
+
+const fc = require('fast-check');
+const BDLawSimilarity = require('../../bdlaw-similarity.js');
+
+describe('Property 19: Near-Duplicate and Translation Pairing', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  const WORDS = ['আইন', 'ধারা', 'সরকার', 'আদালত', 'কর্তৃপক্ষ', 'বিধি', 'Act', 'section', 'Government', 'court', 'rule', 'penalty'];
+
+  // Words numbered from base, so texts from different bases share no shingles
+  const textArb = (minLength, maxLength, base = 0) => fc.array(fc.constantFrom(...WORDS), { minLength, maxLength })
+    .map(words => words.map((word, i) => `${word}${base + i}`).join(' '));
+
+  const record = (id, text, language = 'bengali') =>
+    BDLawSimilarity.buildSimilarityRecord({ internal_id: id, title: `Act ${id}`, content_language: language, text });
+
+  it('should report identical and contained texts and keep signatures deterministic', () => {
+    fc.assert(
+      fc.property(textArb(200, 260), textArb(120, 160, 1000), (text, other) => {
+        const first = BDLawSimilarity.computeSignature(text);
+        const again = BDLawSimilarity.computeSignature(text);
+        const longer = `${other} ${text}`;
+        const candidates = BDLawSimilarity.findNearDuplicates([
+          record(1, text),
+          record(2, `${text}।`),
+          record(3, longer),
+          record(4, '')
+        ]);
+        const sets = new Map([['1', text], ['2', `${text}।`], ['3', longer]]
+          .filter(([id]) => BDLawSimilarity.containedPairIds(candidates).includes(id))
+          .map(([id, body]) => [id, BDLawSimilarity.shingleHashes(body)]));
+        const pairs = BDLawSimilarity.verifyContainedPairs(candidates, sets);
+        const pair = (a, b) => pairs.find(p => p.internal_ids[0] === a && p.internal_ids[1] === b);
+
+        return JSON.stringify(first) === JSON.stringify(again) &&
+          first.signature.length === BDLawSimilarity.SIGNATURE_SIZE &&
+          pair('1', '2')?.relation === 'near_duplicate' && pair('1', '2').jaccard === 1 &&
+          pair('1', '3')?.relation === 'contained' && pair('1', '3').contained_id === '1' &&
+          pair('1', '3').containment === 1 && pair('1', '3').containment_method === 'exact_shingles' &&
+          pairs.every(p => !p.internal_ids.includes('4')) &&
+          pairs.every(p => BDLawSimilarity._compareIds(p.internal_ids[0], p.internal_ids[1]) < 0);
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  it('should drop contained candidates whose exact containment falls short', () => {
+    const words = (count, base) => Array.from({ length: count }, (_, i) => `word${base + i}`).join(' ');
+    const short = words(100, 0);
+    const long = `${words(40, 0)} ${words(60, 5000)} ${words(1500, 1000)}`;
+    const candidate = {
+      internal_ids: ['1', '2'],
+      titles: ['Act 1', 'Act 2'],
+      content_languages: ['english', 'english'],
+      relation: 'contained',
+      jaccard: 0.063,
+      containment: 0.835,
+      containment_method: 'minhash_estimate',
+      contained_id: '1'
+    };
+    const duplicate = { ...candidate, internal_ids: ['3', '4'], relation: 'near_duplicate', contained_id: null };
+    const sets = new Map([['1', BDLawSimilarity.shingleHashes(short)], ['2', BDLawSimilarity.shingleHashes(long)]]);
+
+    expect(BDLawSimilarity.containedPairIds([candidate, duplicate])).toEqual(['1', '2']);
+    expect(BDLawSimilarity.verifyContainedPairs([candidate, duplicate], sets)).toEqual([duplicate]);
+    expect(BDLawSimilarity.verifyContainedPairs([candidate], new Map())).toEqual([]);
+  });
+
+  it('should keep the estimated Jaccard similarity close to the exact value', () => {
+    fc.assert(
+      fc.property(textArb(200, 300), textArb(200, 300, 1000), (a, b) => {
+        const shared = `${a} ${b}`;
+        const setA = BDLawSimilarity.shingleHashes(a);
+        const setB = BDLawSimilarity.shingleHashes(shared);
+        const intersection = [...setA].filter(hash => setB.has(hash)).length;
+        const exact = intersection / (setA.size + setB.size - intersection);
+        const estimate = BDLawSimilarity.estimateJaccard(
+          BDLawSimilarity.computeSignature(a).signature,
+          BDLawSimilarity.computeSignature(shared).signature
+        );
+        return Math.abs(estimate - exact) < 0.2;
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  it('should pair Bengali and English acts that carry the same title citation', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1860, max: 2020 }),
+        fc.integer({ min: 1, max: 60 }),
+        fc.integer({ min: 1, max: 200 }),
+        fc.integer({ min: 0, max: 40 }),
+        (year, serial, sections, drift) => {
+          const manifest = {
+            acts: {
+              10: { internal_id: '10', title: `The Sample Act, ${year} ( ACT NO. ${serial} OF ${year} )`, content_language: 'english', act_year: year, section_count: sections },
+              11: { internal_id: '11', title: `নমুনা আইন, ${toBengaliNumeral(year)} ( ${toBengaliNumeral(year)} সনের ${toBengaliNumeral(serial)} নং আইন )`, content_language: 'bengali', act_year: year, section_count: sections + drift },
+              12: { internal_id: '12', title: `The Other Act, ${year} ( ACT NO. ${serial + 1} OF ${year} )`, content_language: 'english', act_year: year, section_count: sections + drift }
+            }
+          };
+          const { pairs, candidates } = BDLawSimilarity.buildTranslationIndex(manifest);
+          const expected = drift <= BDLawSimilarity.SECTION_COUNT_TOLERANCE * (sections + drift) ? 'high' : 'medium';
+
+          return pairs.length === 1 &&
+            pairs[0].bengali_id === '11' && pairs[0].english_id === '10' &&
+            pairs[0].confidence === expected &&
+            pairs[0].citation_key === `act/${year}/${serial}` &&
+            JSON.stringify(candidates) === JSON.stringify({ 10: ['11'], 11: ['10'] });
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should pair acts on the citation_key recorded at capture', () => {
+    const manifest = {
+      acts: {
+        500: { internal_id: '500', title: 'The Appropriation Act, 1975', content_language: 'english', citation_key: 'act/1975/44', section_count: 3 },
+        900: { internal_id: '900', title: 'নির্দিষ্টকরণ আইন, ১৯৭৫', content_language: 'bengali', citation_key: 'act/1975/44', section_count: 3 }
+      }
+    };
+    expect(BDLawSimilarity.buildTranslationRecord(manifest.acts[500])).toMatchObject({ citation_key: 'act/1975/44', act_year: 1975 });
+    expect(BDLawSimilarity.buildTranslationIndex(manifest).pairs).toMatchObject([
+      { bengali_id: '900', english_id: '500', confidence: 'high', citation_key: 'act/1975/44' }
+    ]);
+  });
+
+  it('should pair acts without citations only when year and section count single them out', () => {
+    const entry = (id, language, year, sections, title = `Act ${id}, ${year}`) =>
+      ({ internal_id: id, title, content_language: language, act_year: year, section_count: sections });
+
+    const unique = BDLawSimilarity.findTranslationPairs([
+      entry('1', 'bengali', 1995, 14), entry('2', 'english', 1995, 14), entry('3', 'english', 1995, 15)
+    ].map(e => BDLawSimilarity.buildTranslationRecord(e)));
+    expect(unique).toHaveLength(1);
+    expect(unique[0]).toMatchObject({ bengali_id: '1', english_id: '2', confidence: 'low', citation_key: null, matched_on: ['act_year', 'section_count'] });
+
+    const crowded = BDLawSimilarity.findTranslationPairs([
+      entry('1', 'bengali', 1995, 14), entry('2', 'english', 1995, 14), entry('3', 'english', 1995, 14)
+    ].map(e => BDLawSimilarity.buildTranslationRecord(e)));
+    expect(crowded).toEqual([]);
+
+    const conflicting = BDLawSimilarity.findTranslationPairs([
+      entry('1', 'bengali', 1995, 14, 'ক আইন, ১৯৯৫ ( ১৯৯৫ সনের ৩ নং আইন )'),
+      entry('2', 'english', 1995, 14, 'The B Act, 1995 ( ACT NO. IV OF 1995 )')
+    ].map(e => BDLawSimilarity.buildTranslationRecord(e)));
+    expect(conflicting).toEqual([]);
+
+    const document = BDLawSimilarity.formatTranslationPairs(unique, { generatedAt: '2026-01-01T00:00:00.000Z' });
+    expect(document).toMatchObject({ format: 'bdlaw-translation-pairs', total_pairs: 1, by_confidence: { high: 0, medium: 0, low: 1 } });
+    expect(BDLawSimilarity.translationCandidateIds([])).toEqual({});
+  });
+});
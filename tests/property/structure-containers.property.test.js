@@ -0,0 +1,207 @@
+/**
+ * Property-Based Tests for Part, Chapter and Schedule Containers
+ *
+ * Feature: legal-structure-derivation, Property 15: Container Nesting
+ *
+ * For any act whose content_raw carries part, chapter and schedule headings,
+ * buildStructureTree SHALL record each heading as a container whose marker,
+ * number and heading sit verbatim at their offsets, SHALL nest chapters in
+ * the part before them, and SHALL place every section in the innermost
+ * container holding it, ending the section where the next container begins.
+ */
+
+const fc = require('fast-check');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+
+describe('Property 15: Container Nesting', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const DANDA = '৷';
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII'];
+
+  // Parts of chapters of section counts, plus a number of schedules
+  const layoutArb = fc.record({
+    script: fc.constantFrom('bengali', 'english'),
+    parts: fc.array(fc.array(fc.integer({ min: 0, max: 2 }), { minLength: 1, maxLength: 3 }), { minLength: 0, maxLength: 3 }),
+    schedules: fc.integer({ min: 0, max: 2 }),
+    withHeadings: fc.boolean()
+  });
+
+  function buildAct({ script, parts, schedules, withHeadings }) {
+    let content = 'নমুনা আইন\n';
+    const sections = [];
+    const expected = [];
+    const bengali = script === 'bengali';
+    const heading = (word) => (withHeadings ? `${word}\n` : '');
+    const chapterLists = parts.length > 0 ? parts : [[1]];
+
+    chapterLists.forEach((chapters, p) => {
+      if (parts.length > 0) {
+        content += bengali
+          ? `${BDLawExtractor.CONTAINER_ORDINALS.bengali[p]} ভাগ\n${heading('সাধারণ')}`
+          : `PART ${ROMAN[p]}\n${heading('GENERAL')}`;
+      }
+      chapters.forEach((count, c) => {
+        content += bengali
+          ? `অধ্যায় ${toBengaliNumeral(c + 1)}\n${heading('প্রারম্ভিক')}`
+          : `CHAPTER ${c + 1}\n${heading('PRELIMINARY')}`;
+        for (let s = 0; s < count; s++) {
+          const number = toBengaliNumeral(sections.length + 1) + DANDA;
+          const title = `শিরোনাম${toBengaliNumeral(sections.length + 1)}`;
+          content += `${title} ${number} বিধান\n`;
+          sections.push({ dom_index: sections.length, section_number: number, heading: title, subsections: [], clauses: [] });
+          expected.push({ part: parts.length > 0 ? p + 1 : null, chapter: c + 1 });
+        }
+      });
+    });
+    for (let k = 0; k < schedules; k++) {
+      content += bengali ? `তফসিল-${['ক', 'খ'][k]}\n` : `THE ${BDLawExtractor.CONTAINER_ORDINALS.english[k]} SCHEDULE\n`;
+      content += 'ফরম\n';
+    }
+    return { content, sections, expected };
+  }
+
+  it('should anchor container markers, numbers and headings verbatim', () => {
+    fc.assert(
+      fc.property(layoutArb, (layout) => {
+        const { content, sections } = buildAct(layout);
+        const tree = BDLawExtractor.buildStructureTree({ preamble: null, enactment: null, sections, contentRaw: content });
+        return tree.containers.every(container =>
+          content.startsWith(container.marker, container.marker_offset) &&
+          content.startsWith(container.number, container.number_offset) &&
+          (container.heading === null
+            ? !layout.withHeadings || container.type === 'schedule'
+            : content.startsWith(container.heading, container.heading_offset)) &&
+          container.content_start < container.content_end);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should nest chapters in parts and sections in chapters', () => {
+    fc.assert(
+      fc.property(layoutArb, (layout) => {
+        const { content, sections, expected } = buildAct(layout);
+        const tree = BDLawExtractor.buildStructureTree({ preamble: null, enactment: null, sections, contentRaw: content });
+        const { containers, metadata } = tree;
+
+        const countsOk = metadata.total_parts === layout.parts.length &&
+          metadata.total_chapters === (layout.parts.length > 0 ? layout.parts.flat().length : 1) &&
+          metadata.total_schedules === layout.schedules;
+
+        const sectionsOk = tree.sections.every((section, i) => {
+          const chapter = containers[section.container_index];
+          const part = chapter && containers[chapter.parent_index];
+          return chapter.type === 'chapter' &&
+            chapter.number_value === expected[i].chapter &&
+            (expected[i].part === null ? chapter.parent_index === null : part.number_value === expected[i].part) &&
+            section.content_end <= chapter.content_end &&
+            !containers.some(c => c.content_start > section.content_start && c.content_start < section.content_end);
+        });
+
+        const schedulesOk = containers.filter(c => c.type === 'schedule').every(c => c.parent_index === null);
+        return countsOk && sectionsOk && schedulesOk;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should address a section through its containers', () => {
+    const content = 'PART II\nPROCEDURE\nCHAPTER 3\nHEARINGS\nশুনানি ১৪৷ বিধান\n';
+    const tree = BDLawExtractor.buildStructureTree({
+      preamble: null,
+      enactment: null,
+      sections: [{ dom_index: 0, section_number: '১৪৷', heading: 'শুনানি' }],
+      contentRaw: content
+    });
+    const path = BDLawExtractor.getStructurePath(tree, 0);
+    expect(path.map(step => step.marker).join(' › ')).toBe('PART II › CHAPTER 3 › ১৪৷');
+    expect(path.map(step => step.heading)).toEqual(['PROCEDURE', 'HEARINGS', 'শুনানি']);
+    expect(BDLawExtractor.getStructurePath({ sections: [{ section_number: '১৷' }] }, 0)).toHaveLength(1);
+    expect(BDLawExtractor.getStructurePath(tree, 5)).toEqual([]);
+  });
+
+  it('should read ordinals, numerals and headings on the next line', () => {
+    const found = BDLawExtractor.detectStructuralContainers(
+      'দ্বিতীয় অধ্যায়\nবোর্ড\nদ্বিতীয় অধ্যায়\nCHAPTER IIA.—\nPRELIMINARY\nTHE SECOND SCHEDULE\nPART C\n'
+    );
+    expect(found.map(c => [c.type, c.number, c.number_value, c.heading])).toEqual([
+      ['chapter', 'দ্বিতীয়', 2, 'বোর্ড'],
+      ['chapter', 'দ্বিতীয়', 2, null],
+      ['chapter', 'IIA', 2, 'PRELIMINARY'],
+      ['schedule', 'SECOND', 2, null],
+      ['part', 'C', null, null]
+    ]);
+  });
+
+  it('should not take sentences or ordinary words for headings', () => {
+    expect(BDLawExtractor.detectStructuralContainers('এই অধ্যায়ের বিধান প্রযোজ্য হইবে৷\nএই তফসিল\nPart II of the Act\nতফসিলভুক্ত')).toEqual([]);
+  });
+
+  it('should not take section headings or notes that open with a keyword for containers', () => {
+    // Section headings and notes from the bdlaws corpus (acts 1009, 1602, 711, 75, 1429)
+    expect(BDLawExtractor.detectStructuralContainers([
+      'তফসিল সংশোধনের ক্ষমতা',
+      '৪২। সরকার, সরকারী গেজেটে প্রজ্ঞাপিত আদেশ দ্বারা, এই আইনের তফসিল সংশোধন করিতে পারিবে।',
+      'তফসিল ১ এ উল্লিখিত বন্যপ্রাণী শিকার, ইত্যাদি',
+      '৪১। (১) কোনো ব্যক্তি তফসিল ১(ক) এ উল্লিখিত বাঘ বা হাতি শিকার করিতে পারিবে না।',
+      'তফসিল বহির্ভূত পদে নিয়োগে বাধা-নিষেধ',
+      '৪৯৷ ধারা ৪৮ এর অধীনে অনুমোদিত তফসিল বহির্ভূত কর্পোরেশনের কোন পদে কোন ব্যক্তিকে নিয়োগ করা যাইবে না৷',
+      'CHAPTER XLIVA.–[Omitted by the Criminal Law (Extinction of Discriminatory Privileges) Act, 1949 (Act No. II of 1950).]',
+      'Irregularities which do not vitiate proceedings',
+      '529.\tIf any Magistrate not empowered by law to do any of the following things',
+      'চতুর্থ তফসিল',
+      '২।',
+      'প্রাকৃতিক গ্যাস, খনিজ তৈল বা অন্যান্য খনিজ উত্তোলন ও অনুসন্ধান'
+    ].join('\n'))).toEqual([]);
+  });
+
+  it('should anchor DOM containers at line starts between their sections', () => {
+    const content = 'প্রথম ১৷ এই আইনের তফসিল অনুযায়ী ফি দিতে হইবে।\nদ্বিতীয় ২৷ জরিমানা দিতে হইবে।\nতফসিল\nফরম ক\n';
+    const sections = [
+      { dom_index: 0, section_number: '১৷', heading: 'প্রথম', subsections: [], clauses: [] },
+      { dom_index: 1, section_number: '২৷', heading: 'দ্বিতীয়', subsections: [], clauses: [] }
+    ];
+    const schedule = { type: 'schedule', marker: 'তফসিল', number: null, number_value: null, heading: 'ফরম ক' };
+    const build = (containers, contentRaw = content) =>
+      BDLawExtractor.buildStructureTree({ preamble: null, enactment: null, sections, containers, contentRaw });
+
+    for (const tree of [build([{ ...schedule, dom_index: 2 }]), build([{ ...schedule, dom_index: undefined }])]) {
+      expect(tree.containers[0].marker_offset).toBe(content.indexOf('\nতফসিল\n') + 1);
+      expect(tree.sections.map(section => content.slice(section.content_start, section.content_end))).toEqual([
+        '১৷ এই আইনের তফসিল অনুযায়ী ফি দিতে হইবে।\n',
+        '২৷ জরিমানা দিতে হইবে।\n'
+      ]);
+      expect(tree.sections.map(section => section.container_index)).toEqual([null, null]);
+    }
+
+    // A marker only mentioned in a body stays unanchored and cuts no section
+    const bodyOnly = content.slice(0, content.indexOf('\nতফসিল\n') + 1);
+    const tree = build([{ ...schedule, dom_index: 2 }], bodyOnly);
+    expect(tree.containers[0].marker_offset).toBe(-1);
+    expect(tree.sections[0].content_end).toBe(bodyOnly.indexOf('দ্বিতীয়'));
+
+    // A container row's marker lies before its own row's section
+    const rowFirst = 'প্রথম ১৷ এই আইনের তফসিল দেখুন।\nতফসিল\nদ্বিতীয় ২৷ জরিমানা।\n';
+    const [early] = build([{ ...schedule, heading: null, dom_index: 1 }], rowFirst).containers;
+    expect(early.marker_offset).toBe(rowFirst.indexOf('\nতফসিল\n') + 1);
+  });
+
+  it('should prefer DOM container headings and anchor them in order', () => {
+    const content = 'তফসিল\nফরম ক\nতফসিল\nফরম খ\n';
+    const tree = BDLawExtractor.buildStructureTree({
+      preamble: null,
+      enactment: null,
+      sections: [],
+      containers: [
+        { type: 'schedule', marker: 'তফসিল', number: null, number_value: null, heading: 'ফরম ক', dom_index: 0 },
+        { type: 'schedule', marker: 'তফসিল', number: null, number_value: null, heading: 'ফরম খ', dom_index: 1 }
+      ],
+      contentRaw: content
+    });
+    expect(tree.containers.map(c => [c.marker_offset, c.heading_offset, c.content_end, c.source, c.dom_index])).toEqual([
+      [0, 6, 12, 'dom', 0],
+      [12, 18, content.length, 'dom', 1]
+    ]);
+  });
+});
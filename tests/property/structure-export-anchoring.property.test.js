@@ -0,0 +1,164 @@
+/**
+ * Property-Based Tests for Structure Export Anchoring
+ *
+ * Feature: legal-structure-derivation, Property 14: Structure Export Anchoring
+ *
+ * For any captured act carrying a DOM-derived structure tree and scope-anchored
+ * cross_references, the corpus export SHALL carry both fields unchanged, and
+ * validateCorpusExport SHALL accept them only while every offset indexes into
+ * the exported act text.
+ */
+
+const fc = require('fast-check');
+const BDLawQueue = require('../../bdlaw-queue.js');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+
+describe('Property 14: Structure Export Anchoring', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const DANDA = '৷';
+
+  function toBengaliNumeral(num) {
+    return String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+  }
+
+  const bodyWordArb = fc.stringOf(fc.constantFrom('ক', 'খ', 'গ', 'ঘ', 'চ', 'ছ', ' '), { minLength: 1, maxLength: 30 });
+
+  // Builds content_raw plus the DOM-shaped structure data the content script produces
+  const actWithStructureArb = fc.record({
+    actNumber: fc.integer({ min: 1, max: 9999 }).map(String),
+    bodies: fc.array(bodyWordArb, { minLength: 1, maxLength: 6 }),
+    withCitation: fc.boolean()
+  }).map(({ actNumber, bodies, withCitation }) => {
+    const sections = [];
+    let content = '';
+    bodies.forEach((body, i) => {
+      const number = toBengaliNumeral(i + 1) + DANDA;
+      const heading = `শিরোনাম${toBengaliNumeral(i + 1)}`;
+      const bodyText = (i === 0 && withCitation ? '১৯৯০ সনের ২০ নং আইন ' : '') + body.trim() + ' (১) ধারা';
+      content += `${heading} ${number} ${bodyText}\n`;
+      sections.push({
+        dom_index: i,
+        section_number: number,
+        heading,
+        body_text: bodyText,
+        subsections: BDLawExtractor.detectSubsectionsInContent(bodyText),
+        clauses: []
+      });
+    });
+
+    const structure = BDLawExtractor.buildStructureTree({
+      preamble: null,
+      enactment: null,
+      sections,
+      contentRaw: content
+    });
+
+    const patternReferences = [];
+    for (const section of structure.sections) {
+      const body = sections[section.dom_index].body_text;
+      for (const citation of BDLawExtractor.detectCitationsInContent(body)) {
+        patternReferences.push({
+          citation_text: citation.citation_text,
+          character_offset: BDLawExtractor.calculateOffsetInContentRaw(citation.citation_text, content, section.content_start),
+          pattern_type: citation.pattern_type,
+          dom_section_index: section.dom_index
+        });
+      }
+    }
+
+    const crossReferences = BDLawExtractor.buildCrossReferences({
+      linkReferences: [],
+      patternReferences,
+      structure,
+      contentRaw: content
+    });
+
+    return {
+      actNumber,
+      title: `আইন ${actNumber}`,
+      content,
+      url: `http://bdlaws.minlaw.gov.bd/act-details-${actNumber}.html`,
+      volumeNumber: '1',
+      sections: { counts: { 'ধারা': 0, 'অধ্যায়': 0, 'তফসিল': 0 } },
+      structure,
+      cross_references: crossReferences
+    };
+  });
+
+  it('should carry structure and cross_references through corpus export', () => {
+    fc.assert(
+      fc.property(actWithStructureArb, (act) => {
+        const exported = BDLawQueue.formatActForCorpusExport(act, false);
+        return JSON.stringify(exported.structure) === JSON.stringify(act.structure) &&
+          JSON.stringify(exported.cross_references) === JSON.stringify(act.cross_references);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should validate corpus exports whose offsets index into content', () => {
+    fc.assert(
+      fc.property(fc.array(actWithStructureArb, { minLength: 1, maxLength: 5 }), (acts) => {
+        const corpus = BDLawQueue.formatCorpusExport(acts, false, []);
+        const result = BDLawQueue.validateCorpusExport(corpus);
+        return result.valid === true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should anchor every exported cross-reference to its citation text and a scope', () => {
+    fc.assert(
+      fc.property(actWithStructureArb.filter(act => act.cross_references.length > 0), (act) => {
+        return act.cross_references.every(ref =>
+          act.content.substring(ref.character_offset, ref.character_offset + ref.citation_text.length) === ref.citation_text &&
+          ref.scope.section !== null
+        );
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should reject structure offsets that fall outside content', () => {
+    fc.assert(
+      fc.property(actWithStructureArb, fc.integer({ min: 1, max: 1000 }), (act, overshoot) => {
+        const corpus = BDLawQueue.formatCorpusExport([act], false, []);
+        corpus.acts[0].structure.sections[0].content_end = act.content.length + overshoot;
+        const result = BDLawQueue.validateCorpusExport(corpus);
+        return result.valid === false &&
+          result.errors.some(e => e.includes('structure.sections[0]'));
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should reject cross-references whose citation_text does not match content at its offset', () => {
+    fc.assert(
+      fc.property(actWithStructureArb, (act) => {
+        const corpus = BDLawQueue.formatCorpusExport([act], false, []);
+        corpus.acts[0].cross_references = [{
+          citation_text: 'Act XIV of 1908',
+          character_offset: 0,
+          scope: { section: null, subsection: null, clause: null, dom_section_index: null }
+        }];
+        const result = BDLawQueue.validateCorpusExport(corpus);
+        return result.valid === false &&
+          result.errors.some(e => e.includes('does not match content_raw'));
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should accept legacy acts captured without structure', () => {
+    const corpus = BDLawQueue.formatCorpusExport([{
+      actNumber: '1',
+      title: 'Legacy',
+      content: 'text',
+      url: 'http://bdlaws.minlaw.gov.bd/act-details-1.html',
+      volumeNumber: '1'
+    }], false, []);
+    expect(corpus.acts[0].structure).toBeNull();
+    expect(corpus.acts[0].cross_references).toEqual([]);
+    expect(BDLawQueue.validateCorpusExport(corpus).valid).toBe(true);
+  });
+});
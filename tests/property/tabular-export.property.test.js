@@ -0,0 +1,123 @@
+/**
+ * Property-Based Tests for Tabular Export
+ *
+ * Feature: corpus-export-formats, Property 7: Delimited Round Trip
+ *
+ * For any rows of Bengali or English text, including delimiters, quotes and
+ * embedded newlines, formatDelimitedTable SHALL produce RFC 4180 text that
+ * parses back to the same fields, and every section row SHALL carry the
+ * content_raw substring at its offsets.
+ */
+
+const fc = require('fast-check');
+const BDLawExport = require('../../bdlaw-export.js');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+
+describe('Property 7: Delimited Round Trip', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+
+  const fieldArb = fc.stringOf(fc.constantFrom('ক', 'খ', '৷', 'a', ' ', ',', '\t', '"', '\n', '\r'), { maxLength: 20 });
+  const delimiterArb = fc.constantFrom(',', '\t');
+
+  it('should parse formatted tables back to the same fields', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.tuple(fieldArb, fieldArb, fieldArb), { maxLength: 10 }),
+        delimiterArb,
+        fc.boolean(),
+        (tuples, delimiter, bom) => {
+          const columns = ['a', 'b', 'c'];
+          const rows = tuples.map(([a, b, c]) => ({ a, b, c }));
+          const text = BDLawExport.formatDelimitedTable(columns, rows, { delimiter, bom });
+          const parsed = BDLawExport.parseDelimited(text, delimiter);
+
+          return text.startsWith('\uFEFF') === bom &&
+            JSON.stringify(parsed) === JSON.stringify([columns, ...tuples]);
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should only quote fields that need it and end every record with CRLF', () => {
+    expect(BDLawExport.formatDelimitedField('ধারা ১', ',')).toBe('ধারা ১');
+    expect(BDLawExport.formatDelimitedField('a,b', ',')).toBe('"a,b"');
+    expect(BDLawExport.formatDelimitedField('a,b', '\t')).toBe('a,b');
+    expect(BDLawExport.formatDelimitedField('say "x"', '\t')).toBe('"say ""x"""');
+    expect(BDLawExport.formatDelimitedField(null)).toBe('');
+    expect(BDLawExport.formatDelimitedTable(['a'], [{ a: 'x\ny' }])).toBe('a\r\n"x\ny"\r\n');
+  });
+
+  it('should reject unterminated quoted fields', () => {
+    expect(() => BDLawExport.parseDelimited('"abc')).toThrow();
+  });
+
+  const actArb = fc.record({
+    title: fc.constantFrom('দণ্ডবিধি, ১৮৬০', 'The Penal Code, 1860', 'আইন'),
+    bodies: fc.array(fc.stringOf(fc.constantFrom('ক', ',', '"', '\n', 'সংশোধিত', '[***]'), { minLength: 1, maxLength: 12 }), { maxLength: 5 })
+  }).map(({ title, bodies }) => {
+    let content = '';
+    const sections = bodies.map((body, i) => {
+      const heading = `শিরোনাম${toBengaliNumeral(i + 1)}`;
+      const number = `${toBengaliNumeral(i + 1)}৷`;
+      content += `${heading} ${number} ${body}\n`;
+      return { dom_index: i, section_number: number, heading, subsections: [], clauses: [] };
+    });
+    return {
+      identifiers: { internal_id: '12' },
+      title_raw: title,
+      content_raw: content,
+      structure: BDLawExtractor.buildStructureTree({ preamble: null, enactment: null, sections, contentRaw: content }),
+      language_distribution: { bn_ratio: 1, en_ratio: 0 }
+    };
+  });
+
+  it('should give each section row the content_raw text at its offsets', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const rows = BDLawExport.buildSectionRows(act);
+        const expected = act.structure.sections.length || 1;
+        return rows.length === expected && rows.every(row =>
+          row.body_text === act.content_raw.substring(row.content_start, row.content_end) &&
+          row.amendment_marker_count === row.body_text.split('সংশোধিত').length - 1 + row.body_text.split('[***]').length - 1 &&
+          row.row_type === (act.structure.sections.length > 0 ? 'section' : 'act')
+        );
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should survive a CSV round trip with section text intact', () => {
+    fc.assert(
+      fc.property(actArb, delimiterArb, (act, delimiter) => {
+        const rows = BDLawExport.buildSectionRows(act);
+        const columns = BDLawExport.SECTION_TABLE_COLUMNS;
+        const parsed = BDLawExport.parseDelimited(BDLawExport.formatDelimitedTable(columns, rows, { delimiter }), delimiter);
+        const bodyIndex = columns.indexOf('body_text');
+        return parsed.length === rows.length + 1 &&
+          parsed.slice(1).every((fields, i) => fields.length === columns.length && fields[bodyIndex] === rows[i].body_text);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should read the year from titles in either script', () => {
+    expect(BDLawExport.extractTitleYear('দণ্ডবিধি, ১৮৬০')).toBe('1860');
+    expect(BDLawExport.extractTitleYear('The Code of Criminal Procedure, 1898 (Act No. V of 1898)')).toBe('1898');
+    expect(BDLawExport.extractTitleYear('Act No. 12345')).toBe('');
+    expect(BDLawExport.extractTitleYear(null)).toBe('');
+  });
+
+  it('should build one acts-table row per manifest entry', () => {
+    const rows = BDLawExport.buildActTableRows({
+      acts: {
+        '10': { internal_id: '10', title: 'B, 1990', content_language: 'english', content_length: 5 },
+        '9': { internal_id: '9', title: 'ক ২০০১', content_language: 'bengali', content_length: 3 }
+      }
+    });
+    expect(rows.map(row => row.internal_id)).toEqual(['9', '10']);
+    expect(rows[0].year).toBe('2001');
+    expect(Object.keys(rows[0])).toEqual(BDLawExport.ACT_TABLE_COLUMNS);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Property-Based Tests for TEI P5 Export
+ *
+ * Feature: corpus-export-formats, Property 8: TEI Offset Round Trip
+ *
+ * For any act with a structure tree, formatActAsTei SHALL produce a
+ * well-formed TEI document whose offset-bearing leaves, with inline <note>
+ * and <ref> markup removed, match content_raw at their offsets and together
+ * cover content_raw exactly once; notes and references SHALL wrap exactly the
+ * text they were detected on.
+ */
+
+const fc = require('fast-check');
+const { JSDOM } = require('jsdom');
+const BDLawExport = require('../../bdlaw-export.js');
+const BDLawExtractor = require('../../bdlaw-extractor.js');
+
+describe('Property 8: TEI Offset Round Trip', () => {
+  const BENGALI_NUMERALS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+  const DANDA = '৷';
+  const toBengaliNumeral = (num) => String(num).split('').map(d => BENGALI_NUMERALS[parseInt(d)]).join('');
+
+  const bodyArb = fc.stringOf(
+    fc.constantFrom('ক', 'খ', ' ', '&', '<', '\n', '[1]', '*', ' ১৯৯০ সনের ২০ নং আইন', ' [সংশোধিত ২০০০ সনের ১ নং আইন]'),
+    { minLength: 1, maxLength: 12 }
+  );
+
+  const actArb = fc.record({
+    actNumber: fc.integer({ min: 1, max: 9999 }).map(String),
+    lead: fc.constantFrom('', 'যেহেতু উদ্দেশ্যে সমীচীন; '),
+    bodies: fc.array(fc.record({ body: bodyArb, withSubsections: fc.boolean() }), { maxLength: 4 })
+  }).map(({ actNumber, lead, bodies }) => {
+    let content = lead;
+    const sections = [];
+    bodies.forEach(({ body, withSubsections }, i) => {
+      const number = toBengaliNumeral(i + 1) + DANDA;
+      const heading = `শিরোনাম${toBengaliNumeral(i + 1)}`;
+      const bodyText = body + (withSubsections ? ' (১) প্রথম (২) দ্বিতীয়' : '');
+      content += `${heading} ${number} ${bodyText}\n`;
+      sections.push({
+        dom_index: i,
+        section_number: number,
+        heading,
+        subsections: BDLawExtractor.detectSubsectionsInContent(bodyText),
+        clauses: []
+      });
+    });
+
+    const references = BDLawExtractor.detectCrossReferences(content).map(ref => ({
+      citation_text: ref.citation_text,
+      position: ref.position,
+      lexical_relation_type: ref.lexical_relation_type || 'mention',
+      lexical_relation_confidence: ref.lexical_relation_confidence || 'low'
+    }));
+
+    return {
+      identifiers: { internal_id: actNumber },
+      title_raw: `আইন ${actNumber} & <Ordinance>`,
+      content_raw: content,
+      url: `http://bdlaws.minlaw.gov.bd/act-details-${actNumber}.html`,
+      structure: BDLawExtractor.buildStructureTree({
+        preamble: lead ? { text: lead.trim() } : null,
+        enactment: null,
+        sections,
+        contentRaw: content
+      }),
+      lexical_references: BDLawExtractor.getLexicalReferencesMetadata(references),
+      capture_environment: BDLawExtractor.CAPTURE_ENVIRONMENT,
+      trust_boundary: BDLawExtractor.TRUST_BOUNDARY,
+      language_distribution: { bn_ratio: 0.9, en_ratio: 0.1 },
+      _metadata: { source: 'bdlaws.minlaw.gov.bd', tool: 'BDLawCorpus', disclaimer: 'Academic use & research' }
+    };
+  });
+
+  const parse = (xml) => new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+  const isWellFormed = (doc) => doc.getElementsByTagName('parsererror').length === 0;
+
+  it('should cover content_raw exactly with offset-bearing leaves', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const xml = BDLawExport.formatActAsTei(act, { generatedAt: '2026-01-01T00:00:00Z' });
+        return BDLawExport.verifyTei(xml, act.content_raw).valid === true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should produce well-formed TEI with a header built from the act metadata', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const doc = parse(BDLawExport.formatActAsTei(act));
+        const root = doc.documentElement;
+        const header = doc.getElementsByTagName('teiHeader')[0];
+        return isWellFormed(doc) &&
+          root.localName === 'TEI' &&
+          root.namespaceURI === BDLawExport.TEI_NAMESPACE &&
+          header.getElementsByTagName('title')[0].textContent === act.title_raw &&
+          header.getElementsByTagName('item').length ===
+            Object.keys(act.capture_environment).length +
+            act.trust_boundary.can_trust.length +
+            act.trust_boundary.must_not_trust.length;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should emit one section div per anchored structure section', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const doc = parse(BDLawExport.formatActAsTei(act));
+        const divs = Array.from(doc.getElementsByTagName('div')).filter(div => div.getAttribute('type') === 'section');
+        return divs.length === act.structure.sections.length;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should wrap notes and references around the text they were detected on', () => {
+    fc.assert(
+      fc.property(actArb, (act) => {
+        const doc = parse(BDLawExport.formatActAsTei(act));
+        const refs = Array.from(doc.getElementsByTagName('ref'));
+        const notes = Array.from(doc.getElementsByTagName('note'));
+        const citations = act.lexical_references.references.map(ref => ref.citation_text);
+        const footnotes = BDLawExtractor.locateStatutoryFootnotes(act.content_raw).map(note => note.text);
+        const editorial = BDLawExtractor.locateEditorialContent(act.content_raw).map(note => note.text);
+        return refs.every(ref => citations.includes(ref.textContent)) &&
+          notes.every(note => note.getAttribute('type') === 'editorial' &&
+            (footnotes.includes(note.textContent) || editorial.includes(note.textContent)));
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should mark statutory footnotes in place', () => {
+    const content = 'শিরোনাম ১৷ পাঠ [সংশোধিত ২০০০ সনের ১ নং আইন] শেষ';
+    const act = {
+      identifiers: { internal_id: '3' },
+      title_raw: 'আইন',
+      content_raw: content,
+      structure: null
+    };
+    const doc = parse(BDLawExport.formatActAsTei(act));
+    const notes = Array.from(doc.getElementsByTagName('note'));
+    expect(notes.map(note => note.getAttribute('subtype'))).toContain('statutory_footnote');
+    expect(BDLawExport.verifyTei(BDLawExport.formatActAsTei(act), content).valid).toBe(true);
+  });
+
+  it('should reject documents whose leaves no longer match content_raw', () => {
+    fc.assert(
+      fc.property(actArb.filter(act => act.content_raw.length > 0), (act) => {
+        return BDLawExport.verifyTei(BDLawExport.formatActAsTei(act), act.content_raw + 'x').valid === false;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should build a teiCorpus that lists and includes every manifest act', () => {
+    const manifest = {
+      acts: {
+        '10': { internal_id: '10', title: 'আইন & ১০', volume_number: '2' },
+        '9': { internal_id: '9', title: 'Act 9', volume_number: 'unknown' }
+      },
+      corpus_stats: { total_volumes: 1, total_characters: 20 }
+    };
+    const doc = parse(BDLawExport.formatTeiCorpus(manifest, { generatedAt: '2026-01-01T00:00:00Z' }));
+    expect(isWellFormed(doc)).toBe(true);
+    expect(doc.documentElement.localName).toBe('teiCorpus');
+    expect(Array.from(doc.getElementsByTagName('bibl')).map(b => b.getElementsByTagName('title')[0].textContent))
+      .toEqual(['Act 9', 'আইন & ১০']);
+    expect(Array.from(doc.getElementsByTagNameNS('http://www.w3.org/2001/XInclude', 'include')).map(i => i.getAttribute('href')))
+      .toEqual(['9.xml', '10.xml']);
+    expect(BDLawExport.generateTeiPath('10')).toBe('tei/10.xml');
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Property-Based Tests for Corpus ZIP Bundle
+ *
+ * Feature: corpus-export-formats, Property 2: ZIP Bundle Round Trip
+ *
+ * For any set of files written through BDLawZip, reading the archive back SHALL
+ * return the same paths and bytes in order, the bundle manifest SHALL record a
+ * CRC-32 and SHA-256 per entry, and verifyArchive SHALL reject any archive
+ * whose bytes no longer match those checksums.
+ */
+
+const fc = require('fast-check');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const BDLawZip = require('../../bdlaw-zip.js');
+const BDLawExport = require('../../bdlaw-export.js');
+
+describe('Property 2: ZIP Bundle Round Trip', () => {
+  const textArb = fc.stringOf(
+    fc.constantFrom('ক', 'খ', 'া', '১', '৷', 'A', 'b', ' ', '\n', '{', '"'),
+    { minLength: 0, maxLength: 300 }
+  );
+
+  const segmentArb = fc.stringOf(fc.constantFrom('a', 'b', '1', '_', '-', 'ধ'), { minLength: 1, maxLength: 8 });
+  const pathArb = fc.array(segmentArb, { minLength: 1, maxLength: 3 }).map(parts => parts.join('/') + '.json');
+
+  const filesArb = fc.uniqueArray(
+    fc.record({ path: pathArb, content: textArb }),
+    { selector: file => file.path, minLength: 1, maxLength: 10 }
+  );
+
+  const methodArb = fc.constantFrom(BDLawZip.METHOD.STORE, BDLawZip.METHOD.DEFLATE);
+
+  async function build(files, method) {
+    const writer = BDLawZip.createWriter({ method });
+    const entries = [];
+    for (const file of files) {
+      entries.push(await writer.addFile(file.path, file.content));
+    }
+    const archive = writer.finish();
+    return { entries, bytes: new Uint8Array(Buffer.concat(archive.parts.map(p => Buffer.from(p)))), archive };
+  }
+
+  it('should match zlib for CRC-32', () => {
+    fc.assert(
+      fc.property(fc.uint8Array({ maxLength: 500 }), (bytes) => {
+        return BDLawZip.crc32(bytes) === zlib.crc32(bytes);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should read back every path and byte in write order', async () => {
+    await fc.assert(
+      fc.asyncProperty(filesArb, methodArb, async (files, method) => {
+        const { bytes, archive } = await build(files, method);
+        const read = await BDLawZip.readArchive(bytes);
+
+        return archive.byteLength === bytes.length &&
+          read.length === files.length &&
+          read.every((entry, i) =>
+            entry.path === files[i].path &&
+            Buffer.from(entry.data).toString('utf8') === files[i].content
+          );
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should record SHA-256 and CRC-32 of uncompressed bytes in the bundle manifest', async () => {
+    await fc.assert(
+      fc.asyncProperty(filesArb, methodArb, async (files, method) => {
+        const { entries } = await build(files, method);
+        const manifest = BDLawExport.formatBundleManifest(entries, { compression: 'deflate' });
+
+        return manifest.entry_count === files.length &&
+          manifest.entries.every((entry, i) => {
+            const raw = Buffer.from(files[i].content, 'utf8');
+            return entry.size === raw.length &&
+              entry.sha256 === crypto.createHash('sha256').update(raw).digest('hex') &&
+              entry.crc32 === zlib.crc32(raw).toString(16).padStart(8, '0');
+          });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should verify untouched archives and reject modified ones', async () => {
+    await fc.assert(
+      fc.asyncProperty(filesArb, async (files) => {
+        const { entries, bytes } = await build(files, BDLawZip.METHOD.STORE);
+        if (!(await BDLawZip.verifyArchive(bytes, entries)).valid) return false;
+
+        const target = entries.findIndex(entry => entry.size > 0);
+        if (target === -1) return true;
+
+        // Flip one byte of the first non-empty stored payload
+        const tampered = bytes.slice();
+        const read = await BDLawZip.readArchive(bytes);
+        const offset = read[target].data.byteOffset;
+        tampered[offset] ^= 0xff;
+        return (await BDLawZip.verifyArchive(tampered, entries)).valid === false;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should store entries that deflate would enlarge', async () => {
+    const writer = BDLawZip.createWriter({ method: BDLawZip.METHOD.DEFLATE });
+    const entry = await writer.addFile('acts/1.json', crypto.randomBytes(64));
+    expect(entry.method).toBe('store');
+    expect(entry.compressed_size).toBe(entry.size);
+  });
+
+  it('should report a corrupt deflate entry without an unhandled rejection', async () => {
+    const { entries, bytes } = await build([{ path: 'acts/1.json', content: 'আইন '.repeat(200) }], BDLawZip.METHOD.DEFLATE);
+    expect(entries[0].method).toBe('deflate');
+
+    // The first entry's payload follows its 30-byte local header and name
+    const tampered = bytes.slice();
+    tampered[30 + Buffer.byteLength('acts/1.json')] = 0xff;
+
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      const result = await BDLawZip.verifyArchive(tampered, entries);
+      expect(result.valid).toBe(false);
+      expect(result.errors.length).toBeGreaterThan(0);
+      await expect(BDLawZip.readArchive(tampered)).rejects.toThrow();
+      await new Promise(resolve => setTimeout(resolve, 50));
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+    expect(unhandled).toEqual([]);
+  });
+
+  it('should reject paths that escape the archive root', async () => {
+    const writer = BDLawZip.createWriter();
+    await expect(writer.addFile('../acts/1.json', '{}')).rejects.toThrow();
+  });
+
+  it('should name the archive and place the bundle manifest under manifests/', () => {
+    expect(BDLawExport.generateCorpusZipFilename('2026-01-02T03:04:05.000Z')).toMatch(/^bdlaw_corpus_.*\.zip$/);
+    expect(BDLawExport.BUNDLE_MANIFEST_PATH).toBe('manifests/bundle-manifest.json');
+  });
+});